@@ -0,0 +1,180 @@
+import { forwardRef } from 'react';
+import { findState, stateLabel } from '../lib/states';
+
+/**
+ * InvoicePreview renders a printable sales document: the company and buyer
+ * details, the lines with their GST, the totals, the HSN-wise tax breakup and
+ * the amount in words. It is used for tax invoices as well as quotations and
+ * proforma invoices, which only differ in `title`, `numberLabel`,
+ * `detailsLabel`, the optional `validUntil` date and a closing `note`. `party`
+ * holds the customer fields of the form (customer_name, customer_address,
+ * customer_gstin, shipping_address, place_of_supply, vehicle_no) and
+ * `preview` the computed { lines, hsnSummary, totals }. A registered
+ * e-invoice also passes `einvoice` ({ irn, ack_no, ack_date, qr }, qr being
+ * the signed QR code as an image URL), printed above the buyer details. The
+ * ref points at the element captured for the PDF.
+ */
+const InvoicePreview = forwardRef(function InvoicePreview({ title = 'Tax Invoice', numberLabel = 'Invoice No', detailsLabel = 'Invoice Details', number, date, validUntil, settings, party, preview, note, einvoice }, ref) {
+  const totals = preview.totals;
+  return (
+    <div className="bg-white p-4 rounded shadow" ref={ref}>
+      <h2 className="text-lg font-medium mb-2 text-center">{title}</h2>
+      <div className="flex justify-between text-sm">
+        <div>
+          <strong>{settings.company_name || 'Your Business Name'}</strong><br />
+          {settings.address && (<span>{settings.address}<br /></span>)}
+          {settings.gstin && (<span>GSTIN: {settings.gstin}</span>)}
+        </div>
+        <div className="text-right">
+          <div>{numberLabel}: {number || 'N/A'}</div>
+          <div>Date: {new Date(date || Date.now()).toLocaleDateString()}</div>
+          {validUntil && <div>Valid Until: {new Date(validUntil).toLocaleDateString()}</div>}
+        </div>
+      </div>
+      {/* E-invoice registration */}
+      {einvoice && (
+        <div className="mt-4 flex justify-between items-start gap-4 border p-2 text-xs">
+          <div className="break-all">
+            <div><strong>IRN:</strong> {einvoice.irn}</div>
+            <div><strong>Ack No:</strong> {einvoice.ack_no}</div>
+            <div><strong>Ack Date:</strong> {new Date(einvoice.ack_date).toLocaleString()}</div>
+          </div>
+          {einvoice.qr && <img src={einvoice.qr} alt="E-invoice QR code" className="w-32 h-32" />}
+        </div>
+      )}
+      {/* Customer & invoice details */}
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 text-sm gap-4">
+        <div className="border p-2">
+          <strong>Billed To (Buyer):</strong><br />
+          {party.customer_name}<br />
+          {party.customer_address}<br />
+          {party.customer_gstin && (<span>GSTIN: {party.customer_gstin}</span>)}
+          {party.shipping_address && (<span><br /><strong>Shipped To:</strong> {party.shipping_address}</span>)}
+        </div>
+        <div className="border p-2">
+          <strong>{detailsLabel}:</strong><br />
+          {party.place_of_supply && (<span>Place of Supply: {stateLabel(findState(party.place_of_supply))}<br /></span>)}
+          {party.vehicle_no && (<span>Vehicle No: {party.vehicle_no}</span>)}
+        </div>
+      </div>
+      {/* Items table */}
+      <table className="w-full text-xs mt-4 border">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="border px-1 py-1">S.No</th>
+            <th className="border px-1 py-1">Description</th>
+            <th className="border px-1 py-1">HSN/SAC</th>
+            <th className="border px-1 py-1">Qty</th>
+            <th className="border px-1 py-1">Rate</th>
+            <th className="border px-1 py-1">Taxable Value</th>
+            <th className="border px-1 py-1">GST %</th>
+            <th className="border px-1 py-1">Tax</th>
+            <th className="border px-1 py-1">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {preview.lines.map((it, idx) => (
+            <tr key={idx}>
+              <td className="border px-1 py-1 text-center">{idx + 1}</td>
+              <td className="border px-1 py-1">{it.description}</td>
+              <td className="border px-1 py-1">{it.hsn_sac}</td>
+              <td className="border px-1 py-1 text-right">{it.quantity}</td>
+              <td className="border px-1 py-1 text-right">{it.rate}</td>
+              <td className="border px-1 py-1 text-right">{it.taxable_value.toFixed(2)}</td>
+              <td className="border px-1 py-1 text-right">{it.gst_rate}%</td>
+              <td className="border px-1 py-1 text-right">{(it.cgst + it.sgst + it.igst).toFixed(2)}</td>
+              <td className="border px-1 py-1 text-right">{it.total.toFixed(2)}</td>
+            </tr>
+          ))}
+          {/* Totals row */}
+          <tr>
+            <td colSpan={8} className="border px-1 py-1 text-right font-semibold">Taxable Total</td>
+            <td className="border px-1 py-1 text-right">{totals.taxable.toFixed(2)}</td>
+          </tr>
+          <tr>
+            <td colSpan={8} className="border px-1 py-1 text-right font-semibold">Add: CGST</td>
+            <td className="border px-1 py-1 text-right">{totals.cgst.toFixed(2)}</td>
+          </tr>
+            <tr>
+            <td colSpan={8} className="border px-1 py-1 text-right font-semibold">Add: SGST</td>
+            <td className="border px-1 py-1 text-right">{totals.sgst.toFixed(2)}</td>
+          </tr>
+          <tr>
+            <td colSpan={8} className="border px-1 py-1 text-right font-semibold">Add: IGST</td>
+            <td className="border px-1 py-1 text-right">{totals.igst.toFixed(2)}</td>
+          </tr>
+          <tr>
+            <td colSpan={8} className="border px-1 py-1 text-right font-bold">Grand Total</td>
+            <td className="border px-1 py-1 text-right font-bold">{totals.grand.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+      {/* HSN-wise tax breakup */}
+      {preview.hsnSummary.length > 0 && (
+        <table className="w-full text-xs mt-4 border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border px-1 py-1">HSN/SAC</th>
+              <th className="border px-1 py-1">Taxable Value</th>
+              <th className="border px-1 py-1">GST %</th>
+              <th className="border px-1 py-1">CGST</th>
+              <th className="border px-1 py-1">SGST</th>
+              <th className="border px-1 py-1">IGST</th>
+              <th className="border px-1 py-1">Total Tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.hsnSummary.map(row => (
+              <tr key={`${row.hsn_sac}-${row.gst_rate}`}>
+                <td className="border px-1 py-1">{row.hsn_sac || '-'}</td>
+                <td className="border px-1 py-1 text-right">{row.taxable_value.toFixed(2)}</td>
+                <td className="border px-1 py-1 text-right">{row.gst_rate}%</td>
+                <td className="border px-1 py-1 text-right">{row.cgst.toFixed(2)}</td>
+                <td className="border px-1 py-1 text-right">{row.sgst.toFixed(2)}</td>
+                <td className="border px-1 py-1 text-right">{row.igst.toFixed(2)}</td>
+                <td className="border px-1 py-1 text-right">{row.total_tax.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="mt-2 text-sm">Amount in words: {numberToWords(Math.round(totals.grand))} only.</p>
+      {note && <p className="mt-2 text-xs text-gray-600">{note}</p>}
+    </div>
+  );
+});
+
+export default InvoicePreview;
+
+// Helper function to convert numbers to words (simplified for rupees). This
+// supports up to crores for typical invoice values. You could replace this
+// implementation with a more robust library if needed.
+export function numberToWords(num) {
+  if (!num && num !== 0) return '';
+  const a = [ '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen' ];
+  const b = [ '', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety' ];
+  const g = [ '', 'Thousand', 'Lakh', 'Crore' ];
+  function helper(n) {
+    let str = '';
+    if (n < 20) str = a[n];
+    else if (n < 100) str = b[Math.floor(n/10)] + (n % 10 ? ' ' + a[n % 10] : '');
+    else {
+      str = a[Math.floor(n/100)] + ' Hundred' + (n % 100 ? ' ' + helper(n % 100) : '');
+    }
+    return str;
+  }
+  if (num === 0) return 'Zero';
+  let res = '';
+  const parts = [];
+  let i = 0;
+  while (num > 0) {
+    parts.push(num % 1000);
+    num = Math.floor(num / 1000);
+  }
+  for (let idx = parts.length - 1; idx >= 0; idx--) {
+    if (parts[idx]) {
+      res += helper(parts[idx]) + (g[idx] ? ' ' + g[idx] + ' ' : '');
+    }
+  }
+  return res.trim();
+}
\ No newline at end of file
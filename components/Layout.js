@@ -29,9 +29,24 @@ export default function Layout({ children }) {
   const navItems = [
     { href: '/dashboard', label: 'Dashboard' },
     { href: '/inventory', label: 'Inventory' },
+    { href: '/stock-take', label: 'Stock Take' },
+    { href: '/reorder', label: 'Reorder' },
+    { href: '/purchase-orders', label: 'Purchase Orders' },
     { href: '/purchase', label: 'Purchase' },
+    { href: '/debit-notes', label: 'Debit Notes' },
+    { href: '/vendors', label: 'Vendors' },
+    { href: '/vendor-payments', label: 'Vendor Payments' },
+    { href: '/quotations', label: 'Quotations' },
+    { href: '/sales-orders', label: 'Sales Orders' },
+    { href: '/delivery-challans', label: 'Delivery Challans' },
     { href: '/sales', label: 'Sales' },
+    { href: '/credit-notes', label: 'Credit Notes' },
+    { href: '/receipts', label: 'Receipts' },
+    { href: '/customers', label: 'Customers' },
     { href: '/reports', label: 'Reports' },
+    { href: '/gstr1', label: 'GSTR-1' },
+    { href: '/gstr3b', label: 'GSTR-3B' },
+    { href: '/gstr2b', label: 'GSTR-2B' },
     { href: '/expenses', label: 'Expenses' },
     { href: '/settings', label: 'Settings' }
   ];
@@ -0,0 +1,81 @@
+import { forwardRef } from 'react';
+import { numberToWords } from './InvoicePreview';
+import { PAYMENT_MODES } from '../lib/payments';
+
+/**
+ * PaymentVoucherPreview renders a printable payment voucher for money paid to
+ * a vendor: the company, the vendor, how it was paid, the bills it settles
+ * and the amount in words, with space for signatures. `payment` is a
+ * vendor_payments row and `allocations` its allocations with their
+ * bill_number and bill_date. The ref points at the element captured for the
+ * PDF.
+ */
+const PaymentVoucherPreview = forwardRef(function PaymentVoucherPreview({ settings, payment, allocations }, ref) {
+  const amount = parseFloat(payment.amount) || 0;
+  const allocated = allocations.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
+  return (
+    <div className="bg-white p-4 rounded shadow" ref={ref}>
+      <h2 className="text-lg font-medium mb-2 text-center">Payment Voucher</h2>
+      <div className="flex justify-between text-sm">
+        <div>
+          <strong>{settings.company_name || 'Your Business Name'}</strong><br />
+          {settings.address && (<span>{settings.address}<br /></span>)}
+          {settings.gstin && (<span>GSTIN: {settings.gstin}</span>)}
+        </div>
+        <div className="text-right">
+          <div>Voucher No: {payment.voucher_number}</div>
+          <div>Date: {new Date(payment.date || Date.now()).toLocaleDateString()}</div>
+          {payment.status === 'cancelled' && <div className="text-red-600 font-semibold">CANCELLED</div>}
+        </div>
+      </div>
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 text-sm gap-4">
+        <div className="border p-2">
+          <strong>Paid To:</strong><br />
+          {payment.vendor_name}
+        </div>
+        <div className="border p-2">
+          <strong>Payment Details:</strong><br />
+          Mode: {PAYMENT_MODES[payment.mode] || payment.mode}<br />
+          {payment.reference && (<span>Reference: {payment.reference}</span>)}
+        </div>
+      </div>
+      <table className="w-full text-xs mt-4 border">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="border px-1 py-1">Bill No</th>
+            <th className="border px-1 py-1">Bill Date</th>
+            <th className="border px-1 py-1">Amount Paid</th>
+          </tr>
+        </thead>
+        <tbody>
+          {allocations.map(a => (
+            <tr key={a.id || a.bill_id}>
+              <td className="border px-1 py-1">{a.bill_number}</td>
+              <td className="border px-1 py-1">{a.bill_date ? new Date(a.bill_date).toLocaleDateString() : ''}</td>
+              <td className="border px-1 py-1 text-right">{(parseFloat(a.amount) || 0).toFixed(2)}</td>
+            </tr>
+          ))}
+          {amount - allocated > 0.005 && (
+            <tr>
+              <td colSpan={2} className="border px-1 py-1">On account (advance)</td>
+              <td className="border px-1 py-1 text-right">{(amount - allocated).toFixed(2)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan={2} className="border px-1 py-1 text-right font-bold">Total Paid</td>
+            <td className="border px-1 py-1 text-right font-bold">{amount.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="mt-2 text-sm">Amount in words: {numberToWords(Math.round(amount))} only.</p>
+      {payment.notes && <p className="mt-2 text-xs text-gray-600">{payment.notes}</p>}
+      <div className="mt-10 flex justify-between text-sm">
+        <span>Prepared By</span>
+        <span>Authorised Signatory</span>
+        <span>Receiver&apos;s Signature</span>
+      </div>
+    </div>
+  );
+});
+
+export default PaymentVoucherPreview;
@@ -0,0 +1,75 @@
+import { forwardRef } from 'react';
+import { numberToWords } from './InvoicePreview';
+import { PAYMENT_MODES } from '../lib/payments';
+
+/**
+ * ReceiptPreview renders a printable payment receipt: the company, the
+ * customer, how the payment was received, the invoices it was allocated
+ * against and the amount in words. `receipt` is a receipts row and
+ * `allocations` its allocations with their invoice_number and invoice_date.
+ * The ref points at the element captured for the PDF.
+ */
+const ReceiptPreview = forwardRef(function ReceiptPreview({ settings, receipt, allocations }, ref) {
+  const amount = parseFloat(receipt.amount) || 0;
+  const allocated = allocations.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
+  return (
+    <div className="bg-white p-4 rounded shadow" ref={ref}>
+      <h2 className="text-lg font-medium mb-2 text-center">Payment Receipt</h2>
+      <div className="flex justify-between text-sm">
+        <div>
+          <strong>{settings.company_name || 'Your Business Name'}</strong><br />
+          {settings.address && (<span>{settings.address}<br /></span>)}
+          {settings.gstin && (<span>GSTIN: {settings.gstin}</span>)}
+        </div>
+        <div className="text-right">
+          <div>Receipt No: {receipt.receipt_number}</div>
+          <div>Date: {new Date(receipt.date || Date.now()).toLocaleDateString()}</div>
+          {receipt.status === 'cancelled' && <div className="text-red-600 font-semibold">CANCELLED</div>}
+        </div>
+      </div>
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 text-sm gap-4">
+        <div className="border p-2">
+          <strong>Received From:</strong><br />
+          {receipt.customer_name}
+        </div>
+        <div className="border p-2">
+          <strong>Payment Details:</strong><br />
+          Mode: {PAYMENT_MODES[receipt.mode] || receipt.mode}<br />
+          {receipt.reference && (<span>Reference: {receipt.reference}</span>)}
+        </div>
+      </div>
+      <table className="w-full text-xs mt-4 border">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="border px-1 py-1">Invoice No</th>
+            <th className="border px-1 py-1">Invoice Date</th>
+            <th className="border px-1 py-1">Amount Adjusted</th>
+          </tr>
+        </thead>
+        <tbody>
+          {allocations.map(a => (
+            <tr key={a.id || a.sale_id}>
+              <td className="border px-1 py-1">{a.invoice_number}</td>
+              <td className="border px-1 py-1">{a.invoice_date ? new Date(a.invoice_date).toLocaleDateString() : ''}</td>
+              <td className="border px-1 py-1 text-right">{(parseFloat(a.amount) || 0).toFixed(2)}</td>
+            </tr>
+          ))}
+          {amount - allocated > 0.005 && (
+            <tr>
+              <td colSpan={2} className="border px-1 py-1">On account (advance)</td>
+              <td className="border px-1 py-1 text-right">{(amount - allocated).toFixed(2)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan={2} className="border px-1 py-1 text-right font-bold">Total Received</td>
+            <td className="border px-1 py-1 text-right font-bold">{amount.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="mt-2 text-sm">Amount in words: {numberToWords(Math.round(amount))} only.</p>
+      {receipt.notes && <p className="mt-2 text-xs text-gray-600">{receipt.notes}</p>}
+    </div>
+  );
+});
+
+export default ReceiptPreview;
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * SearchPicker is a text box with a drop-down of matching records, used to
+ * pick a customer or vendor by typing part of its name, GSTIN or phone.
+ * `getLabel(option)` returns the text shown and searched, the optional
+ * `getDetail(option)` a secondary line that is searched as well. `value` is
+ * the label of the current selection and resets the text box when it changes.
+ */
+export default function SearchPicker({ options, getLabel, getDetail, onSelect, value, placeholder }) {
+  const [query, setQuery] = useState(value || '');
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    setQuery(value || '');
+  }, [value]);
+
+  const text = query.trim().toLowerCase();
+  const matches = options
+    .filter(option => !text || `${getLabel(option)} ${getDetail ? getDetail(option) : ''}`.toLowerCase().includes(text))
+    .slice(0, 10);
+
+  function choose(option) {
+    setQuery(getLabel(option));
+    setOpen(false);
+    onSelect(option);
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={query}
+        placeholder={placeholder}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className="w-full px-2 py-1 border rounded"
+      />
+      {open && matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-60 overflow-auto bg-white border rounded shadow text-sm">
+          {matches.map((option, idx) => (
+            <li
+              key={option.id || idx}
+              onMouseDown={(e) => { e.preventDefault(); choose(option); }}
+              className="px-2 py-1 cursor-pointer hover:bg-blue-100"
+            >
+              {getLabel(option)}
+              {getDetail && getDetail(option) && <span className="block text-xs text-gray-500">{getDetail(option)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
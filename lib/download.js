@@ -0,0 +1,13 @@
+/**
+ * Saves data as a JSON file through a temporary download link, for the
+ * files uploaded to the GST portals. Browser only.
+ */
+export function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,171 @@
+import { isValidGstin, round2 } from './gst';
+import { companyState, findState, stateFromGstin } from './states';
+import { TRANSPORT_MODES, pincode, addressLines, portalDate } from './ewaybill';
+
+/**
+ * E-invoicing. Builds the e-invoice schema JSON (version 1.1) that is sent to
+ * the Invoice Registration Portal (IRP) for a saved B2B sales invoice, and
+ * reads the IRN, acknowledgement and signed QR code out of the IRP's reply.
+ * Every payload is checked first so problems show up before submission.
+ */
+
+// Version of the e-invoice schema the payload is written in.
+export const EINVOICE_VERSION = '1.1';
+
+/**
+ * Builds the e-invoice payload of one invoice. `sale` is a `sales` row as
+ * returned by salesForFiling (items parsed, customer PIN code and city);
+ * `settings` is the company settings row. Returns { payload, errors }; a
+ * payload with errors would be rejected by the IRP.
+ */
+export function buildEinvoice(sale, settings) {
+  const errors = [];
+  const company = settings || {};
+  if (sale.status === 'cancelled') errors.push('Invoice is cancelled');
+  if (sale.irn) errors.push('Invoice already has an IRN');
+
+  const sellerState = companyState(company);
+  const sellerGstin = String(company.gstin || '').trim().toUpperCase();
+  if (!isValidGstin(sellerGstin)) errors.push('Set a valid company GSTIN in Settings');
+  if (!sellerState) errors.push('Set the company state in Settings');
+  if (!company.company_name) errors.push('Set the company name in Settings');
+  if (!company.address) errors.push('Set the company address in Settings');
+  if (String(company.city || '').trim().length < 3) errors.push('Set the company city in Settings');
+  const sellerPin = pincode(company.zip);
+  if (!sellerPin) errors.push('Set a six digit company PIN code in Settings');
+
+  // E-invoices are issued for supplies to registered buyers only
+  const buyerGstin = String(sale.customer_gstin || '').trim().toUpperCase();
+  if (!buyerGstin) errors.push('Customer has no GSTIN; e-invoices are only for registered buyers');
+  else if (!isValidGstin(buyerGstin)) errors.push(`Customer GSTIN ${buyerGstin} is not valid`);
+  const buyerState = stateFromGstin(buyerGstin);
+  const supplyState = findState(sale.supply_state_code);
+  if (!supplyState) errors.push('Invoice has no place of supply');
+  if (!sale.customer_address) errors.push('Invoice has no customer address');
+  const buyerCity = String(sale.customer_city || '').trim();
+  if (buyerCity.length < 3) errors.push(`Add the city of ${sale.customer_name || 'the customer'} in Customers`);
+  const buyerPin = pincode(sale.customer_pincode);
+  if (!buyerPin) errors.push(`Add a six digit PIN code for ${sale.customer_name || 'the customer'} in Customers`);
+
+  const itemList = (sale.items || []).map((line, index) => {
+    const hsn = String(line.hsn_sac || '').trim();
+    const name = line.description || `line ${index + 1}`;
+    if (!/^\d{4,8}$/.test(hsn)) errors.push(`${name} needs a 4 to 8 digit HSN code`);
+    const quantity = parseFloat(line.quantity) || 0;
+    const rate = parseFloat(line.rate) || 0;
+    const taxable = round2(parseFloat(line.taxable_value) || 0);
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: String(name).slice(0, 300),
+      // Services are the HSN chapter 99 (SAC) codes
+      IsServc: hsn.startsWith('99') ? 'Y' : 'N',
+      HsnCd: hsn,
+      Qty: quantity,
+      Unit: 'NOS',
+      UnitPrice: rate,
+      TotAmt: round2(quantity * rate),
+      Discount: 0,
+      AssAmt: taxable,
+      GstRt: parseFloat(line.gst_rate) || 0,
+      IgstAmt: round2(parseFloat(line.igst) || 0),
+      CgstAmt: round2(parseFloat(line.cgst) || 0),
+      SgstAmt: round2(parseFloat(line.sgst) || 0),
+      CesRt: 0,
+      CesAmt: 0,
+      CesNonAdvlAmt: 0,
+      StateCesRt: 0,
+      StateCesAmt: 0,
+      StateCesNonAdvlAmt: 0,
+      OthChrg: 0,
+      TotItemVal: round2(parseFloat(line.total) || 0),
+    };
+  });
+  if (itemList.length === 0) errors.push('Invoice has no lines');
+
+  const sellerAddress = addressLines(company.address, 100);
+  const buyerAddress = addressLines(sale.customer_address, 100);
+  const payload = {
+    Version: EINVOICE_VERSION,
+    TranDtls: { TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' },
+    DocDtls: { Typ: 'INV', No: sale.invoice_number, Dt: portalDate(sale.date) },
+    SellerDtls: {
+      Gstin: sellerGstin,
+      LglNm: String(company.company_name || '').slice(0, 100),
+      Addr1: sellerAddress[0],
+      ...(sellerAddress[1] && { Addr2: sellerAddress[1] }),
+      Loc: String(company.city || '').slice(0, 50),
+      Pin: sellerPin || 0,
+      Stcd: sellerState ? sellerState.code : '',
+    },
+    BuyerDtls: {
+      Gstin: buyerGstin,
+      LglNm: String(sale.customer_name || '').slice(0, 100),
+      Pos: supplyState ? supplyState.code : '',
+      Addr1: buyerAddress[0],
+      ...(buyerAddress[1] && { Addr2: buyerAddress[1] }),
+      Loc: buyerCity.slice(0, 100),
+      Pin: buyerPin || 0,
+      Stcd: buyerState ? buyerState.code : '',
+    },
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: round2(parseFloat(sale.taxable_total) || 0),
+      CgstVal: round2(parseFloat(sale.cgst) || 0),
+      SgstVal: round2(parseFloat(sale.sgst) || 0),
+      IgstVal: round2(parseFloat(sale.igst) || 0),
+      CesVal: 0,
+      StCesVal: 0,
+      Discount: 0,
+      OthChrg: 0,
+      RndOffAmt: 0,
+      TotInvVal: round2(parseFloat(sale.grand_total) || 0),
+    },
+  };
+  // Transport details let the IRP raise the e-way bill along with the IRN
+  const vehicleNo = String(sale.vehicle_no || '').replace(/[\s-]/g, '').toUpperCase();
+  if (vehicleNo || sale.transporter_id) {
+    const mode = TRANSPORT_MODES[sale.transport_mode || 'road'] || TRANSPORT_MODES.road;
+    payload.EwbDtls = {
+      ...(sale.transporter_id && { TransId: String(sale.transporter_id).toUpperCase() }),
+      ...(sale.transporter_name && { TransName: sale.transporter_name }),
+      Distance: parseInt(sale.transport_distance) || 0,
+      ...(sale.transport_doc_no && { TransDocNo: sale.transport_doc_no }),
+      ...(sale.transport_doc_date && { TransDocDt: portalDate(sale.transport_doc_date) }),
+      ...(vehicleNo && { VehNo: vehicleNo, VehType: 'R', TransMode: String(mode.code) }),
+    };
+  }
+  return { payload, errors };
+}
+
+/**
+ * Reads the registration details from what the IRP returned for an invoice:
+ * either its reply as is ({ Irn, AckNo, AckDt, SignedQRCode }, possibly
+ * wrapped in `Data`, `data` or `result`, and possibly as a JSON string) or
+ * the fields typed in by hand ({ irn, ack_no, ack_date, signed_qr }). Returns
+ * { irn, ack_no, ack_date, signed_qr } or { error }.
+ */
+export function parseIrpResponse(body) {
+  let data = body || {};
+  for (const key of ['Data', 'data', 'result']) {
+    if (data[key]) {
+      data = data[key];
+      break;
+    }
+  }
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      return { error: 'IRP response is not valid JSON' };
+    }
+  }
+  const irn = String(data.Irn || data.irn || '').trim().toLowerCase();
+  const ackNo = String(data.AckNo || data.ack_no || '').trim();
+  const ackDate = data.AckDt || data.ack_date || null;
+  const signedQr = String(data.SignedQRCode || data.signed_qr || '').trim();
+  if (!/^[0-9a-f]{64}$/.test(irn)) return { error: 'IRN must be the 64 character hash issued by the IRP' };
+  if (!/^\d{1,20}$/.test(ackNo)) return { error: 'Acknowledgement number is missing or not numeric' };
+  if (!ackDate || Number.isNaN(new Date(ackDate).getTime())) return { error: 'Acknowledgement date is missing or invalid' };
+  if (!signedQr) return { error: 'Signed QR code is missing' };
+  return { irn, ack_no: ackNo, ack_date: new Date(ackDate), signed_qr: signedQr };
+}
@@ -0,0 +1,179 @@
+import { isValidGstin, round2 } from './gst';
+import { companyState, findState, stateFromGstin } from './states';
+
+/**
+ * E-way bills. Builds the JSON accepted by the bulk generation upload of the
+ * e-way bill portal from a saved sales invoice, the company settings and the
+ * customer master, entirely from our own data. Every bill is checked first so
+ * problems show up before the file is uploaded.
+ */
+
+// Version of the bulk upload format the file is written in.
+export const EWAY_BILL_VERSION = '1.0.0621';
+
+// Consignment value above which an e-way bill is required.
+export const EWAY_BILL_THRESHOLD = 50000;
+
+// Modes of transport with their codes in the upload format.
+export const TRANSPORT_MODES = {
+  road: { label: 'Road', code: 1 },
+  rail: { label: 'Rail', code: 2 },
+  air: { label: 'Air', code: 3 },
+  ship: { label: 'Ship', code: 4 },
+};
+
+// Portal limit on each address line.
+const ADDRESS_LENGTH = 120;
+
+/**
+ * Builds the e-way bill of one invoice. `sale` is a `sales` row with its items
+ * parsed and, from the customer master, `customer_pincode`, `customer_city`
+ * and `customer_state_code`; `settings` is the company settings row. Returns
+ * { bill, errors, warnings }; a bill with errors must not be uploaded.
+ */
+export function buildEwayBill(sale, settings) {
+  const errors = [];
+  const warnings = [];
+  const company = settings || {};
+  const fromState = companyState(company);
+  const fromGstin = String(company.gstin || '').trim().toUpperCase();
+  if (!isValidGstin(fromGstin)) errors.push('Set a valid company GSTIN in Settings');
+  if (!fromState) errors.push('Set the company state in Settings');
+  const fromPincode = pincode(company.zip);
+  if (!fromPincode) errors.push('Set a six digit company PIN code in Settings');
+
+  if (sale.status === 'cancelled') errors.push('Invoice is cancelled');
+  const toGstin = String(sale.customer_gstin || '').trim().toUpperCase();
+  if (toGstin && !isValidGstin(toGstin)) errors.push(`Customer GSTIN ${toGstin} is not valid`);
+  // Goods go to the place of supply; an unregistered buyer is billed there too
+  const deliveryState = findState(sale.supply_state_code);
+  if (!deliveryState) errors.push('Invoice has no place of supply');
+  const billedState = toGstin ? stateFromGstin(toGstin) : findState(sale.customer_state_code) || deliveryState;
+  const toPincode = pincode(sale.customer_pincode);
+  if (!toPincode) errors.push(`Add a six digit PIN code for ${sale.customer_name || 'the customer'} in Customers`);
+
+  const itemList = (sale.items || []).map((line, index) => {
+    const hsn = String(line.hsn_sac || '').trim();
+    const name = line.description || `line ${index + 1}`;
+    if (!/^\d{4,8}$/.test(hsn)) errors.push(`${name} needs a 4 to 8 digit HSN code`);
+    const rate = parseFloat(line.gst_rate) || 0;
+    const igst = (parseFloat(line.igst) || 0) > 0;
+    return {
+      itemNo: index + 1,
+      productName: String(name).slice(0, 100),
+      productDesc: String(name).slice(0, 100),
+      hsnCode: parseInt(hsn) || 0,
+      quantity: parseFloat(line.quantity) || 0,
+      qtyUnit: 'NOS',
+      taxableAmount: round2(parseFloat(line.taxable_value) || 0),
+      sgstRate: igst ? 0 : rate / 2,
+      cgstRate: igst ? 0 : rate / 2,
+      igstRate: igst ? rate : 0,
+      cessRate: 0,
+      cessNonAdvol: 0,
+    };
+  });
+  if (itemList.length === 0) errors.push('Invoice has no lines');
+
+  const mode = TRANSPORT_MODES[sale.transport_mode || 'road'];
+  if (!mode) errors.push(`Unknown mode of transport ${sale.transport_mode}`);
+  const distance = parseInt(sale.transport_distance) || 0;
+  if (distance < 0 || distance > 4000) errors.push('Distance must be between 0 and 4000 km');
+  const vehicleNo = String(sale.vehicle_no || '').replace(/[\s-]/g, '').toUpperCase();
+  const transporterId = String(sale.transporter_id || '').trim().toUpperCase();
+  if (transporterId && !/^[0-9A-Z]{15}$/.test(transporterId)) errors.push(`Transporter ID ${transporterId} must be 15 characters`);
+  if (mode === TRANSPORT_MODES.road) {
+    if (vehicleNo && !/^[A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}$/.test(vehicleNo)) errors.push(`Vehicle number ${sale.vehicle_no} is not in the format AB12CD3456`);
+    if (!vehicleNo && !transporterId) errors.push('Enter a vehicle number or a transporter ID');
+  } else if (mode && (!sale.transport_doc_no || !sale.transport_doc_date)) {
+    errors.push(`Enter the ${mode.label.toLowerCase()} transport document number and date`);
+  }
+
+  const grand = parseFloat(sale.grand_total) || 0;
+  if (grand <= EWAY_BILL_THRESHOLD) {
+    warnings.push(`Invoice value ₹${grand.toFixed(2)} is not above the ₹${EWAY_BILL_THRESHOLD} threshold`);
+  }
+  // The main HSN is that of the line with the largest taxable value
+  const main = itemList.reduce((best, item) => (!best || item.taxableAmount > best.taxableAmount ? item : best), null);
+  const fromAddress = addressLines(company.address);
+  const toAddress = addressLines(sale.customer_address);
+  const shipped = sale.shipping_address && sale.shipping_address !== sale.customer_address;
+
+  const bill = {
+    userGstin: fromGstin,
+    supplyType: 'O',
+    subSupplyType: 1,
+    subSupplyDesc: '',
+    docType: 'INV',
+    docNo: sale.invoice_number,
+    docDate: portalDate(sale.date),
+    transType: shipped ? 2 : 1,
+    fromGstin,
+    fromTrdName: String(company.company_name || '').slice(0, 100),
+    fromAddr1: fromAddress[0],
+    fromAddr2: fromAddress[1],
+    fromPlace: String(company.city || '').slice(0, 50),
+    fromPincode: fromPincode || 0,
+    fromStateCode: fromState ? parseInt(fromState.code) : 0,
+    actualFromStateCode: fromState ? parseInt(fromState.code) : 0,
+    toGstin: toGstin || 'URP',
+    toTrdName: String(sale.customer_name || '').slice(0, 100),
+    toAddr1: toAddress[0],
+    toAddr2: toAddress[1],
+    toPlace: String(sale.customer_city || '').slice(0, 50),
+    toPincode: toPincode || 0,
+    toStateCode: billedState ? parseInt(billedState.code) : 0,
+    actualToStateCode: deliveryState ? parseInt(deliveryState.code) : 0,
+    totalValue: round2(parseFloat(sale.taxable_total) || 0),
+    cgstValue: round2(parseFloat(sale.cgst) || 0),
+    sgstValue: round2(parseFloat(sale.sgst) || 0),
+    igstValue: round2(parseFloat(sale.igst) || 0),
+    cessValue: 0,
+    TotNonAdvolVal: 0,
+    OthValue: 0,
+    totInvValue: round2(grand),
+    transMode: mode ? mode.code : 1,
+    transDistance: distance,
+    transporterName: String(sale.transporter_name || '').slice(0, 100),
+    transporterId,
+    transDocNo: sale.transport_doc_no || '',
+    transDocDate: sale.transport_doc_date ? portalDate(sale.transport_doc_date) : '',
+    vehicleNo,
+    vehicleType: 'R',
+    mainHsnCode: main ? main.hsnCode : 0,
+    itemList,
+  };
+  return { bill, errors, warnings };
+}
+
+/**
+ * Wraps built bills into the bulk upload file.
+ */
+export function ewayBillFile(bills) {
+  return { version: EWAY_BILL_VERSION, billLists: bills };
+}
+
+/**
+ * Six digit PIN code as a number, or null.
+ */
+export function pincode(value) {
+  const text = String(value || '').replace(/\s/g, '');
+  return /^[1-9]\d{5}$/.test(text) ? parseInt(text) : null;
+}
+
+/**
+ * Splits an address over two address lines of at most `length` characters.
+ */
+export function addressLines(address, length = ADDRESS_LENGTH) {
+  const text = String(address || '').replace(/\s+/g, ' ').trim();
+  return [text.slice(0, length), text.slice(length, length * 2)];
+}
+
+/**
+ * Formats a date as dd/mm/yyyy, the way the GST portals expect it.
+ */
+export function portalDate(value) {
+  const d = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+}
@@ -0,0 +1,179 @@
+/**
+ * GST helpers shared by the invoice form and the API routes. The same
+ * functions compute the live preview in the browser and the stored figures on
+ * the server, so both sides always agree on how a line is taxed. Amounts are
+ * rounded to two decimals per line and totals are the sum of rounded lines.
+ */
+
+/**
+ * Rounds a number to two decimal places (paise).
+ */
+export function round2(value) {
+  const num = Number(value) || 0;
+  return Math.round((num + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Looks up the GST rate for an HSN/SAC code. HSN codes are hierarchical
+ * (4, 6 or 8 digits), so the longest configured prefix of the code wins.
+ * `hsnRates` is an array of { hsn_sac, gst_rate } rows. Returns null when no
+ * rate is configured for the code.
+ */
+export function lookupHsnRate(hsnRates, hsnCode) {
+  const code = String(hsnCode || '').replace(/\s+/g, '');
+  if (!code) return null;
+  let best = null;
+  (hsnRates || []).forEach(row => {
+    const prefix = String(row.hsn_sac || '').replace(/\s+/g, '');
+    if (prefix && code.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+      best = { prefix, rate: parseFloat(row.gst_rate) };
+    }
+  });
+  return best ? best.rate : null;
+}
+
+/**
+ * Determines the GST rate for an invoice line. An item-level rate on the
+ * inventory record takes precedence; otherwise the rate configured for the
+ * line's (or item's) HSN/SAC code is used. Unknown codes are taxed at 0%.
+ */
+export function resolveGstRate(item, hsnRates, hsnCode) {
+  if (item && item.gst_rate !== null && item.gst_rate !== undefined && item.gst_rate !== '') {
+    return parseFloat(item.gst_rate);
+  }
+  const rate = lookupHsnRate(hsnRates, hsnCode || item?.hsn_sac);
+  return rate === null ? 0 : rate;
+}
+
+/**
+ * Computes the taxable value and tax split of a single line. Intra-state
+ * supplies split the rate equally between CGST and SGST; inter-state supplies
+ * carry the full rate as IGST.
+ */
+export function computeLine(line, gstRate, interState) {
+  const quantity = parseFloat(line.quantity) || 0;
+  const rate = parseFloat(line.rate) || 0;
+  const taxableValue = round2(quantity * rate);
+  const gst = parseFloat(gstRate) || 0;
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+  if (interState) {
+    igst = round2(taxableValue * gst / 100);
+  } else {
+    cgst = round2(taxableValue * gst / 200);
+    sgst = round2(taxableValue * gst / 200);
+  }
+  return {
+    ...line,
+    quantity,
+    rate,
+    gst_rate: gst,
+    taxable_value: taxableValue,
+    cgst,
+    sgst,
+    igst,
+    total: round2(taxableValue + cgst + sgst + igst),
+  };
+}
+
+/**
+ * Groups computed lines by HSN/SAC code and GST rate for the tax breakup
+ * printed beneath the invoice.
+ */
+export function summariseByHsn(lines) {
+  const groups = {};
+  (lines || []).forEach(line => {
+    const hsn = line.hsn_sac || '';
+    const key = `${hsn}|${line.gst_rate}`;
+    if (!groups[key]) {
+      groups[key] = { hsn_sac: hsn, gst_rate: line.gst_rate, taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total_tax: 0 };
+    }
+    const g = groups[key];
+    g.taxable_value = round2(g.taxable_value + line.taxable_value);
+    g.cgst = round2(g.cgst + line.cgst);
+    g.sgst = round2(g.sgst + line.sgst);
+    g.igst = round2(g.igst + line.igst);
+    g.total_tax = round2(g.cgst + g.sgst + g.igst);
+  });
+  return Object.values(groups).sort((a, b) => String(a.hsn_sac).localeCompare(String(b.hsn_sac)) || a.gst_rate - b.gst_rate);
+}
+
+/**
+ * Computes every line of an invoice along with its HSN-wise breakup and
+ * totals. `getRate(line)` returns the GST rate for a line.
+ */
+export function computeInvoice(lines, { interState, getRate }) {
+  const computed = (lines || []).map(line => computeLine(line, getRate(line), interState));
+  return { lines: computed, hsnSummary: summariseByHsn(computed), totals: sumLines(computed) };
+}
+
+/**
+ * Prices the goods coming back against an earlier invoice or bill, for a
+ * credit or debit note. `originalLines` are the computed lines of the original
+ * document, `returns` is an array of { line_index, quantity } and
+ * `alreadyReturned` maps a line index to the quantity returned on earlier
+ * notes. Each returned line keeps the original price, GST rate and tax split
+ * (IGST when the original line carried IGST), so the tax is reversed in
+ * proportion to the quantity. Lines with no quantity are dropped. Returns
+ * { error } when a quantity is invalid or more than what is left to return.
+ */
+export function computeReturn(originalLines, returns, alreadyReturned = {}) {
+  const lines = [];
+  for (const ret of returns || []) {
+    const index = parseInt(ret.line_index);
+    const original = (originalLines || [])[index];
+    const quantity = parseFloat(ret.quantity) || 0;
+    if (!original || quantity < 0) {
+      return { error: 'Invalid return line' };
+    }
+    if (quantity === 0) continue;
+    const left = round2((parseFloat(original.quantity) || 0) - (alreadyReturned[index] || 0));
+    if (quantity > left) {
+      return { error: `Only ${left} of ${original.description || original.item_name || `line ${index + 1}`} can be returned` };
+    }
+    const line = {
+      line_index: index,
+      item_id: original.item_id || null,
+      description: original.description || original.item_name || '',
+      hsn_sac: original.hsn_sac || '',
+      quantity,
+      rate: original.rate,
+    };
+    lines.push(computeLine(line, original.gst_rate, (parseFloat(original.igst) || 0) > 0));
+  }
+  if (lines.length === 0) {
+    return { error: 'Enter the quantity returned for at least one line' };
+  }
+  return { lines, hsnSummary: summariseByHsn(lines), totals: sumLines(lines) };
+}
+
+// Totals of computed lines; each total is the sum of the rounded line amounts.
+function sumLines(computed) {
+  const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0, grand: 0 };
+  computed.forEach(line => {
+    totals.taxable = round2(totals.taxable + line.taxable_value);
+    totals.cgst = round2(totals.cgst + line.cgst);
+    totals.sgst = round2(totals.sgst + line.sgst);
+    totals.igst = round2(totals.igst + line.igst);
+  });
+  totals.grand = round2(totals.taxable + totals.cgst + totals.sgst + totals.igst);
+  return totals;
+}
+
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Validates a GSTIN: two digit state code, PAN, entity number, 'Z' and the
+ * mod-36 check character.
+ */
+export function isValidGstin(gstin) {
+  const value = String(gstin || '').trim().toUpperCase();
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === value[14];
+}
@@ -0,0 +1,311 @@
+import { isValidGstin, round2 } from './gst';
+import { companyState, findState } from './states';
+
+/**
+ * GSTR-1. Classifies the sales invoices and credit notes of a return period
+ * into the tables of the return (B2B, B2C large, B2C small, credit/debit
+ * notes and the HSN summary) and writes them out as the JSON imported by the
+ * GST offline tool, along with flat rows for the screen and the Excel sheets.
+ * Anything the portal would reject or report differently is listed as a
+ * warning.
+ */
+
+// Version label written into the offline tool JSON.
+export const GSTR1_VERSION = 'GST3.2.1';
+
+// Invoice value above which an inter-state sale to an unregistered buyer is
+// reported invoice by invoice as B2C large.
+export const B2CL_LIMIT = 100000;
+
+/**
+ * Resolves a return period from `YYYY-MM`. Returns { month, from, to, fp }
+ * where from/to are the first and last dates of the month and fp is the
+ * MMYYYY form used by the GST portal, or null when the month is malformed.
+ */
+export function returnPeriod(month) {
+  const match = String(month || '').match(/^(\d{4})-(\d{2})$/);
+  if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) return null;
+  const lastDay = new Date(parseInt(match[1]), parseInt(match[2]), 0).getDate();
+  return {
+    month: `${match[1]}-${match[2]}`,
+    from: `${match[1]}-${match[2]}-01`,
+    to: `${match[1]}-${match[2]}-${String(lastDay).padStart(2, '0')}`,
+    fp: `${match[2]}${match[1]}`,
+  };
+}
+
+/**
+ * Builds GSTR-1 for a period. `sales` are the period's `sales` rows with
+ * items parsed (cancelled invoices are skipped); `creditNotes` are the
+ * period's credit notes with items parsed and, from their invoice,
+ * `invoice_number`, `invoice_date`, `customer_gstin`, `supply_state_code` and
+ * `invoice_value`. Returns { json, sections, totals, warnings }.
+ */
+export function buildGstr1({ sales, creditNotes, settings, period }) {
+  const warnings = [];
+  const seller = companyState(settings);
+  const gstin = String((settings || {}).gstin || '').trim().toUpperCase();
+  if (!isValidGstin(gstin)) warnings.push('Set a valid company GSTIN in Settings');
+  if (!seller) warnings.push('Set the company state in Settings');
+
+  const b2b = {};
+  const b2cl = {};
+  const b2cs = {};
+  const cdnr = {};
+  const cdnur = [];
+  const hsn = {};
+  const sections = { b2b: [], b2cl: [], b2cs: [], cdnr: [], cdnur: [], hsn: [] };
+
+  (sales || []).forEach(sale => {
+    if (sale.status === 'cancelled') return;
+    const supply = classify(sale, seller, warnings, sale.invoice_number);
+    const value = round2(parseFloat(sale.grand_total) || 0);
+    const rates = rateWise(sale.items, 1);
+    const base = {
+      number: sale.invoice_number,
+      date: returnDate(sale.date),
+      value,
+      pos: supply.pos,
+    };
+    if (supply.type === 'b2b') {
+      (b2b[supply.ctin] = b2b[supply.ctin] || []).push({
+        inum: sale.invoice_number,
+        idt: base.date,
+        val: value,
+        pos: supply.pos,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: itemDetails(rates, supply.inter, true),
+      });
+      rates.forEach(r => sections.b2b.push({ gstin: supply.ctin, name: sale.customer_name || '', ...base, ...rateRow(r) }));
+    } else if (supply.type === 'b2cl') {
+      (b2cl[supply.pos] = b2cl[supply.pos] || []).push({
+        inum: sale.invoice_number,
+        idt: base.date,
+        val: value,
+        itms: itemDetails(rates, true, false),
+      });
+      rates.forEach(r => sections.b2cl.push({ name: sale.customer_name || '', ...base, ...rateRow(r) }));
+    } else {
+      addB2cs(b2cs, supply, rates);
+    }
+    addHsn(hsn, sale.items, supply.registered, 1, warnings, sale.invoice_number);
+  });
+
+  (creditNotes || []).forEach(note => {
+    const supply = classify({ ...note, grand_total: note.invoice_value }, seller, warnings, note.note_number);
+    const value = round2(parseFloat(note.grand_total) || 0);
+    const rates = rateWise(note.items, 1);
+    const base = {
+      number: note.note_number,
+      date: returnDate(note.date),
+      invoice_number: note.invoice_number,
+      invoice_date: returnDate(note.invoice_date),
+      value,
+      pos: supply.pos,
+    };
+    if (supply.type === 'b2b') {
+      (cdnr[supply.ctin] = cdnr[supply.ctin] || []).push({
+        ntty: 'C',
+        nt_num: note.note_number,
+        nt_dt: base.date,
+        val: value,
+        pos: supply.pos,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: itemDetails(rates, supply.inter, true),
+      });
+      rates.forEach(r => sections.cdnr.push({ gstin: supply.ctin, name: note.customer_name || '', ...base, ...rateRow(r) }));
+    } else if (supply.type === 'b2cl') {
+      cdnur.push({
+        typ: 'B2CL',
+        ntty: 'C',
+        nt_num: note.note_number,
+        nt_dt: base.date,
+        val: value,
+        pos: supply.pos,
+        itms: itemDetails(rates, true, false),
+      });
+      rates.forEach(r => sections.cdnur.push({ name: note.customer_name || '', ...base, ...rateRow(r) }));
+    } else {
+      // Returns against small B2C invoices are netted off the B2CS figures
+      addB2cs(b2cs, supply, rateWise(note.items, -1));
+    }
+    addHsn(hsn, note.items, supply.registered, -1, warnings, note.note_number);
+  });
+
+  Object.values(b2cs).forEach(entry => sections.b2cs.push({
+    type: entry.sply_ty === 'INTER' ? 'Inter-state' : 'Intra-state',
+    pos: entry.pos,
+    rate: entry.rt,
+    taxable: entry.txval,
+    igst: entry.iamt || 0,
+    cgst: entry.camt || 0,
+    sgst: entry.samt || 0,
+  }));
+  const hsnRows = Object.values(hsn).sort((a, b) => a.supply.localeCompare(b.supply) || a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt);
+  hsnRows.forEach(entry => sections.hsn.push({
+    supply: entry.supply === 'b2b' ? 'B2B' : 'B2C',
+    hsn: entry.hsn_sc,
+    description: entry.desc,
+    uqc: entry.uqc,
+    quantity: entry.qty,
+    rate: entry.rt,
+    value: round2(entry.txval + entry.iamt + entry.camt + entry.samt),
+    taxable: entry.txval,
+    igst: entry.iamt,
+    cgst: entry.camt,
+    sgst: entry.samt,
+  }));
+  const hsnData = supplyType => hsnRows
+    .filter(entry => entry.supply === supplyType)
+    .map(({ supply, ...entry }, index) => ({ num: index + 1, ...entry, csamt: 0 }));
+
+  const json = {
+    gstin,
+    fp: period.fp,
+    version: GSTR1_VERSION,
+    hash: 'hash',
+    b2b: Object.keys(b2b).map(ctin => ({ ctin, inv: b2b[ctin] })),
+    b2cl: Object.keys(b2cl).map(pos => ({ pos, inv: b2cl[pos] })),
+    b2cs: Object.values(b2cs).map(entry => ({ ...entry, csamt: 0 })),
+    cdnr: Object.keys(cdnr).map(ctin => ({ ctin, nt: cdnr[ctin] })),
+    cdnur,
+    hsn: { hsn_b2b: hsnData('b2b'), hsn_b2c: hsnData('b2c') },
+  };
+  // The offline tool rejects empty tables, so leave them out
+  ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur'].forEach(key => {
+    if (json[key].length === 0) delete json[key];
+  });
+
+  const totals = {};
+  Object.keys(sections).forEach(key => {
+    const rows = sections[key];
+    totals[key] = {
+      documents: key === 'b2cs' || key === 'hsn' ? rows.length : new Set(rows.map(row => row.number)).size,
+      taxable: round2(rows.reduce((sum, row) => sum + row.taxable, 0)),
+      tax: round2(rows.reduce((sum, row) => sum + row.igst + row.cgst + row.sgst, 0)),
+    };
+  });
+  return { json, sections, totals, warnings };
+}
+
+// Works out which table an invoice (or a note, through its invoice) belongs
+// to, its place of supply and whether it was taxed as inter-state.
+function classify(doc, seller, warnings, number) {
+  const ctin = String(doc.customer_gstin || '').trim().toUpperCase();
+  const registered = isValidGstin(ctin);
+  if (ctin && !registered) {
+    warnings.push(`${number}: customer GSTIN ${ctin} is not valid, reported as B2C`);
+  }
+  let state = findState(doc.supply_state_code);
+  if (!state) {
+    warnings.push(`${number}: no place of supply, reported in the company's state`);
+    state = seller;
+  }
+  const pos = state ? state.code : '';
+  const inter = Boolean(seller && state && seller.code !== state.code);
+  let type = 'b2cs';
+  if (registered) type = 'b2b';
+  else if (inter && (parseFloat(doc.grand_total) || 0) > B2CL_LIMIT) type = 'b2cl';
+  return { type, ctin, registered, pos, inter };
+}
+
+// Sums lines by GST rate, with `sign` -1 for returns.
+function rateWise(lines, sign) {
+  const byRate = {};
+  (lines || []).forEach(line => {
+    const rate = parseFloat(line.gst_rate) || 0;
+    const entry = byRate[rate] || (byRate[rate] = { rate, taxable: 0, igst: 0, cgst: 0, sgst: 0 });
+    entry.taxable = round2(entry.taxable + sign * (parseFloat(line.taxable_value) || 0));
+    entry.igst = round2(entry.igst + sign * (parseFloat(line.igst) || 0));
+    entry.cgst = round2(entry.cgst + sign * (parseFloat(line.cgst) || 0));
+    entry.sgst = round2(entry.sgst + sign * (parseFloat(line.sgst) || 0));
+  });
+  return Object.values(byRate).sort((a, b) => a.rate - b.rate);
+}
+
+// Rate-wise amounts as the `itms` of an invoice or note in the JSON.
+function itemDetails(rates, inter, withLocalTax) {
+  return rates.map((r, index) => ({
+    num: index + 1,
+    itm_det: {
+      txval: r.taxable,
+      rt: r.rate,
+      ...(inter ? { iamt: r.igst } : {}),
+      ...(!inter && withLocalTax ? { camt: r.cgst, samt: r.sgst } : {}),
+      csamt: 0,
+    },
+  }));
+}
+
+function rateRow(r) {
+  return { rate: r.rate, taxable: r.taxable, igst: r.igst, cgst: r.cgst, sgst: r.sgst };
+}
+
+// B2C small supplies are reported as totals per place of supply and rate.
+function addB2cs(b2cs, supply, rates) {
+  const splyTy = supply.inter ? 'INTER' : 'INTRA';
+  rates.forEach(r => {
+    const key = `${splyTy}|${supply.pos}|${r.rate}`;
+    const entry = b2cs[key] || (b2cs[key] = {
+      sply_ty: splyTy,
+      pos: supply.pos,
+      typ: 'OE',
+      rt: r.rate,
+      txval: 0,
+      ...(supply.inter ? { iamt: 0 } : { camt: 0, samt: 0 }),
+    });
+    entry.txval = round2(entry.txval + r.taxable);
+    if (supply.inter) entry.iamt = round2(entry.iamt + r.igst);
+    else {
+      entry.camt = round2(entry.camt + r.cgst);
+      entry.samt = round2(entry.samt + r.sgst);
+    }
+  });
+}
+
+// The HSN summary is split between supplies to registered and unregistered
+// buyers. Lines without an HSN code cannot be reported and are left out.
+function addHsn(hsn, lines, registered, sign, warnings, number) {
+  const supply = registered ? 'b2b' : 'b2c';
+  (lines || []).forEach((line, index) => {
+    const code = String(line.hsn_sac || '').replace(/\s+/g, '');
+    const name = line.description || line.item_name || `line ${index + 1}`;
+    if (!/^\d{4,8}$/.test(code)) {
+      warnings.push(code
+        ? `${number}: ${name} has HSN code ${code}, which is not 4 to 8 digits`
+        : `${number}: ${name} has no HSN code and is left out of the HSN summary`);
+      if (!code) return;
+    }
+    const rate = parseFloat(line.gst_rate) || 0;
+    const key = `${supply}|${code}|${rate}`;
+    const entry = hsn[key] || (hsn[key] = {
+      supply,
+      hsn_sc: code,
+      desc: String(name).slice(0, 30),
+      uqc: 'NOS',
+      qty: 0,
+      rt: rate,
+      txval: 0,
+      iamt: 0,
+      camt: 0,
+      samt: 0,
+    });
+    entry.qty = round2(entry.qty + sign * (parseFloat(line.quantity) || 0));
+    entry.txval = round2(entry.txval + sign * (parseFloat(line.taxable_value) || 0));
+    entry.iamt = round2(entry.iamt + sign * (parseFloat(line.igst) || 0));
+    entry.camt = round2(entry.camt + sign * (parseFloat(line.cgst) || 0));
+    entry.samt = round2(entry.samt + sign * (parseFloat(line.sgst) || 0));
+  });
+}
+
+/**
+ * Formats a date as dd-mm-yyyy, the way the GSTR-1 JSON expects it.
+ */
+export function returnDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()}`;
+}
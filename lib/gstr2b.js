@@ -0,0 +1,191 @@
+import { isValidGstin, round2 } from './gst';
+
+/**
+ * GSTR-2B reconciliation. Reads the supplier invoices out of the GSTR-2B
+ * statement downloaded from the GST portal (its JSON, or the rows of the B2B
+ * sheet of its Excel file) and matches them against the purchase bills in
+ * our books by supplier GSTIN and bill number, comparing the amounts. Shared
+ * by the page, which reads the file in the browser, and the API route, which
+ * does the matching.
+ */
+
+// Largest difference in rupees on any amount still treated as a match.
+export const MATCH_TOLERANCE = 1;
+
+/**
+ * Reads a GSTR-2B JSON download. Returns { period, docs, skipped } where
+ * period is the MMYYYY return period of the statement, docs are its B2B
+ * invoices as { gstin, supplier, bill_number, bill_date, value, taxable,
+ * igst, cgst, sgst, itc_available } and skipped counts the documents of
+ * other tables (credit notes, amendments), which are not reconciled.
+ */
+export function parseGstr2bJson(file) {
+  const data = (file && (file.data || file)) || {};
+  const docdata = data.docdata || {};
+  const docs = [];
+  (docdata.b2b || []).forEach(supplier => {
+    (supplier.inv || []).forEach(inv => {
+      const items = inv.items || [inv];
+      const sum = key => round2(items.reduce((total, item) => total + (parseFloat(item[key]) || 0), 0));
+      docs.push({
+        gstin: String(supplier.ctin || '').toUpperCase(),
+        supplier: supplier.trdnm || '',
+        bill_number: String(inv.inum || ''),
+        bill_date: portalDateToIso(inv.dt),
+        value: round2(parseFloat(inv.val) || 0),
+        taxable: sum('txval'),
+        igst: sum('igst'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        itc_available: inv.itcavl !== 'N',
+      });
+    });
+  });
+  let skipped = 0;
+  Object.keys(docdata).forEach(key => {
+    if (key === 'b2b') return;
+    (docdata[key] || []).forEach(entry => { skipped += (entry.inv || entry.nt || [entry]).length; });
+  });
+  return { period: data.rtnprd || '', docs, skipped };
+}
+
+/**
+ * Reads the B2B sheet of a GSTR-2B Excel download, given as an array of rows
+ * (arrays of cells). The portal sheet starts with title rows and spreads its
+ * headings over two rows, so the columns are found by their heading text.
+ * An invoice taxed at several rates spans several rows, which are added up.
+ * Returns { docs } in the form of parseGstr2bJson, or { error }.
+ */
+export function parseGstr2bSheet(rows) {
+  const headerIndex = (rows || []).findIndex(row => (row || []).some(cell => /gstin of supplier/i.test(String(cell))));
+  if (headerIndex < 0) return { error: 'No B2B sheet with a "GSTIN of supplier" column was found' };
+  const top = rows[headerIndex] || [];
+  const sub = rows[headerIndex + 1] || [];
+  const headings = Array.from({ length: Math.max(top.length, sub.length) }, (_, i) => `${top[i] || ''} ${sub[i] || ''}`.toLowerCase());
+  const column = pattern => headings.findIndex(heading => pattern.test(heading));
+  const cols = {
+    gstin: column(/gstin of supplier/),
+    supplier: column(/trade|legal name/),
+    bill_number: column(/invoice number/),
+    bill_date: column(/invoice date/),
+    value: column(/invoice value/),
+    taxable: column(/taxable value/),
+    igst: column(/integrated tax/),
+    cgst: column(/central tax/),
+    sgst: column(/state\/ut tax/),
+    itc: column(/itc availability/),
+  };
+  if (cols.bill_number < 0 || cols.taxable < 0) return { error: 'The B2B sheet has no invoice number or taxable value column' };
+  const byKey = {};
+  const docs = [];
+  rows.slice(headerIndex + 1).forEach(row => {
+    const gstin = String((row || [])[cols.gstin] || '').trim().toUpperCase();
+    if (!isValidGstin(gstin)) return;
+    const number = String(row[cols.bill_number] || '').trim();
+    const key = `${gstin}|${normaliseBillNumber(number)}`;
+    let doc = byKey[key];
+    if (!doc) {
+      doc = byKey[key] = {
+        gstin,
+        supplier: cols.supplier >= 0 ? String(row[cols.supplier] || '') : '',
+        bill_number: number,
+        bill_date: portalDateToIso(row[cols.bill_date]),
+        value: round2(parseFloat(row[cols.value]) || 0),
+        taxable: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        itc_available: cols.itc < 0 || !/^n/i.test(String(row[cols.itc] || '')),
+      };
+      docs.push(doc);
+    }
+    ['taxable', 'igst', 'cgst', 'sgst'].forEach(field => {
+      if (cols[field] >= 0) doc[field] = round2(doc[field] + (parseFloat(row[cols[field]]) || 0));
+    });
+  });
+  return { docs };
+}
+
+/**
+ * Matches GSTR-2B invoices against purchase bills. `docs` come from one of
+ * the parsers; `bills` are purchase_bills rows with the vendor's `gstin`.
+ * `periodBills` are the ids of the bills dated in the return period, the
+ * ones expected in the statement. Returns { matched, mismatched,
+ * missingInBooks, missingIn2b }; matched and mismatched rows pair a document
+ * with its bill and list the `differences`.
+ */
+export function reconcile(docs, bills, periodBills) {
+  const byKey = {};
+  (bills || []).forEach(bill => {
+    const gstin = String(bill.gstin || '').trim().toUpperCase();
+    if (gstin) byKey[`${gstin}|${normaliseBillNumber(bill.bill_number)}`] = bill;
+  });
+  const used = new Set();
+  const result = { matched: [], mismatched: [], missingInBooks: [], missingIn2b: [] };
+  (docs || []).forEach(doc => {
+    const bill = byKey[`${doc.gstin}|${normaliseBillNumber(doc.bill_number)}`];
+    if (!bill || used.has(bill.id)) {
+      result.missingInBooks.push({ ...doc });
+      return;
+    }
+    used.add(bill.id);
+    const books = billAmounts(bill);
+    const differences = [];
+    ['taxable', 'igst', 'cgst', 'sgst'].forEach(field => {
+      const diff = round2(doc[field] - books[field]);
+      if (Math.abs(diff) > MATCH_TOLERANCE) differences.push(`${LABELS[field]} differs by ₹${diff.toFixed(2)}`);
+    });
+    if (doc.bill_date && books.bill_date && doc.bill_date !== books.bill_date) {
+      differences.push(`Bill date ${doc.bill_date} in 2B, ${books.bill_date} in books`);
+    }
+    if (!doc.itc_available) differences.push('ITC not available as per 2B');
+    const row = { ...doc, bill_id: bill.id, vendor_name: bill.vendor_name, books, differences };
+    (differences.length === 0 ? result.matched : result.mismatched).push(row);
+  });
+  (bills || []).forEach(bill => {
+    if (used.has(bill.id) || !periodBills.has(bill.id)) return;
+    const gstin = String(bill.gstin || '').trim().toUpperCase();
+    result.missingIn2b.push({
+      bill_id: bill.id,
+      gstin,
+      vendor_name: bill.vendor_name,
+      bill_number: bill.bill_number,
+      ...billAmounts(bill),
+      note: gstin ? '' : 'Vendor has no GSTIN',
+    });
+  });
+  return result;
+}
+
+const LABELS = { taxable: 'Taxable value', igst: 'IGST', cgst: 'CGST', sgst: 'SGST' };
+
+function billAmounts(bill) {
+  return {
+    bill_date: bill.bill_date ? isoDate(bill.bill_date) : '',
+    value: round2(parseFloat(bill.grand_total) || 0),
+    taxable: round2(parseFloat(bill.taxable_total) || 0),
+    igst: round2(parseFloat(bill.igst) || 0),
+    cgst: round2(parseFloat(bill.cgst) || 0),
+    sgst: round2(parseFloat(bill.sgst) || 0),
+  };
+}
+
+// Suppliers' numbers differ in case, spaces and separators between their
+// upload and what was keyed into our books, so only letters and digits count.
+function normaliseBillNumber(value) {
+  return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// dd-mm-yyyy or dd/mm/yyyy as yyyy-mm-dd; Excel may also hand over a Date.
+function portalDateToIso(value) {
+  if (value instanceof Date) return isoDate(value);
+  const match = String(value || '').match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (!match) return '';
+  return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function isoDate(value) {
+  const d = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
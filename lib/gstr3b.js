@@ -0,0 +1,211 @@
+import { isValidGstin, round2 } from './gst';
+import { companyState, findState } from './states';
+
+/**
+ * GSTR-3B. Summarises a return period's outward supplies from the sales
+ * invoices and credit notes, the input tax credit from purchase bills, debit
+ * notes and expense bills, and sets the credit off against the tax payable
+ * head by head. The result is shown on screen, printed and written out as
+ * the JSON of the GSTR-3B offline utility.
+ */
+
+// Tax heads in the order credit is used: IGST credit first, then CGST and
+// SGST, each on its own head before IGST. CGST and SGST never cross.
+export const TAX_HEADS = [
+  { key: 'igst', label: 'Integrated Tax', setOff: ['igst', 'cgst', 'sgst'] },
+  { key: 'cgst', label: 'Central Tax', setOff: ['cgst', 'igst'] },
+  { key: 'sgst', label: 'State/UT Tax', setOff: ['sgst', 'igst'] },
+];
+
+const emptyTax = () => ({ taxable: 0, igst: 0, cgst: 0, sgst: 0 });
+
+/**
+ * Builds GSTR-3B for a period. `sales` are the period's invoices with items
+ * parsed (cancelled invoices are skipped); `creditNotes` are the period's
+ * credit notes with items parsed and `customer_gstin`/`supply_state_code` of
+ * their invoice; `purchases` are the period's purchase lines and
+ * `debitNotes` the period's debit notes, both with the `vendor_gstin` of
+ * their vendor; `expenses` are the period's expenses. Returns
+ * { outward, nilRated, interUnregistered, itc, exemptInward, payment,
+ * creditLeft, json, warnings }.
+ */
+export function buildGstr3b({ sales, creditNotes, purchases, debitNotes, expenses, settings, period }) {
+  const warnings = [];
+  const home = companyState(settings);
+  const gstin = String((settings || {}).gstin || '').trim().toUpperCase();
+  if (!isValidGstin(gstin)) warnings.push('Set a valid company GSTIN in Settings');
+  if (!home) warnings.push('Set the company state in Settings');
+
+  // 3.1 (a) taxable and (c) nil rated outward supplies, net of credit notes;
+  // 3.2 inter-state supplies to unregistered buyers by place of supply
+  const outward = emptyTax();
+  const nilRated = emptyTax();
+  const unregistered = {};
+  const addOutward = (doc, lines, sign) => {
+    const registered = isValidGstin(doc.customer_gstin);
+    const pos = findState(doc.supply_state_code);
+    (lines || []).forEach(line => {
+      const target = (parseFloat(line.gst_rate) || 0) > 0 ? outward : nilRated;
+      addTax(target, line, sign, parseFloat(line.taxable_value));
+      if (!registered && pos && home && pos.code !== home.code && (parseFloat(line.igst) || 0) > 0) {
+        const entry = unregistered[pos.code] || (unregistered[pos.code] = { pos: pos.code, name: pos.name, taxable: 0, igst: 0 });
+        entry.taxable = round2(entry.taxable + sign * (parseFloat(line.taxable_value) || 0));
+        entry.igst = round2(entry.igst + sign * (parseFloat(line.igst) || 0));
+      }
+    });
+  };
+  (sales || []).forEach(sale => {
+    if (sale.status !== 'cancelled') addOutward(sale, sale.items, 1);
+  });
+  (creditNotes || []).forEach(note => addOutward(note, note.items, -1));
+
+  // 4 (A)(5) all other ITC from purchase bills and expense bills of
+  // registered suppliers; blocked expense credit is reversed under 4 (B)(1)
+  // and returns to vendors under 4 (B)(2). 5: nil rated inward supplies.
+  const purchaseItc = emptyTax();
+  const unregisteredTax = emptyTax();
+  const exemptInward = { inter: 0, intra: 0 };
+  (purchases || []).forEach(line => {
+    const taxable = (parseFloat(line.quantity) || 0) * (parseFloat(line.rate) || 0);
+    if ((parseFloat(line.gst_rate) || 0) > 0) {
+      // Tax charged by a vendor without a valid GSTIN is not creditable
+      addTax(isValidGstin(line.vendor_gstin) ? purchaseItc : unregisteredTax, line, 1, taxable);
+    } else {
+      const inter = Boolean(home && line.supplier_state_code && line.supplier_state_code !== home.code);
+      exemptInward[inter ? 'inter' : 'intra'] = round2(exemptInward[inter ? 'inter' : 'intra'] + taxable);
+    }
+  });
+  const expenseItc = emptyTax();
+  const blocked = emptyTax();
+  (expenses || []).forEach(expense => {
+    if (!isValidGstin(expense.supplier_gstin) || !(parseFloat(expense.gst_rate) > 0)) return;
+    addTax(expenseItc, expense, 1, parseFloat(expense.amount));
+    if (!parseInt(expense.itc_eligible)) addTax(blocked, expense, 1, parseFloat(expense.amount));
+  });
+  const returned = emptyTax();
+  (debitNotes || []).forEach(note => {
+    if (!isValidGstin(note.vendor_gstin)) return;
+    returned.taxable = round2(returned.taxable + (parseFloat(note.taxable_total) || 0));
+    TAX_HEADS.forEach(({ key }) => { returned[key] = round2(returned[key] + (parseFloat(note[key]) || 0)); });
+  });
+  const unclaimed = round2(TAX_HEADS.reduce((sum, { key }) => sum + unregisteredTax[key], 0));
+  if (unclaimed > 0) {
+    warnings.push(`₹${unclaimed.toFixed(2)} of GST on purchase bills from vendors without a valid GSTIN is not claimed as ITC`);
+  }
+  const available = emptyTax();
+  const net = emptyTax();
+  TAX_HEADS.forEach(({ key }) => {
+    available[key] = round2(purchaseItc[key] + expenseItc[key]);
+    net[key] = round2(available[key] - blocked[key] - returned[key]);
+  });
+
+  // 6.1 payment of tax: credit is set off head by head, the rest is paid in cash
+  const liability = {};
+  const credit = {};
+  TAX_HEADS.forEach(({ key }) => {
+    liability[key] = Math.max(outward[key], 0);
+    credit[key] = Math.max(net[key], 0);
+  });
+  if (TAX_HEADS.some(({ key }) => net[key] < 0)) {
+    warnings.push('Reversals exceed the credit available on a tax head; the excess is payable in cash');
+    TAX_HEADS.forEach(({ key }) => { if (net[key] < 0) liability[key] = round2(liability[key] - net[key]); });
+  }
+  const { payment, creditLeft } = setOffCredit(liability, credit);
+  if (outward.taxable < 0) warnings.push('Credit notes exceed the taxable supplies of the period');
+
+  const amounts = (tax, withTaxable) => ({
+    ...(withTaxable ? { txval: tax.taxable } : {}),
+    iamt: tax.igst,
+    camt: tax.cgst,
+    samt: tax.sgst,
+    csamt: 0,
+  });
+  const zero = emptyTax();
+  const interUnregistered = Object.values(unregistered).filter(entry => entry.taxable !== 0).sort((a, b) => a.pos.localeCompare(b.pos));
+  const json = {
+    gstin,
+    ret_period: period.fp,
+    sup_details: {
+      osup_det: amounts(outward, true),
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: nilRated.taxable },
+      isup_rev: amounts(zero, true),
+      osup_nongst: { txval: 0 },
+    },
+    inter_sup: {
+      unreg_details: interUnregistered.map(entry => ({ pos: entry.pos, txval: entry.taxable, iamt: entry.igst })),
+      comp_details: [],
+      uin_details: [],
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: 'IMPG', ...amounts(zero) },
+        { ty: 'IMPS', ...amounts(zero) },
+        { ty: 'ISRC', ...amounts(zero) },
+        { ty: 'ISD', ...amounts(zero) },
+        { ty: 'OTH', ...amounts(available) },
+      ],
+      itc_rev: [
+        { ty: 'RUL', ...amounts(blocked) },
+        { ty: 'OTH', ...amounts(returned) },
+      ],
+      itc_net: amounts(net),
+      itc_inelg: [
+        { ty: 'RUL', ...amounts(zero) },
+        { ty: 'OTH', ...amounts(zero) },
+      ],
+    },
+    inward_sup: {
+      isup_details: [
+        { ty: 'GST', inter: exemptInward.inter, intra: exemptInward.intra },
+        { ty: 'NONGST', inter: 0, intra: 0 },
+      ],
+    },
+    intr_ltfee: { intr_details: amounts(zero) },
+  };
+
+  return {
+    outward,
+    nilRated,
+    interUnregistered,
+    itc: { purchases: purchaseItc, expenses: expenseItc, available, blocked, returned, net },
+    exemptInward,
+    payment,
+    creditLeft,
+    json,
+    warnings,
+  };
+}
+
+/**
+ * Sets input tax credit off against the tax payable. `liability` and
+ * `credit` are { igst, cgst, sgst }. Returns `payment`, one row per tax head
+ * with the credit used from each head and the cash still to pay, and
+ * `creditLeft`, the credit carried forward per head.
+ */
+export function setOffCredit(liability, credit) {
+  const left = {};
+  const balance = {};
+  const payment = TAX_HEADS.map(({ key, label }) => {
+    left[key] = round2(liability[key] || 0);
+    balance[key] = round2(credit[key] || 0);
+    return { head: key, label, payable: left[key], paid: { igst: 0, cgst: 0, sgst: 0 }, cash: 0 };
+  });
+  TAX_HEADS.forEach(from => {
+    from.setOff.forEach(to => {
+      const amount = round2(Math.min(balance[from.key], left[to]));
+      if (amount <= 0) return;
+      balance[from.key] = round2(balance[from.key] - amount);
+      left[to] = round2(left[to] - amount);
+      payment.find(row => row.head === to).paid[from.key] = amount;
+    });
+  });
+  payment.forEach(row => { row.cash = left[row.head]; });
+  return { payment, creditLeft: balance };
+}
+
+// Adds a line's taxable value and tax to a running total, `sign` -1 for returns.
+function addTax(total, line, sign, taxable) {
+  total.taxable = round2(total.taxable + sign * (taxable || 0));
+  TAX_HEADS.forEach(({ key }) => { total[key] = round2(total[key] + sign * (parseFloat(line[key]) || 0)); });
+}
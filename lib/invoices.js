@@ -0,0 +1,70 @@
+import { computeInvoice, resolveGstRate } from './gst';
+import { companyState } from './states';
+
+/**
+ * Computes the tax for a set of invoice lines on the server. GST rates come
+ * from the inventory and HSN rate masters rather than from the request, so a
+ * misbehaving client cannot save an invoice with the wrong tax. `db` is either
+ * the pool or a connection inside a transaction.
+ *
+ * Only the fields the client is allowed to choose (item, description,
+ * quantity and rate) are taken from each line; everything else is derived.
+ * Stocked items always carry the HSN code of their inventory record; the HSN
+ * sent by the client is used only for lines without an item.
+ */
+export async function priceInvoice(db, lines, { interState }) {
+  const itemIds = [...new Set(lines.map(line => parseInt(line.item_id)).filter(Boolean))];
+  let inventory = [];
+  if (itemIds.length > 0) {
+    [inventory] = await db.query('SELECT id, item_name, hsn_sac, gst_rate FROM inventory WHERE id IN (?)', [itemIds]);
+  }
+  const [hsnRates] = await db.query('SELECT hsn_sac, gst_rate FROM hsn_rates');
+  const byId = {};
+  inventory.forEach(item => { byId[item.id] = item; });
+  const cleanLines = lines.map(line => {
+    const item = byId[parseInt(line.item_id)];
+    return {
+      item_id: item ? item.id : null,
+      description: line.description || item?.item_name || '',
+      hsn_sac: item ? item.hsn_sac || '' : line.hsn_sac || '',
+      quantity: line.quantity,
+      rate: line.rate,
+    };
+  });
+  return computeInvoice(cleanLines, {
+    interState,
+    getRate: line => resolveGstRate(byId[line.item_id], hsnRates, line.hsn_sac),
+  });
+}
+
+/**
+ * Returns the company's own state ({ code, name }) from the settings row, or
+ * null when neither the state nor the GSTIN is configured.
+ */
+export async function getCompanyState(db) {
+  const [rows] = await db.query('SELECT state, gstin FROM company_settings WHERE id = 1');
+  return companyState(rows[0]);
+}
+
+/**
+ * Returns the lines stored in a JSON `items` column. mysql2 parses JSON
+ * columns itself on MySQL, but MariaDB hands them back as text.
+ */
+export function parseItems(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Totals the quantity already returned per original line index across the
+ * credit or debit notes raised against one document.
+ */
+export function returnedQuantities(notes) {
+  const returned = {};
+  notes.forEach(note => {
+    parseItems(note.items).forEach(line => {
+      returned[line.line_index] = (returned[line.line_index] || 0) + (parseFloat(line.quantity) || 0);
+    });
+  });
+  return returned;
+}
@@ -0,0 +1,253 @@
+import { round2 } from './gst';
+
+/**
+ * Receivables and payables. Payments received from customers are recorded as
+ * receipts and allocated against their invoices, and payments made to
+ * vendors as payment vouchers allocated against their purchase bills. These
+ * helpers keep each document's amount paid and payment status in step with
+ * its allocations and credit or debit notes, and work out what every
+ * customer owes us and what we owe every vendor.
+ */
+
+// Ways a payment can be received or made, with their labels.
+export const PAYMENT_MODES = {
+  cash: 'Cash',
+  upi: 'UPI',
+  cheque: 'Cheque',
+  bank_transfer: 'Bank Transfer',
+};
+
+// Payment status of an invoice or bill, with its label.
+export const PAYMENT_STATUS = {
+  unpaid: 'Unpaid',
+  partial: 'Partly Paid',
+  paid: 'Paid',
+};
+
+// Differences below half a paisa are rounding, not money owed.
+const EPSILON = 0.005;
+
+/**
+ * Recomputes an invoice's amount_paid from the allocations of its active
+ * receipts and sets payment_status: paid once receipts and credit notes
+ * cover the grand total, partial when something has been received, otherwise
+ * unpaid. Call inside the transaction that changed the allocations or notes.
+ */
+export async function refreshPaymentStatus(conn, saleId) {
+  const [[row]] = await conn.query(
+    `SELECT s.grand_total,
+       IFNULL((SELECT SUM(c.grand_total) FROM credit_notes c WHERE c.sale_id = s.id), 0) AS credited,
+       IFNULL((SELECT SUM(a.amount) FROM receipt_allocations a JOIN receipts r ON r.id = a.receipt_id
+               WHERE a.sale_id = s.id AND r.status <> 'cancelled'), 0) AS paid
+     FROM sales s WHERE s.id = ?`,
+    [saleId]
+  );
+  if (!row) return;
+  const { paid, status } = paymentStatus(row.grand_total, row.credited, row.paid);
+  await conn.query('UPDATE sales SET amount_paid = ?, payment_status = ? WHERE id = ?', [paid, status, saleId]);
+}
+
+/**
+ * Recomputes a purchase bill's amount_paid from the allocations of its
+ * active vendor payments and sets payment_status as refreshPaymentStatus
+ * does, counting debit notes against the bill as settled.
+ */
+export async function refreshBillPaymentStatus(conn, billId) {
+  const [[row]] = await conn.query(
+    `SELECT b.grand_total,
+       IFNULL((SELECT SUM(d.grand_total) FROM debit_notes d WHERE d.bill_id = b.id), 0) AS credited,
+       IFNULL((SELECT SUM(a.amount) FROM vendor_payment_allocations a JOIN vendor_payments p ON p.id = a.payment_id
+               WHERE a.bill_id = b.id AND p.status <> 'cancelled'), 0) AS paid
+     FROM purchase_bills b WHERE b.id = ?`,
+    [billId]
+  );
+  if (!row) return;
+  const { paid, status } = paymentStatus(row.grand_total, row.credited, row.paid);
+  await conn.query('UPDATE purchase_bills SET amount_paid = ?, payment_status = ? WHERE id = ?', [paid, status, billId]);
+}
+
+function paymentStatus(total, credited, paidAmount) {
+  const paid = round2(parseFloat(paidAmount) || 0);
+  const due = round2((parseFloat(total) || 0) - (parseFloat(credited) || 0) - paid);
+  let status = 'unpaid';
+  if (due < EPSILON) status = 'paid';
+  else if (paid > 0) status = 'partial';
+  return { paid, status };
+}
+
+/**
+ * Lists the invoices not yet fully paid, oldest first, optionally for one
+ * customer, or with `walkIn` only those raised without a customer record.
+ * Each row carries `credited` (credit notes), `balance` (what is still due),
+ * `due_date` from the customer's credit days and `days_overdue`. Pass a
+ * transaction connection and `lock` to lock the invoice rows.
+ */
+export async function openInvoices(db, { customerId, walkIn = false, ids, lock = false } = {}) {
+  const where = ["s.status <> 'cancelled'", "s.payment_status <> 'paid'"];
+  const params = [];
+  if (walkIn) {
+    where.push('s.customer_id IS NULL');
+  } else if (customerId) {
+    where.push('s.customer_id = ?');
+    params.push(customerId);
+  }
+  if (ids) {
+    where.push('s.id IN (?)');
+    params.push(ids);
+  }
+  const [rows] = await db.query(
+    `SELECT s.id, s.invoice_number, s.date, s.customer_id, s.customer_name, s.grand_total, s.amount_paid, s.payment_status,
+       IFNULL(c.credit_days, 0) AS credit_days,
+       IFNULL((SELECT SUM(n.grand_total) FROM credit_notes n WHERE n.sale_id = s.id), 0) AS credited
+     FROM sales s LEFT JOIN customers c ON c.id = s.customer_id
+     WHERE ${where.join(' AND ')} ORDER BY s.date, s.id${lock ? ' FOR UPDATE' : ''}`,
+    params
+  );
+  return rows.map(row => {
+    const dueDate = new Date(row.date);
+    dueDate.setDate(dueDate.getDate() + (parseInt(row.credit_days) || 0));
+    return withBalance(row, dueDate);
+  });
+}
+
+/**
+ * Lists the purchase bills not yet fully paid, oldest due first, optionally
+ * for one vendor, in the form of openInvoices: `credited` holds the debit
+ * notes and `due_date` is the one stored on the bill.
+ */
+export async function openBills(db, { vendorId, ids, lock = false } = {}) {
+  const where = ["b.payment_status <> 'paid'"];
+  const params = [];
+  if (vendorId) {
+    where.push('b.vendor_id = ?');
+    params.push(vendorId);
+  }
+  if (ids) {
+    where.push('b.id IN (?)');
+    params.push(ids);
+  }
+  const [rows] = await db.query(
+    `SELECT b.id, b.bill_number, b.bill_date, b.due_date, b.vendor_id, b.vendor_name, b.grand_total, b.amount_paid, b.payment_status,
+       IFNULL((SELECT SUM(d.grand_total) FROM debit_notes d WHERE d.bill_id = b.id), 0) AS credited
+     FROM purchase_bills b
+     WHERE ${where.join(' AND ')} ORDER BY IFNULL(b.due_date, b.bill_date), b.id${lock ? ' FOR UPDATE' : ''}`,
+    params
+  );
+  return rows.map(row => withBalance(row, new Date(row.due_date || row.bill_date)));
+}
+
+// Amounts as numbers, the balance still due and the days past the due date.
+function withBalance(row, dueDate) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  dueDate.setHours(0, 0, 0, 0);
+  return {
+    ...row,
+    grand_total: parseFloat(row.grand_total) || 0,
+    amount_paid: parseFloat(row.amount_paid) || 0,
+    credited: parseFloat(row.credited) || 0,
+    balance: round2((parseFloat(row.grand_total) || 0) - (parseFloat(row.credited) || 0) - (parseFloat(row.amount_paid) || 0)),
+    due_date: dueDate,
+    days_overdue: Math.max(Math.floor((today - dueDate) / 86400000), 0),
+  };
+}
+
+// How allocations refer to the documents they settle: receipts point at
+// invoices by sale_id, vendor payments at bills by bill_id.
+const RECEIVABLE = { key: 'sale_id', number: 'invoice_number', documents: 'invoices of the customer' };
+export const PAYABLE = { key: 'bill_id', number: 'bill_number', documents: 'bills of the vendor' };
+
+/**
+ * Checks allocations of a receipt against the open invoices of its customer
+ * (as returned by openInvoices). `allocations` is an array of { sale_id,
+ * amount } and `available` the amount of the receipt not yet allocated.
+ * Pass PAYABLE as `kind` to check the { bill_id, amount } allocations of a
+ * vendor payment against openBills instead. Returns { allocations } with
+ * zero amounts dropped, or { error }.
+ */
+export function checkAllocations(allocations, documents, available, kind = RECEIVABLE) {
+  const byId = {};
+  documents.forEach(doc => { byId[doc.id] = doc; });
+  const result = [];
+  const seen = new Set();
+  let total = 0;
+  for (const allocation of allocations || []) {
+    const amount = round2(parseFloat(allocation.amount) || 0);
+    if (amount < 0) return { error: 'Allocated amounts cannot be negative' };
+    if (amount === 0) continue;
+    const id = parseInt(allocation[kind.key]);
+    const doc = byId[id];
+    if (!doc) return { error: `Allocations must be against open ${kind.documents}` };
+    const number = doc[kind.number] || `#${id}`;
+    if (seen.has(id)) return { error: `${number} is allocated twice` };
+    seen.add(id);
+    if (amount > doc.balance + EPSILON) {
+      return { error: `Only ₹${doc.balance.toFixed(2)} is due on ${number}` };
+    }
+    total = round2(total + amount);
+    result.push({ [kind.key]: id, amount });
+  }
+  if (total > available + EPSILON) {
+    return { error: `Allocations of ₹${total.toFixed(2)} exceed the ₹${available.toFixed(2)} available` };
+  }
+  return { allocations: result };
+}
+
+/**
+ * Outstanding balance per customer: the balance of their open invoices less
+ * receipts not yet allocated (advances). Returns rows of { customer_id,
+ * customer_name, invoices, due, overdue, due_this_week, unallocated,
+ * outstanding } sorted by the largest outstanding first; due_this_week is
+ * the part not yet overdue that falls due in the next seven days.
+ */
+export async function customerBalances(db) {
+  const invoices = await openInvoices(db);
+  const [advances] = await db.query(
+    `SELECT r.customer_id, MAX(r.customer_name) AS customer_name,
+       SUM(r.amount - IFNULL((SELECT SUM(a.amount) FROM receipt_allocations a WHERE a.receipt_id = r.id), 0)) AS unallocated
+     FROM receipts r WHERE r.status <> 'cancelled' GROUP BY r.customer_id`
+  );
+  return balances(invoices, advances, 'customer', 'invoices');
+}
+
+/**
+ * Outstanding balance per vendor: the balance of their open bills less
+ * payments not yet allocated (advances), in the form of customerBalances with
+ * vendor_id, vendor_name and a count of `bills`.
+ */
+export async function vendorBalances(db) {
+  const bills = await openBills(db);
+  const [advances] = await db.query(
+    `SELECT p.vendor_id, MAX(p.vendor_name) AS vendor_name,
+       SUM(p.amount - IFNULL((SELECT SUM(a.amount) FROM vendor_payment_allocations a WHERE a.payment_id = p.id), 0)) AS unallocated
+     FROM vendor_payments p WHERE p.status <> 'cancelled' GROUP BY p.vendor_id`
+  );
+  return balances(bills, advances, 'vendor', 'bills');
+}
+
+// Totals open documents and unallocated payments per party (customer or
+// vendor); `count` names the column counting the documents.
+function balances(documents, advances, party, count) {
+  const idKey = `${party}_id`;
+  const nameKey = `${party}_name`;
+  const byParty = {};
+  // Documents and payments without a party record are totalled together
+  // under a blank name
+  const entry = (id, name) => byParty[id || 0] || (byParty[id || 0] = { [idKey]: id || null, [nameKey]: id ? name || '' : '', [count]: 0, due: 0, overdue: 0, due_this_week: 0, unallocated: 0 });
+  documents.forEach(doc => {
+    if (doc.balance < EPSILON) return;
+    const row = entry(doc[idKey], doc[nameKey]);
+    row[count] += 1;
+    row.due = round2(row.due + doc.balance);
+    if (doc.days_overdue > 0) row.overdue = round2(row.overdue + doc.balance);
+    else if ((doc.due_date - Date.now()) / 86400000 < 7) row.due_this_week = round2(row.due_this_week + doc.balance);
+  });
+  advances.forEach(advance => {
+    const unallocated = round2(parseFloat(advance.unallocated) || 0);
+    if (unallocated < EPSILON) return;
+    entry(advance[idKey], advance[nameKey]).unallocated = unallocated;
+  });
+  return Object.values(byParty)
+    .map(row => ({ ...row, outstanding: round2(row.due - row.unallocated) }))
+    .sort((a, b) => b.outstanding - a.outstanding);
+}
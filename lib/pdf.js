@@ -0,0 +1,21 @@
+import jsPDF from 'jspdf';
+import html2canvas from 'html2canvas';
+
+/**
+ * Downloads an A4 PDF of a rendered element (an invoice or quotation
+ * preview) using html2canvas & jsPDF. The element is captured at twice the
+ * screen resolution and scaled to fit the page. Browser only.
+ */
+export async function downloadPdf(element, fileName) {
+  const canvas = await html2canvas(element, { scale: 2 });
+  const imgData = canvas.toDataURL('image/png');
+  const pdf = new jsPDF('p', 'pt', 'a4');
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  // Fit image within page
+  const ratio = Math.min(pageWidth / canvas.width, pageHeight / canvas.height);
+  const imgWidth = canvas.width * ratio;
+  const imgHeight = canvas.height * ratio;
+  pdf.addImage(imgData, 'PNG', (pageWidth - imgWidth) / 2, 20, imgWidth, imgHeight);
+  pdf.save(`${fileName || 'invoice'}.pdf`);
+}
@@ -0,0 +1,68 @@
+import { priceInvoice, getCompanyState } from './invoices';
+import { findState, isInterState } from './states';
+import { moveStock } from './stock';
+
+/**
+ * Looks up the vendor of a purchase document and the supplier's state
+ * (defaulting to the vendor's state), and works out whether IGST applies.
+ * Returns { vendor, supplierState, interState }, or { error } for an unknown
+ * vendor or state. vendor is {} when no vendor_id is given.
+ */
+export async function resolveSupplier(db, { vendor_id, supplier_state }) {
+  let vendor = {};
+  if (vendor_id) {
+    const [rows] = await db.query('SELECT * FROM vendors WHERE id = ?', [vendor_id]);
+    if (rows.length === 0) {
+      return { error: 'Unknown vendor' };
+    }
+    vendor = rows[0];
+  }
+  const stateInput = supplier_state || vendor.state_code;
+  const supplierState = findState(stateInput);
+  if (stateInput && !supplierState) {
+    return { error: 'Unknown supplier state' };
+  }
+  const homeState = await getCompanyState(db);
+  if (supplierState && !homeState) {
+    return { error: 'Set the company state in Settings before choosing a supplier state' };
+  }
+  return { vendor, supplierState, interState: isInterState(supplierState?.code, homeState?.code) };
+}
+
+/**
+ * Posts a supplier bill: inserts the `purchase_bills` header and one
+ * `purchases` row per line, and adds each line's quantity to inventory. Must
+ * be called with a connection inside a transaction. GST on every line is
+ * computed from the item and HSN masters. Header fields (vendor, bill number,
+ * date and supplier state) are copied onto the lines so line-level reports
+ * keep working without a join. The bill falls due after the vendor's credit
+ * days.
+ *
+ * `bill` is { vendor, bill_number, bill_date, supplierState, interState,
+ * items, po_id } where vendor is the vendors row (or {}) and items are
+ * { item_id, quantity, rate, hsn_sac, description, po_line_id }. po_id and
+ * po_line_id link a goods receipt to the purchase order it receives. Returns
+ * the new bill id and line ids with the computed invoice.
+ */
+export async function postPurchaseBill(conn, bill) {
+  const { vendor, bill_number, bill_date, supplierState, interState, items, po_id } = bill;
+  const invoice = await priceInvoice(conn, items, { interState });
+  const { taxable, cgst, sgst, igst, grand } = invoice.totals;
+  const date = bill_date || new Date();
+  const stateCode = supplierState ? supplierState.code : null;
+  const [billResult] = await conn.query(
+    'INSERT INTO purchase_bills (vendor_id, vendor_name, bill_number, bill_date, due_date, supplier_state_code, taxable_total, cgst, sgst, igst, grand_total, po_id) VALUES (?, ?, ?, ?, DATE_ADD(?, INTERVAL ? DAY), ?, ?, ?, ?, ?, ?, ?)',
+    [vendor.id || null, vendor.name || null, bill_number || null, date, date, parseInt(vendor.credit_days) || 0, stateCode, taxable, cgst, sgst, igst, grand, po_id || null]
+  );
+  const billId = billResult.insertId;
+  const lineIds = [];
+  for (const [index, line] of invoice.lines.entries()) {
+    const [lineResult] = await conn.query(
+      'INSERT INTO purchases (bill_id, item_id, hsn_sac, quantity, rate, gst_rate, date, vendor_id, vendor_name, invoice_number, supplier_state_code, cgst, sgst, igst, po_line_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [billId, line.item_id, line.hsn_sac || null, line.quantity, line.rate, line.gst_rate, date, vendor.id || null, vendor.name || null, bill_number || null, stateCode, line.cgst, line.sgst, line.igst, items[index].po_line_id || null]
+    );
+    lineIds.push(lineResult.insertId);
+    await moveStock(conn, { item_id: line.item_id, quantity: line.quantity, movement_type: 'purchase', source_id: billId, reference: bill_number, note: vendor.name, date });
+  }
+  return { id: billId, lineIds, invoice };
+}
@@ -0,0 +1,188 @@
+import { priceInvoice, getCompanyState, parseItems } from './invoices';
+import { findState, isInterState } from './states';
+import { nextDocumentNumber } from './sequences';
+import { moveStock } from './stock';
+import { TRANSPORT_MODES } from './ewaybill';
+
+// Reasons goods go out on a delivery challan, with the labels shown on it.
+export const CHALLAN_PURPOSES = {
+  approval: 'On Approval',
+  job_work: 'Job Work',
+  other: 'Other',
+};
+
+/**
+ * Resolves the customer of a sales document, the snapshot of their details
+ * printed on it, the place of supply and whether IGST applies. `body` holds
+ * customer_id and/or customer_name, customer_address, shipping_address,
+ * customer_gstin and place_of_supply; values typed on the document win over
+ * the customer master. Returns { customer, snapshot, supplyState, interState }
+ * or { error }.
+ */
+export async function resolveCustomer(db, body) {
+  const { customer_id, customer_name, customer_address, shipping_address, customer_gstin, place_of_supply } = body;
+  let customer = {};
+  if (customer_id) {
+    const [rows] = await db.query('SELECT * FROM customers WHERE id = ?', [customer_id]);
+    if (rows.length === 0) {
+      return { error: 'Unknown customer' };
+    }
+    customer = rows[0];
+  }
+  const snapshot = {
+    name: customer_name || customer.name || null,
+    address: customer_address || customer.billing_address || null,
+    shipping: shipping_address || customer.shipping_address || null,
+    gstin: customer_gstin || customer.gstin || null,
+  };
+  const supplyInput = place_of_supply || customer.state_code;
+  const supplyState = findState(supplyInput);
+  if (supplyInput && !supplyState) {
+    return { error: 'Unknown place of supply' };
+  }
+  const homeState = await getCompanyState(db);
+  if (supplyState && !homeState) {
+    return { error: 'Set the company state in Settings before choosing a place of supply' };
+  }
+  return { customer, snapshot, supplyState, interState: isInterState(homeState?.code, supplyState?.code) };
+}
+
+/**
+ * Reads the transport details of an invoice from a request body: mode of
+ * transport, transporter name and ID, distance in km and the transport
+ * document number and date, as written into its e-way bill. Returns
+ * { transport } or { error }.
+ */
+export function transportValues(body) {
+  const { transport_mode, transporter_name, transporter_id, transport_distance, transport_doc_no, transport_doc_date } = body || {};
+  if (transport_mode && !TRANSPORT_MODES[transport_mode]) {
+    return { error: 'Unknown mode of transport' };
+  }
+  const distance = transport_distance === undefined || transport_distance === null || transport_distance === '' ? null : parseInt(transport_distance);
+  if (distance !== null && !(distance >= 0)) {
+    return { error: 'Distance must be a number of km' };
+  }
+  return {
+    transport: {
+      transport_mode: transport_mode || null,
+      transporter_name: transporter_name || null,
+      transporter_id: transporter_id ? String(transporter_id).trim().toUpperCase() : null,
+      transport_distance: distance,
+      transport_doc_no: transport_doc_no || null,
+      transport_doc_date: transport_doc_date || null,
+    },
+  };
+}
+
+/**
+ * Issues a sales invoice: prices the lines from the item and HSN masters,
+ * allocates the next number of the `sales` series, inserts the `sales` row
+ * and takes every line's quantity out of stock. Must be called with a
+ * connection inside a transaction.
+ *
+ * `sale` is { customer, snapshot, supplyState, interState, vehicle_no,
+ * transport, items, sales_order_id, delivery_challan_id } as returned by
+ * resolveCustomer, plus the transport details from transportValues and
+ * the lines { item_id, quantity, rate, hsn_sac, description, so_line_id,
+ * dc_line_id }. An invoice raised against a sales order or delivery challan
+ * records that document and keeps the line each of its lines invoices; line
+ * links without their document id are dropped. Goods invoiced from a challan
+ * already left stock with the challan and are not taken out again. Returns
+ * { id, invoice_number, invoice }.
+ */
+export async function postSale(conn, sale) {
+  const { customer, snapshot, supplyState, interState, vehicle_no, transport = {}, items, sales_order_id, delivery_challan_id } = sale;
+  const invoice = await priceInvoice(conn, items, { interState });
+  invoice.lines = invoice.lines.map((line, index) => {
+    const { so_line_id, dc_line_id } = items[index];
+    return { ...line, ...(sales_order_id && so_line_id && { so_line_id }), ...(delivery_challan_id && dc_line_id && { dc_line_id }) };
+  });
+  const { taxable, cgst, sgst, igst, grand } = invoice.totals;
+  const now = new Date();
+  // Allocate the invoice number; the series row stays locked until commit
+  const invoiceNumber = await nextDocumentNumber(conn, 'sales', now);
+  const [result] = await conn.query(
+    'INSERT INTO sales (invoice_number, customer_id, customer_name, customer_address, shipping_address, customer_gstin, place_of_supply, supply_state_code, vehicle_no, transport_mode, transporter_name, transporter_id, transport_distance, transport_doc_no, transport_doc_date, items, taxable_total, cgst, sgst, igst, grand_total, date, sales_order_id, delivery_challan_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [invoiceNumber, customer.id || null, snapshot.name, snapshot.address, snapshot.shipping, snapshot.gstin, supplyState ? supplyState.name : null, supplyState ? supplyState.code : null, vehicle_no || null,
+      transport.transport_mode || null, transport.transporter_name || null, transport.transporter_id || null, transport.transport_distance ?? null, transport.transport_doc_no || null, transport.transport_doc_date || null, JSON.stringify(invoice.lines), taxable, cgst, sgst, igst, grand, now, sales_order_id || null, delivery_challan_id || null]
+  );
+  if (!delivery_challan_id) {
+    for (const line of invoice.lines) {
+      await moveStock(conn, { item_id: line.item_id, quantity: -line.quantity, movement_type: 'sale', source_id: result.insertId, reference: invoiceNumber, note: snapshot.name, date: now });
+    }
+  }
+  return { id: result.insertId, invoice_number: invoiceNumber, invoice };
+}
+
+/**
+ * Loads the invoices with the given ids for filing with the GST portals:
+ * each `sales` row with its items parsed and the customer's PIN code, city
+ * and state from the customer master (`customer_pincode`, `customer_city`,
+ * `customer_state_code`), oldest first.
+ */
+export async function salesForFiling(db, ids) {
+  const [rows] = await db.query(
+    `SELECT s.*, c.pincode AS customer_pincode, c.city AS customer_city, c.state_code AS customer_state_code
+     FROM sales s LEFT JOIN customers c ON c.id = s.customer_id WHERE s.id IN (?) ORDER BY s.date, s.id`,
+    [ids]
+  );
+  return rows.map(row => ({ ...row, items: parseItems(row.items) }));
+}
+
+/**
+ * Returns the reserved quantity per item id: what is still to be invoiced on
+ * the lines of open and partly invoiced sales orders.
+ */
+export async function reservedQuantities(db) {
+  const [rows] = await db.query(
+    `SELECT l.item_id, SUM(GREATEST(l.quantity - l.invoiced_quantity, 0)) AS reserved
+     FROM sales_order_lines l JOIN sales_orders o ON o.id = l.so_id
+     WHERE o.status IN ('open', 'partial') AND l.item_id IS NOT NULL GROUP BY l.item_id`
+  );
+  const reserved = {};
+  rows.forEach(row => { reserved[row.item_id] = parseFloat(row.reserved) || 0; });
+  return reserved;
+}
+
+/**
+ * Sets a sales order's status from its lines after invoicing against it or
+ * cancelling one of its invoices: fulfilled when nothing is pending, partial
+ * when something has been invoiced, open otherwise. Cancelled and closed
+ * orders are left alone.
+ */
+export async function refreshSalesOrderStatus(conn, orderId) {
+  const [[order]] = await conn.query('SELECT status FROM sales_orders WHERE id = ?', [orderId]);
+  if (!order || !['open', 'partial', 'fulfilled'].includes(order.status)) return order?.status;
+  const [[counts]] = await conn.query(
+    'SELECT SUM(invoiced_quantity < quantity) AS pending, SUM(invoiced_quantity > 0) AS invoiced FROM sales_order_lines WHERE so_id = ?',
+    [orderId]
+  );
+  const status = parseInt(counts.pending) === 0 ? 'fulfilled' : parseInt(counts.invoiced) > 0 ? 'partial' : 'open';
+  await conn.query('UPDATE sales_orders SET status = ? WHERE id = ?', [status, orderId]);
+  return status;
+}
+
+/**
+ * Sets a delivery challan's status from its lines after goods on it are
+ * invoiced or returned, or one of its invoices is cancelled: invoiced or
+ * returned when every line went that way, closed when all lines are settled
+ * by a mix of both, partial when something is settled and open otherwise.
+ */
+export async function refreshChallanStatus(conn, challanId) {
+  const [[counts]] = await conn.query(
+    `SELECT SUM(invoiced_quantity + returned_quantity < quantity) AS pending, SUM(invoiced_quantity > 0) AS invoiced,
+      SUM(returned_quantity > 0) AS returned FROM delivery_challan_lines WHERE challan_id = ?`,
+    [challanId]
+  );
+  const pending = parseInt(counts.pending) > 0;
+  const invoiced = parseInt(counts.invoiced) > 0;
+  const returned = parseInt(counts.returned) > 0;
+  let status;
+  if (pending) {
+    status = invoiced || returned ? 'partial' : 'open';
+  } else {
+    status = invoiced && returned ? 'closed' : invoiced ? 'invoiced' : 'returned';
+  }
+  await conn.query('UPDATE delivery_challans SET status = ? WHERE id = ?', [status, challanId]);
+  return status;
+}
@@ -0,0 +1,66 @@
+/**
+ * Document numbering. Every numbered document type (sales invoices and the
+ * like) has a series in `document_series` holding its prefix, the number each
+ * financial year starts from and the zero padding. The running counter lives
+ * in `document_sequences`, one row per type and Indian financial year
+ * (April–March), so numbering restarts every April: INV/25-26/0001.
+ */
+
+// Document types that can be numbered, with the defaults used the first time
+// a type is numbered if no series has been configured for it yet.
+export const DOCUMENT_TYPES = {
+  sales: { label: 'Sales Invoice', prefix: 'INV' },
+  credit_note: { label: 'Credit Note', prefix: 'CN' },
+  debit_note: { label: 'Debit Note', prefix: 'DN' },
+  purchase_order: { label: 'Purchase Order', prefix: 'PO' },
+  quotation: { label: 'Quotation', prefix: 'QT' },
+  proforma: { label: 'Proforma Invoice', prefix: 'PI' },
+  sales_order: { label: 'Sales Order', prefix: 'SO' },
+  delivery_challan: { label: 'Delivery Challan', prefix: 'DC' },
+  receipt: { label: 'Receipt', prefix: 'RC' },
+  payment: { label: 'Payment Voucher', prefix: 'PV' },
+};
+
+/**
+ * Returns the financial year a date falls in, formatted as "25-26".
+ */
+export function financialYear(date = new Date()) {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  const short = y => String(y % 100).padStart(2, '0');
+  return `${short(startYear)}-${short(startYear + 1)}`;
+}
+
+/**
+ * Formats a document number as PREFIX/FY/0001.
+ */
+export function formatDocumentNumber(prefix, fy, number, padding) {
+  return `${prefix}/${fy}/${String(number).padStart(padding || 1, '0')}`;
+}
+
+/**
+ * Allocates the next number of a document type. Must be called with a
+ * connection inside a transaction: the series and counter rows are locked
+ * with SELECT ... FOR UPDATE until the caller commits, so two documents saved
+ * at the same time never receive the same number, and a rolled back document
+ * gives its number back.
+ */
+export async function nextDocumentNumber(conn, docType, date = new Date()) {
+  const defaults = DOCUMENT_TYPES[docType];
+  if (!defaults) {
+    throw new Error(`Unknown document type ${docType}`);
+  }
+  await conn.query(
+    'INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES (?, ?, 1, 4)',
+    [docType, defaults.prefix]
+  );
+  const [[series]] = await conn.query('SELECT prefix, start_number, padding FROM document_series WHERE doc_type = ? FOR UPDATE', [docType]);
+  const fy = financialYear(date);
+  await conn.query(
+    'INSERT IGNORE INTO document_sequences (doc_type, financial_year, next_number) VALUES (?, ?, ?)',
+    [docType, fy, series.start_number]
+  );
+  const [[sequence]] = await conn.query('SELECT next_number FROM document_sequences WHERE doc_type = ? AND financial_year = ? FOR UPDATE', [docType, fy]);
+  await conn.query('UPDATE document_sequences SET next_number = next_number + 1 WHERE doc_type = ? AND financial_year = ?', [docType, fy]);
+  return formatDocumentNumber(series.prefix, fy, sequence.next_number, series.padding);
+}
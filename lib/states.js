@@ -0,0 +1,95 @@
+/**
+ * State master with the two digit state codes used by GST. The code is also
+ * the first two characters of every GSTIN registered in that state. Shared by
+ * the forms (place of supply dropdowns) and the API routes (tax split).
+ */
+export const STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '97', name: 'Other Territory' },
+];
+
+/**
+ * Finds a state by GST code or name. Accepts "29", "Karnataka" or the
+ * "29-Karnataka" form, ignoring case. Returns null when nothing matches.
+ */
+export function findState(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const codeMatch = text.match(/^(\d{1,2})\b/);
+  if (codeMatch) {
+    const code = codeMatch[1].padStart(2, '0');
+    const byCode = STATES.find(s => s.code === code);
+    if (byCode) return byCode;
+  }
+  const name = text.replace(/^\d{1,2}\s*-\s*/, '').toLowerCase();
+  return STATES.find(s => s.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Returns the state a GSTIN is registered in, from its two digit prefix.
+ */
+export function stateFromGstin(gstin) {
+  const prefix = String(gstin || '').trim().slice(0, 2);
+  return /^\d{2}$/.test(prefix) ? findState(prefix) : null;
+}
+
+/**
+ * Formats a state for display as "Karnataka (29)".
+ */
+export function stateLabel(state) {
+  return state ? `${state.name} (${state.code})` : '';
+}
+
+/**
+ * Resolves the company's own state from the settings row, preferring the
+ * configured state and falling back to the GSTIN prefix.
+ */
+export function companyState(settings) {
+  if (!settings) return null;
+  return findState(settings.state) || stateFromGstin(settings.gstin);
+}
+
+/**
+ * A supply is inter-state (IGST) when the place of supply lies in a
+ * different state from the supplier. A missing place of supply is treated as
+ * a local sale.
+ */
+export function isInterState(supplierStateCode, placeOfSupplyCode) {
+  if (!supplierStateCode || !placeOfSupplyCode) return false;
+  return supplierStateCode !== placeOfSupplyCode;
+}
@@ -0,0 +1,52 @@
+import { round2 } from './gst';
+
+/**
+ * Stock movements. Every change to an item's quantity goes through
+ * `moveStock`, which updates `inventory.quantity` and records the change in
+ * `stock_movements` together with the document that caused it and the
+ * balance after it, so the item ledger always explains the current stock.
+ */
+
+// Movement types with the labels shown in the item ledger.
+export const MOVEMENT_TYPES = {
+  opening: 'Opening Stock',
+  purchase: 'Purchase',
+  sale: 'Sale',
+  sale_amendment: 'Invoice Amended',
+  sale_cancel: 'Invoice Cancelled',
+  challan: 'Delivery Challan',
+  challan_return: 'Challan Return',
+  credit_note: 'Sales Return',
+  debit_note: 'Purchase Return',
+  adjustment: 'Adjustment',
+};
+
+// Reasons a stock adjustment can be posted for.
+export const ADJUSTMENT_REASONS = {
+  damage: 'Damage',
+  theft: 'Theft / Loss',
+  expiry: 'Expired',
+  counting_error: 'Counting Error',
+  other: 'Other',
+};
+
+/**
+ * Adds `quantity` (negative to take stock out) to an item and writes the
+ * matching ledger row. Must be called with a connection inside a transaction:
+ * the inventory row stays locked from the update until commit, so the
+ * recorded balance cannot be overtaken by a concurrent movement. `movement` is
+ * { item_id, quantity, movement_type, source_id, reference, note, date } where
+ * source_id and reference identify the document (e.g. the sales id and
+ * invoice number). Zero quantities and lines without an item are ignored.
+ */
+export async function moveStock(conn, movement) {
+  const quantity = round2(movement.quantity);
+  if (!movement.item_id || quantity === 0) return;
+  await conn.query('UPDATE inventory SET quantity = quantity + ? WHERE id = ?', [quantity, movement.item_id]);
+  const [rows] = await conn.query('SELECT quantity FROM inventory WHERE id = ?', [movement.item_id]);
+  if (rows.length === 0) return;
+  await conn.query(
+    'INSERT INTO stock_movements (item_id, movement_type, quantity, balance_after, source_id, reference, note, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [movement.item_id, movement.movement_type, quantity, rows[0].quantity, movement.source_id || null, movement.reference || null, movement.note || null, movement.date || new Date()]
+  );
+}
@@ -0,0 +1,9 @@
+-- Per-line GST: item-level rates and the HSN/SAC rate master.
+
+ALTER TABLE inventory ADD COLUMN gst_rate DECIMAL(5,2) NULL AFTER rate;
+
+CREATE TABLE IF NOT EXISTS hsn_rates (
+  hsn_sac VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255),
+  gst_rate DECIMAL(5,2) NOT NULL
+);
@@ -0,0 +1,5 @@
+-- GST state codes for the place of supply on sales and the supplier's state
+-- on purchases.
+
+ALTER TABLE sales ADD COLUMN supply_state_code CHAR(2) NULL AFTER place_of_supply;
+ALTER TABLE purchases ADD COLUMN supplier_state_code CHAR(2) NULL AFTER invoice_number;
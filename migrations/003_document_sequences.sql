@@ -0,0 +1,22 @@
+-- Financial-year document numbering and unique invoice numbers.
+
+CREATE TABLE IF NOT EXISTS document_series (
+  doc_type VARCHAR(30) PRIMARY KEY,
+  prefix VARCHAR(20) NOT NULL,
+  start_number INT NOT NULL DEFAULT 1,
+  padding INT NOT NULL DEFAULT 4
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('sales', 'INV', 1, 4);
+
+CREATE TABLE IF NOT EXISTS document_sequences (
+  doc_type VARCHAR(30),
+  financial_year CHAR(5),
+  next_number INT NOT NULL,
+  PRIMARY KEY (doc_type, financial_year)
+);
+
+-- The old COUNT(*) based numbering could issue the same number twice. List
+-- any duplicates and renumber them by hand before adding the constraint:
+--   SELECT invoice_number, COUNT(*) FROM sales GROUP BY invoice_number HAVING COUNT(*) > 1;
+ALTER TABLE sales ADD UNIQUE KEY invoice_number (invoice_number);
@@ -0,0 +1,22 @@
+-- Customer master; invoices reference the customer and snapshot its details.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  gstin VARCHAR(15),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  billing_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  city VARCHAR(100),
+  pincode VARCHAR(10),
+  state_code CHAR(2),
+  credit_days INT NOT NULL DEFAULT 0,
+  credit_limit DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE sales
+  ADD COLUMN customer_id INT NULL AFTER invoice_number,
+  ADD COLUMN shipping_address VARCHAR(255) NULL AFTER customer_address,
+  ADD FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL;
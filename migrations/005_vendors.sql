@@ -0,0 +1,33 @@
+-- Vendor master; purchases reference the vendor.
+
+CREATE TABLE IF NOT EXISTS vendors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  gstin VARCHAR(15),
+  contact_person VARCHAR(255),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  address VARCHAR(255),
+  city VARCHAR(100),
+  pincode VARCHAR(10),
+  state_code CHAR(2),
+  credit_days INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE purchases
+  ADD COLUMN vendor_id INT NULL AFTER date,
+  ADD FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL;
+
+-- Turn the free-text vendor names of existing purchases into vendor records.
+-- Names differing only in case or surrounding spaces become one vendor; other
+-- spelling variants can be merged afterwards from the Vendors page.
+INSERT INTO vendors (name)
+  SELECT MIN(TRIM(vendor_name)) FROM purchases
+  WHERE vendor_id IS NULL AND vendor_name IS NOT NULL AND TRIM(vendor_name) <> ''
+  GROUP BY LOWER(TRIM(vendor_name));
+
+UPDATE purchases p
+  JOIN vendors v ON LOWER(v.name) = LOWER(TRIM(p.vendor_name))
+  SET p.vendor_id = v.id
+  WHERE p.vendor_id IS NULL;
@@ -0,0 +1,67 @@
+-- Multi-line purchase bills: a bill header with the existing purchases rows
+-- as its lines.
+
+CREATE TABLE IF NOT EXISTS purchase_bills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  bill_number VARCHAR(100),
+  bill_date DATE,
+  supplier_state_code CHAR(2),
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY vendor_bill (vendor_id, bill_number),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+ALTER TABLE purchases
+  ADD COLUMN bill_id INT NULL FIRST,
+  ADD COLUMN hsn_sac VARCHAR(50) NULL AFTER item_id,
+  ADD COLUMN gst_rate DECIMAL(5,2) NULL AFTER rate,
+  ADD FOREIGN KEY (bill_id) REFERENCES purchase_bills(id) ON DELETE CASCADE;
+
+-- Group existing single-item purchases into bills: rows of the same vendor
+-- and invoice number form one bill; rows without an invoice number are
+-- grouped by vendor and date.
+INSERT INTO purchase_bills (vendor_id, vendor_name, bill_number, bill_date, supplier_state_code, taxable_total, cgst, sgst, igst, grand_total)
+  SELECT vendor_id, MIN(vendor_name), invoice_number, MIN(date), MIN(supplier_state_code),
+    SUM(quantity * rate), SUM(IFNULL(cgst,0)), SUM(IFNULL(sgst,0)), SUM(IFNULL(igst,0)),
+    SUM(quantity * rate + IFNULL(cgst,0) + IFNULL(sgst,0) + IFNULL(igst,0))
+  FROM purchases WHERE invoice_number IS NOT NULL
+  GROUP BY vendor_id, invoice_number;
+
+UPDATE purchases p
+  JOIN purchase_bills b ON b.vendor_id <=> p.vendor_id AND b.bill_number = p.invoice_number
+  SET p.bill_id = b.id
+  WHERE p.bill_id IS NULL;
+
+INSERT INTO purchase_bills (vendor_id, vendor_name, bill_number, bill_date, supplier_state_code, taxable_total, cgst, sgst, igst, grand_total)
+  SELECT vendor_id, MIN(vendor_name), NULL, date, MIN(supplier_state_code),
+    SUM(quantity * rate), SUM(IFNULL(cgst,0)), SUM(IFNULL(sgst,0)), SUM(IFNULL(igst,0)),
+    SUM(quantity * rate + IFNULL(cgst,0) + IFNULL(sgst,0) + IFNULL(igst,0))
+  FROM purchases WHERE bill_id IS NULL
+  GROUP BY vendor_id, date;
+
+UPDATE purchases p
+  JOIN purchase_bills b ON b.vendor_id <=> p.vendor_id AND b.bill_number IS NULL AND b.bill_date <=> p.date
+  SET p.bill_id = b.id
+  WHERE p.bill_id IS NULL;
+
+UPDATE purchases p JOIN inventory i ON i.id = p.item_id SET p.hsn_sac = i.hsn_sac WHERE p.hsn_sac IS NULL;
+
+-- Older lines were taxed without storing the rate; take it from the item or
+-- the longest configured prefix of its HSN code, as the app does, so debit
+-- notes and GSTR-3B see the tax they carried.
+UPDATE purchases p
+  LEFT JOIN inventory i ON i.id = p.item_id
+  SET p.gst_rate = COALESCE(i.gst_rate, (
+    SELECT h.gst_rate FROM hsn_rates h
+    WHERE h.hsn_sac <> '' AND p.hsn_sac LIKE CONCAT(h.hsn_sac, '%')
+    ORDER BY LENGTH(h.hsn_sac) DESC
+    LIMIT 1
+  ))
+  WHERE p.gst_rate IS NULL;
@@ -0,0 +1,21 @@
+-- Credit notes for goods returned against sales invoices.
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  note_number VARCHAR(50) UNIQUE,
+  sale_id INT NOT NULL,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  reason VARCHAR(255),
+  items JSON,
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  FOREIGN KEY (sale_id) REFERENCES sales(id),
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('credit_note', 'CN', 1, 4);
@@ -0,0 +1,21 @@
+-- Debit notes for goods returned to vendors against purchase bills.
+
+CREATE TABLE IF NOT EXISTS debit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  note_number VARCHAR(50) UNIQUE,
+  bill_id INT NOT NULL,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  reason VARCHAR(255),
+  items JSON,
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  FOREIGN KEY (bill_id) REFERENCES purchase_bills(id),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('debit_note', 'DN', 1, 4);
@@ -0,0 +1,18 @@
+-- Invoice amendment and cancellation with a version history.
+
+ALTER TABLE sales
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active',
+  ADD COLUMN locked TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN cancel_reason VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS sale_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  sale_id INT NOT NULL,
+  version INT NOT NULL,
+  change_type VARCHAR(20) NOT NULL,
+  reason VARCHAR(255),
+  snapshot JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY sale_version (sale_id, version),
+  FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+);
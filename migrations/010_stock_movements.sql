@@ -0,0 +1,22 @@
+-- Stock movement ledger.
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  movement_type VARCHAR(30) NOT NULL,
+  quantity DECIMAL(12,2) NOT NULL,
+  balance_after DECIMAL(12,2) NOT NULL,
+  source_id INT,
+  reference VARCHAR(100),
+  note VARCHAR(255),
+  date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY item_movements (item_id, id),
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE CASCADE
+);
+
+-- Earlier history is not known, so each item's current quantity becomes its
+-- opening stock in the ledger.
+INSERT INTO stock_movements (item_id, movement_type, quantity, balance_after, note, date)
+  SELECT id, 'opening', IFNULL(quantity, 0), IFNULL(quantity, 0), 'Balance when the stock ledger was introduced', CURDATE()
+  FROM inventory;
@@ -0,0 +1,3 @@
+-- Soft deactivation of inventory items.
+
+ALTER TABLE inventory ADD COLUMN active TINYINT(1) NOT NULL DEFAULT 1;
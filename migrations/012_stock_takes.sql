@@ -0,0 +1,25 @@
+-- Physical stock-take sessions.
+
+CREATE TABLE IF NOT EXISTS stock_takes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255),
+  rack VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  approved_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS stock_take_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  stock_take_id INT NOT NULL,
+  item_id INT NOT NULL,
+  rack VARCHAR(100),
+  counted_quantity DECIMAL(12,2),
+  book_quantity DECIMAL(12,2),
+  variance DECIMAL(12,2),
+  rate DECIMAL(12,2),
+  reason VARCHAR(30),
+  UNIQUE KEY stock_take_item (stock_take_id, item_id),
+  FOREIGN KEY (stock_take_id) REFERENCES stock_takes(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE CASCADE
+);
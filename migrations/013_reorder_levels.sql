@@ -0,0 +1,6 @@
+-- Reorder levels and preferred vendor per inventory item.
+
+ALTER TABLE inventory
+  ADD COLUMN min_level DECIMAL(12,2) NULL,
+  ADD COLUMN reorder_qty DECIMAL(12,2) NULL,
+  ADD COLUMN preferred_vendor_id INT NULL;
@@ -0,0 +1,36 @@
+-- Purchase orders and goods receipts against them.
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  po_number VARCHAR(50) UNIQUE,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  order_date DATE,
+  expected_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255),
+  total DECIMAL(12,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  po_id INT NOT NULL,
+  item_id INT,
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  received_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (po_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
+);
+
+ALTER TABLE purchase_bills
+  ADD COLUMN po_id INT NULL,
+  ADD FOREIGN KEY (po_id) REFERENCES purchase_orders(id);
+
+ALTER TABLE purchases
+  ADD COLUMN po_line_id INT NULL,
+  ADD FOREIGN KEY (po_line_id) REFERENCES purchase_order_lines(id);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('purchase_order', 'PO', 1, 4);
@@ -0,0 +1,30 @@
+-- Quotations and proforma invoices, convertible to sales invoices.
+
+CREATE TABLE IF NOT EXISTS quotations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doc_type VARCHAR(20) NOT NULL DEFAULT 'quotation',
+  quote_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  items JSON,
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  valid_until DATE,
+  notes VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  sale_id INT,
+  converted_at DATETIME,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (sale_id) REFERENCES sales(id)
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('quotation', 'QT', 1, 4), ('proforma', 'PI', 1, 4);
@@ -0,0 +1,39 @@
+-- Sales orders that reserve stock and are invoiced in parts.
+
+CREATE TABLE IF NOT EXISTS sales_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  so_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  order_date DATE,
+  expected_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255),
+  total DECIMAL(12,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS sales_order_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  so_id INT NOT NULL,
+  item_id INT,
+  description VARCHAR(255),
+  hsn_sac VARCHAR(50),
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  invoiced_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (so_id) REFERENCES sales_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
+);
+
+ALTER TABLE sales
+  ADD COLUMN sales_order_id INT NULL,
+  ADD FOREIGN KEY (sales_order_id) REFERENCES sales_orders(id);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('sales_order', 'SO', 1, 4);
@@ -0,0 +1,46 @@
+-- Delivery challans for goods sent out without an invoice, later invoiced or
+-- returned.
+
+CREATE TABLE IF NOT EXISTS delivery_challans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  challan_number VARCHAR(50) UNIQUE,
+  purpose VARCHAR(20) NOT NULL DEFAULT 'approval',
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  vehicle_no VARCHAR(50),
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS delivery_challan_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  challan_id INT NOT NULL,
+  item_id INT,
+  description VARCHAR(255),
+  hsn_sac VARCHAR(50),
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  invoiced_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  returned_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (challan_id) REFERENCES delivery_challans(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
+);
+
+ALTER TABLE sales
+  ADD COLUMN delivery_challan_id INT NULL,
+  ADD FOREIGN KEY (delivery_challan_id) REFERENCES delivery_challans(id);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('delivery_challan', 'DC', 1, 4);
@@ -0,0 +1,9 @@
+-- Transport details of sales invoices, written into e-way bills.
+
+ALTER TABLE sales
+  ADD COLUMN transport_mode VARCHAR(10) NULL AFTER vehicle_no,
+  ADD COLUMN transporter_name VARCHAR(255) NULL AFTER transport_mode,
+  ADD COLUMN transporter_id VARCHAR(15) NULL AFTER transporter_name,
+  ADD COLUMN transport_distance INT NULL AFTER transporter_id,
+  ADD COLUMN transport_doc_no VARCHAR(50) NULL AFTER transport_distance,
+  ADD COLUMN transport_doc_date DATE NULL AFTER transport_doc_no;
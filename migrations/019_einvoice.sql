@@ -0,0 +1,7 @@
+-- Registration details of e-invoices returned by the IRP.
+
+ALTER TABLE sales
+  ADD COLUMN irn VARCHAR(64) NULL UNIQUE,
+  ADD COLUMN ack_no VARCHAR(20) NULL,
+  ADD COLUMN ack_date DATETIME NULL,
+  ADD COLUMN signed_qr TEXT NULL;
@@ -0,0 +1,10 @@
+-- GST charged on expense bills, claimed as input tax credit in GSTR-3B when
+-- the supplier is registered and the credit is not blocked.
+
+ALTER TABLE expenses
+  ADD COLUMN supplier_gstin VARCHAR(15) NULL AFTER category,
+  ADD COLUMN gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0 AFTER supplier_gstin,
+  ADD COLUMN cgst DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER gst_rate,
+  ADD COLUMN sgst DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER cgst,
+  ADD COLUMN igst DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER sgst,
+  ADD COLUMN itc_eligible TINYINT(1) NOT NULL DEFAULT 0 AFTER igst;
@@ -0,0 +1,31 @@
+-- Payment receipts from customers and their allocation against invoices.
+
+CREATE TABLE IF NOT EXISTS receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  mode VARCHAR(20) NOT NULL,
+  reference VARCHAR(100),
+  amount DECIMAL(12,2) NOT NULL,
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(10) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS receipt_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_id INT NOT NULL,
+  sale_id INT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  FOREIGN KEY (receipt_id) REFERENCES receipts(id) ON DELETE CASCADE,
+  FOREIGN KEY (sale_id) REFERENCES sales(id)
+);
+
+ALTER TABLE sales
+  ADD COLUMN amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN payment_status VARCHAR(10) NOT NULL DEFAULT 'unpaid';
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('receipt', 'RC', 1, 4);
@@ -0,0 +1,36 @@
+-- Payments made to vendors and their allocation against purchase bills, with
+-- the due date and payment status of every bill.
+
+ALTER TABLE purchase_bills
+  ADD COLUMN due_date DATE,
+  ADD COLUMN amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN payment_status VARCHAR(10) NOT NULL DEFAULT 'unpaid';
+
+UPDATE purchase_bills b LEFT JOIN vendors v ON v.id = b.vendor_id
+  SET b.due_date = DATE_ADD(b.bill_date, INTERVAL IFNULL(v.credit_days, 0) DAY);
+
+CREATE TABLE IF NOT EXISTS vendor_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  voucher_number VARCHAR(50) UNIQUE,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  mode VARCHAR(20) NOT NULL,
+  reference VARCHAR(100),
+  amount DECIMAL(12,2) NOT NULL,
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(10) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS vendor_payment_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  bill_id INT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  FOREIGN KEY (payment_id) REFERENCES vendor_payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (bill_id) REFERENCES purchase_bills(id)
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('payment', 'PV', 1, 4);
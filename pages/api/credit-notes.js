@@ -0,0 +1,109 @@
+import { getPool } from '../../lib/db';
+import { computeReturn } from '../../lib/gst';
+import { parseItems, returnedQuantities } from '../../lib/invoices';
+import { refreshPaymentStatus } from '../../lib/payments';
+import { nextDocumentNumber } from '../../lib/sequences';
+import { moveStock } from '../../lib/stock';
+
+/**
+ * Credit notes API route. GET lists credit notes, or with `sale_id` returns
+ * that invoice with how much of each line has already been returned and how
+ * much is left. POST records a credit note for goods returned against an
+ * invoice: the payload is { sale_id, reason, items } where items are
+ * { line_index, quantity } pointing at lines of the invoice. The tax is
+ * reversed at each line's original price and rate, the returned quantities
+ * are added back to inventory and the note is numbered from the
+ * `credit_note` document series.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { sale_id } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (sale_id) {
+        const [rows] = await pool.query('SELECT * FROM sales WHERE id = ?', [sale_id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const [notes] = await pool.query('SELECT * FROM credit_notes WHERE sale_id = ? ORDER BY id', [sale_id]);
+        const returned = returnedQuantities(notes);
+        const lines = parseItems(rows[0].items).map((line, index) => ({
+          ...line,
+          line_index: index,
+          returned: returned[index] || 0,
+          returnable: (parseFloat(line.quantity) || 0) - (returned[index] || 0),
+        }));
+        return res.status(200).json({ sale: { ...rows[0], items: lines }, notes });
+      }
+      const [rows] = await pool.query(
+        'SELECT c.*, s.invoice_number FROM credit_notes c JOIN sales s ON s.id = c.sale_id ORDER BY c.date DESC, c.id DESC'
+      );
+      return res.status(200).json({ creditNotes: rows });
+    } catch (err) {
+      console.error('Credit notes GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch credit notes' });
+    }
+  } else if (req.method === 'POST') {
+    const { sale_id: saleId, reason, items } = req.body || {};
+    if (!saleId) {
+      return res.status(400).json({ error: 'Invoice is required' });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the invoice so two returns against it cannot both pass the
+        // quantity check
+        const [rows] = await conn.query('SELECT * FROM sales WHERE id = ? FOR UPDATE', [saleId]);
+        if (rows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const sale = rows[0];
+        if (sale.status === 'cancelled') {
+          await conn.rollback();
+          return res.status(409).json({ error: 'Invoice is cancelled' });
+        }
+        const [notes] = await conn.query('SELECT items FROM credit_notes WHERE sale_id = ?', [sale.id]);
+        const note = computeReturn(parseItems(sale.items), items, returnedQuantities(notes));
+        if (note.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: note.error });
+        }
+        const { taxable, cgst, sgst, igst, grand } = note.totals;
+        const now = new Date();
+        const noteNumber = await nextDocumentNumber(conn, 'credit_note', now);
+        const [result] = await conn.query(
+          'INSERT INTO credit_notes (note_number, sale_id, customer_id, customer_name, reason, items, taxable_total, cgst, sgst, igst, grand_total, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [noteNumber, sale.id, sale.customer_id, sale.customer_name, reason || null, JSON.stringify(note.lines), taxable, cgst, sgst, igst, grand, now]
+        );
+        // Returned goods go back into stock
+        for (const line of note.lines) {
+          await moveStock(conn, { item_id: line.item_id, quantity: line.quantity, movement_type: 'credit_note', source_id: result.insertId, reference: noteNumber, note: reason, date: now });
+        }
+        // The note reduces what the customer owes on the invoice
+        await refreshPaymentStatus(conn, sale.id);
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, note_number: noteNumber, grand_total: grand, note });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Credit notes POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Credit note number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to create credit note' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Credit notes POST error', err);
+      return res.status(500).json({ error: 'Failed to create credit note' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,133 @@
+import { getPool } from '../../lib/db';
+import { isValidGstin } from '../../lib/gst';
+import { findState, stateFromGstin } from '../../lib/states';
+
+/**
+ * Customers API route. GET lists customers (optionally filtered by `q`
+ * matching name, GSTIN or phone) or returns one customer when `id` is given.
+ * POST creates a customer, PUT updates the customer given by `id` and DELETE
+ * removes it unless invoices, receipts, quotations, sales orders or delivery
+ * challans already reference it.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, q } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM customers WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Customer not found' });
+        }
+        return res.status(200).json({ customer: rows[0] });
+      }
+      let sql = 'SELECT * FROM customers';
+      const params = [];
+      if (q) {
+        sql += ' WHERE name LIKE ? OR gstin LIKE ? OR phone LIKE ?';
+        params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+      }
+      const [rows] = await pool.query(sql + ' ORDER BY name', params);
+      return res.status(200).json({ customers: rows });
+    } catch (err) {
+      console.error('Customers GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch customers' });
+    }
+  } else if (req.method === 'POST' || req.method === 'PUT') {
+    if (req.method === 'PUT' && !id) {
+      return res.status(400).json({ error: 'Customer id is required' });
+    }
+    const { values, error } = customerValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const fields = Object.keys(values);
+      if (req.method === 'POST') {
+        const [result] = await pool.query(
+          `INSERT INTO customers (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+          fields.map(f => values[f])
+        );
+        return res.status(201).json({ id: result.insertId });
+      }
+      const [result] = await pool.query(
+        `UPDATE customers SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(f => values[f]), id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      return res.status(200).json({ message: 'Customer updated' });
+    } catch (err) {
+      console.error(`Customers ${req.method} error`, err);
+      return res.status(500).json({ error: 'Failed to save customer' });
+    }
+  } else if (req.method === 'DELETE') {
+    if (!id) {
+      return res.status(400).json({ error: 'Customer id is required' });
+    }
+    try {
+      const [[usage]] = await pool.query('SELECT COUNT(*) AS count FROM sales WHERE customer_id = ?', [id]);
+      if (usage.count > 0) {
+        return res.status(409).json({ error: 'Customer has invoices and cannot be deleted' });
+      }
+      // These would lose their customer, and advances would drop out of the
+      // customer's outstanding balance
+      const [[documents]] = await pool.query(
+        `SELECT (SELECT COUNT(*) FROM receipts WHERE customer_id = ?)
+           + (SELECT COUNT(*) FROM quotations WHERE customer_id = ?)
+           + (SELECT COUNT(*) FROM sales_orders WHERE customer_id = ?)
+           + (SELECT COUNT(*) FROM delivery_challans WHERE customer_id = ?) AS count`,
+        [id, id, id, id]
+      );
+      if (documents.count > 0) {
+        return res.status(409).json({ error: 'Customer has receipts, quotations, sales orders or delivery challans and cannot be deleted' });
+      }
+      await pool.query('DELETE FROM customers WHERE id = ?', [id]);
+      return res.status(200).json({ message: 'Customer deleted' });
+    } catch (err) {
+      console.error('Customers DELETE error', err);
+      return res.status(500).json({ error: 'Failed to delete customer' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Validates a customer payload and maps it to column values. The state
+// defaults to the one encoded in the GSTIN.
+function customerValues(body) {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    return { error: 'Customer name is required' };
+  }
+  const gstin = String(body.gstin || '').trim().toUpperCase();
+  if (gstin && !isValidGstin(gstin)) {
+    return { error: 'Invalid GSTIN' };
+  }
+  const state = body.state_code ? findState(body.state_code) : stateFromGstin(gstin);
+  if (body.state_code && !state) {
+    return { error: 'Unknown state' };
+  }
+  const creditDays = parseInt(body.credit_days) || 0;
+  const creditLimit = parseFloat(body.credit_limit) || 0;
+  if (creditDays < 0 || creditLimit < 0) {
+    return { error: 'Credit days and credit limit cannot be negative' };
+  }
+  return {
+    values: {
+      name,
+      gstin: gstin || null,
+      phone: body.phone || null,
+      email: body.email || null,
+      billing_address: body.billing_address || null,
+      shipping_address: body.shipping_address || null,
+      city: body.city || null,
+      pincode: body.pincode || null,
+      state_code: state ? state.code : null,
+      credit_days: creditDays,
+      credit_limit: creditLimit,
+    },
+  };
+}
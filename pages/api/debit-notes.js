@@ -0,0 +1,109 @@
+import { getPool } from '../../lib/db';
+import { computeReturn } from '../../lib/gst';
+import { parseItems, returnedQuantities } from '../../lib/invoices';
+import { refreshBillPaymentStatus } from '../../lib/payments';
+import { nextDocumentNumber } from '../../lib/sequences';
+import { moveStock } from '../../lib/stock';
+
+/**
+ * Debit notes API route. GET lists debit notes, or with `bill_id` returns that
+ * purchase bill with its lines and how much of each has already been returned
+ * and how much is left. POST records a debit note for goods sent back to the
+ * vendor: the payload is { bill_id, reason, items } where items are
+ * { line_index, quantity } pointing at lines of the bill in line order. The
+ * input tax is reversed at each line's original price and rate, the returned
+ * quantities are taken out of inventory and the note is numbered from the
+ * `debit_note` document series. The note counts towards settling the bill.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { bill_id } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (bill_id) {
+        const [rows] = await pool.query('SELECT * FROM purchase_bills WHERE id = ?', [bill_id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Purchase bill not found' });
+        }
+        const [lines] = await pool.query(billLinesSql, [bill_id]);
+        const [notes] = await pool.query('SELECT * FROM debit_notes WHERE bill_id = ? ORDER BY id', [bill_id]);
+        const returned = returnedQuantities(notes);
+        const items = lines.map((line, index) => ({
+          ...line,
+          line_index: index,
+          returned: returned[index] || 0,
+          returnable: (parseFloat(line.quantity) || 0) - (returned[index] || 0),
+        }));
+        return res.status(200).json({ bill: { ...rows[0], items }, notes });
+      }
+      const [rows] = await pool.query(
+        'SELECT d.*, b.bill_number FROM debit_notes d JOIN purchase_bills b ON b.id = d.bill_id ORDER BY d.date DESC, d.id DESC'
+      );
+      return res.status(200).json({ debitNotes: rows });
+    } catch (err) {
+      console.error('Debit notes GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch debit notes' });
+    }
+  } else if (req.method === 'POST') {
+    const { bill_id: billId, reason, items } = req.body || {};
+    if (!billId) {
+      return res.status(400).json({ error: 'Purchase bill is required' });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the bill so two returns against it cannot both pass the
+        // quantity check
+        const [rows] = await conn.query('SELECT * FROM purchase_bills WHERE id = ? FOR UPDATE', [billId]);
+        if (rows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: 'Purchase bill not found' });
+        }
+        const bill = rows[0];
+        const [lines] = await conn.query(billLinesSql, [bill.id]);
+        const [notes] = await conn.query('SELECT items FROM debit_notes WHERE bill_id = ?', [bill.id]);
+        const note = computeReturn(lines, items, returnedQuantities(notes));
+        if (note.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: note.error });
+        }
+        const { taxable, cgst, sgst, igst, grand } = note.totals;
+        const now = new Date();
+        const noteNumber = await nextDocumentNumber(conn, 'debit_note', now);
+        const [result] = await conn.query(
+          'INSERT INTO debit_notes (note_number, bill_id, vendor_id, vendor_name, reason, items, taxable_total, cgst, sgst, igst, grand_total, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [noteNumber, bill.id, bill.vendor_id, bill.vendor_name, reason || null, JSON.stringify(note.lines), taxable, cgst, sgst, igst, grand, now]
+        );
+        // Returned goods leave stock
+        for (const line of note.lines) {
+          await moveStock(conn, { item_id: line.item_id, quantity: -line.quantity, movement_type: 'debit_note', source_id: result.insertId, reference: noteNumber, note: reason, date: now });
+        }
+        await refreshBillPaymentStatus(conn, bill.id);
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, note_number: noteNumber, grand_total: grand, note });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Debit notes POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Debit note number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to create debit note' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Debit notes POST error', err);
+      return res.status(500).json({ error: 'Failed to create debit note' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Lines of a purchase bill in the order line_index refers to.
+const billLinesSql = 'SELECT p.*, i.item_name FROM purchases p LEFT JOIN inventory i ON i.id = p.item_id WHERE p.bill_id = ? ORDER BY p.id';
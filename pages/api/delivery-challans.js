@@ -0,0 +1,224 @@
+import { getPool } from '../../lib/db';
+import { priceInvoice } from '../../lib/invoices';
+import { resolveCustomer, postSale, refreshChallanStatus, CHALLAN_PURPOSES } from '../../lib/sales';
+import { nextDocumentNumber } from '../../lib/sequences';
+import { moveStock } from '../../lib/stock';
+
+/**
+ * Delivery challans API route. GET lists challans with their sent, invoiced
+ * and returned quantities (optionally filtered by `status`), or with `id`
+ * returns one challan with its lines (and the quantity still out on each),
+ * the invoices raised from it and the goods returned against it.
+ *
+ * POST issues a challan with the customer fields and place of supply of a
+ * sales invoice plus `purpose` (approval, job_work or other), `vehicle_no`,
+ * `notes` and items of { item_id, description, hsn_sac, quantity, rate }. The
+ * lines are valued with GST like an invoice for printing, the challan is
+ * numbered from the `delivery_challan` series and the goods leave stock.
+ *
+ * POST with `action=invoice` invoices goods out on the challan given by `id`:
+ * { vehicle_no, items } where items are { line_id, quantity } up to each
+ * line's outstanding quantity, at the challan rate. The invoice does not take
+ * the goods out of stock a second time. POST with `action=return` takes goods
+ * back into stock: { items, note } with the same item shape.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, status } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM delivery_challans WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Delivery challan not found' });
+        }
+        const challan = rows[0];
+        const [lines] = await pool.query(challanLinesSql, [challan.id]);
+        const [invoices] = await pool.query('SELECT id, invoice_number, date, grand_total, status FROM sales WHERE delivery_challan_id = ? ORDER BY id', [challan.id]);
+        const [returns] = await pool.query(
+          `SELECT m.id, m.date, m.quantity, m.note, i.item_name FROM stock_movements m LEFT JOIN inventory i ON i.id = m.item_id
+           WHERE m.movement_type = 'challan_return' AND m.source_id = ? ORDER BY m.id`,
+          [challan.id]
+        );
+        return res.status(200).json({ challan, lines: lines.map(line => ({ ...line, outstanding: outstanding(line) })), invoices, returns });
+      }
+      let sql = `SELECT c.*, IFNULL(SUM(l.quantity), 0) AS sent_quantity, IFNULL(SUM(l.invoiced_quantity), 0) AS invoiced_quantity,
+        IFNULL(SUM(l.returned_quantity), 0) AS returned_quantity
+        FROM delivery_challans c LEFT JOIN delivery_challan_lines l ON l.challan_id = c.id`;
+      const params = [];
+      if (status) {
+        sql += ' WHERE c.status = ?';
+        params.push(status);
+      }
+      const [rows] = await pool.query(sql + ' GROUP BY c.id ORDER BY c.date DESC, c.id DESC', params);
+      return res.status(200).json({ challans: rows });
+    } catch (err) {
+      console.error('Delivery challans GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch delivery challans' });
+    }
+  } else if (req.method === 'POST' && (action === 'invoice' || action === 'return')) {
+    if (!id) {
+      return res.status(400).json({ error: 'Delivery challan id is required' });
+    }
+    const { vehicle_no, note, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the challan and its lines so the same goods cannot be invoiced
+        // or returned twice
+        const [rows] = await conn.query('SELECT * FROM delivery_challans WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: 'Delivery challan not found' });
+        }
+        const challan = rows[0];
+        if (challan.status !== 'open' && challan.status !== 'partial') {
+          await conn.rollback();
+          return res.status(409).json({ error: 'Nothing is out on this challan' });
+        }
+        const [lines] = await conn.query(challanLinesSql + ' FOR UPDATE', [challan.id]);
+        const settled = settleLines(lines, items);
+        if (settled.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: settled.error });
+        }
+        if (action === 'return') {
+          const date = new Date();
+          for (const line of settled.lines) {
+            await moveStock(conn, { item_id: line.item_id, quantity: line.quantity, movement_type: 'challan_return', source_id: challan.id, reference: challan.challan_number, note: note || challan.customer_name, date });
+            await conn.query('UPDATE delivery_challan_lines SET returned_quantity = returned_quantity + ? WHERE id = ?', [line.quantity, line.dc_line_id]);
+          }
+          const newStatus = await refreshChallanStatus(conn, challan.id);
+          await conn.commit();
+          return res.status(200).json({ message: 'Goods returned to stock', status: newStatus });
+        }
+        const party = await resolveCustomer(conn, {
+          customer_id: challan.customer_id,
+          customer_name: challan.customer_name,
+          customer_address: challan.customer_address,
+          shipping_address: challan.shipping_address,
+          customer_gstin: challan.customer_gstin,
+          place_of_supply: challan.supply_state_code,
+        });
+        if (party.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: party.error });
+        }
+        const sale = await postSale(conn, { ...party, vehicle_no: vehicle_no || challan.vehicle_no, items: settled.lines, delivery_challan_id: challan.id });
+        for (const line of settled.lines) {
+          await conn.query('UPDATE delivery_challan_lines SET invoiced_quantity = invoiced_quantity + ? WHERE id = ?', [line.quantity, line.dc_line_id]);
+        }
+        const newStatus = await refreshChallanStatus(conn, challan.id);
+        await conn.commit();
+        return res.status(201).json({ sale_id: sale.id, invoice_number: sale.invoice_number, grand_total: sale.invoice.totals.grand, invoice: sale.invoice, status: newStatus });
+      } catch (error) {
+        await conn.rollback();
+        console.error(`Delivery challans ${action} transaction error`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Invoice number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: `Failed to ${action} delivery challan goods` });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error(`Delivery challans ${action} error`, err);
+      return res.status(500).json({ error: `Failed to ${action} delivery challan goods` });
+    }
+  } else if (req.method === 'POST') {
+    const { purpose, vehicle_no, notes, date: challanDate, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    if (items.some(item => !item.item_id || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each line needs an item, quantity and rate' });
+    }
+    if (purpose && !CHALLAN_PURPOSES[purpose]) {
+      return res.status(400).json({ error: 'Unknown challan purpose' });
+    }
+    try {
+      const party = await resolveCustomer(pool, req.body);
+      if (party.error) {
+        return res.status(400).json({ error: party.error });
+      }
+      const { customer, snapshot, supplyState, interState } = party;
+      if (!snapshot.name) {
+        return res.status(400).json({ error: 'Customer is required' });
+      }
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Value the goods like an invoice; the challan carries their worth
+        const priced = await priceInvoice(conn, items, { interState });
+        const { taxable, cgst, sgst, igst, grand } = priced.totals;
+        const date = challanDate ? new Date(challanDate) : new Date();
+        const challanNumber = await nextDocumentNumber(conn, 'delivery_challan', date);
+        const [result] = await conn.query(
+          'INSERT INTO delivery_challans (challan_number, purpose, customer_id, customer_name, customer_address, shipping_address, customer_gstin, place_of_supply, supply_state_code, vehicle_no, taxable_total, cgst, sgst, igst, grand_total, date, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [challanNumber, purpose || 'approval', customer.id || null, snapshot.name, snapshot.address, snapshot.shipping, snapshot.gstin, supplyState ? supplyState.name : null, supplyState ? supplyState.code : null, vehicle_no || null, taxable, cgst, sgst, igst, grand, date, notes || null]
+        );
+        await conn.query(
+          'INSERT INTO delivery_challan_lines (challan_id, item_id, description, hsn_sac, quantity, rate, gst_rate) VALUES ?',
+          [priced.lines.map(line => [result.insertId, line.item_id, line.description || null, line.hsn_sac || null, line.quantity, line.rate, line.gst_rate])]
+        );
+        for (const line of priced.lines) {
+          await moveStock(conn, { item_id: line.item_id, quantity: -line.quantity, movement_type: 'challan', source_id: result.insertId, reference: challanNumber, note: snapshot.name, date });
+        }
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, challan_number: challanNumber, challan: priced });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Delivery challans POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Challan number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to create delivery challan' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Delivery challans POST error', err);
+      return res.status(500).json({ error: 'Failed to create delivery challan' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+const challanLinesSql = 'SELECT l.*, i.item_name FROM delivery_challan_lines l LEFT JOIN inventory i ON i.id = l.item_id WHERE l.challan_id = ? ORDER BY l.id';
+
+// Quantity of a challan line neither invoiced nor returned yet.
+function outstanding(line) {
+  return (parseFloat(line.quantity) || 0) - (parseFloat(line.invoiced_quantity) || 0) - (parseFloat(line.returned_quantity) || 0);
+}
+
+// Checks the quantities to invoice or return against what is still out on
+// the challan and maps them to lines at the challan's description, HSN and
+// rate.
+function settleLines(challanLines, items) {
+  const byId = {};
+  challanLines.forEach(line => { byId[line.id] = line; });
+  const lines = [];
+  const settling = {};
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity) || 0;
+    if (quantity === 0) continue;
+    const line = byId[parseInt(item.line_id)];
+    if (!line) return { error: 'Line is not on this delivery challan' };
+    const name = line.item_name || line.description;
+    if (quantity < 0) return { error: `Invalid quantity for ${name}` };
+    const left = outstanding(line);
+    settling[line.id] = (settling[line.id] || 0) + quantity;
+    if (settling[line.id] > left + 0.0001) {
+      return { error: `Only ${left} of ${name} is out on the challan` };
+    }
+    lines.push({ item_id: line.item_id, description: line.description, hsn_sac: line.hsn_sac, quantity, rate: parseFloat(line.rate), dc_line_id: line.id });
+  }
+  if (lines.length === 0) return { error: 'Enter a quantity for at least one line' };
+  return { lines };
+}
@@ -0,0 +1,79 @@
+import { getPool } from '../../lib/db';
+import { DOCUMENT_TYPES, financialYear, formatDocumentNumber } from '../../lib/sequences';
+
+/**
+ * Document series API route. GET lists every numbered document type with its
+ * prefix, start number, padding and the next number of the current financial
+ * year. POST updates the series of one `doc_type`; an optional `next_number`
+ * moves the current year's counter forward (it can never go backwards, which
+ * would reissue numbers already used).
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const fy = financialYear();
+  if (req.method === 'GET') {
+    try {
+      const [seriesRows] = await pool.query('SELECT * FROM document_series');
+      const [sequenceRows] = await pool.query('SELECT doc_type, next_number FROM document_sequences WHERE financial_year = ?', [fy]);
+      const series = Object.keys(DOCUMENT_TYPES).map(docType => {
+        const row = seriesRows.find(r => r.doc_type === docType) || { prefix: DOCUMENT_TYPES[docType].prefix, start_number: 1, padding: 4 };
+        const sequence = sequenceRows.find(r => r.doc_type === docType);
+        const nextNumber = sequence ? sequence.next_number : row.start_number;
+        return {
+          doc_type: docType,
+          label: DOCUMENT_TYPES[docType].label,
+          prefix: row.prefix,
+          start_number: row.start_number,
+          padding: row.padding,
+          next_number: nextNumber,
+          next_preview: formatDocumentNumber(row.prefix, fy, nextNumber, row.padding),
+        };
+      });
+      return res.status(200).json({ financial_year: fy, series });
+    } catch (err) {
+      console.error('Document series GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch document series' });
+    }
+  } else if (req.method === 'POST') {
+    const { doc_type, prefix, start_number, padding, next_number } = req.body || {};
+    const start = parseInt(start_number);
+    const pad = parseInt(padding);
+    if (!DOCUMENT_TYPES[doc_type]) {
+      return res.status(400).json({ error: 'Unknown document type' });
+    }
+    if (!prefix || !/^[A-Za-z0-9-]+$/.test(prefix) || !(start >= 1) || !(pad >= 1 && pad <= 10)) {
+      return res.status(400).json({ error: 'Prefix (letters, digits or hyphens), start number and padding are required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(
+        'INSERT INTO document_series (doc_type, prefix, start_number, padding) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE prefix = VALUES(prefix), start_number = VALUES(start_number), padding = VALUES(padding)',
+        [doc_type, prefix, start, pad]
+      );
+      if (next_number !== undefined && next_number !== null && next_number !== '') {
+        const next = parseInt(next_number);
+        const [[current]] = await conn.query('SELECT next_number FROM document_sequences WHERE doc_type = ? AND financial_year = ? FOR UPDATE', [doc_type, fy]);
+        if (!(next >= 1) || (current && next < current.next_number)) {
+          await conn.rollback();
+          return res.status(400).json({ error: `Next number cannot be lower than ${current ? current.next_number : 1}` });
+        }
+        await conn.query(
+          'INSERT INTO document_sequences (doc_type, financial_year, next_number) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE next_number = VALUES(next_number)',
+          [doc_type, fy, next]
+        );
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Document series updated' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Document series POST error', err);
+      return res.status(500).json({ error: 'Failed to update document series' });
+    } finally {
+      conn.release();
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
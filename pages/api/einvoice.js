@@ -0,0 +1,65 @@
+import { getPool } from '../../lib/db';
+import { buildEinvoice, parseIrpResponse } from '../../lib/einvoice';
+import { salesForFiling } from '../../lib/sales';
+
+/**
+ * E-invoice API route for the sales invoice given by `id`. GET builds its
+ * e-invoice schema JSON and returns { payload, errors } together with the
+ * registration already stored, if any. POST stores the registration returned
+ * by the IRP, either the IRP's reply as is or { irn, ack_no, ack_date,
+ * signed_qr } typed in by hand. A registered invoice is locked, since the IRN
+ * can no longer change; it is then printed with its IRN and QR code.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const id = parseInt((req.query || {}).id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invoice id is required' });
+  }
+  if (req.method === 'GET') {
+    try {
+      const [sale] = await salesForFiling(pool, [id]);
+      if (!sale) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      const [settingsRows] = await pool.query('SELECT * FROM company_settings WHERE id = 1');
+      const { payload, errors } = buildEinvoice(sale, settingsRows[0]);
+      const { irn, ack_no, ack_date, signed_qr } = sale;
+      return res.status(200).json({ payload, errors, registration: irn ? { irn, ack_no, ack_date, signed_qr } : null });
+    } catch (err) {
+      console.error('E-invoice GET error', err);
+      return res.status(500).json({ error: 'Failed to build e-invoice' });
+    }
+  } else if (req.method === 'POST') {
+    const registration = parseIrpResponse(req.body);
+    if (registration.error) {
+      return res.status(400).json({ error: registration.error });
+    }
+    try {
+      const [rows] = await pool.query('SELECT status, irn FROM sales WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (rows[0].status === 'cancelled') {
+        return res.status(409).json({ error: 'Invoice is cancelled' });
+      }
+      if (rows[0].irn) {
+        return res.status(409).json({ error: 'Invoice already has an IRN' });
+      }
+      await pool.query(
+        'UPDATE sales SET irn = ?, ack_no = ?, ack_date = ?, signed_qr = ?, locked = 1 WHERE id = ?',
+        [registration.irn, registration.ack_no, registration.ack_date, registration.signed_qr, id]
+      );
+      return res.status(200).json({ message: 'IRN saved and invoice locked', registration });
+    } catch (err) {
+      console.error('E-invoice POST error', err);
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This IRN is already saved on another invoice' });
+      }
+      return res.status(500).json({ error: 'Failed to save IRN' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,36 @@
+import { getPool } from '../../lib/db';
+import { buildEwayBill, ewayBillFile } from '../../lib/ewaybill';
+import { salesForFiling } from '../../lib/sales';
+
+/**
+ * E-way bill API route. GET with `ids` (comma separated sales invoice ids)
+ * builds the bulk upload JSON of the e-way bill portal for those invoices
+ * from the invoices, the company settings and the customers' PIN codes.
+ * Returns `results`, one per invoice with its `errors` and `warnings`, and
+ * `file` holding only the bills without errors, ready to upload.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  const ids = String((req.query || {}).ids || '').split(',').map(id => parseInt(id)).filter(Boolean);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'Choose at least one invoice' });
+  }
+  const pool = getPool();
+  try {
+    const [settingsRows] = await pool.query('SELECT * FROM company_settings WHERE id = 1');
+    const rows = await salesForFiling(pool, ids);
+    const bills = [];
+    const results = rows.map(row => {
+      const { bill, errors, warnings } = buildEwayBill(row, settingsRows[0]);
+      if (errors.length === 0) bills.push(bill);
+      return { id: row.id, invoice_number: row.invoice_number, customer_name: row.customer_name, errors, warnings };
+    });
+    return res.status(200).json({ results, file: ewayBillFile(bills) });
+  } catch (err) {
+    console.error('E-way bill GET error', err);
+    return res.status(500).json({ error: 'Failed to build e-way bills' });
+  }
+}
@@ -1,7 +1,13 @@
 import { getPool } from '../../lib/db';
+import { computeLine, isValidGstin } from '../../lib/gst';
+import { companyState, stateFromGstin, isInterState } from '../../lib/states';
 
 /**
  * Expenses API route. GET lists all expenses; POST records a new expense.
+ * An expense billed with GST carries `gst_rate` and the supplier's GSTIN; the
+ * tax is computed on the amount and split into CGST+SGST or IGST by the
+ * supplier's state. `itc_eligible` claims the tax as input tax credit, which
+ * needs a valid supplier GSTIN.
  */
 export default async function handler(req, res) {
   const pool = getPool();
@@ -14,14 +20,30 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'Failed to fetch expenses' });
     }
   } else if (req.method === 'POST') {
-    const { description, amount, category, date } = req.body || {};
+    const { description, amount, category, date, supplier_gstin, gst_rate, itc_eligible } = req.body || {};
     if (!description || !amount) {
       return res.status(400).json({ error: 'Description and amount are required' });
     }
+    const gstin = String(supplier_gstin || '').trim().toUpperCase();
+    if (gstin && !isValidGstin(gstin)) {
+      return res.status(400).json({ error: `Supplier GSTIN ${gstin} is not valid` });
+    }
+    const rate = parseFloat(gst_rate) || 0;
+    if (rate < 0 || rate > 100) {
+      return res.status(400).json({ error: 'GST rate must be between 0 and 100' });
+    }
+    if (itc_eligible && (!gstin || rate === 0)) {
+      return res.status(400).json({ error: 'Input tax credit needs the supplier GSTIN and a GST rate' });
+    }
     try {
+      const [settingsRows] = await pool.query('SELECT * FROM company_settings WHERE id = 1');
+      const home = companyState(settingsRows[0]);
+      const supplierState = stateFromGstin(gstin);
+      const tax = computeLine({ quantity: 1, rate: amount }, rate, isInterState(home?.code, supplierState?.code));
       const [result] = await pool.query(
-        'INSERT INTO expenses (description, amount, category, date) VALUES (?, ?, ?, ?)',
-        [description, amount, category || null, date || new Date()]
+        `INSERT INTO expenses (description, amount, category, supplier_gstin, gst_rate, cgst, sgst, igst, itc_eligible, date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [description, amount, category || null, gstin || null, rate, tax.cgst, tax.sgst, tax.igst, itc_eligible ? 1 : 0, date || new Date()]
       );
       return res.status(201).json({ id: result.insertId });
     } catch (err) {
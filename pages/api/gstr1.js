@@ -0,0 +1,51 @@
+import { getPool } from '../../lib/db';
+import { buildGstr1, returnPeriod } from '../../lib/gstr1';
+import { parseItems } from '../../lib/invoices';
+
+/**
+ * GSTR-1 API route. GET with `month` (YYYY-MM, defaulting to the current
+ * month) classifies that month's sales invoices and credit notes into the
+ * tables of GSTR-1. Returns { period, json, sections, totals, warnings }
+ * where `json` is the file for the GST offline tool and `sections` holds the
+ * rows shown on screen and exported to Excel. Cancelled invoices are left
+ * out.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  let { month } = req.query || {};
+  if (!month) {
+    const now = new Date();
+    month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+  const period = returnPeriod(month);
+  if (!period) {
+    return res.status(400).json({ error: 'Month must be in the form YYYY-MM' });
+  }
+  const pool = getPool();
+  try {
+    const [settingsRows] = await pool.query('SELECT * FROM company_settings WHERE id = 1');
+    const [sales] = await pool.query(
+      "SELECT * FROM sales WHERE status <> 'cancelled' AND date BETWEEN ? AND ? ORDER BY date, id",
+      [period.from, period.to]
+    );
+    const [notes] = await pool.query(
+      `SELECT c.*, s.invoice_number, s.date AS invoice_date, s.customer_gstin, s.supply_state_code, s.grand_total AS invoice_value
+       FROM credit_notes c JOIN sales s ON s.id = c.sale_id
+       WHERE c.date BETWEEN ? AND ? ORDER BY c.date, c.id`,
+      [period.from, period.to]
+    );
+    const result = buildGstr1({
+      sales: sales.map(row => ({ ...row, items: parseItems(row.items) })),
+      creditNotes: notes.map(row => ({ ...row, items: parseItems(row.items) })),
+      settings: settingsRows[0],
+      period,
+    });
+    return res.status(200).json({ period, ...result });
+  } catch (err) {
+    console.error('GSTR-1 GET error', err);
+    return res.status(500).json({ error: 'Failed to build GSTR-1' });
+  }
+}
@@ -0,0 +1,41 @@
+import { getPool } from '../../lib/db';
+import { returnPeriod } from '../../lib/gstr1';
+import { reconcile } from '../../lib/gstr2b';
+
+/**
+ * GSTR-2B reconciliation API route. POST { month, docs } where docs are the
+ * supplier invoices read from the GSTR-2B statement of that month (see
+ * lib/gstr2b). Each is matched against the purchase bills of the same vendor
+ * GSTIN and bill number, whatever their date; bills dated in the month that
+ * are not in the statement are listed as missing in 2B. Returns { period,
+ * matched, mismatched, missingInBooks, missingIn2b }.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  const { month, docs } = req.body || {};
+  const period = returnPeriod(month);
+  if (!period) {
+    return res.status(400).json({ error: 'Month must be in the form YYYY-MM' });
+  }
+  if (!Array.isArray(docs)) {
+    return res.status(400).json({ error: 'Import the GSTR-2B file first' });
+  }
+  const pool = getPool();
+  try {
+    const gstins = [...new Set(docs.map(doc => String(doc.gstin || '').toUpperCase()).filter(Boolean))];
+    const [bills] = await pool.query(
+      `SELECT b.*, v.gstin, b.bill_date BETWEEN ? AND ? AS in_period FROM purchase_bills b LEFT JOIN vendors v ON v.id = b.vendor_id
+       WHERE b.bill_date BETWEEN ? AND ?${gstins.length ? ' OR v.gstin IN (?)' : ''}
+       ORDER BY b.bill_date, b.id`,
+      gstins.length ? [period.from, period.to, period.from, period.to, gstins] : [period.from, period.to, period.from, period.to]
+    );
+    const periodBills = new Set(bills.filter(bill => bill.in_period).map(bill => bill.id));
+    return res.status(200).json({ period, ...reconcile(docs, bills, periodBills) });
+  } catch (err) {
+    console.error('GSTR-2B POST error', err);
+    return res.status(500).json({ error: 'Failed to reconcile GSTR-2B' });
+  }
+}
@@ -0,0 +1,61 @@
+import { getPool } from '../../lib/db';
+import { returnPeriod } from '../../lib/gstr1';
+import { buildGstr3b } from '../../lib/gstr3b';
+import { parseItems } from '../../lib/invoices';
+
+/**
+ * GSTR-3B API route. GET with `month` (YYYY-MM, defaulting to the current
+ * month) summarises that month's outward supplies (sales invoices net of
+ * credit notes), input tax credit (purchase bills of vendors with a valid
+ * GSTIN and expense bills, less debit notes) and the tax payable in cash per
+ * head after setting off the credit. Returns { period, ...summary } where
+ * `json` is the file for the GSTR-3B offline utility.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  let { month } = req.query || {};
+  if (!month) {
+    const now = new Date();
+    month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+  const period = returnPeriod(month);
+  if (!period) {
+    return res.status(400).json({ error: 'Month must be in the form YYYY-MM' });
+  }
+  const pool = getPool();
+  const range = [period.from, period.to];
+  try {
+    const [settingsRows] = await pool.query('SELECT * FROM company_settings WHERE id = 1');
+    const [sales] = await pool.query("SELECT * FROM sales WHERE status <> 'cancelled' AND date BETWEEN ? AND ?", range);
+    const [notes] = await pool.query(
+      `SELECT c.*, s.customer_gstin, s.supply_state_code
+       FROM credit_notes c JOIN sales s ON s.id = c.sale_id WHERE c.date BETWEEN ? AND ?`,
+      range
+    );
+    const [purchases] = await pool.query(
+      'SELECT p.*, v.gstin AS vendor_gstin FROM purchases p LEFT JOIN vendors v ON v.id = p.vendor_id WHERE p.date BETWEEN ? AND ?',
+      range
+    );
+    const [debitNotes] = await pool.query(
+      'SELECT d.*, v.gstin AS vendor_gstin FROM debit_notes d LEFT JOIN vendors v ON v.id = d.vendor_id WHERE d.date BETWEEN ? AND ?',
+      range
+    );
+    const [expenses] = await pool.query('SELECT * FROM expenses WHERE date BETWEEN ? AND ?', range);
+    const summary = buildGstr3b({
+      sales: sales.map(row => ({ ...row, items: parseItems(row.items) })),
+      creditNotes: notes.map(row => ({ ...row, items: parseItems(row.items) })),
+      purchases,
+      debitNotes,
+      expenses,
+      settings: settingsRows[0],
+      period,
+    });
+    return res.status(200).json({ period, company: settingsRows[0]?.company_name || '', ...summary });
+  } catch (err) {
+    console.error('GSTR-3B GET error', err);
+    return res.status(500).json({ error: 'Failed to build GSTR-3B' });
+  }
+}
@@ -0,0 +1,51 @@
+import { getPool } from '../../lib/db';
+
+/**
+ * HSN rates API route. GET lists the configured HSN/SAC codes with their GST
+ * rates, POST adds or updates a code and DELETE removes the code given in the
+ * `hsn_sac` query parameter.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  if (req.method === 'GET') {
+    try {
+      const [rows] = await pool.query('SELECT * FROM hsn_rates ORDER BY hsn_sac');
+      return res.status(200).json({ rates: rows });
+    } catch (err) {
+      console.error('HSN rates GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch HSN rates' });
+    }
+  } else if (req.method === 'POST') {
+    const { hsn_sac, description, gst_rate } = req.body || {};
+    const code = String(hsn_sac || '').trim();
+    const rate = parseFloat(gst_rate);
+    if (!code || isNaN(rate) || rate < 0) {
+      return res.status(400).json({ error: 'HSN/SAC code and a valid GST rate are required' });
+    }
+    try {
+      await pool.query(
+        'INSERT INTO hsn_rates (hsn_sac, description, gst_rate) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE description = VALUES(description), gst_rate = VALUES(gst_rate)',
+        [code, description || null, rate]
+      );
+      return res.status(200).json({ message: 'HSN rate saved' });
+    } catch (err) {
+      console.error('HSN rates POST error', err);
+      return res.status(500).json({ error: 'Failed to save HSN rate' });
+    }
+  } else if (req.method === 'DELETE') {
+    const { hsn_sac } = req.query || {};
+    if (!hsn_sac) {
+      return res.status(400).json({ error: 'HSN/SAC code is required' });
+    }
+    try {
+      await pool.query('DELETE FROM hsn_rates WHERE hsn_sac = ?', [hsn_sac]);
+      return res.status(200).json({ message: 'HSN rate removed' });
+    } catch (err) {
+      console.error('HSN rates DELETE error', err);
+      return res.status(500).json({ error: 'Failed to remove HSN rate' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,81 @@
+import { getPool } from '../../lib/db';
+import { round2 } from '../../lib/gst';
+import { parseItems } from '../../lib/invoices';
+
+/**
+ * HSN summary API route. Accepts `from` and `to` dates (defaulting to the
+ * current month) and groups the lines of sales invoices and purchase bills
+ * in the range by HSN/SAC code and GST rate, with the quantity, taxable value
+ * and each tax component. Sales are net of credit notes and purchases net of
+ * debit notes dated in the range; cancelled invoices are left out. Returns
+ * { from, to, sales, purchases }.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  const pool = getPool();
+  const { from, to } = req.query || {};
+  let fromDate, toDate;
+  if (from && to) {
+    fromDate = new Date(from);
+    toDate = new Date(to);
+  } else {
+    const now = new Date();
+    fromDate = new Date(now.getFullYear(), now.getMonth(), 1);
+    toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  }
+  try {
+    const range = [fromDate.toISOString().split('T')[0], toDate.toISOString().split('T')[0]];
+    const [sales] = await pool.query("SELECT items FROM sales WHERE status <> 'cancelled' AND date BETWEEN ? AND ?", range);
+    const [creditNotes] = await pool.query('SELECT items FROM credit_notes WHERE date BETWEEN ? AND ?', range);
+    const [purchases] = await pool.query(
+      'SELECT p.*, i.item_name FROM purchases p LEFT JOIN inventory i ON i.id = p.item_id WHERE p.date BETWEEN ? AND ?',
+      range
+    );
+    const [debitNotes] = await pool.query('SELECT items FROM debit_notes WHERE date BETWEEN ? AND ?', range);
+
+    const salesGroups = {};
+    sales.forEach(sale => addLines(salesGroups, parseItems(sale.items), 1));
+    creditNotes.forEach(note => addLines(salesGroups, parseItems(note.items), -1));
+    const purchaseGroups = {};
+    // Purchase lines store the rate and tax but not the taxable value
+    addLines(purchaseGroups, purchases.map(line => ({
+      ...line,
+      description: line.item_name,
+      taxable_value: (parseFloat(line.quantity) || 0) * (parseFloat(line.rate) || 0),
+    })), 1);
+    debitNotes.forEach(note => addLines(purchaseGroups, parseItems(note.items), -1));
+
+    return res.status(200).json({ from: range[0], to: range[1], sales: sortGroups(salesGroups), purchases: sortGroups(purchaseGroups) });
+  } catch (err) {
+    console.error('HSN summary GET error', err);
+    return res.status(500).json({ error: 'Failed to build the HSN summary' });
+  }
+}
+
+// Adds lines into groups keyed by HSN/SAC and rate; `sign` is -1 for notes.
+function addLines(groups, lines, sign) {
+  lines.forEach(line => {
+    const hsn = String(line.hsn_sac || '').trim();
+    const rate = parseFloat(line.gst_rate) || 0;
+    const key = `${hsn}|${rate}`;
+    if (!groups[key]) {
+      groups[key] = { hsn_sac: hsn, gst_rate: rate, description: '', quantity: 0, taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total_tax: 0, total_value: 0 };
+    }
+    const g = groups[key];
+    if (!g.description) g.description = line.description || line.item_name || '';
+    g.quantity = round2(g.quantity + sign * (parseFloat(line.quantity) || 0));
+    g.taxable_value = round2(g.taxable_value + sign * (parseFloat(line.taxable_value) || 0));
+    g.cgst = round2(g.cgst + sign * (parseFloat(line.cgst) || 0));
+    g.sgst = round2(g.sgst + sign * (parseFloat(line.sgst) || 0));
+    g.igst = round2(g.igst + sign * (parseFloat(line.igst) || 0));
+    g.total_tax = round2(g.cgst + g.sgst + g.igst);
+    g.total_value = round2(g.taxable_value + g.total_tax);
+  });
+}
+
+function sortGroups(groups) {
+  return Object.values(groups).sort((a, b) => a.hsn_sac.localeCompare(b.hsn_sac) || a.gst_rate - b.gst_rate);
+}
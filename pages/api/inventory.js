@@ -1,40 +1,193 @@
 import { getPool } from '../../lib/db';
+import { moveStock } from '../../lib/stock';
+import { reservedQuantities } from '../../lib/sales';
 
 /**
  * Inventory API route. Supports GET to list all inventory items and POST to
  * create a new item. Each item includes a category and optional specs which
- * are stored as JSON strings.
+ * are stored as JSON strings. The quantity of a new item is recorded as its
+ * opening stock in the stock ledger. Items may carry a minimum level, a
+ * reorder quantity and a preferred vendor for reorder suggestions; GET
+ * includes the preferred vendor's name, the quantity reserved by pending sales
+ * orders and the quantity available (on hand less reserved).
+ *
+ * PUT replaces the details (name, category, HSN/SAC, rate, GST rate, specs and
+ * reorder settings) of the item given by `id`, PATCH changes only the fields
+ * sent, including `active` to deactivate or reactivate it. The quantity
+ * cannot be edited here; stock only changes through documents and
+ * adjustments so the ledger stays complete. DELETE removes an item unless
+ * purchases, invoices, sales orders, delivery challans, purchase orders or
+ * stock ledger entries (opening stock, adjustments, stock takes) reference
+ * it; such items can be deactivated instead, which hides them from the
+ * invoice and purchase forms but keeps their history.
  */
 export default async function handler(req, res) {
   const pool = getPool();
+  const { id } = req.query || {};
   if (req.method === 'GET') {
     try {
-      const [rows] = await pool.query('SELECT * FROM inventory');
+      const [rows] = await pool.query('SELECT i.*, v.name AS preferred_vendor_name FROM inventory i LEFT JOIN vendors v ON v.id = i.preferred_vendor_id');
+      const reserved = await reservedQuantities(pool);
       // parse specs JSON for client consumption
-      const items = rows.map(row => ({ ...row, specs: row.specs ? JSON.parse(row.specs) : {} }));
+      const items = rows.map(row => ({
+        ...row,
+        specs: row.specs ? JSON.parse(row.specs) : {},
+        reserved: reserved[row.id] || 0,
+        available: (parseFloat(row.quantity) || 0) - (reserved[row.id] || 0),
+      }));
       return res.status(200).json({ items });
     } catch (err) {
       console.error('Inventory GET error', err);
       return res.status(500).json({ error: 'Failed to fetch inventory' });
     }
   } else if (req.method === 'POST') {
-    const { item_name, category, hsn_sac, quantity, rate, specs } = req.body || {};
+    const { item_name, category, hsn_sac, quantity, rate, gst_rate, specs } = req.body || {};
     if (!item_name || !category || !quantity || !rate) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    const reorder = reorderValues(req.body, false);
+    if (reorder.error) {
+      return res.status(400).json({ error: reorder.error });
+    }
+    const conn = await pool.getConnection();
     try {
+      await conn.beginTransaction();
       const jsonSpecs = specs ? JSON.stringify(specs) : null;
-      const [result] = await pool.query(
-        'INSERT INTO inventory (item_name, category, hsn_sac, quantity, rate, specs) VALUES (?, ?, ?, ?, ?, ?)',
-        [item_name, category, hsn_sac || null, quantity, rate, jsonSpecs]
+      // The item starts at zero and receives its quantity as opening stock
+      const [result] = await conn.query(
+        'INSERT INTO inventory (item_name, category, hsn_sac, quantity, rate, gst_rate, specs, min_level, reorder_qty, preferred_vendor_id) VALUES (?, ?, ?, 0, ?, ?, ?, ?, ?, ?)',
+        [item_name, category, hsn_sac || null, rate, gst_rate === '' || gst_rate === undefined ? null : gst_rate, jsonSpecs, reorder.values.min_level, reorder.values.reorder_qty, reorder.values.preferred_vendor_id]
       );
+      await moveStock(conn, { item_id: result.insertId, quantity, movement_type: 'opening' });
+      await conn.commit();
       return res.status(201).json({ id: result.insertId });
     } catch (err) {
+      await conn.rollback();
       console.error('Inventory POST error', err);
       return res.status(500).json({ error: 'Failed to create inventory item' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'PUT' || req.method === 'PATCH') {
+    if (!id) {
+      return res.status(400).json({ error: 'Item id is required' });
+    }
+    const { values, error } = itemValues(req.body || {}, req.method === 'PATCH');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    try {
+      const [result] = await pool.query(
+        `UPDATE inventory SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(f => values[f]), id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      return res.status(200).json({ message: 'Item updated' });
+    } catch (err) {
+      console.error(`Inventory ${req.method} error`, err);
+      return res.status(500).json({ error: 'Failed to update inventory item' });
+    }
+  } else if (req.method === 'DELETE') {
+    if (!id) {
+      return res.status(400).json({ error: 'Item id is required' });
+    }
+    try {
+      const [[purchases]] = await pool.query('SELECT COUNT(*) AS count FROM purchases WHERE item_id = ?', [id]);
+      const [[sales]] = await pool.query('SELECT COUNT(*) AS count FROM sales WHERE JSON_CONTAINS(items, JSON_OBJECT(\'item_id\', ?))', [parseInt(id)]);
+      if (purchases.count > 0 || sales.count > 0) {
+        return res.status(409).json({ error: 'Item has purchases or invoices and cannot be deleted; deactivate it instead' });
+      }
+      // Order and challan lines would lose their item, dropping reservations,
+      // goods out on challan and quantities still to be received
+      const [[orders]] = await pool.query(
+        `SELECT (SELECT COUNT(*) FROM sales_order_lines WHERE item_id = ?)
+           + (SELECT COUNT(*) FROM delivery_challan_lines WHERE item_id = ?)
+           + (SELECT COUNT(*) FROM purchase_order_lines WHERE item_id = ?) AS count`,
+        [id, id, id]
+      );
+      if (orders.count > 0) {
+        return res.status(409).json({ error: 'Item is on sales orders, delivery challans or purchase orders and cannot be deleted; deactivate it instead' });
+      }
+      // Ledger rows cascade with the item, so deleting it would erase its stock history
+      const [[ledger]] = await pool.query(
+        `SELECT (SELECT COUNT(*) FROM stock_movements WHERE item_id = ?)
+           + (SELECT COUNT(*) FROM stock_take_lines WHERE item_id = ?) AS count`,
+        [id, id]
+      );
+      if (ledger.count > 0) {
+        return res.status(409).json({ error: 'Item has stock ledger entries and cannot be deleted; deactivate it instead' });
+      }
+      const [result] = await pool.query('DELETE FROM inventory WHERE id = ?', [id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      return res.status(200).json({ message: 'Item deleted' });
+    } catch (err) {
+      console.error('Inventory DELETE error', err);
+      return res.status(500).json({ error: 'Failed to delete inventory item' });
     }
   } else {
-    res.setHeader('Allow', ['GET', 'POST']);
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
     return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
   }
-}
\ No newline at end of file
+}
+
+// Validates the editable fields of an item and maps them to column values.
+// With `partial` only the fields present in the body are returned.
+function itemValues(body, partial) {
+  const values = {};
+  const has = key => !partial || body[key] !== undefined;
+  if (has('item_name')) {
+    const name = String(body.item_name || '').trim();
+    if (!name) return { error: 'Item name is required' };
+    values.item_name = name;
+  }
+  if (has('category')) {
+    if (!body.category) return { error: 'Category is required' };
+    values.category = body.category;
+  }
+  if (has('hsn_sac')) {
+    values.hsn_sac = body.hsn_sac || null;
+  }
+  if (has('rate')) {
+    const rate = parseFloat(body.rate);
+    if (!(rate >= 0)) return { error: 'Rate is required' };
+    values.rate = rate;
+  }
+  if (has('gst_rate')) {
+    const gstRate = body.gst_rate === '' || body.gst_rate === null || body.gst_rate === undefined ? null : parseFloat(body.gst_rate);
+    if (gstRate !== null && !(gstRate >= 0)) return { error: 'Invalid GST rate' };
+    values.gst_rate = gstRate;
+  }
+  if (has('specs')) {
+    values.specs = body.specs ? JSON.stringify(body.specs) : null;
+  }
+  if (body.active !== undefined) {
+    values.active = body.active ? 1 : 0;
+  }
+  const reorder = reorderValues(body, partial);
+  if (reorder.error) return reorder;
+  return { values: { ...values, ...reorder.values } };
+}
+
+// Validates the reorder settings of an item; blank values clear them.
+function reorderValues(body, partial) {
+  const values = {};
+  const optional = value => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+  for (const field of ['min_level', 'reorder_qty']) {
+    if (partial && body[field] === undefined) continue;
+    const value = optional(body[field]);
+    if (value !== null && !(value >= 0)) return { error: `Invalid ${field === 'min_level' ? 'minimum level' : 'reorder quantity'}` };
+    values[field] = value;
+  }
+  if (!partial || body.preferred_vendor_id !== undefined) {
+    values.preferred_vendor_id = body.preferred_vendor_id ? parseInt(body.preferred_vendor_id) : null;
+  }
+  return { values };
+}
@@ -0,0 +1,69 @@
+import { createHash, createHmac } from 'crypto';
+import { financialYear } from '../../lib/sequences';
+
+/**
+ * Mock Invoice Registration Portal for testing e-invoicing without IRP
+ * credentials. POST an e-invoice payload (as built by /api/einvoice) and it
+ * answers like the IRP: { Status, Data: { AckNo, AckDt, Irn, SignedInvoice,
+ * SignedQRCode, Status } }, or { Status: 0, ErrorDetails } when required
+ * fields are missing. The IRN is derived the way the IRP does, from the
+ * seller GSTIN, financial year, document type and number, but the QR code is
+ * signed with a test key, so nothing it returns is valid with the GST
+ * department.
+ */
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  const payload = req.body || {};
+  const doc = payload.DocDtls || {};
+  const seller = payload.SellerDtls || {};
+  const buyer = payload.BuyerDtls || {};
+  const items = payload.ItemList || [];
+  const missing = [];
+  if (!payload.Version) missing.push('Version');
+  if (!doc.No || !doc.Dt || !doc.Typ) missing.push('DocDtls');
+  if (!seller.Gstin) missing.push('SellerDtls.Gstin');
+  if (!buyer.Gstin) missing.push('BuyerDtls.Gstin');
+  if (items.length === 0) missing.push('ItemList');
+  if (!payload.ValDtls) missing.push('ValDtls');
+  if (missing.length > 0) {
+    return res.status(400).json({ Status: 0, ErrorDetails: missing.map(field => ({ ErrorCode: '2150', ErrorMessage: `${field} is required` })) });
+  }
+  const [day, month, year] = doc.Dt.split('/').map(Number);
+  const docDate = new Date(year, month - 1, day);
+  const irn = createHash('sha256').update(`${seller.Gstin}${financialYear(docDate)}${doc.Typ}${doc.No}`.toUpperCase()).digest('hex');
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  const ackDate = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+  const ackNo = String(now.getTime()).padStart(15, '1');
+  const qrData = {
+    SellerGstin: seller.Gstin,
+    BuyerGstin: buyer.Gstin,
+    DocNo: doc.No,
+    DocTyp: doc.Typ,
+    DocDt: doc.Dt,
+    TotInvVal: payload.ValDtls.TotInvVal,
+    ItemCnt: items.length,
+    MainHsnCode: items[0].HsnCd,
+    Irn: irn,
+    IrnDt: ackDate,
+  };
+  const data = {
+    AckNo: ackNo,
+    AckDt: ackDate,
+    Irn: irn,
+    SignedInvoice: mockJwt({ data: JSON.stringify(payload) }),
+    SignedQRCode: mockJwt({ data: JSON.stringify(qrData) }),
+    Status: 'ACT',
+  };
+  return res.status(200).json({ Status: 1, Data: data });
+}
+
+// A JWT shaped like the IRP's, signed with a test key instead of the NIC key.
+function mockJwt(body) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', kid: 'MOCK-IRP', typ: 'JWT' })}.${encode({ ...body, iss: 'Mock IRP' })}`;
+  return `${unsigned}.${createHmac('sha256', 'mock-irp').update(unsigned).digest('base64url')}`;
+}
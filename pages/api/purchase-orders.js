@@ -0,0 +1,235 @@
+import { getPool } from '../../lib/db';
+import { postPurchaseBill, resolveSupplier } from '../../lib/purchases';
+import { nextDocumentNumber } from '../../lib/sequences';
+
+/**
+ * Purchase orders API route. GET lists purchase orders with their ordered and
+ * received quantities (optionally filtered by `status`), or with `id` returns
+ * one order with its lines and the goods receipts recorded against it. POST
+ * places an order: { vendor_id, order_date, expected_date, notes, items }
+ * where items are { item_id, quantity, rate } at the expected rate. Orders are
+ * numbered from the `purchase_order` document series and do not change stock.
+ *
+ * POST with `action=receive` records a goods receipt against the order given
+ * by `id`: { bill_number, bill_date, supplier_state, items } where items are
+ * { line_id, quantity, rate } for the order lines received, at the rate on the
+ * supplier's bill. Full or partial quantities may be received, up to what is
+ * still outstanding on each line. The receipt is posted as a purchase bill, so
+ * stock increases only now, and lines billed at a different rate from the
+ * order are returned as `rateDifferences`. POST with `action=cancel` cancels
+ * an order with nothing received, or short-closes a partly received one.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, status } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Purchase order not found' });
+        }
+        const [lines] = await pool.query(orderLinesSql, [id]);
+        const [bills] = await pool.query('SELECT * FROM purchase_bills WHERE po_id = ? ORDER BY bill_date, id', [id]);
+        let billLines = [];
+        if (bills.length > 0) {
+          [billLines] = await pool.query(
+            'SELECT p.*, i.item_name, l.rate AS ordered_rate FROM purchases p LEFT JOIN inventory i ON i.id = p.item_id LEFT JOIN purchase_order_lines l ON l.id = p.po_line_id WHERE p.bill_id IN (?) ORDER BY p.id',
+            [bills.map(b => b.id)]
+          );
+        }
+        const receipts = bills.map(bill => ({
+          ...bill,
+          items: billLines.filter(line => line.bill_id === bill.id).map(line => ({ ...line, rate_difference: rateDifference(line.rate, line.ordered_rate) })),
+        }));
+        return res.status(200).json({ order: rows[0], lines: lines.map(withOutstanding), receipts });
+      }
+      let sql = `SELECT o.*, COUNT(l.id) AS line_count, IFNULL(SUM(l.quantity), 0) AS ordered_quantity, IFNULL(SUM(l.received_quantity), 0) AS received_quantity
+        FROM purchase_orders o LEFT JOIN purchase_order_lines l ON l.po_id = o.id`;
+      const params = [];
+      if (status) {
+        sql += ' WHERE o.status = ?';
+        params.push(status);
+      }
+      const [rows] = await pool.query(sql + ' GROUP BY o.id ORDER BY o.order_date DESC, o.id DESC', params);
+      return res.status(200).json({ orders: rows });
+    } catch (err) {
+      console.error('Purchase orders GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch purchase orders' });
+    }
+  } else if (req.method === 'POST' && action === 'receive') {
+    if (!id) {
+      return res.status(400).json({ error: 'Purchase order id is required' });
+    }
+    const { bill_number, bill_date, supplier_state, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the order and its lines so two receipts cannot both pass the
+        // outstanding quantity check
+        const [rows] = await conn.query('SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: 'Purchase order not found' });
+        }
+        const order = rows[0];
+        if (order.status !== 'open' && order.status !== 'partial') {
+          await conn.rollback();
+          return res.status(409).json({ error: `Purchase order is ${order.status}` });
+        }
+        const [lines] = await conn.query(orderLinesSql + ' FOR UPDATE', [order.id]);
+        const receipt = receiptLines(lines, items);
+        if (receipt.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: receipt.error });
+        }
+        const { vendor, supplierState, interState, error } = await resolveSupplier(conn, { vendor_id: order.vendor_id, supplier_state });
+        if (error) {
+          await conn.rollback();
+          return res.status(400).json({ error });
+        }
+        const bill = await postPurchaseBill(conn, { vendor, bill_number, bill_date, supplierState, interState, items: receipt.lines, po_id: order.id });
+        for (const line of receipt.lines) {
+          await conn.query('UPDATE purchase_order_lines SET received_quantity = received_quantity + ? WHERE id = ?', [line.quantity, line.po_line_id]);
+        }
+        const [[pending]] = await conn.query('SELECT COUNT(*) AS count FROM purchase_order_lines WHERE po_id = ? AND received_quantity < quantity', [order.id]);
+        const newStatus = pending.count > 0 ? 'partial' : 'received';
+        await conn.query('UPDATE purchase_orders SET status = ? WHERE id = ?', [newStatus, order.id]);
+        await conn.commit();
+        const rateDifferences = receipt.lines.filter(line => line.rate_difference !== 0);
+        return res.status(201).json({ id: bill.id, status: newStatus, grand_total: bill.invoice.totals.grand, rateDifferences });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Purchase orders receive transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'This bill number is already recorded for the vendor' });
+        }
+        return res.status(500).json({ error: 'Failed to record goods receipt' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Purchase orders receive error', err);
+      return res.status(500).json({ error: 'Failed to record goods receipt' });
+    }
+  } else if (req.method === 'POST' && action === 'cancel') {
+    if (!id) {
+      return res.status(400).json({ error: 'Purchase order id is required' });
+    }
+    try {
+      const [rows] = await pool.query('SELECT status FROM purchase_orders WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Purchase order not found' });
+      }
+      if (rows[0].status !== 'open' && rows[0].status !== 'partial') {
+        return res.status(409).json({ error: `Purchase order is ${rows[0].status}` });
+      }
+      const newStatus = rows[0].status === 'open' ? 'cancelled' : 'closed';
+      await pool.query('UPDATE purchase_orders SET status = ? WHERE id = ?', [newStatus, id]);
+      return res.status(200).json({ message: newStatus === 'cancelled' ? 'Purchase order cancelled' : 'Purchase order closed', status: newStatus });
+    } catch (err) {
+      console.error('Purchase orders cancel error', err);
+      return res.status(500).json({ error: 'Failed to cancel purchase order' });
+    }
+  } else if (req.method === 'POST') {
+    const { vendor_id, order_date, expected_date, notes, items } = req.body || {};
+    if (!vendor_id) {
+      return res.status(400).json({ error: 'Vendor is required' });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    if (items.some(item => !item.item_id || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each line needs an item, quantity and rate' });
+    }
+    try {
+      const [vendors] = await pool.query('SELECT id, name FROM vendors WHERE id = ?', [vendor_id]);
+      if (vendors.length === 0) {
+        return res.status(400).json({ error: 'Unknown vendor' });
+      }
+      const vendor = vendors[0];
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const date = order_date ? new Date(order_date) : new Date();
+        const poNumber = await nextDocumentNumber(conn, 'purchase_order', date);
+        const total = items.reduce((sum, item) => sum + parseFloat(item.quantity) * parseFloat(item.rate), 0);
+        const [result] = await conn.query(
+          'INSERT INTO purchase_orders (po_number, vendor_id, vendor_name, order_date, expected_date, notes, total) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [poNumber, vendor.id, vendor.name, date, expected_date || null, notes || null, Math.round(total * 100) / 100]
+        );
+        await conn.query(
+          'INSERT INTO purchase_order_lines (po_id, item_id, quantity, rate) VALUES ?',
+          [items.map(item => [result.insertId, parseInt(item.item_id), parseFloat(item.quantity), parseFloat(item.rate)])]
+        );
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, po_number: poNumber });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Purchase orders POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Purchase order number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to create purchase order' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Purchase orders POST error', err);
+      return res.status(500).json({ error: 'Failed to create purchase order' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+const orderLinesSql = 'SELECT l.*, i.item_name, i.hsn_sac FROM purchase_order_lines l LEFT JOIN inventory i ON i.id = l.item_id WHERE l.po_id = ? ORDER BY l.id';
+
+function withOutstanding(line) {
+  return { ...line, outstanding: (parseFloat(line.quantity) || 0) - (parseFloat(line.received_quantity) || 0) };
+}
+
+// Billed rate minus ordered rate, rounded to paise.
+function rateDifference(rate, orderedRate) {
+  if (orderedRate === null || orderedRate === undefined) return 0;
+  return Math.round(((parseFloat(rate) || 0) - parseFloat(orderedRate)) * 100) / 100;
+}
+
+// Checks the received quantities against what is outstanding on the order
+// and maps them to purchase bill lines. The rate defaults to the order rate.
+function receiptLines(orderLines, items) {
+  const byId = {};
+  orderLines.forEach(line => { byId[line.id] = withOutstanding(line); });
+  const lines = [];
+  const receiving = {};
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity) || 0;
+    if (quantity === 0) continue;
+    const line = byId[parseInt(item.line_id)];
+    if (!line) return { error: 'Line is not on this purchase order' };
+    if (quantity < 0) return { error: `Invalid quantity for ${line.item_name}` };
+    receiving[line.id] = (receiving[line.id] || 0) + quantity;
+    if (receiving[line.id] > line.outstanding + 0.0001) {
+      return { error: `Only ${line.outstanding} of ${line.item_name} is still to be received` };
+    }
+    const rate = item.rate === undefined || item.rate === '' ? parseFloat(line.rate) : parseFloat(item.rate);
+    if (!(rate >= 0)) return { error: `Invalid rate for ${line.item_name}` };
+    lines.push({
+      item_id: line.item_id,
+      hsn_sac: line.hsn_sac,
+      quantity,
+      rate,
+      po_line_id: line.id,
+      item_name: line.item_name,
+      ordered_rate: parseFloat(line.rate),
+      rate_difference: rateDifference(rate, line.rate),
+    });
+  }
+  if (lines.length === 0) return { error: 'Enter the quantity received for at least one line' };
+  return { lines };
+}
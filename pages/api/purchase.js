@@ -1,40 +1,65 @@
 import { getPool } from '../../lib/db';
+import { postPurchaseBill, resolveSupplier } from '../../lib/purchases';
 
 /**
- * Purchase API route. GET lists all purchases, POST creates a new purchase and
- * updates inventory quantities accordingly. Input expects item_id and
- * quantity along with optional rate and tax fields.
+ * Purchase API route. GET lists supplier bills, each with its `items` (the
+ * purchase lines); bills received against a purchase order carry its
+ * po_number and each of their lines the ordered_rate. POST records a bill
+ * with any number of lines in one transaction and increases inventory for
+ * every line. Input expects the vendor_id of a vendor from the vendor master
+ * (its name is snapshotted onto the bill), bill_number, bill_date, the
+ * supplier's state (defaults to the vendor's state) and an items array of
+ * { item_id, quantity, rate }. GST is computed per line from the item or HSN
+ * rate and charged as IGST when the supplier is in a different state from the
+ * company, otherwise as CGST+SGST.
  */
 export default async function handler(req, res) {
   const pool = getPool();
   if (req.method === 'GET') {
     try {
-      const [rows] = await pool.query('SELECT * FROM purchases ORDER BY date DESC');
-      return res.status(200).json({ purchases: rows });
+      const [bills] = await pool.query('SELECT b.*, o.po_number FROM purchase_bills b LEFT JOIN purchase_orders o ON o.id = b.po_id ORDER BY b.bill_date DESC, b.id DESC');
+      let lines = [];
+      if (bills.length > 0) {
+        [lines] = await pool.query(
+          'SELECT p.*, i.item_name, l.rate AS ordered_rate FROM purchases p LEFT JOIN inventory i ON i.id = p.item_id LEFT JOIN purchase_order_lines l ON l.id = p.po_line_id WHERE p.bill_id IN (?) ORDER BY p.id',
+          [bills.map(b => b.id)]
+        );
+      }
+      const result = bills.map(bill => ({ ...bill, items: lines.filter(line => line.bill_id === bill.id) }));
+      return res.status(200).json({ bills: result });
     } catch (err) {
       console.error('Purchase GET error', err);
       return res.status(500).json({ error: 'Failed to fetch purchases' });
     }
   } else if (req.method === 'POST') {
-    const { item_id, quantity, rate, date, vendor_name, invoice_number, cgst, sgst, igst } = req.body || {};
-    if (!item_id || !quantity || !rate) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { vendor_id, vendor_name, bill_number, bill_date, supplier_state, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    if (items.some(item => !item.item_id || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each line needs an item, quantity and rate' });
+    }
+    if (!vendor_id && vendor_name) {
+      return res.status(400).json({ error: 'Select the vendor from the vendor master' });
     }
     try {
+      const { vendor, supplierState, interState, error } = await resolveSupplier(pool, { vendor_id, supplier_state });
+      if (error) {
+        return res.status(400).json({ error });
+      }
       // Start a transaction
       const conn = await pool.getConnection();
       try {
         await conn.beginTransaction();
-        const purchaseInsert = 'INSERT INTO purchases (item_id, quantity, rate, date, vendor_name, invoice_number, cgst, sgst, igst) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)';
-        const purchaseResult = await conn.query(purchaseInsert, [item_id, quantity, rate, date || new Date(), vendor_name || null, invoice_number || null, cgst || 0, sgst || 0, igst || 0]);
-        // Update inventory quantity
-        const updateInv = 'UPDATE inventory SET quantity = quantity + ? WHERE id = ?';
-        await conn.query(updateInv, [quantity, item_id]);
+        const bill = await postPurchaseBill(conn, { vendor, bill_number, bill_date, supplierState, interState, items });
         await conn.commit();
-        return res.status(201).json({ id: purchaseResult[0].insertId });
+        return res.status(201).json({ id: bill.id, grand_total: bill.invoice.totals.grand });
       } catch (error) {
         await conn.rollback();
         console.error('Purchase POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'This bill number is already recorded for the vendor' });
+        }
         return res.status(500).json({ error: 'Failed to record purchase' });
       } finally {
         conn.release();
@@ -47,4 +72,4 @@ export default async function handler(req, res) {
     res.setHeader('Allow', ['GET', 'POST']);
     return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,190 @@
+import { getPool } from '../../lib/db';
+import { priceInvoice, parseItems } from '../../lib/invoices';
+import { resolveCustomer, postSale } from '../../lib/sales';
+import { nextDocumentNumber } from '../../lib/sequences';
+
+// Document types handled here; each has its own numbering series
+const QUOTE_TYPES = ['quotation', 'proforma'];
+
+/**
+ * Quotations API route, for quotations and proforma invoices. GET lists them
+ * (optionally filtered by `status` and `doc_type`), or returns the one given by
+ * `id` with its items and the number of the invoice it was converted into.
+ * POST creates one with the same customer and items payload as a sales
+ * invoice plus `doc_type` (quotation or proforma), `valid_until` and `notes`;
+ * GST is computed on the server the same way. Quotations are numbered from
+ * their own series and never change stock. PUT amends an open one.
+ *
+ * POST with `action=convert` turns the open, unexpired quotation given by `id`
+ * into a sales invoice with the same customer and lines (and an optional
+ * `vehicle_no`); the invoice takes the goods out of stock and the quotation
+ * records the invoice it became. POST with `action=cancel` cancels an open
+ * quotation.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, status, doc_type: docTypeFilter } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT q.*, s.invoice_number FROM quotations q LEFT JOIN sales s ON s.id = q.sale_id WHERE q.id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Quotation not found' });
+        }
+        return res.status(200).json({ quotation: { ...rows[0], items: parseItems(rows[0].items) } });
+      }
+      let sql = 'SELECT q.*, s.invoice_number FROM quotations q LEFT JOIN sales s ON s.id = q.sale_id WHERE 1 = 1';
+      const params = [];
+      if (status) {
+        sql += ' AND q.status = ?';
+        params.push(status);
+      }
+      if (docTypeFilter) {
+        sql += ' AND q.doc_type = ?';
+        params.push(docTypeFilter);
+      }
+      const [rows] = await pool.query(sql + ' ORDER BY q.date DESC, q.id DESC', params);
+      return res.status(200).json({ quotations: rows });
+    } catch (err) {
+      console.error('Quotations GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch quotations' });
+    }
+  } else if (req.method === 'POST' && (action === 'convert' || action === 'cancel')) {
+    if (!id) {
+      return res.status(400).json({ error: 'Quotation id is required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the quotation so it cannot be converted twice
+        const { quotation, error, status: errorStatus } = await loadOpenQuotation(conn, id);
+        if (error) {
+          await conn.rollback();
+          return res.status(errorStatus).json({ error });
+        }
+        if (action === 'cancel') {
+          await conn.query("UPDATE quotations SET status = 'cancelled' WHERE id = ?", [quotation.id]);
+          await conn.commit();
+          return res.status(200).json({ message: `${quotation.quote_number} cancelled` });
+        }
+        if (quotation.valid_until && new Date(quotation.valid_until) < startOfToday()) {
+          await conn.rollback();
+          return res.status(409).json({ error: `${quotation.quote_number} expired on ${new Date(quotation.valid_until).toLocaleDateString()}; extend its validity first` });
+        }
+        const party = await resolveCustomer(conn, {
+          customer_id: quotation.customer_id,
+          customer_name: quotation.customer_name,
+          customer_address: quotation.customer_address,
+          shipping_address: quotation.shipping_address,
+          customer_gstin: quotation.customer_gstin,
+          place_of_supply: quotation.supply_state_code,
+        });
+        if (party.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: party.error });
+        }
+        const items = parseItems(quotation.items).map(line => ({ item_id: line.item_id, description: line.description, hsn_sac: line.hsn_sac, quantity: line.quantity, rate: line.rate }));
+        const sale = await postSale(conn, { ...party, vehicle_no: (req.body || {}).vehicle_no, items });
+        await conn.query("UPDATE quotations SET status = 'converted', sale_id = ?, converted_at = NOW() WHERE id = ?", [sale.id, quotation.id]);
+        await conn.commit();
+        return res.status(201).json({ sale_id: sale.id, invoice_number: sale.invoice_number, grand_total: sale.invoice.totals.grand });
+      } catch (error) {
+        await conn.rollback();
+        console.error(`Quotations ${action} transaction error`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Invoice number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: `Failed to ${action} quotation` });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error(`Quotations ${action} error`, err);
+      return res.status(500).json({ error: `Failed to ${action} quotation` });
+    }
+  } else if (req.method === 'POST' || req.method === 'PUT') {
+    if (req.method === 'PUT' && !id) {
+      return res.status(400).json({ error: 'Quotation id is required' });
+    }
+    const { doc_type, valid_until, notes, items } = req.body || {};
+    if (req.method === 'POST' && !QUOTE_TYPES.includes(doc_type)) {
+      return res.status(400).json({ error: 'Document type must be quotation or proforma' });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    if (items.some(item => !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each item needs a quantity and rate' });
+    }
+    try {
+      const party = await resolveCustomer(pool, req.body);
+      if (party.error) {
+        return res.status(400).json({ error: party.error });
+      }
+      const { customer, snapshot, supplyState, interState } = party;
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const invoice = await priceInvoice(conn, items, { interState });
+        const { taxable, cgst, sgst, igst, grand } = invoice.totals;
+        const values = [customer.id || null, snapshot.name, snapshot.address, snapshot.shipping, snapshot.gstin, supplyState ? supplyState.name : null, supplyState ? supplyState.code : null, JSON.stringify(invoice.lines), taxable, cgst, sgst, igst, grand, valid_until || null, notes || null];
+        if (req.method === 'PUT') {
+          const loaded = await loadOpenQuotation(conn, id);
+          if (loaded.error) {
+            await conn.rollback();
+            return res.status(loaded.status).json({ error: loaded.error });
+          }
+          await conn.query(
+            'UPDATE quotations SET customer_id = ?, customer_name = ?, customer_address = ?, shipping_address = ?, customer_gstin = ?, place_of_supply = ?, supply_state_code = ?, items = ?, taxable_total = ?, cgst = ?, sgst = ?, igst = ?, grand_total = ?, valid_until = ?, notes = ? WHERE id = ?',
+            [...values, loaded.quotation.id]
+          );
+          await conn.commit();
+          return res.status(200).json({ id: loaded.quotation.id, quote_number: loaded.quotation.quote_number, invoice });
+        }
+        const now = new Date();
+        const quoteNumber = await nextDocumentNumber(conn, doc_type, now);
+        const [result] = await conn.query(
+          'INSERT INTO quotations (customer_id, customer_name, customer_address, shipping_address, customer_gstin, place_of_supply, supply_state_code, items, taxable_total, cgst, sgst, igst, grand_total, valid_until, notes, doc_type, quote_number, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [...values, doc_type, quoteNumber, now]
+        );
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, quote_number: quoteNumber, invoice });
+      } catch (error) {
+        await conn.rollback();
+        console.error(`Quotations ${req.method} transaction error`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Quotation number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to save quotation' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error(`Quotations ${req.method} error`, err);
+      return res.status(500).json({ error: 'Failed to save quotation' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST', 'PUT']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Locks a quotation row and checks that it is still open.
+async function loadOpenQuotation(conn, id) {
+  const [rows] = await conn.query('SELECT * FROM quotations WHERE id = ? FOR UPDATE', [id]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Quotation not found' };
+  }
+  const quotation = rows[0];
+  if (quotation.status !== 'open') {
+    return { status: 409, error: `${quotation.quote_number} is ${quotation.status}` };
+  }
+  return { quotation };
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
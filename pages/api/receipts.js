@@ -0,0 +1,201 @@
+import { getPool } from '../../lib/db';
+import { round2 } from '../../lib/gst';
+import { PAYMENT_MODES, checkAllocations, customerBalances, openInvoices, refreshPaymentStatus } from '../../lib/payments';
+import { nextDocumentNumber } from '../../lib/sequences';
+
+/**
+ * Receipts API route. GET lists receipts with the amount allocated from
+ * each; with `id` it returns one receipt and its allocations, with
+ * `customer_id` the customer's invoices still to be paid (`walk_in=1` for
+ * invoices raised without a customer record), and with `view=outstanding`
+ * the outstanding balance of every customer.
+ *
+ * POST records a payment received: { customer_id, mode (cash, upi, cheque or
+ * bank_transfer), reference, amount, date, notes, allocations } where
+ * allocations are { sale_id, amount } against the customer's open invoices.
+ * Without a customer_id the payment is from a walk-in customer: it needs a
+ * `customer_name` and is allocated against invoices without a customer.
+ * Allocations may cover part of an invoice and need not use the whole
+ * amount; the rest stays with the customer as an advance. Receipts are
+ * numbered from the `receipt` document series. POST with `action=allocate`
+ * allocates what is left of receipt `id` in the same way, and with
+ * `action=cancel` cancels it, keeping its number and releasing its
+ * allocations. Every change updates the payment status of the invoices.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, customer_id: customerId, walk_in: walkIn, view } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM receipts WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Receipt not found' });
+        }
+        const [allocations] = await pool.query(
+          `SELECT a.*, s.invoice_number, s.date AS invoice_date, s.grand_total FROM receipt_allocations a
+           JOIN sales s ON s.id = a.sale_id WHERE a.receipt_id = ? ORDER BY a.id`,
+          [id]
+        );
+        return res.status(200).json({ receipt: rows[0], allocations });
+      }
+      const walkInOnly = walkIn === '1' || walkIn === 'true';
+      if (customerId || walkInOnly) {
+        return res.status(200).json({ invoices: await openInvoices(pool, { customerId, walkIn: walkInOnly }) });
+      }
+      if (view === 'outstanding') {
+        return res.status(200).json({ customers: await customerBalances(pool) });
+      }
+      const [rows] = await pool.query(
+        `SELECT r.*, IFNULL((SELECT SUM(a.amount) FROM receipt_allocations a WHERE a.receipt_id = r.id), 0) AS allocated
+         FROM receipts r ORDER BY r.date DESC, r.id DESC`
+      );
+      return res.status(200).json({ receipts: rows });
+    } catch (err) {
+      console.error('Receipts GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch receipts' });
+    }
+  } else if (req.method === 'POST' && action === 'cancel') {
+    if (!id) {
+      return res.status(400).json({ error: 'Receipt id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT * FROM receipts WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+      if (rows[0].status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ error: 'Receipt is already cancelled' });
+      }
+      await conn.query("UPDATE receipts SET status = 'cancelled' WHERE id = ?", [id]);
+      const [allocations] = await conn.query('SELECT DISTINCT sale_id FROM receipt_allocations WHERE receipt_id = ?', [id]);
+      for (const allocation of allocations) {
+        await refreshPaymentStatus(conn, allocation.sale_id);
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Receipt cancelled' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Receipts cancel error', err);
+      return res.status(500).json({ error: 'Failed to cancel receipt' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST' && action === 'allocate') {
+    if (!id) {
+      return res.status(400).json({ error: 'Receipt id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT * FROM receipts WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+      const receipt = rows[0];
+      if (receipt.status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ error: 'Receipt is cancelled' });
+      }
+      const [[used]] = await conn.query('SELECT IFNULL(SUM(amount), 0) AS allocated FROM receipt_allocations WHERE receipt_id = ?', [id]);
+      const available = round2(parseFloat(receipt.amount) - parseFloat(used.allocated));
+      const result = await allocate(conn, receipt, (req.body || {}).allocations, available);
+      if (result.error) {
+        await conn.rollback();
+        return res.status(400).json({ error: result.error });
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Receipt allocated' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Receipts allocate error', err);
+      return res.status(500).json({ error: 'Failed to allocate receipt' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST') {
+    const { customer_id, customer_name, mode, reference, amount, date, notes, allocations } = req.body || {};
+    const walkInName = String(customer_name || '').trim();
+    if (!customer_id && !walkInName) {
+      return res.status(400).json({ error: 'Customer is required' });
+    }
+    if (!PAYMENT_MODES[mode]) {
+      return res.status(400).json({ error: 'Choose how the payment was received' });
+    }
+    const total = round2(parseFloat(amount) || 0);
+    if (!(total > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'Allocations must be a list' });
+    }
+    try {
+      let customer = { id: null, name: walkInName };
+      if (customer_id) {
+        const [customers] = await pool.query('SELECT id, name FROM customers WHERE id = ?', [customer_id]);
+        if (customers.length === 0) {
+          return res.status(400).json({ error: 'Customer not found' });
+        }
+        customer = customers[0];
+      }
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const receiptDate = date ? new Date(date) : new Date();
+        const receiptNumber = await nextDocumentNumber(conn, 'receipt', receiptDate);
+        const [result] = await conn.query(
+          'INSERT INTO receipts (receipt_number, customer_id, customer_name, mode, reference, amount, date, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [receiptNumber, customer.id, customer.name, mode, reference || null, total, receiptDate, notes || null]
+        );
+        const receipt = { id: result.insertId, customer_id: customer.id };
+        const allocated = await allocate(conn, receipt, allocations, total);
+        if (allocated.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: allocated.error });
+        }
+        await conn.commit();
+        return res.status(201).json({ id: receipt.id, receipt_number: receiptNumber });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Receipts POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Receipt number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to record receipt' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Receipts POST error', err);
+      return res.status(500).json({ error: 'Failed to record receipt' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Allocates a receipt against the customer's invoices (those without a
+// customer for a walk-in receipt), locking them first so two receipts cannot
+// both settle the same balance.
+async function allocate(conn, receipt, allocations, available) {
+  const ids = (allocations || []).map(allocation => parseInt(allocation.sale_id)).filter(Boolean);
+  const walkIn = !receipt.customer_id;
+  const invoices = ids.length ? await openInvoices(conn, { customerId: receipt.customer_id, walkIn, ids, lock: true }) : [];
+  const checked = checkAllocations(allocations, invoices, available);
+  if (checked.error) return checked;
+  if (checked.allocations.length === 0) return checked;
+  await conn.query(
+    'INSERT INTO receipt_allocations (receipt_id, sale_id, amount) VALUES ?',
+    [checked.allocations.map(allocation => [receipt.id, allocation.sale_id, allocation.amount])]
+  );
+  for (const allocation of checked.allocations) {
+    await refreshPaymentStatus(conn, allocation.sale_id);
+  }
+  return checked;
+}
@@ -0,0 +1,75 @@
+import { getPool } from '../../lib/db';
+import { parseItems } from '../../lib/invoices';
+
+/**
+ * Reorder API route. GET returns the active items at or below their minimum
+ * level, and reorder suggestions grouped by preferred vendor. Average daily
+ * sales are taken from the invoice lines of the last `days` days (default 30,
+ * cancelled invoices excluded). An item is suggested when its stock does not
+ * cover its minimum level plus `cover` days (default 15) of average sales; the
+ * suggested quantity tops it up to that level, and is at least the item's
+ * reorder quantity. Estimated values use the item's last purchase rate.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  const pool = getPool();
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+  const cover = Math.min(Math.max(parseInt(req.query.cover) || 15, 1), 365);
+  try {
+    const since = new Date();
+    since.setDate(since.getDate() - days + 1);
+    const sinceStr = since.toISOString().split('T')[0];
+    const [items] = await pool.query(
+      `SELECT i.id, i.item_name, i.category, i.quantity, i.rate, i.min_level, i.reorder_qty, i.preferred_vendor_id, v.name AS preferred_vendor_name,
+        (SELECT p.rate FROM purchases p WHERE p.item_id = i.id ORDER BY p.date DESC, p.id DESC LIMIT 1) AS last_purchase_rate
+       FROM inventory i LEFT JOIN vendors v ON v.id = i.preferred_vendor_id
+       WHERE i.active = 1 ORDER BY i.item_name`
+    );
+    const [sales] = await pool.query("SELECT items FROM sales WHERE status <> 'cancelled' AND date >= ?", [sinceStr]);
+    const sold = soldQuantities(sales);
+    const lowStock = [];
+    const vendors = {};
+    items.forEach(item => {
+      const quantity = parseFloat(item.quantity) || 0;
+      const minLevel = item.min_level === null ? null : parseFloat(item.min_level);
+      const avgDaily = (sold[item.id] || 0) / days;
+      const row = { ...item, quantity, min_level: minLevel, sold: sold[item.id] || 0, avg_daily: Math.round(avgDaily * 100) / 100 };
+      if (minLevel !== null && quantity <= minLevel) lowStock.push(row);
+      // Stock needed to stay above the minimum level for the cover period
+      const target = (minLevel || 0) + avgDaily * cover;
+      if (target <= 0 || quantity > target) return;
+      const suggested = Math.max(parseFloat(item.reorder_qty) || 0, Math.ceil(target - quantity));
+      if (suggested <= 0) return;
+      const rate = parseFloat(item.last_purchase_rate ?? item.rate) || 0;
+      const key = item.preferred_vendor_id || 0;
+      if (!vendors[key]) {
+        vendors[key] = { vendor_id: item.preferred_vendor_id, vendor_name: item.preferred_vendor_name, items: [], value: 0 };
+      }
+      vendors[key].items.push({ ...row, target: Math.round(target * 100) / 100, suggested, purchase_rate: rate, value: suggested * rate });
+      vendors[key].value += suggested * rate;
+    });
+    // Vendors by name, with items lacking a preferred vendor last
+    const groups = Object.values(vendors).sort((a, b) => {
+      if (!a.vendor_id || !b.vendor_id) return a.vendor_id ? -1 : b.vendor_id ? 1 : 0;
+      return a.vendor_name.localeCompare(b.vendor_name);
+    });
+    return res.status(200).json({ days, cover, since: sinceStr, lowStock, vendors: groups });
+  } catch (err) {
+    console.error('Reorder GET error', err);
+    return res.status(500).json({ error: 'Failed to compute reorder suggestions' });
+  }
+}
+
+// Total quantity sold per item id across the given invoices.
+function soldQuantities(sales) {
+  const sold = {};
+  sales.forEach(sale => {
+    parseItems(sale.items).forEach(line => {
+      if (line.item_id) sold[line.item_id] = (sold[line.item_id] || 0) + (parseFloat(line.quantity) || 0);
+    });
+  });
+  return sold;
+}
@@ -3,7 +3,10 @@ import { getPool } from '../../lib/db';
 /**
  * Reports API route. Accepts query params for `from` and `to` dates to filter
  * results. Returns aggregated sales, purchases and expenses totals and lists
- * of each when requested. The default case returns current month's summary.
+ * of each when requested. Cancelled invoices are listed but not counted; sales
+ * are net of credit notes and purchases net of debit notes issued in the
+ * period.
+ * The default case returns current month's summary.
  */
 export default async function handler(req, res) {
   const pool = getPool();
@@ -24,21 +27,30 @@ export default async function handler(req, res) {
     const fromStr = fromDate.toISOString().split('T')[0];
     const toStr = toDate.toISOString().split('T')[0];
     // Aggregate totals
-    const [[salesAgg]] = await pool.query('SELECT IFNULL(SUM(grand_total),0) AS total_sales FROM sales WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
+    const [[salesAgg]] = await pool.query("SELECT IFNULL(SUM(grand_total),0) AS total_sales FROM sales WHERE status <> 'cancelled' AND date BETWEEN ? AND ?", [fromStr, toStr]);
+    const [[creditAgg]] = await pool.query('SELECT IFNULL(SUM(grand_total),0) AS total_credit_notes FROM credit_notes WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
     const [[purchaseAgg]] = await pool.query('SELECT IFNULL(SUM(quantity*rate),0) AS total_purchases FROM purchases WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
+    const [[debitAgg]] = await pool.query('SELECT IFNULL(SUM(taxable_total),0) AS total_debit_notes FROM debit_notes WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
     const [[expenseAgg]] = await pool.query('SELECT IFNULL(SUM(amount),0) AS total_expenses FROM expenses WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
     const summary = {
-      sales: parseFloat(salesAgg.total_sales),
-      purchases: parseFloat(purchaseAgg.total_purchases),
+      grossSales: parseFloat(salesAgg.total_sales),
+      creditNotes: parseFloat(creditAgg.total_credit_notes),
+      grossPurchases: parseFloat(purchaseAgg.total_purchases),
+      debitNotes: parseFloat(debitAgg.total_debit_notes),
       expenses: parseFloat(expenseAgg.total_expenses),
     };
+    summary.sales = summary.grossSales - summary.creditNotes;
+    // Purchases are taken before tax, so debit notes are netted at their taxable value
+    summary.purchases = summary.grossPurchases - summary.debitNotes;
     summary.netProfit = summary.sales - (summary.purchases + summary.expenses);
     if (detail === 'true') {
       // fetch lists too
       const [sales] = await pool.query('SELECT * FROM sales WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
+      const [creditNotes] = await pool.query('SELECT c.*, s.invoice_number FROM credit_notes c JOIN sales s ON s.id = c.sale_id WHERE c.date BETWEEN ? AND ?', [fromStr, toStr]);
       const [purchases] = await pool.query('SELECT * FROM purchases WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
+      const [debitNotes] = await pool.query('SELECT d.*, b.bill_number FROM debit_notes d JOIN purchase_bills b ON b.id = d.bill_id WHERE d.date BETWEEN ? AND ?', [fromStr, toStr]);
       const [expenses] = await pool.query('SELECT * FROM expenses WHERE date BETWEEN ? AND ?', [fromStr, toStr]);
-      return res.status(200).json({ summary, sales, purchases, expenses });
+      return res.status(200).json({ summary, sales, creditNotes, purchases, debitNotes, expenses });
     }
     return res.status(200).json({ summary });
   } catch (err) {
@@ -0,0 +1,257 @@
+import { getPool } from '../../lib/db';
+import { resolveCustomer, postSale, reservedQuantities, refreshSalesOrderStatus } from '../../lib/sales';
+import { nextDocumentNumber } from '../../lib/sequences';
+
+/**
+ * Sales orders API route. GET lists sales orders with their ordered and
+ * invoiced quantities (optionally filtered by `status`), or with `id` returns
+ * one order with its lines (pending quantity, stock on hand and stock
+ * available to it) and the invoices raised against it. With
+ * `report=backorders` it returns every pending order line with the customer,
+ * item and stock on hand.
+ *
+ * POST places an order with the customer fields and place of supply of a
+ * sales invoice plus `order_date`, `expected_date`, `notes` and items of
+ * { item_id, description, hsn_sac, quantity, rate }. Orders are numbered from
+ * the `sales_order` series and do not take stock out; their pending
+ * quantities are reserved instead, so the stock shown as available drops.
+ * The response lists `shortages`, the lines ordered beyond what was available.
+ *
+ * POST with `action=invoice` invoices part or all of the order given by `id`:
+ * { vehicle_no, items } where items are { line_id, quantity } up to each
+ * line's pending quantity, at the order rate. POST with `action=cancel`
+ * cancels an order with nothing invoiced, or short-closes a partly invoiced
+ * one; either releases the reservation.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, status, report } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (report === 'backorders') {
+        const [rows] = await pool.query(
+          `SELECT o.id AS so_id, o.so_number, o.order_date, o.expected_date, o.customer_id, o.customer_name, l.id AS line_id, l.item_id, IFNULL(i.item_name, l.description) AS item_name,
+            l.quantity, l.invoiced_quantity, l.quantity - l.invoiced_quantity AS pending, i.quantity AS on_hand
+           FROM sales_order_lines l JOIN sales_orders o ON o.id = l.so_id LEFT JOIN inventory i ON i.id = l.item_id
+           WHERE o.status IN ('open', 'partial') AND l.invoiced_quantity < l.quantity
+           ORDER BY o.customer_name, item_name, o.order_date`
+        );
+        return res.status(200).json({ backorders: rows });
+      }
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM sales_orders WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Sales order not found' });
+        }
+        const order = rows[0];
+        const [lines] = await pool.query(orderLinesSql, [order.id]);
+        const [invoices] = await pool.query('SELECT id, invoice_number, date, grand_total, status FROM sales WHERE sales_order_id = ? ORDER BY id', [order.id]);
+        const reserved = await reservedQuantities(pool);
+        const open = order.status === 'open' || order.status === 'partial';
+        const withStock = lines.map(line => {
+          const pending = (parseFloat(line.quantity) || 0) - (parseFloat(line.invoiced_quantity) || 0);
+          const onHand = parseFloat(line.on_hand) || 0;
+          // Stock this order may use: on hand less what other orders reserve
+          const reservedByOthers = (reserved[line.item_id] || 0) - (open ? Math.max(pending, 0) : 0);
+          return { ...line, pending, on_hand: onHand, available: onHand - reservedByOthers };
+        });
+        return res.status(200).json({ order, lines: withStock, invoices });
+      }
+      let sql = `SELECT o.*, COUNT(l.id) AS line_count, IFNULL(SUM(l.quantity), 0) AS ordered_quantity, IFNULL(SUM(l.invoiced_quantity), 0) AS invoiced_quantity
+        FROM sales_orders o LEFT JOIN sales_order_lines l ON l.so_id = o.id`;
+      const params = [];
+      if (status) {
+        sql += ' WHERE o.status = ?';
+        params.push(status);
+      }
+      const [rows] = await pool.query(sql + ' GROUP BY o.id ORDER BY o.order_date DESC, o.id DESC', params);
+      return res.status(200).json({ orders: rows });
+    } catch (err) {
+      console.error('Sales orders GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch sales orders' });
+    }
+  } else if (req.method === 'POST' && action === 'invoice') {
+    if (!id) {
+      return res.status(400).json({ error: 'Sales order id is required' });
+    }
+    const { vehicle_no, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    try {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // Lock the order and its lines so two invoices cannot both pass the
+        // pending quantity check
+        const [rows] = await conn.query('SELECT * FROM sales_orders WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: 'Sales order not found' });
+        }
+        const order = rows[0];
+        if (order.status !== 'open' && order.status !== 'partial') {
+          await conn.rollback();
+          return res.status(409).json({ error: `Sales order is ${order.status}` });
+        }
+        const [lines] = await conn.query(orderLinesSql + ' FOR UPDATE', [order.id]);
+        const invoiceItems = invoiceLines(lines, items);
+        if (invoiceItems.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: invoiceItems.error });
+        }
+        const party = await resolveCustomer(conn, {
+          customer_id: order.customer_id,
+          customer_name: order.customer_name,
+          customer_address: order.customer_address,
+          shipping_address: order.shipping_address,
+          customer_gstin: order.customer_gstin,
+          place_of_supply: order.supply_state_code,
+        });
+        if (party.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: party.error });
+        }
+        const sale = await postSale(conn, { ...party, vehicle_no, items: invoiceItems.lines, sales_order_id: order.id });
+        for (const line of invoiceItems.lines) {
+          await conn.query('UPDATE sales_order_lines SET invoiced_quantity = invoiced_quantity + ? WHERE id = ?', [line.quantity, line.so_line_id]);
+        }
+        const newStatus = await refreshSalesOrderStatus(conn, order.id);
+        await conn.commit();
+        return res.status(201).json({ sale_id: sale.id, invoice_number: sale.invoice_number, grand_total: sale.invoice.totals.grand, invoice: sale.invoice, status: newStatus });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Sales orders invoice transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Invoice number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to invoice sales order' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Sales orders invoice error', err);
+      return res.status(500).json({ error: 'Failed to invoice sales order' });
+    }
+  } else if (req.method === 'POST' && action === 'cancel') {
+    if (!id) {
+      return res.status(400).json({ error: 'Sales order id is required' });
+    }
+    try {
+      const [rows] = await pool.query('SELECT status FROM sales_orders WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Sales order not found' });
+      }
+      if (rows[0].status !== 'open' && rows[0].status !== 'partial') {
+        return res.status(409).json({ error: `Sales order is ${rows[0].status}` });
+      }
+      const newStatus = rows[0].status === 'open' ? 'cancelled' : 'closed';
+      await pool.query('UPDATE sales_orders SET status = ? WHERE id = ?', [newStatus, id]);
+      return res.status(200).json({ message: newStatus === 'cancelled' ? 'Sales order cancelled' : 'Sales order closed', status: newStatus });
+    } catch (err) {
+      console.error('Sales orders cancel error', err);
+      return res.status(500).json({ error: 'Failed to cancel sales order' });
+    }
+  } else if (req.method === 'POST') {
+    const { order_date, expected_date, notes, items } = req.body || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+    if (items.some(item => !item.item_id || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each line needs an item, quantity and rate' });
+    }
+    try {
+      const party = await resolveCustomer(pool, req.body);
+      if (party.error) {
+        return res.status(400).json({ error: party.error });
+      }
+      const { customer, snapshot, supplyState } = party;
+      if (!snapshot.name) {
+        return res.status(400).json({ error: 'Customer is required' });
+      }
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const date = order_date ? new Date(order_date) : new Date();
+        const soNumber = await nextDocumentNumber(conn, 'sales_order', date);
+        const total = items.reduce((sum, item) => sum + parseFloat(item.quantity) * parseFloat(item.rate), 0);
+        const [result] = await conn.query(
+          'INSERT INTO sales_orders (so_number, customer_id, customer_name, customer_address, shipping_address, customer_gstin, place_of_supply, supply_state_code, order_date, expected_date, notes, total) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [soNumber, customer.id || null, snapshot.name, snapshot.address, snapshot.shipping, snapshot.gstin, supplyState ? supplyState.name : null, supplyState ? supplyState.code : null, date, expected_date || null, notes || null, Math.round(total * 100) / 100]
+        );
+        const itemIds = items.map(item => parseInt(item.item_id));
+        const [stock] = await conn.query('SELECT id, item_name, hsn_sac, quantity FROM inventory WHERE id IN (?)', [itemIds]);
+        const byId = {};
+        stock.forEach(item => { byId[item.id] = item; });
+        await conn.query(
+          'INSERT INTO sales_order_lines (so_id, item_id, description, hsn_sac, quantity, rate) VALUES ?',
+          [items.map(item => {
+            const known = byId[parseInt(item.item_id)] || {};
+            return [result.insertId, parseInt(item.item_id), item.description || known.item_name || null, item.hsn_sac || known.hsn_sac || null, parseFloat(item.quantity), parseFloat(item.rate)];
+          })]
+        );
+        // Compare what this order reserves with the stock that was available
+        const reserved = await reservedQuantities(conn);
+        const shortages = Object.entries(orderedQuantities(items)).map(([itemId, quantity]) => {
+          const item = byId[itemId] || {};
+          const available = (parseFloat(item.quantity) || 0) - ((reserved[itemId] || 0) - quantity);
+          return { item_id: parseInt(itemId), item_name: item.item_name, ordered: quantity, available, short: quantity - Math.max(available, 0) };
+        }).filter(line => line.short > 0);
+        await conn.commit();
+        return res.status(201).json({ id: result.insertId, so_number: soNumber, shortages });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Sales orders POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Sales order number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to create sales order' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Sales orders POST error', err);
+      return res.status(500).json({ error: 'Failed to create sales order' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+const orderLinesSql = 'SELECT l.*, i.item_name, i.quantity AS on_hand FROM sales_order_lines l LEFT JOIN inventory i ON i.id = l.item_id WHERE l.so_id = ? ORDER BY l.id';
+
+// Total quantity per item id across order lines.
+function orderedQuantities(items) {
+  const totals = {};
+  items.forEach(item => {
+    const itemId = parseInt(item.item_id);
+    totals[itemId] = (totals[itemId] || 0) + parseFloat(item.quantity);
+  });
+  return totals;
+}
+
+// Checks the quantities to invoice against what is pending on the order and
+// maps them to invoice lines at the order's description, HSN and rate.
+function invoiceLines(orderLines, items) {
+  const byId = {};
+  orderLines.forEach(line => { byId[line.id] = line; });
+  const lines = [];
+  const invoicing = {};
+  for (const item of items) {
+    const quantity = parseFloat(item.quantity) || 0;
+    if (quantity === 0) continue;
+    const line = byId[parseInt(item.line_id)];
+    if (!line) return { error: 'Line is not on this sales order' };
+    const name = line.item_name || line.description;
+    if (quantity < 0) return { error: `Invalid quantity for ${name}` };
+    const pending = (parseFloat(line.quantity) || 0) - (parseFloat(line.invoiced_quantity) || 0);
+    invoicing[line.id] = (invoicing[line.id] || 0) + quantity;
+    if (invoicing[line.id] > pending + 0.0001) {
+      return { error: `Only ${pending} of ${name} is pending on the order` };
+    }
+    lines.push({ item_id: line.item_id, description: line.description, hsn_sac: line.hsn_sac, quantity, rate: parseFloat(line.rate), so_line_id: line.id });
+  }
+  if (lines.length === 0) return { error: 'Enter the quantity to invoice for at least one line' };
+  return { lines };
+}
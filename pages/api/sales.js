@@ -1,69 +1,278 @@
 import { getPool } from '../../lib/db';
+import { priceInvoice, parseItems } from '../../lib/invoices';
+import { resolveCustomer, postSale, transportValues, refreshSalesOrderStatus, refreshChallanStatus } from '../../lib/sales';
+import { moveStock } from '../../lib/stock';
 
 /**
- * Sales API route. GET lists all sales invoices, POST creates a new invoice
- * decreasing inventory quantities. The POST payload expects customer details
- * and an items array of { item_id, quantity, rate, hsn_sac, description }.
+ * Sales API route. GET lists all sales invoices (with the number of the
+ * quotation or delivery challan an invoice was raised from), or one invoice
+ * with its previous versions when `id` is given. POST creates a new invoice
+ * decreasing inventory quantities. The POST payload expects a `customer_id`
+ * and/or customer details (the customer's name, addresses and GSTIN are
+ * snapshotted onto the invoice, with the request's values taking precedence),
+ * a `place_of_supply` (state code or name) and an items array of { item_id,
+ * quantity, rate, hsn_sac, description }. GST is computed per line on the
+ * server from the item or HSN rate, and charged as CGST+SGST or IGST depending
+ * on whether the place of supply matches the company's state. Any tax amounts
+ * sent by the client are ignored, and so are links to sales order or challan
+ * lines. Invoice numbers come from the `sales` document series and restart
+ * every financial year. The transport details for the e-way bill
+ * (`vehicle_no`, `transport_mode`, `transporter_name`, `transporter_id`,
+ * `transport_distance`, `transport_doc_no` and `transport_doc_date`) are
+ * optional.
+ *
+ * PUT amends the invoice given by `id` with the same payload as POST; only
+ * the difference between the old and new quantities is moved in inventory.
+ * POST with `action=cancel` cancels it: the number is kept, its stock is
+ * restored and it no longer counts in totals. POST with `action=lock` locks
+ * it against further changes. Amending and cancelling save the invoice as it
+ * was to `sale_versions`, and are refused for locked invoices, for invoices
+ * with credit notes and for invoices with receipts allocated. Invoices raised
+ * against a sales order or a delivery challan cannot be amended. Cancelling
+ * one makes its quantities pending on the order again, or puts the goods back
+ * out on the challan instead of into stock. POST with `action=transport`
+ * changes only the transport details of an invoice that is not cancelled,
+ * even a locked one, since they do not affect its tax.
  */
 export default async function handler(req, res) {
   const pool = getPool();
+  const { id, action } = req.query || {};
   if (req.method === 'GET') {
     try {
-      const [rows] = await pool.query('SELECT * FROM sales ORDER BY date DESC');
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM sales WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const [versions] = await pool.query('SELECT * FROM sale_versions WHERE sale_id = ? ORDER BY version', [id]);
+        return res.status(200).json({
+          sale: { ...rows[0], items: parseItems(rows[0].items) },
+          versions: versions.map(v => {
+            const snapshot = parseItems(v.snapshot);
+            return { ...v, snapshot: { ...snapshot, items: parseItems(snapshot.items) } };
+          }),
+        });
+      }
+      const [rows] = await pool.query(`SELECT s.*, q.quote_number, dc.challan_number FROM sales s LEFT JOIN quotations q ON q.sale_id = s.id
+         LEFT JOIN delivery_challans dc ON dc.id = s.delivery_challan_id ORDER BY s.date DESC`);
       return res.status(200).json({ sales: rows });
     } catch (err) {
       console.error('Sales GET error', err);
       return res.status(500).json({ error: 'Failed to fetch sales' });
     }
-  } else if (req.method === 'POST') {
-    const { customer_name, customer_address, customer_gstin, place_of_supply, vehicle_no, items, taxes } = req.body || {};
+  } else if (req.method === 'POST' && (action === 'cancel' || action === 'lock')) {
+    if (!id) {
+      return res.status(400).json({ error: 'Invoice id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const { sale, error, status } = await loadEditableSale(conn, id);
+      if (error) {
+        await conn.rollback();
+        return res.status(status).json({ error });
+      }
+      if (action === 'lock') {
+        await conn.query('UPDATE sales SET locked = 1 WHERE id = ?', [sale.id]);
+        await conn.commit();
+        return res.status(200).json({ message: 'Invoice locked' });
+      }
+      if (await hasReceipts(conn, sale.id)) {
+        await conn.rollback();
+        return res.status(409).json({ error: RECEIPTS_ERROR });
+      }
+      const { reason } = req.body || {};
+      await saveVersion(conn, sale, 'cancelled', reason);
+      await conn.query("UPDATE sales SET status = 'cancelled', cancel_reason = ? WHERE id = ?", [reason || null, sale.id]);
+      // Put the invoiced goods back into stock, or back out on their challan
+      for (const line of parseItems(sale.items)) {
+        if (line.dc_line_id) {
+          await conn.query('UPDATE delivery_challan_lines SET invoiced_quantity = GREATEST(invoiced_quantity - ?, 0) WHERE id = ?', [line.quantity, line.dc_line_id]);
+          continue;
+        }
+        await moveStock(conn, { item_id: line.item_id, quantity: line.quantity, movement_type: 'sale_cancel', source_id: sale.id, reference: sale.invoice_number, note: reason, date: new Date() });
+        // Quantities invoiced against a sales order become pending again
+        if (line.so_line_id) {
+          await conn.query('UPDATE sales_order_lines SET invoiced_quantity = GREATEST(invoiced_quantity - ?, 0) WHERE id = ?', [line.quantity, line.so_line_id]);
+        }
+      }
+      if (sale.sales_order_id) {
+        await refreshSalesOrderStatus(conn, sale.sales_order_id);
+      }
+      if (sale.delivery_challan_id) {
+        await refreshChallanStatus(conn, sale.delivery_challan_id);
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Invoice cancelled' });
+    } catch (err) {
+      await conn.rollback();
+      console.error(`Sales ${action} error`, err);
+      return res.status(500).json({ error: `Failed to ${action} invoice` });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST' && action === 'transport') {
+    if (!id) {
+      return res.status(400).json({ error: 'Invoice id is required' });
+    }
+    const { transport, error } = transportValues(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const [rows] = await pool.query('SELECT status FROM sales WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (rows[0].status === 'cancelled') {
+        return res.status(409).json({ error: 'Invoice is cancelled' });
+      }
+      await pool.query(
+        'UPDATE sales SET vehicle_no = ?, transport_mode = ?, transporter_name = ?, transporter_id = ?, transport_distance = ?, transport_doc_no = ?, transport_doc_date = ? WHERE id = ?',
+        [(req.body || {}).vehicle_no || null, transport.transport_mode, transport.transporter_name, transport.transporter_id, transport.transport_distance, transport.transport_doc_no, transport.transport_doc_date, id]
+      );
+      return res.status(200).json({ message: 'Transport details saved' });
+    } catch (err) {
+      console.error('Sales transport error', err);
+      return res.status(500).json({ error: 'Failed to save transport details' });
+    }
+  } else if (req.method === 'POST' || req.method === 'PUT') {
+    if (req.method === 'PUT' && !id) {
+      return res.status(400).json({ error: 'Invoice id is required' });
+    }
+    const { vehicle_no, items } = req.body || {};
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'Items are required' });
     }
+    if (items.some(item => !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0))) {
+      return res.status(400).json({ error: 'Each item needs a quantity and rate' });
+    }
+    const { transport, error: transportError } = transportValues(req.body);
+    if (transportError) {
+      return res.status(400).json({ error: transportError });
+    }
     try {
-      // Compute totals
-      let taxableTotal = 0;
-      items.forEach(item => {
-        taxableTotal += (item.rate || 0) * (item.quantity || 0);
-      });
-      const cgst = taxes?.cgst || 0;
-      const sgst = taxes?.sgst || 0;
-      const igst = taxes?.igst || 0;
-      const grandTotal = taxableTotal + cgst + sgst + igst;
+      const party = await resolveCustomer(pool, req.body);
+      if (party.error) {
+        return res.status(400).json({ error: party.error });
+      }
       // Start transaction
       const conn = await pool.getConnection();
+      let existing = null;
       try {
         await conn.beginTransaction();
-        // Determine next invoice number
-        const [invRows] = await conn.query('SELECT COUNT(*) AS count FROM sales');
-        const nextNumber = invRows[0].count + 1;
-        const invoiceNumber = `INV-${new Date().getFullYear()}-${String(nextNumber).padStart(3, '0')}`;
-        const insertSale = 'INSERT INTO sales (invoice_number, customer_name, customer_address, customer_gstin, place_of_supply, vehicle_no, items, taxable_total, cgst, sgst, igst, grand_total, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
-        const itemsJson = JSON.stringify(items);
-        const now = new Date();
-        await conn.query(insertSale, [invoiceNumber, customer_name || null, customer_address || null, customer_gstin || null, place_of_supply || null, vehicle_no || null, itemsJson, taxableTotal, cgst, sgst, igst, grandTotal, now]);
-        // Update inventory: decrease quantities
-        for (const item of items) {
-          const q = item.quantity || 0;
-          if (q > 0 && item.item_id) {
-            await conn.query('UPDATE inventory SET quantity = quantity - ? WHERE id = ?', [q, item.item_id]);
-          }
+        if (req.method === 'POST') {
+          // Order and challan lines are only linked by the invoice actions of
+          // sales orders and delivery challans
+          const lines = items.map(({ so_line_id, dc_line_id, ...item }) => item);
+          const sale = await postSale(conn, { ...party, vehicle_no, transport, items: lines });
+          await conn.commit();
+          return res.status(201).json({ invoice_number: sale.invoice_number, grand_total: sale.invoice.totals.grand, invoice: sale.invoice });
+        }
+        const loaded = await loadEditableSale(conn, id);
+        if (loaded.error) {
+          await conn.rollback();
+          return res.status(loaded.status).json({ error: loaded.error });
+        }
+        existing = loaded.sale;
+        if (await hasReceipts(conn, existing.id)) {
+          await conn.rollback();
+          return res.status(409).json({ error: RECEIPTS_ERROR });
+        }
+        if (existing.sales_order_id) {
+          await conn.rollback();
+          return res.status(409).json({ error: 'Invoice was raised against a sales order; cancel it and invoice the order again instead' });
+        }
+        if (existing.delivery_challan_id) {
+          await conn.rollback();
+          return res.status(409).json({ error: 'Invoice was raised from a delivery challan; cancel it and invoice the challan again instead' });
+        }
+        const { customer, snapshot, supplyState, interState } = party;
+        // Compute per-line GST and totals from the item and HSN masters
+        const invoice = await priceInvoice(conn, items, { interState });
+        const { taxable, cgst, sgst, igst, grand } = invoice.totals;
+        await saveVersion(conn, existing, 'amended');
+        await conn.query(
+          'UPDATE sales SET customer_id = ?, customer_name = ?, customer_address = ?, shipping_address = ?, customer_gstin = ?, place_of_supply = ?, supply_state_code = ?, vehicle_no = ?, transport_mode = ?, transporter_name = ?, transporter_id = ?, transport_distance = ?, transport_doc_no = ?, transport_doc_date = ?, items = ?, taxable_total = ?, cgst = ?, sgst = ?, igst = ?, grand_total = ? WHERE id = ?',
+          [customer.id || null, snapshot.name, snapshot.address, snapshot.shipping, snapshot.gstin, supplyState ? supplyState.name : null, supplyState ? supplyState.code : null, vehicle_no || null,
+            transport.transport_mode, transport.transporter_name, transport.transporter_id, transport.transport_distance, transport.transport_doc_no, transport.transport_doc_date, JSON.stringify(invoice.lines), taxable, cgst, sgst, igst, grand, existing.id]
+        );
+        // Update inventory: move only the difference between what the
+        // invoice takes now and what it took before it was amended
+        const delta = stockDelta(parseItems(existing.items), invoice.lines);
+        for (const itemId of Object.keys(delta)) {
+          await moveStock(conn, { item_id: parseInt(itemId), quantity: -delta[itemId], movement_type: 'sale_amendment', source_id: existing.id, reference: existing.invoice_number, note: snapshot.name, date: new Date() });
         }
         await conn.commit();
-        return res.status(201).json({ invoice_number: invoiceNumber, grand_total: grandTotal });
+        return res.status(200).json({ invoice_number: existing.invoice_number, grand_total: grand, invoice });
       } catch (error) {
         await conn.rollback();
-        console.error('Sales POST transaction error', error);
-        return res.status(500).json({ error: 'Failed to create invoice' });
+        console.error(`Sales ${req.method} transaction error`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Invoice number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: existing ? 'Failed to amend invoice' : 'Failed to create invoice' });
       } finally {
         conn.release();
       }
     } catch (err) {
-      console.error('Sales POST error', err);
-      return res.status(500).json({ error: 'Failed to create invoice' });
+      console.error(`Sales ${req.method} error`, err);
+      return res.status(500).json({ error: 'Failed to save invoice' });
     }
   } else {
-    res.setHeader('Allow', ['GET', 'POST']);
+    res.setHeader('Allow', ['GET', 'POST', 'PUT']);
     return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
   }
-}
\ No newline at end of file
+}
+
+// Locks an invoice row and checks that it may still be changed.
+async function loadEditableSale(conn, id) {
+  const [rows] = await conn.query('SELECT * FROM sales WHERE id = ? FOR UPDATE', [id]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Invoice not found' };
+  }
+  const sale = rows[0];
+  if (sale.status === 'cancelled') {
+    return { status: 409, error: 'Invoice is cancelled' };
+  }
+  if (sale.locked) {
+    return { status: 409, error: 'Invoice is locked' };
+  }
+  const [[notes]] = await conn.query('SELECT COUNT(*) AS count FROM credit_notes WHERE sale_id = ?', [sale.id]);
+  if (notes.count > 0) {
+    return { status: 409, error: 'Invoice has credit notes; issue another credit note instead' };
+  }
+  return { sale };
+}
+
+const RECEIPTS_ERROR = 'Invoice has receipts allocated; cancel the receipts first';
+
+// Whether any active receipt is allocated to the invoice.
+async function hasReceipts(conn, saleId) {
+  const [[row]] = await conn.query(
+    "SELECT COUNT(*) AS count FROM receipt_allocations a JOIN receipts r ON r.id = a.receipt_id WHERE a.sale_id = ? AND r.status <> 'cancelled'",
+    [saleId]
+  );
+  return row.count > 0;
+}
+
+// Keeps the invoice as it was before an amendment or cancellation.
+async function saveVersion(conn, sale, changeType, reason) {
+  const [[last]] = await conn.query('SELECT IFNULL(MAX(version), 0) AS version FROM sale_versions WHERE sale_id = ?', [sale.id]);
+  await conn.query(
+    'INSERT INTO sale_versions (sale_id, version, change_type, reason, snapshot) VALUES (?, ?, ?, ?, ?)',
+    [sale.id, last.version + 1, changeType, reason || null, JSON.stringify({ ...sale, items: parseItems(sale.items) })]
+  );
+}
+
+// Quantity per item to take out of stock: new lines minus old lines.
+function stockDelta(oldLines, newLines) {
+  const delta = {};
+  newLines.forEach(line => {
+    if (line.item_id) delta[line.item_id] = (delta[line.item_id] || 0) + (parseFloat(line.quantity) || 0);
+  });
+  oldLines.forEach(line => {
+    if (line.item_id) delta[line.item_id] = (delta[line.item_id] || 0) - (parseFloat(line.quantity) || 0);
+  });
+  return delta;
+}
@@ -0,0 +1,36 @@
+import { getPool } from '../../lib/db';
+
+/**
+ * Stock movements API route. GET returns the ledger of the item given by
+ * `item_id`: every movement in order with its source document and the
+ * balance after it, optionally limited to the `from`/`to` date range.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  if (req.method === 'GET') {
+    const { item_id, from, to } = req.query || {};
+    if (!item_id) {
+      return res.status(400).json({ error: 'Item id is required' });
+    }
+    try {
+      const [items] = await pool.query('SELECT id, item_name, category, hsn_sac, quantity FROM inventory WHERE id = ?', [item_id]);
+      if (items.length === 0) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      let sql = 'SELECT * FROM stock_movements WHERE item_id = ?';
+      const params = [item_id];
+      if (from && to) {
+        sql += ' AND date BETWEEN ? AND ?';
+        params.push(from, to);
+      }
+      const [movements] = await pool.query(sql + ' ORDER BY id', params);
+      return res.status(200).json({ item: items[0], movements });
+    } catch (err) {
+      console.error('Stock movements GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,165 @@
+import { getPool } from '../../lib/db';
+import { round2 } from '../../lib/gst';
+import { ADJUSTMENT_REASONS, moveStock } from '../../lib/stock';
+
+/**
+ * Stock takes API route for physical stock counts. GET lists count sessions,
+ * or returns one session with its lines when `id` is given (open sessions
+ * show the current book quantity of each item). POST starts a session with a
+ * line for every active item, or only the items on one `rack` (the rack spec
+ * of the item). PUT saves counted quantities and reasons for the session
+ * given by `id` as { lines: [{ item_id, counted_quantity, reason }] }.
+ * POST with `action=approve` posts an adjustment to the stock ledger for
+ * every counted item whose count differs from book stock, so stock matches
+ * the count; each difference needs a reason. DELETE discards an open session.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM stock_takes WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Stock take not found' });
+        }
+        const [lines] = await pool.query(
+          `SELECT l.*, i.item_name, i.category, i.quantity AS current_quantity, i.rate AS item_rate
+            FROM stock_take_lines l JOIN inventory i ON i.id = l.item_id
+            WHERE l.stock_take_id = ? ORDER BY l.rack, i.item_name`,
+          [id]
+        );
+        return res.status(200).json({ stockTake: rows[0], lines });
+      }
+      const [rows] = await pool.query(
+        `SELECT t.*, COUNT(l.id) AS line_count, SUM(l.counted_quantity IS NOT NULL) AS counted_count,
+            IFNULL(SUM(l.variance * l.rate), 0) AS variance_value
+          FROM stock_takes t LEFT JOIN stock_take_lines l ON l.stock_take_id = t.id
+          GROUP BY t.id ORDER BY t.id DESC`
+      );
+      return res.status(200).json({ stockTakes: rows });
+    } catch (err) {
+      console.error('Stock takes GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch stock takes' });
+    }
+  } else if (req.method === 'POST' && action === 'approve') {
+    if (!id) {
+      return res.status(400).json({ error: 'Stock take id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT * FROM stock_takes WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0 || rows[0].status !== 'open') {
+        await conn.rollback();
+        return res.status(rows.length === 0 ? 404 : 409).json({ error: rows.length === 0 ? 'Stock take not found' : 'Stock take is already closed' });
+      }
+      // Lock the counted items so book stock cannot move while adjusting
+      const [lines] = await conn.query(
+        `SELECT l.*, i.item_name, i.quantity AS book, i.rate AS item_rate
+          FROM stock_take_lines l JOIN inventory i ON i.id = l.item_id
+          WHERE l.stock_take_id = ? AND l.counted_quantity IS NOT NULL FOR UPDATE`,
+        [id]
+      );
+      const adjustments = lines.map(line => ({ ...line, variance: round2(parseFloat(line.counted_quantity) - parseFloat(line.book || 0)) }));
+      const missing = adjustments.filter(line => line.variance !== 0 && !ADJUSTMENT_REASONS[line.reason]);
+      if (missing.length > 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: `Choose a reason for the difference in ${missing.map(line => line.item_name).join(', ')}` });
+      }
+      const now = new Date();
+      for (const line of adjustments) {
+        await moveStock(conn, { item_id: line.item_id, quantity: line.variance, movement_type: 'adjustment', source_id: rows[0].id, reference: `Stock take #${rows[0].id}`, note: ADJUSTMENT_REASONS[line.reason], date: now });
+        await conn.query('UPDATE stock_take_lines SET book_quantity = ?, variance = ?, rate = ? WHERE id = ?', [line.book, line.variance, line.item_rate, line.id]);
+      }
+      await conn.query("UPDATE stock_takes SET status = 'approved', approved_at = ? WHERE id = ?", [now, rows[0].id]);
+      await conn.commit();
+      return res.status(200).json({ message: 'Stock take approved', adjusted: adjustments.filter(line => line.variance !== 0).length });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Stock take approve error', err);
+      return res.status(500).json({ error: 'Failed to approve stock take' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST') {
+    const { title, rack } = req.body || {};
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [items] = await conn.query('SELECT id, rate, specs FROM inventory WHERE active = 1');
+      const lines = items
+        .map(item => ({ ...item, rack: (item.specs ? JSON.parse(item.specs) : {}).rack || null }))
+        .filter(item => !rack || item.rack === rack);
+      if (lines.length === 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'No items to count' });
+      }
+      const [result] = await conn.query('INSERT INTO stock_takes (title, rack) VALUES (?, ?)', [title || null, rack || null]);
+      await conn.query(
+        'INSERT INTO stock_take_lines (stock_take_id, item_id, rack, rate) VALUES ?',
+        [lines.map(item => [result.insertId, item.id, item.rack, item.rate])]
+      );
+      await conn.commit();
+      return res.status(201).json({ id: result.insertId });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Stock takes POST error', err);
+      return res.status(500).json({ error: 'Failed to start stock take' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'PUT') {
+    const { lines } = req.body || {};
+    if (!id || !Array.isArray(lines)) {
+      return res.status(400).json({ error: 'Stock take id and lines are required' });
+    }
+    if (lines.some(line => line.reason && !ADJUSTMENT_REASONS[line.reason])) {
+      return res.status(400).json({ error: 'Unknown adjustment reason' });
+    }
+    if (lines.some(line => line.counted_quantity !== '' && line.counted_quantity !== null && !(parseFloat(line.counted_quantity) >= 0))) {
+      return res.status(400).json({ error: 'Counted quantities cannot be negative' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT status FROM stock_takes WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0 || rows[0].status !== 'open') {
+        await conn.rollback();
+        return res.status(rows.length === 0 ? 404 : 409).json({ error: rows.length === 0 ? 'Stock take not found' : 'Stock take is already closed' });
+      }
+      for (const line of lines) {
+        const counted = line.counted_quantity === '' || line.counted_quantity === null || line.counted_quantity === undefined ? null : parseFloat(line.counted_quantity);
+        await conn.query(
+          'UPDATE stock_take_lines SET counted_quantity = ?, reason = ? WHERE stock_take_id = ? AND item_id = ?',
+          [counted, line.reason || null, id, line.item_id]
+        );
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Counts saved' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Stock takes PUT error', err);
+      return res.status(500).json({ error: 'Failed to save counts' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'DELETE') {
+    if (!id) {
+      return res.status(400).json({ error: 'Stock take id is required' });
+    }
+    try {
+      const [result] = await pool.query("DELETE FROM stock_takes WHERE id = ? AND status = 'open'", [id]);
+      if (result.affectedRows === 0) {
+        return res.status(409).json({ error: 'Only open stock takes can be discarded' });
+      }
+      return res.status(200).json({ message: 'Stock take discarded' });
+    } catch (err) {
+      console.error('Stock takes DELETE error', err);
+      return res.status(500).json({ error: 'Failed to discard stock take' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,188 @@
+import { getPool } from '../../lib/db';
+import { round2 } from '../../lib/gst';
+import { PAYABLE, PAYMENT_MODES, checkAllocations, openBills, refreshBillPaymentStatus, vendorBalances } from '../../lib/payments';
+import { nextDocumentNumber } from '../../lib/sequences';
+
+/**
+ * Vendor payments API route. GET lists payment vouchers with the amount
+ * allocated from each; with `id` it returns one payment and its allocations,
+ * with `vendor_id` the vendor's bills still to be paid, and with
+ * `view=outstanding` what is owed to every vendor.
+ *
+ * POST records a payment made: { vendor_id, mode, reference, amount, date,
+ * notes, allocations } where allocations are { bill_id, amount } against the
+ * vendor's open bills, in part or in full; the rest stays with the vendor as
+ * an advance. Payments are numbered from the `payment` document series. POST
+ * with `action=allocate` allocates what is left of payment `id`, and with
+ * `action=cancel` cancels it, keeping its number and releasing its
+ * allocations. Every change updates the payment status of the bills.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, action, vendor_id: vendorId, view } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM vendor_payments WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Payment not found' });
+        }
+        const [allocations] = await pool.query(
+          `SELECT a.*, b.bill_number, b.bill_date, b.grand_total FROM vendor_payment_allocations a
+           JOIN purchase_bills b ON b.id = a.bill_id WHERE a.payment_id = ? ORDER BY a.id`,
+          [id]
+        );
+        return res.status(200).json({ payment: rows[0], allocations });
+      }
+      if (vendorId) {
+        return res.status(200).json({ bills: await openBills(pool, { vendorId }) });
+      }
+      if (view === 'outstanding') {
+        return res.status(200).json({ vendors: await vendorBalances(pool) });
+      }
+      const [rows] = await pool.query(
+        `SELECT p.*, IFNULL((SELECT SUM(a.amount) FROM vendor_payment_allocations a WHERE a.payment_id = p.id), 0) AS allocated
+         FROM vendor_payments p ORDER BY p.date DESC, p.id DESC`
+      );
+      return res.status(200).json({ payments: rows });
+    } catch (err) {
+      console.error('Vendor payments GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch vendor payments' });
+    }
+  } else if (req.method === 'POST' && action === 'cancel') {
+    if (!id) {
+      return res.status(400).json({ error: 'Payment id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT * FROM vendor_payments WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+      if (rows[0].status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ error: 'Payment is already cancelled' });
+      }
+      await conn.query("UPDATE vendor_payments SET status = 'cancelled' WHERE id = ?", [id]);
+      const [allocations] = await conn.query('SELECT DISTINCT bill_id FROM vendor_payment_allocations WHERE payment_id = ?', [id]);
+      for (const allocation of allocations) {
+        await refreshBillPaymentStatus(conn, allocation.bill_id);
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Payment cancelled' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Vendor payments cancel error', err);
+      return res.status(500).json({ error: 'Failed to cancel payment' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST' && action === 'allocate') {
+    if (!id) {
+      return res.status(400).json({ error: 'Payment id is required' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT * FROM vendor_payments WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+      const payment = rows[0];
+      if (payment.status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ error: 'Payment is cancelled' });
+      }
+      const [[used]] = await conn.query('SELECT IFNULL(SUM(amount), 0) AS allocated FROM vendor_payment_allocations WHERE payment_id = ?', [id]);
+      const available = round2(parseFloat(payment.amount) - parseFloat(used.allocated));
+      const result = await allocate(conn, payment, (req.body || {}).allocations, available);
+      if (result.error) {
+        await conn.rollback();
+        return res.status(400).json({ error: result.error });
+      }
+      await conn.commit();
+      return res.status(200).json({ message: 'Payment allocated' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Vendor payments allocate error', err);
+      return res.status(500).json({ error: 'Failed to allocate payment' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST') {
+    const { vendor_id, mode, reference, amount, date, notes, allocations } = req.body || {};
+    if (!vendor_id) {
+      return res.status(400).json({ error: 'Vendor is required' });
+    }
+    if (!PAYMENT_MODES[mode]) {
+      return res.status(400).json({ error: 'Choose how the payment was made' });
+    }
+    const total = round2(parseFloat(amount) || 0);
+    if (!(total > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'Allocations must be a list' });
+    }
+    try {
+      const [vendors] = await pool.query('SELECT id, name FROM vendors WHERE id = ?', [vendor_id]);
+      if (vendors.length === 0) {
+        return res.status(400).json({ error: 'Vendor not found' });
+      }
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const paymentDate = date ? new Date(date) : new Date();
+        const voucherNumber = await nextDocumentNumber(conn, 'payment', paymentDate);
+        const [result] = await conn.query(
+          'INSERT INTO vendor_payments (voucher_number, vendor_id, vendor_name, mode, reference, amount, date, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [voucherNumber, vendors[0].id, vendors[0].name, mode, reference || null, total, paymentDate, notes || null]
+        );
+        const payment = { id: result.insertId, vendor_id: vendors[0].id };
+        const allocated = await allocate(conn, payment, allocations, total);
+        if (allocated.error) {
+          await conn.rollback();
+          return res.status(400).json({ error: allocated.error });
+        }
+        await conn.commit();
+        return res.status(201).json({ id: payment.id, voucher_number: voucherNumber });
+      } catch (error) {
+        await conn.rollback();
+        console.error('Vendor payments POST transaction error', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'Voucher number already in use; check the numbering series in Settings' });
+        }
+        return res.status(500).json({ error: 'Failed to record payment' });
+      } finally {
+        conn.release();
+      }
+    } catch (err) {
+      console.error('Vendor payments POST error', err);
+      return res.status(500).json({ error: 'Failed to record payment' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Allocates a payment against the vendor's bills, locking them first so two
+// payments cannot both settle the same balance.
+async function allocate(conn, payment, allocations, available) {
+  const ids = (allocations || []).map(allocation => parseInt(allocation.bill_id)).filter(Boolean);
+  const bills = ids.length ? await openBills(conn, { vendorId: payment.vendor_id, ids, lock: true }) : [];
+  const checked = checkAllocations(allocations, bills, available, PAYABLE);
+  if (checked.error) return checked;
+  if (checked.allocations.length === 0) return checked;
+  await conn.query(
+    'INSERT INTO vendor_payment_allocations (payment_id, bill_id, amount) VALUES ?',
+    [checked.allocations.map(allocation => [payment.id, allocation.bill_id, allocation.amount])]
+  );
+  for (const allocation of checked.allocations) {
+    await refreshBillPaymentStatus(conn, allocation.bill_id);
+  }
+  return checked;
+}
@@ -0,0 +1,168 @@
+import { getPool } from '../../lib/db';
+import { isValidGstin } from '../../lib/gst';
+import { findState, stateFromGstin } from '../../lib/states';
+
+/**
+ * Vendors API route. GET lists vendors with their purchase bill count and
+ * total purchased (optionally filtered by `q`), or one vendor when `id` is given.
+ * POST creates a vendor, PUT updates the vendor given by `id` and DELETE
+ * removes it unless purchases or payments reference it. POST with
+ * `action=merge` moves every purchase and payment of vendor `from_id` to
+ * `into_id` and deletes `from_id`, to clean up duplicates left by free-text
+ * vendor names; it is refused when both vendors have a bill with the same
+ * number.
+ */
+export default async function handler(req, res) {
+  const pool = getPool();
+  const { id, q, action } = req.query || {};
+  if (req.method === 'GET') {
+    try {
+      if (id) {
+        const [rows] = await pool.query('SELECT * FROM vendors WHERE id = ?', [id]);
+        if (rows.length === 0) {
+          return res.status(404).json({ error: 'Vendor not found' });
+        }
+        return res.status(200).json({ vendor: rows[0] });
+      }
+      let sql = `SELECT v.*, COUNT(b.id) AS purchase_count, IFNULL(SUM(b.grand_total), 0) AS total_purchased
+        FROM vendors v LEFT JOIN purchase_bills b ON b.vendor_id = v.id`;
+      const params = [];
+      if (q) {
+        sql += ' WHERE v.name LIKE ? OR v.gstin LIKE ? OR v.phone LIKE ?';
+        params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+      }
+      const [rows] = await pool.query(sql + ' GROUP BY v.id ORDER BY v.name', params);
+      return res.status(200).json({ vendors: rows });
+    } catch (err) {
+      console.error('Vendors GET error', err);
+      return res.status(500).json({ error: 'Failed to fetch vendors' });
+    }
+  } else if (req.method === 'POST' && action === 'merge') {
+    const { from_id, into_id } = req.body || {};
+    if (!from_id || !into_id || parseInt(from_id) === parseInt(into_id)) {
+      return res.status(400).json({ error: 'Choose two different vendors to merge' });
+    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query('SELECT id, name FROM vendors WHERE id IN (?) FOR UPDATE', [[from_id, into_id]]);
+      const target = rows.find(r => r.id === parseInt(into_id));
+      if (rows.length !== 2 || !target) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Vendor not found' });
+      }
+      // Bill numbers are unique per vendor, so both vendors cannot keep the same one
+      const [clashes] = await conn.query(
+        `SELECT a.bill_number FROM purchase_bills a
+         JOIN purchase_bills b ON b.bill_number = a.bill_number AND b.vendor_id = ?
+         WHERE a.vendor_id = ?`,
+        [target.id, from_id]
+      );
+      if (clashes.length > 0) {
+        await conn.rollback();
+        return res.status(409).json({ error: `Both vendors have bills numbered ${clashes.map(c => c.bill_number).join(', ')}; change one of each before merging` });
+      }
+      await conn.query('UPDATE purchase_bills SET vendor_id = ?, vendor_name = ? WHERE vendor_id = ?', [target.id, target.name, from_id]);
+      await conn.query('UPDATE purchases SET vendor_id = ?, vendor_name = ? WHERE vendor_id = ?', [target.id, target.name, from_id]);
+      await conn.query('UPDATE debit_notes SET vendor_id = ?, vendor_name = ? WHERE vendor_id = ?', [target.id, target.name, from_id]);
+      await conn.query('UPDATE purchase_orders SET vendor_id = ?, vendor_name = ? WHERE vendor_id = ?', [target.id, target.name, from_id]);
+      await conn.query('UPDATE vendor_payments SET vendor_id = ?, vendor_name = ? WHERE vendor_id = ?', [target.id, target.name, from_id]);
+      await conn.query('UPDATE inventory SET preferred_vendor_id = ? WHERE preferred_vendor_id = ?', [target.id, from_id]);
+      await conn.query('DELETE FROM vendors WHERE id = ?', [from_id]);
+      await conn.commit();
+      return res.status(200).json({ message: 'Vendors merged' });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Vendors merge error', err);
+      return res.status(500).json({ error: 'Failed to merge vendors' });
+    } finally {
+      conn.release();
+    }
+  } else if (req.method === 'POST' || req.method === 'PUT') {
+    if (req.method === 'PUT' && !id) {
+      return res.status(400).json({ error: 'Vendor id is required' });
+    }
+    const { values, error } = vendorValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const fields = Object.keys(values);
+      if (req.method === 'POST') {
+        const [result] = await pool.query(
+          `INSERT INTO vendors (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+          fields.map(f => values[f])
+        );
+        return res.status(201).json({ id: result.insertId });
+      }
+      const [result] = await pool.query(
+        `UPDATE vendors SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(f => values[f]), id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Vendor not found' });
+      }
+      return res.status(200).json({ message: 'Vendor updated' });
+    } catch (err) {
+      console.error(`Vendors ${req.method} error`, err);
+      return res.status(500).json({ error: 'Failed to save vendor' });
+    }
+  } else if (req.method === 'DELETE') {
+    if (!id) {
+      return res.status(400).json({ error: 'Vendor id is required' });
+    }
+    try {
+      const [[usage]] = await pool.query(
+        'SELECT (SELECT COUNT(*) FROM purchase_bills WHERE vendor_id = ?) + (SELECT COUNT(*) FROM vendor_payments WHERE vendor_id = ?) AS count',
+        [id, id]
+      );
+      if (usage.count > 0) {
+        return res.status(409).json({ error: 'Vendor has purchases or payments and cannot be deleted; merge it into another vendor instead' });
+      }
+      await pool.query('UPDATE inventory SET preferred_vendor_id = NULL WHERE preferred_vendor_id = ?', [id]);
+      await pool.query('DELETE FROM vendors WHERE id = ?', [id]);
+      return res.status(200).json({ message: 'Vendor deleted' });
+    } catch (err) {
+      console.error('Vendors DELETE error', err);
+      return res.status(500).json({ error: 'Failed to delete vendor' });
+    }
+  } else {
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
+
+// Validates a vendor payload and maps it to column values. The state
+// defaults to the one encoded in the GSTIN.
+function vendorValues(body) {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    return { error: 'Vendor name is required' };
+  }
+  const gstin = String(body.gstin || '').trim().toUpperCase();
+  if (gstin && !isValidGstin(gstin)) {
+    return { error: 'Invalid GSTIN' };
+  }
+  const state = body.state_code ? findState(body.state_code) : stateFromGstin(gstin);
+  if (body.state_code && !state) {
+    return { error: 'Unknown state' };
+  }
+  const creditDays = parseInt(body.credit_days) || 0;
+  if (creditDays < 0) {
+    return { error: 'Payment terms cannot be negative' };
+  }
+  return {
+    values: {
+      name,
+      gstin: gstin || null,
+      contact_person: body.contact_person || null,
+      phone: body.phone || null,
+      email: body.email || null,
+      address: body.address || null,
+      city: body.city || null,
+      pincode: body.pincode || null,
+      state_code: state ? state.code : null,
+      credit_days: creditDays,
+    },
+  };
+}
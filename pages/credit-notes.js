@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import Head from 'next/head';
+import { computeReturn } from '../lib/gst';
+
+/**
+ * Credit Notes page records goods returned by customers. The user picks the
+ * original invoice, enters how many of each line came back (up to what has
+ * not been returned yet) and a reason. Saving issues a numbered credit note
+ * that reverses the GST of the returned quantities and adds them back to
+ * inventory. Previously issued credit notes are listed below.
+ */
+export default function CreditNotes() {
+  const [sales, setSales] = useState([]);
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [sale, setSale] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadCreditNotes() {
+    const res = await fetch('/api/credit-notes');
+    const data = await res.json();
+    if (res.ok) setCreditNotes(data.creditNotes);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const res = await fetch('/api/sales');
+        const data = await res.json();
+        if (res.ok) setSales(data.sales.filter(s => s.status !== 'cancelled'));
+        await loadCreditNotes();
+      } catch (err) {
+        console.error('Credit notes load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  // Load the invoice lines with the quantity still returnable
+  async function handleSaleSelect(selected) {
+    setMessage(null);
+    setQuantities({});
+    try {
+      const res = await fetch(`/api/credit-notes?sale_id=${selected.id}`);
+      const data = await res.json();
+      if (res.ok) {
+        setSale(data.sale);
+      } else {
+        setMessage(data.error || 'Error loading invoice');
+      }
+    } catch (err) {
+      console.error('Credit note invoice load error', err);
+      setMessage('Error loading invoice');
+    }
+  }
+
+  function handleCancel() {
+    setSale(null);
+    setQuantities({});
+    setReason('');
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch('/api/credit-notes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sale_id: sale.id,
+          reason,
+          items: Object.keys(quantities).map(index => ({ line_index: parseInt(index), quantity: parseFloat(quantities[index]) || 0 })),
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Credit note ${data.note_number} issued for ₹ ${data.grand_total.toFixed(2)}`);
+        handleCancel();
+        await loadCreditNotes();
+      } else {
+        setMessage(data.error || 'Error creating credit note');
+      }
+    } catch (err) {
+      console.error('Credit note save error', err);
+      setMessage('Error creating credit note');
+    }
+  }
+
+  const returns = Object.keys(quantities).map(index => ({ line_index: index, quantity: quantities[index] }));
+  const alreadyReturned = {};
+  (sale?.items || []).forEach(line => { alreadyReturned[line.line_index] = line.returned; });
+  const preview = sale ? computeReturn(sale.items, returns, alreadyReturned) : null;
+
+  return (
+    <Layout>
+      <Head>
+        <title>Credit Notes | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Credit Notes</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Sales Return</h2>
+        {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
+        <div className="mb-4">
+          <label className="block text-sm mb-1">Invoice</label>
+          <SearchPicker
+            options={sales}
+            getLabel={s => s.invoice_number}
+            getDetail={s => [s.customer_name, s.date ? new Date(s.date).toLocaleDateString() : ''].filter(Boolean).join(' · ')}
+            onSelect={handleSaleSelect}
+            value={sale ? sale.invoice_number : ''}
+            placeholder="Search invoice number or customer"
+          />
+        </div>
+        {sale && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {sale.customer_name || 'Walk-in customer'} · {sale.date ? new Date(sale.date).toLocaleDateString() : ''} · Invoice total ₹ {parseFloat(sale.grand_total).toFixed(2)}
+            </p>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">Sold</th>
+                    <th className="px-2 py-1">Returned</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">GST %</th>
+                    <th className="px-2 py-1">Return Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sale.items.map(line => (
+                    <tr key={line.line_index} className="border-b">
+                      <td className="px-2 py-1">{line.line_index + 1}</td>
+                      <td className="px-2 py-1">{line.description}</td>
+                      <td className="px-2 py-1">{line.quantity}</td>
+                      <td className="px-2 py-1">{line.returned}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(line.rate).toFixed(2)}</td>
+                      <td className="px-2 py-1">{line.gst_rate}%</td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="number"
+                          value={quantities[line.line_index] ?? ''}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [line.line_index]: e.target.value }))}
+                          min="0"
+                          max={line.returnable}
+                          step="0.01"
+                          disabled={line.returnable <= 0}
+                          className="border rounded px-1 py-0.5 w-20"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Reason</label>
+              <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Damaged, wrong item, ..." className="w-full px-2 py-1 border rounded" />
+            </div>
+            {preview && !preview.error && (
+              <div className="text-sm text-right space-y-1">
+                <div>Taxable Value: ₹ {preview.totals.taxable.toFixed(2)}</div>
+                {preview.totals.igst > 0 ? (
+                  <div>IGST: ₹ {preview.totals.igst.toFixed(2)}</div>
+                ) : (
+                  <div>CGST: ₹ {preview.totals.cgst.toFixed(2)} · SGST: ₹ {preview.totals.sgst.toFixed(2)}</div>
+                )}
+                <div className="font-semibold">Credit Total: ₹ {preview.totals.grand.toFixed(2)}</div>
+              </div>
+            )}
+            {preview?.error && returns.some(r => parseFloat(r.quantity) > 0) && <p className="text-sm text-red-600">{preview.error}</p>}
+            <div className="flex gap-2">
+              <button type="submit" disabled={!preview || !!preview.error} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50">Issue Credit Note</button>
+              <button type="button" onClick={handleCancel} className="px-4 py-2 rounded border">Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="text-lg font-medium mb-2">Issued Credit Notes</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : creditNotes.length === 0 ? (
+          <p>No credit notes found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Note No</th>
+                  <th className="px-2 py-2">Invoice No</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Reason</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Taxable</th>
+                  <th className="px-2 py-2">GST</th>
+                  <th className="px-2 py-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {creditNotes.map(note => (
+                  <tr key={note.id} className="border-b hover:bg-gray-50">
+                    <td className="px-2 py-1">{note.note_number}</td>
+                    <td className="px-2 py-1">{note.invoice_number}</td>
+                    <td className="px-2 py-1">{note.customer_name || '-'}</td>
+                    <td className="px-2 py-1">{note.reason || '-'}</td>
+                    <td className="px-2 py-1">{note.date ? new Date(note.date).toLocaleDateString() : ''}</td>
+                    <td className="px-2 py-1">₹ {parseFloat(note.taxable_total).toFixed(2)}</td>
+                    <td className="px-2 py-1">₹ {((parseFloat(note.cgst) || 0) + (parseFloat(note.sgst) || 0) + (parseFloat(note.igst) || 0)).toFixed(2)}</td>
+                    <td className="px-2 py-1">₹ {parseFloat(note.grand_total).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,242 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import { STATES, findState, stateFromGstin, stateLabel } from '../lib/states';
+
+const emptyForm = {
+  name: '',
+  gstin: '',
+  phone: '',
+  email: '',
+  billing_address: '',
+  shipping_address: '',
+  city: '',
+  pincode: '',
+  state_code: '',
+  credit_days: 0,
+  credit_limit: 0,
+};
+
+/**
+ * Customers page manages the customer master used by the sales invoice form.
+ * Each customer carries a GSTIN, billing and shipping addresses, state and
+ * credit terms. Customers are added and edited through /api/customers.
+ */
+export default function Customers() {
+  const [customers, setCustomers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadCustomers() {
+    const res = await fetch('/api/customers');
+    const data = await res.json();
+    if (res.ok) setCustomers(data.customers);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        await loadCustomers();
+      } catch (err) {
+        console.error('Customers load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Pre-select the state encoded in the GSTIN
+      if (name === 'gstin' && !prev.state_code) {
+        const state = stateFromGstin(value);
+        if (state) next.state_code = state.code;
+      }
+      return next;
+    });
+  }
+
+  function handleEdit(customer) {
+    setEditingId(customer.id);
+    setMessage(null);
+    const values = {};
+    Object.keys(emptyForm).forEach(key => { values[key] = customer[key] ?? emptyForm[key]; });
+    setForm(values);
+  }
+
+  function handleCancel() {
+    setEditingId(null);
+    setForm(emptyForm);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch(editingId ? `/api/customers?id=${editingId}` : '/api/customers', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          credit_days: parseInt(form.credit_days) || 0,
+          credit_limit: parseFloat(form.credit_limit) || 0,
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(editingId ? 'Customer updated' : 'Customer added');
+        setEditingId(null);
+        setForm(emptyForm);
+        await loadCustomers();
+      } else {
+        setMessage(data.error || 'Error saving customer');
+      }
+    } catch (err) {
+      console.error('Customer save error', err);
+      setMessage('Error saving customer');
+    }
+  }
+
+  async function handleDelete(customer) {
+    if (!window.confirm(`Delete ${customer.name}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/customers?id=${customer.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        await loadCustomers();
+      } else {
+        setMessage(data.error || 'Error deleting customer');
+      }
+    } catch (err) {
+      console.error('Customer delete error', err);
+      setMessage('Error deleting customer');
+    }
+  }
+
+  const text = search.trim().toLowerCase();
+  const filtered = customers.filter(c => !text || `${c.name} ${c.gstin || ''} ${c.phone || ''}`.toLowerCase().includes(text));
+
+  return (
+    <Layout>
+      <Head>
+        <title>Customers | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Customers</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">{editingId ? 'Edit Customer' : 'Add Customer'}</h2>
+        {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Name</label>
+              <input type="text" name="name" value={form.name} onChange={handleChange} required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">GSTIN</label>
+              <input type="text" name="gstin" value={form.gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Phone</label>
+              <input type="text" name="phone" value={form.phone} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Email</label>
+              <input type="email" name="email" value={form.email} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Billing Address</label>
+              <input type="text" name="billing_address" value={form.billing_address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Shipping Address</label>
+              <input type="text" name="shipping_address" value={form.shipping_address} onChange={handleChange} placeholder="Same as billing" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">City</label>
+              <input type="text" name="city" value={form.city} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Pincode</label>
+              <input type="text" name="pincode" value={form.pincode} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">State</label>
+              <select name="state_code" value={form.state_code} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Credit Days</label>
+              <input type="number" name="credit_days" value={form.credit_days} onChange={handleChange} min="0" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Credit Limit (₹)</label>
+              <input type="number" name="credit_limit" value={form.credit_limit} onChange={handleChange} min="0" step="0.01" className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">{editingId ? 'Update Customer' : 'Add Customer'}</button>
+            {editingId && (
+              <button type="button" onClick={handleCancel} className="px-4 py-2 rounded border">Cancel</button>
+            )}
+          </div>
+        </form>
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Customer List</h2>
+          <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search name, GSTIN or phone" className="px-2 py-1 border rounded text-sm" />
+        </div>
+        {loading ? (
+          <p>Loading...</p>
+        ) : filtered.length === 0 ? (
+          <p>No customers found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">#</th>
+                  <th className="px-2 py-2">Name</th>
+                  <th className="px-2 py-2">GSTIN</th>
+                  <th className="px-2 py-2">Phone</th>
+                  <th className="px-2 py-2">State</th>
+                  <th className="px-2 py-2">Credit Days</th>
+                  <th className="px-2 py-2">Credit Limit</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map((c, idx) => (
+                  <tr key={c.id} className="border-b hover:bg-gray-50">
+                    <td className="px-2 py-1">{idx + 1}</td>
+                    <td className="px-2 py-1">{c.name}</td>
+                    <td className="px-2 py-1">{c.gstin || '-'}</td>
+                    <td className="px-2 py-1">{c.phone || '-'}</td>
+                    <td className="px-2 py-1">{c.state_code ? stateLabel(findState(c.state_code)) : '-'}</td>
+                    <td className="px-2 py-1">{c.credit_days}</td>
+                    <td className="px-2 py-1">₹ {c.credit_limit}</td>
+                    <td className="px-2 py-1 space-x-2">
+                      <button type="button" onClick={() => handleEdit(c)} className="text-blue-600 text-xs">Edit</button>
+                      <button type="button" onClick={() => handleDelete(c)} className="text-red-500 text-xs">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -1,16 +1,22 @@
 import { useEffect, useState } from 'react';
 import Layout from '../components/Layout';
 import Head from 'next/head';
+import Link from 'next/link';
 
 /**
- * Dashboard page shows monthly summaries of sales, purchases, expenses and net
- * profit. A simple bar chart visualizes the totals across the current and
- * previous five months. Data is fetched from the /api/reports endpoint.
+ * Dashboard page shows monthly summaries of sales (net of credit notes),
+ * purchases (net of debit notes), expenses and net profit. A simple bar chart visualizes the totals across the current and
+ * previous five months. Data is fetched from the /api/reports endpoint. Items at
+ * or below their minimum stock level are listed with a link to the reorder
+ * suggestions, and a payables panel shows what is owed to vendors, overdue
+ * and falling due this week.
  */
 export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [summary, setSummary] = useState({ sales: 0, purchases: 0, expenses: 0, netProfit: 0 });
   const [chartData, setChartData] = useState({ labels: [], data: [] });
+  const [lowStock, setLowStock] = useState([]);
+  const [payables, setPayables] = useState([]);
 
   useEffect(() => {
     async function fetchData() {
@@ -21,6 +27,16 @@ export default function Dashboard() {
         if (res.ok) {
           setSummary(data.summary);
         }
+        const reorderRes = await fetch('/api/reorder');
+        const reorderData = await reorderRes.json();
+        if (reorderRes.ok) {
+          setLowStock(reorderData.lowStock);
+        }
+        const payablesRes = await fetch('/api/vendor-payments?view=outstanding');
+        const payablesData = await payablesRes.json();
+        if (payablesRes.ok) {
+          setPayables(payablesData.vendors);
+        }
         // Fetch last 6 months data for chart
         const labels = [];
         const dataset = [];
@@ -46,6 +62,10 @@ export default function Dashboard() {
     fetchData();
   }, []);
 
+  function payablesTotal(key) {
+    return payables.reduce((sum, row) => sum + row[key], 0);
+  }
+
   useEffect(() => {
     // Render bar chart once the data is loaded
     if (!loading && typeof window !== 'undefined' && chartData.labels.length > 0) {
@@ -94,10 +114,12 @@ export default function Dashboard() {
             <div className="bg-white p-4 rounded shadow">
               <h3 className="text-sm text-gray-500">Total Sales</h3>
               <p className="text-2xl font-semibold text-green-600">₹ {summary.sales.toFixed(2)}</p>
+              {summary.creditNotes > 0 && <p className="text-xs text-gray-500">after ₹ {summary.creditNotes.toFixed(2)} credit notes</p>}
             </div>
             <div className="bg-white p-4 rounded shadow">
               <h3 className="text-sm text-gray-500">Total Purchases</h3>
               <p className="text-2xl font-semibold text-blue-600">₹ {summary.purchases.toFixed(2)}</p>
+              {summary.debitNotes > 0 && <p className="text-xs text-gray-500">after ₹ {summary.debitNotes.toFixed(2)} debit notes</p>}
             </div>
             <div className="bg-white p-4 rounded shadow">
               <h3 className="text-sm text-gray-500">Total Expenses</h3>
@@ -113,6 +135,82 @@ export default function Dashboard() {
             <h3 className="text-sm text-gray-500 mb-2">Net Profit (last 6 months)</h3>
             <canvas id="profitChart" className="w-full h-full"></canvas>
           </div>
+          {/* Payables */}
+          <div className="bg-white p-4 rounded shadow">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm text-gray-500">Payables</h3>
+              <Link href="/vendor-payments" className="text-blue-600 text-sm">Vendor payments</Link>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-2">
+              <div>
+                <p className="text-xs text-gray-500">Total Payable</p>
+                <p className="text-xl font-semibold">₹ {payablesTotal('outstanding').toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Overdue</p>
+                <p className="text-xl font-semibold text-red-600">₹ {payablesTotal('overdue').toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Due in 7 Days</p>
+                <p className="text-xl font-semibold text-yellow-600">₹ {payablesTotal('due_this_week').toFixed(2)}</p>
+              </div>
+            </div>
+            {payables.length === 0 ? (
+              <p className="text-sm">Nothing owed to vendors</p>
+            ) : (
+              <table className="min-w-full text-sm text-left">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-2">Vendor</th>
+                    <th className="px-2 py-2 text-right">Open Bills</th>
+                    <th className="px-2 py-2 text-right">Overdue</th>
+                    <th className="px-2 py-2 text-right">Payable</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payables.slice(0, 5).map(row => (
+                    <tr key={row.vendor_id || row.vendor_name} className="border-b">
+                      <td className="px-2 py-1">{row.vendor_name || '-'}</td>
+                      <td className="px-2 py-1 text-right">{row.bills}</td>
+                      <td className={`px-2 py-1 text-right ${row.overdue > 0 ? 'text-red-600' : ''}`}>₹ {row.overdue.toFixed(2)}</td>
+                      <td className="px-2 py-1 text-right">₹ {row.outstanding.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+          {/* Low stock */}
+          <div className="bg-white p-4 rounded shadow">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm text-gray-500">Low Stock</h3>
+              <Link href="/reorder" className="text-blue-600 text-sm">Reorder suggestions</Link>
+            </div>
+            {lowStock.length === 0 ? (
+              <p className="text-sm">No items below their minimum level</p>
+            ) : (
+              <table className="min-w-full text-sm text-left">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-2">Item</th>
+                    <th className="px-2 py-2 text-right">In Stock</th>
+                    <th className="px-2 py-2 text-right">Min Level</th>
+                    <th className="px-2 py-2">Preferred Vendor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lowStock.map(item => (
+                    <tr key={item.id} className="border-b">
+                      <td className="px-2 py-1">{item.item_name}</td>
+                      <td className="px-2 py-1 text-right text-red-600">{item.quantity}</td>
+                      <td className="px-2 py-1 text-right">{item.min_level}</td>
+                      <td className="px-2 py-1">{item.preferred_vendor_name || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
         </div>
       )}
     </Layout>
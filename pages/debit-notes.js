@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import Head from 'next/head';
+import { computeReturn } from '../lib/gst';
+
+/**
+ * Debit Notes page records goods sent back to vendors. The user picks the
+ * purchase bill, enters how many of each line are going back (up to what has
+ * not been returned yet) and a reason. Saving issues a numbered debit note
+ * that reverses the input GST of the returned quantities and takes them out
+ * of inventory. Previously issued debit notes are listed below.
+ */
+export default function DebitNotes() {
+  const [bills, setBills] = useState([]);
+  const [debitNotes, setDebitNotes] = useState([]);
+  const [bill, setBill] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadDebitNotes() {
+    const res = await fetch('/api/debit-notes');
+    const data = await res.json();
+    if (res.ok) setDebitNotes(data.debitNotes);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const res = await fetch('/api/purchase');
+        const data = await res.json();
+        if (res.ok) setBills(data.bills);
+        await loadDebitNotes();
+      } catch (err) {
+        console.error('Debit notes load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  // Load the bill lines with the quantity still returnable
+  async function handleBillSelect(selected) {
+    setMessage(null);
+    setQuantities({});
+    try {
+      const res = await fetch(`/api/debit-notes?bill_id=${selected.id}`);
+      const data = await res.json();
+      if (res.ok) {
+        setBill(data.bill);
+      } else {
+        setMessage(data.error || 'Error loading purchase bill');
+      }
+    } catch (err) {
+      console.error('Debit note bill load error', err);
+      setMessage('Error loading purchase bill');
+    }
+  }
+
+  function handleCancel() {
+    setBill(null);
+    setQuantities({});
+    setReason('');
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch('/api/debit-notes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bill_id: bill.id,
+          reason,
+          items: Object.keys(quantities).map(index => ({ line_index: parseInt(index), quantity: parseFloat(quantities[index]) || 0 })),
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Debit note ${data.note_number} issued for ₹ ${data.grand_total.toFixed(2)}`);
+        handleCancel();
+        await loadDebitNotes();
+      } else {
+        setMessage(data.error || 'Error creating debit note');
+      }
+    } catch (err) {
+      console.error('Debit note save error', err);
+      setMessage('Error creating debit note');
+    }
+  }
+
+  const returns = Object.keys(quantities).map(index => ({ line_index: index, quantity: quantities[index] }));
+  const alreadyReturned = {};
+  (bill?.items || []).forEach(line => { alreadyReturned[line.line_index] = line.returned; });
+  const preview = bill ? computeReturn(bill.items, returns, alreadyReturned) : null;
+
+  return (
+    <Layout>
+      <Head>
+        <title>Debit Notes | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Debit Notes</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Purchase Return</h2>
+        {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
+        <div className="mb-4">
+          <label className="block text-sm mb-1">Purchase Bill</label>
+          <SearchPicker
+            options={bills}
+            getLabel={b => `${b.vendor_name || 'No vendor'} · ${b.bill_number || `Bill #${b.id}`}`}
+            getDetail={b => [b.bill_date ? new Date(b.bill_date).toLocaleDateString() : '', `₹ ${parseFloat(b.grand_total).toFixed(2)}`].filter(Boolean).join(' · ')}
+            onSelect={handleBillSelect}
+            value={bill ? `${bill.vendor_name || 'No vendor'} · ${bill.bill_number || `Bill #${bill.id}`}` : ''}
+            placeholder="Search vendor or bill number"
+          />
+        </div>
+        {bill && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {bill.vendor_name || 'No vendor'} · {bill.bill_date ? new Date(bill.bill_date).toLocaleDateString() : ''} · Bill total ₹ {parseFloat(bill.grand_total).toFixed(2)}
+            </p>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">Purchased</th>
+                    <th className="px-2 py-1">Returned</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">GST %</th>
+                    <th className="px-2 py-1">Return Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bill.items.map(line => (
+                    <tr key={line.line_index} className="border-b">
+                      <td className="px-2 py-1">{line.line_index + 1}</td>
+                      <td className="px-2 py-1">{line.item_name || line.item_id}</td>
+                      <td className="px-2 py-1">{line.quantity}</td>
+                      <td className="px-2 py-1">{line.returned}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(line.rate).toFixed(2)}</td>
+                      <td className="px-2 py-1">{parseFloat(line.gst_rate) || 0}%</td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="number"
+                          value={quantities[line.line_index] ?? ''}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [line.line_index]: e.target.value }))}
+                          min="0"
+                          max={line.returnable}
+                          step="0.01"
+                          disabled={line.returnable <= 0}
+                          className="border rounded px-1 py-0.5 w-20"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Reason</label>
+              <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Damaged, short supply, ..." className="w-full px-2 py-1 border rounded" />
+            </div>
+            {preview && !preview.error && (
+              <div className="text-sm text-right space-y-1">
+                <div>Taxable Value: ₹ {preview.totals.taxable.toFixed(2)}</div>
+                {preview.totals.igst > 0 ? (
+                  <div>IGST: ₹ {preview.totals.igst.toFixed(2)}</div>
+                ) : (
+                  <div>CGST: ₹ {preview.totals.cgst.toFixed(2)} · SGST: ₹ {preview.totals.sgst.toFixed(2)}</div>
+                )}
+                <div className="font-semibold">Debit Total: ₹ {preview.totals.grand.toFixed(2)}</div>
+              </div>
+            )}
+            {preview?.error && returns.some(r => parseFloat(r.quantity) > 0) && <p className="text-sm text-red-600">{preview.error}</p>}
+            <div className="flex gap-2">
+              <button type="submit" disabled={!preview || !!preview.error} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50">Issue Debit Note</button>
+              <button type="button" onClick={handleCancel} className="px-4 py-2 rounded border">Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="text-lg font-medium mb-2">Issued Debit Notes</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : debitNotes.length === 0 ? (
+          <p>No debit notes found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Note No</th>
+                  <th className="px-2 py-2">Bill No</th>
+                  <th className="px-2 py-2">Vendor</th>
+                  <th className="px-2 py-2">Reason</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Taxable</th>
+                  <th className="px-2 py-2">GST</th>
+                  <th className="px-2 py-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {debitNotes.map(note => (
+                  <tr key={note.id} className="border-b hover:bg-gray-50">
+                    <td className="px-2 py-1">{note.note_number}</td>
+                    <td className="px-2 py-1">{note.bill_number || '-'}</td>
+                    <td className="px-2 py-1">{note.vendor_name || '-'}</td>
+                    <td className="px-2 py-1">{note.reason || '-'}</td>
+                    <td className="px-2 py-1">{note.date ? new Date(note.date).toLocaleDateString() : ''}</td>
+                    <td className="px-2 py-1">₹ {parseFloat(note.taxable_total).toFixed(2)}</td>
+                    <td className="px-2 py-1">₹ {((parseFloat(note.cgst) || 0) + (parseFloat(note.sgst) || 0) + (parseFloat(note.igst) || 0)).toFixed(2)}</td>
+                    <td className="px-2 py-1">₹ {parseFloat(note.grand_total).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
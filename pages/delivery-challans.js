@@ -0,0 +1,524 @@
+import { useEffect, useState, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import InvoicePreview from '../components/InvoicePreview';
+import Head from 'next/head';
+import { computeInvoice } from '../lib/gst';
+import { downloadPdf } from '../lib/pdf';
+import { CHALLAN_PURPOSES } from '../lib/sales';
+import { STATES, stateFromGstin, stateLabel } from '../lib/states';
+
+const emptyChallan = { purpose: 'approval', date: '', vehicle_no: '', notes: '', customer_id: '', customer_name: '', customer_address: '', shipping_address: '', customer_gstin: '', place_of_supply: '', items: [] };
+
+const STATUS_LABELS = {
+  open: 'Out',
+  partial: 'Partly settled',
+  invoiced: 'Invoiced',
+  returned: 'Returned',
+  closed: 'Settled',
+};
+
+// Line printed under a challan, saying why the goods moved
+function challanNote(purpose) {
+  if (purpose === 'job_work') return 'Goods sent for job work, to be returned after processing. Not a sale.';
+  if (purpose === 'approval') return 'Goods sent on approval. Not a sale; a tax invoice will follow for goods kept.';
+  return 'Goods sent under delivery challan. Not a sale.';
+}
+
+function challanParty(challan) {
+  return {
+    customer_name: challan.customer_name,
+    customer_address: challan.customer_address,
+    shipping_address: challan.shipping_address,
+    customer_gstin: challan.customer_gstin,
+    place_of_supply: challan.supply_state_code,
+    vehicle_no: challan.vehicle_no,
+  };
+}
+
+/**
+ * Delivery Challans page records goods sent to customers without an invoice,
+ * on approval or for job work. A challan has the customer, place of supply,
+ * vehicle number and item lines of a sales invoice, is printed as PDF in the
+ * invoice layout and takes the goods out of stock. Goods still out on a
+ * challan are later invoiced (without leaving stock again) or returned to
+ * stock, line by line and in parts if needed.
+ */
+export default function DeliveryChallans() {
+  const [items, setItems] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [challans, setChallans] = useState([]);
+  const [form, setForm] = useState(emptyChallan);
+  const [statusFilter, setStatusFilter] = useState('');
+  // Challan opened for settling: { challan, lines, invoices, returns }
+  const [current, setCurrent] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [vehicleNo, setVehicleNo] = useState('');
+  const [returnNote, setReturnNote] = useState('');
+  // Saved document rendered in the preview while its PDF is generated
+  const [printing, setPrinting] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const previewRef = useRef(null);
+
+  async function loadChallans() {
+    const res = await fetch('/api/delivery-challans');
+    const data = await res.json();
+    if (res.ok) setChallans(data.challans);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [res, custRes, setRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/customers'), fetch('/api/settings'), loadChallans()]);
+        const data = await res.json();
+        const custData = await custRes.json();
+        const setData = await setRes.json();
+        if (res.ok) setItems(data.items);
+        if (custRes.ok) setCustomers(custData.customers);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+      } catch (err) {
+        console.error('Delivery challans load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === 'customer_gstin' && !prev.place_of_supply) {
+        const state = stateFromGstin(value);
+        if (state) next.place_of_supply = state.code;
+      }
+      return next;
+    });
+  }
+
+  function handleCustomerSelect(customer) {
+    setForm(prev => ({
+      ...prev,
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_address: customer.billing_address || '',
+      shipping_address: customer.shipping_address || '',
+      customer_gstin: customer.gstin || '',
+      place_of_supply: customer.state_code || stateFromGstin(customer.gstin)?.code || '',
+    }));
+  }
+
+  function addItem() {
+    setForm(prev => ({ ...prev, items: [...prev.items, { item_id: '', quantity: 0, rate: 0 }] }));
+  }
+
+  function removeItem(index) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr.splice(index, 1);
+      return { ...prev, items: arr };
+    });
+  }
+
+  // Update a challan line; choosing an item fills its rate
+  function handleItemChange(index, field, value) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr[index] = { ...arr[index], [field]: value };
+      if (field === 'item_id') {
+        const item = items.find(i => i.id === parseInt(value));
+        if (item) arr[index].rate = item.rate;
+      }
+      return { ...prev, items: arr };
+    });
+  }
+
+  // Renders a document in the invoice layout and saves it as PDF
+  async function printDocument(doc) {
+    flushSync(() => setPrinting(doc));
+    await downloadPdf(previewRef.current, doc.number);
+    setPrinting(null);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (form.items.length === 0) {
+      setMessage('Add at least one item');
+      return;
+    }
+    try {
+      const res = await fetch('/api/delivery-challans', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          customer_id: form.customer_id || null,
+          date: form.date || null,
+          items: form.items.map(it => ({ item_id: parseInt(it.item_id), quantity: parseFloat(it.quantity), rate: parseFloat(it.rate) })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await printDocument({
+          kind: 'challan',
+          number: data.challan_number,
+          date: form.date || null,
+          party: form,
+          preview: data.challan,
+          note: challanNote(form.purpose),
+        });
+        setMessage(`Delivery challan ${data.challan_number} issued`);
+        setForm(emptyChallan);
+        await loadChallans();
+      } else {
+        setMessage(data.error || 'Error creating delivery challan');
+      }
+    } catch (err) {
+      console.error('Delivery challan create error', err);
+      setMessage('Error creating delivery challan');
+    }
+  }
+
+  async function fetchChallan(challan) {
+    const res = await fetch(`/api/delivery-challans?id=${challan.id}`);
+    const data = await res.json();
+    if (!res.ok) {
+      setMessage(data.error || 'Error loading delivery challan');
+      return null;
+    }
+    return data;
+  }
+
+  async function handlePdf(challan) {
+    setMessage(null);
+    try {
+      const data = await fetchChallan(challan);
+      if (!data) return;
+      // Value the stored lines at the GST rates they were issued with
+      const preview = computeInvoice(data.lines, { interState: parseFloat(data.challan.igst) > 0, getRate: line => line.gst_rate });
+      await printDocument({ kind: 'challan', number: data.challan.challan_number, date: data.challan.date, party: challanParty(data.challan), preview, note: challanNote(data.challan.purpose) });
+    } catch (err) {
+      console.error('Delivery challan PDF error', err);
+      setMessage('Error generating PDF');
+    }
+  }
+
+  async function openChallan(challan) {
+    setMessage(null);
+    try {
+      const data = await fetchChallan(challan);
+      if (!data) return;
+      setCurrent(data);
+      setVehicleNo(data.challan.vehicle_no || '');
+      setReturnNote('');
+      const values = {};
+      data.lines.forEach(line => { values[line.id] = line.outstanding; });
+      setQuantities(values);
+    } catch (err) {
+      console.error('Delivery challan load error', err);
+      setMessage('Error loading delivery challan');
+    }
+  }
+
+  async function handleSettle(action) {
+    const { challan } = current;
+    const verb = action === 'invoice' ? 'Invoice' : 'Return';
+    if (!window.confirm(`${verb} the entered quantities of ${challan.challan_number}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/delivery-challans?id=${challan.id}&action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vehicle_no: vehicleNo || null,
+          note: returnNote || null,
+          items: current.lines.map(line => ({ line_id: line.id, quantity: parseFloat(quantities[line.id]) || 0 })),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || `Error settling ${challan.challan_number}`);
+        return;
+      }
+      if (action === 'invoice') {
+        await printDocument({ kind: 'invoice', number: data.invoice_number, date: null, party: { ...challanParty(challan), vehicle_no: vehicleNo }, preview: data.invoice });
+        setMessage(`Invoice ${data.invoice_number} raised from ${challan.challan_number}`);
+      } else {
+        setMessage(data.message);
+      }
+      await Promise.all([loadChallans(), openChallan(challan)]);
+    } catch (err) {
+      console.error('Delivery challan settle error', err);
+      setMessage(`Error settling ${challan.challan_number}`);
+    }
+  }
+
+  const visibleChallans = challans.filter(challan => !statusFilter || challan.status === statusFilter);
+  const currentOpen = current && (current.challan.status === 'open' || current.challan.status === 'partial');
+
+  return (
+    <Layout>
+      <Head>
+        <title>Delivery Challans | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Delivery Challans</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">New Delivery Challan</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Customer</label>
+              <SearchPicker
+                options={customers}
+                getLabel={c => c.name}
+                getDetail={c => [c.gstin, c.phone].filter(Boolean).join(' · ')}
+                onSelect={handleCustomerSelect}
+                value={form.customer_id ? form.customer_name : ''}
+                placeholder="Search by name, GSTIN or phone"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Name</label>
+              <input type="text" name="customer_name" value={form.customer_name} onChange={handleChange} required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer GSTIN</label>
+              <input type="text" name="customer_gstin" value={form.customer_gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Address</label>
+              <input type="text" name="customer_address" value={form.customer_address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Shipping Address</label>
+              <input type="text" name="shipping_address" value={form.shipping_address} onChange={handleChange} placeholder="Same as billing" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Place of Supply</label>
+              <select name="place_of_supply" value={form.place_of_supply} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Purpose</label>
+              <select name="purpose" value={form.purpose} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                {Object.keys(CHALLAN_PURPOSES).map(key => (
+                  <option key={key} value={key}>{CHALLAN_PURPOSES[key]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Date</label>
+              <input type="date" name="date" value={form.date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Vehicle No.</label>
+              <input type="text" name="vehicle_no" value={form.vehicle_no} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div>
+            <h3 className="text-sm font-medium mb-2">Items</h3>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">In Stock</th>
+                    <th className="px-2 py-1">Qty</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">Value</th>
+                    <th className="px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {form.items.map((it, idx) => {
+                    const item = items.find(i => i.id === parseInt(it.item_id));
+                    return (
+                      <tr key={idx} className="border-b">
+                        <td className="px-2 py-1">{idx + 1}</td>
+                        <td className="px-2 py-1">
+                          <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} required className="border rounded px-1 py-0.5">
+                            <option value="">Select</option>
+                            {items.filter(i => i.active || i.id === parseInt(it.item_id)).map(i => (
+                              <option key={i.id} value={i.id}>{i.item_name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">{item ? parseFloat(item.quantity) : '-'}</td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.quantity} onChange={(e) => handleItemChange(idx, 'quantity', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-20" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">₹ {((parseFloat(it.quantity) || 0) * (parseFloat(it.rate) || 0)).toFixed(2)}</td>
+                        <td className="px-2 py-1">
+                          <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
+          </div>
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Issue Challan & PDF</button>
+        </form>
+      </div>
+      {current && (
+        <div className="bg-white p-4 rounded shadow mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-medium">{current.challan.challan_number} · {current.challan.customer_name}</h2>
+            <button type="button" onClick={() => setCurrent(null)} className="text-sm text-gray-600">Close</button>
+          </div>
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Item</th>
+                  <th className="px-2 py-2 text-right">Sent</th>
+                  <th className="px-2 py-2 text-right">Invoiced</th>
+                  <th className="px-2 py-2 text-right">Returned</th>
+                  <th className="px-2 py-2 text-right">Still Out</th>
+                  <th className="px-2 py-2 text-right">Rate</th>
+                  {currentOpen && <th className="px-2 py-2">Qty</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {current.lines.map(line => (
+                  <tr key={line.id} className="border-b">
+                    <td className="px-2 py-1">{line.item_name || line.description}</td>
+                    <td className="px-2 py-1 text-right">{parseFloat(line.quantity)}</td>
+                    <td className="px-2 py-1 text-right">{parseFloat(line.invoiced_quantity)}</td>
+                    <td className="px-2 py-1 text-right">{parseFloat(line.returned_quantity)}</td>
+                    <td className="px-2 py-1 text-right">{line.outstanding}</td>
+                    <td className="px-2 py-1 text-right">₹ {line.rate}</td>
+                    {currentOpen && (
+                      <td className="px-2 py-1">
+                        <input type="number" value={quantities[line.id] ?? ''} onChange={(e) => setQuantities(prev => ({ ...prev, [line.id]: e.target.value }))} min="0" max={line.outstanding} step="0.01" disabled={line.outstanding <= 0} className="border rounded px-1 py-0.5 w-20" />
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {currentOpen && (
+            <div className="flex flex-wrap items-end gap-4 mt-4">
+              <div>
+                <label className="block text-sm mb-1">Vehicle No.</label>
+                <input type="text" value={vehicleNo} onChange={(e) => setVehicleNo(e.target.value)} className="px-2 py-1 border rounded" />
+              </div>
+              <button type="button" onClick={() => handleSettle('invoice')} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Invoice & PDF</button>
+              <div>
+                <label className="block text-sm mb-1">Return Note</label>
+                <input type="text" value={returnNote} onChange={(e) => setReturnNote(e.target.value)} className="px-2 py-1 border rounded" />
+              </div>
+              <button type="button" onClick={() => handleSettle('return')} className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700">Return to Stock</button>
+            </div>
+          )}
+          {(current.invoices.length > 0 || current.returns.length > 0) && (
+            <div className="mt-4 text-sm">
+              <h3 className="font-medium mb-1">Settled</h3>
+              <ul className="list-disc ml-5">
+                {current.invoices.map(inv => (
+                  <li key={`inv-${inv.id}`}>
+                    Invoice {inv.invoice_number} on {new Date(inv.date).toLocaleDateString()} · ₹ {parseFloat(inv.grand_total).toFixed(2)}
+                    {inv.status === 'cancelled' && <span className="text-red-600"> (cancelled)</span>}
+                  </li>
+                ))}
+                {current.returns.map(ret => (
+                  <li key={`ret-${ret.id}`}>
+                    Returned {parseFloat(ret.quantity)} {ret.item_name} on {new Date(ret.date).toLocaleDateString()}{ret.note ? ` · ${ret.note}` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+      {printing && (
+        <InvoicePreview
+          ref={previewRef}
+          {...(printing.kind === 'challan' && { title: 'Delivery Challan', numberLabel: 'Challan No', detailsLabel: 'Dispatch Details' })}
+          number={printing.number}
+          date={printing.date}
+          settings={settings}
+          party={printing.party}
+          preview={printing.preview}
+          note={printing.note}
+        />
+      )}
+      <div className="bg-white p-4 rounded shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Challans</h2>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="px-2 py-1 border rounded text-sm">
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_LABELS).map(key => (
+              <option key={key} value={key}>{STATUS_LABELS[key]}</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <p>Loading...</p>
+        ) : visibleChallans.length === 0 ? (
+          <p>No delivery challans found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Challan No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Purpose</th>
+                  <th className="px-2 py-2">Vehicle</th>
+                  <th className="px-2 py-2">Sent / Invoiced / Returned</th>
+                  <th className="px-2 py-2">Value</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleChallans.map(challan => {
+                  const out = challan.status === 'open' || challan.status === 'partial';
+                  return (
+                    <tr key={challan.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">{challan.challan_number}</td>
+                      <td className="px-2 py-1">{challan.date ? new Date(challan.date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{challan.customer_name || '-'}</td>
+                      <td className="px-2 py-1">{CHALLAN_PURPOSES[challan.purpose] || challan.purpose}</td>
+                      <td className="px-2 py-1">{challan.vehicle_no || '-'}</td>
+                      <td className="px-2 py-1">{parseFloat(challan.sent_quantity)} / {parseFloat(challan.invoiced_quantity)} / {parseFloat(challan.returned_quantity)}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(challan.grand_total).toFixed(2)}</td>
+                      <td className="px-2 py-1">{STATUS_LABELS[challan.status] || challan.status}</td>
+                      <td className="px-2 py-1 space-x-2 whitespace-nowrap">
+                        <button type="button" onClick={() => handlePdf(challan)} className="text-gray-600 text-xs">PDF</button>
+                        <button type="button" onClick={() => openChallan(challan)} className="text-blue-600 text-xs">{out ? 'Invoice / Return' : 'View'}</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -2,14 +2,18 @@ import { useEffect, useState } from 'react';
 import Layout from '../components/Layout';
 import Head from 'next/head';
 
+const emptyForm = { description: '', amount: 0, category: '', date: '', gst_rate: '0', supplier_gstin: '', itc_eligible: false };
+
 /**
  * Expenses page lists recorded expenses and provides a form to record new
- * expenses such as staff salary, utility bills and rent. The list is
- * automatically updated after adding a new expense.
+ * expenses such as staff salary, utility bills and rent. Bills charged with
+ * GST take the rate and the supplier's GSTIN so the tax can be claimed as
+ * input tax credit. The list is automatically updated after adding a new
+ * expense.
  */
 export default function Expenses() {
   const [expenses, setExpenses] = useState([]);
-  const [form, setForm] = useState({ description: '', amount: 0, category: '', date: '' });
+  const [form, setForm] = useState(emptyForm);
   const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -29,8 +33,8 @@ export default function Expenses() {
   }, []);
 
   function handleChange(e) {
-    const { name, value } = e.target;
-    setForm(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   }
 
   async function handleSubmit(e) {
@@ -45,12 +49,15 @@ export default function Expenses() {
           amount: parseFloat(form.amount),
           category: form.category || null,
           date: form.date || null,
+          gst_rate: parseFloat(form.gst_rate) || 0,
+          supplier_gstin: form.supplier_gstin || null,
+          itc_eligible: form.itc_eligible,
         })
       });
       const data = await res.json();
       if (res.ok) {
         setMessage('Expense recorded');
-        setForm({ description: '', amount: 0, category: '', date: '' });
+        setForm(emptyForm);
         // Reload expenses
         const r = await fetch('/api/expenses');
         const d = await r.json();
@@ -91,7 +98,21 @@ export default function Expenses() {
               <label className="block text-sm mb-1">Date</label>
               <input type="date" name="date" value={form.date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
+            <div>
+              <label className="block text-sm mb-1">GST Rate (%)</label>
+              <select name="gst_rate" value={form.gst_rate} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                {['0', '5', '12', '18', '28'].map(rate => <option key={rate} value={rate}>{rate}%</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Supplier GSTIN</label>
+              <input type="text" name="supplier_gstin" value={form.supplier_gstin} onChange={handleChange} maxLength={15} className="w-full px-2 py-1 border rounded" />
+            </div>
           </div>
+          <label className="flex items-center text-sm">
+            <input type="checkbox" name="itc_eligible" checked={form.itc_eligible} onChange={handleChange} className="mr-2" />
+            Claim the GST as input tax credit
+          </label>
           <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Add Expense</button>
         </form>
       </div>
@@ -110,6 +131,7 @@ export default function Expenses() {
                   <th className="border px-2 py-1">Description</th>
                   <th className="border px-2 py-1">Category</th>
                   <th className="border px-2 py-1">Amount</th>
+                  <th className="border px-2 py-1">GST</th>
                   <th className="border px-2 py-1">Date</th>
                 </tr>
               </thead>
@@ -120,6 +142,10 @@ export default function Expenses() {
                     <td className="border px-2 py-1">{exp.description}</td>
                     <td className="border px-2 py-1">{exp.category || '-'}</td>
                     <td className="border px-2 py-1">₹ {exp.amount?.toFixed(2)}</td>
+                    <td className="border px-2 py-1">
+                      {parseFloat(exp.gst_rate) > 0 ? `₹ ${(parseFloat(exp.cgst) + parseFloat(exp.sgst) + parseFloat(exp.igst)).toFixed(2)} @ ${parseFloat(exp.gst_rate)}%` : '-'}
+                      {exp.itc_eligible ? <span className="text-green-700"> (ITC)</span> : null}
+                    </td>
                     <td className="border px-2 py-1">{exp.date ? new Date(exp.date).toLocaleDateString() : ''}</td>
                   </tr>
                 ))}
@@ -0,0 +1,219 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import Link from 'next/link';
+import { STATES, stateLabel } from '../lib/states';
+
+/**
+ * Goods Receipt page receives the goods of one purchase order (given by the
+ * `po_id` query parameter). The supplier's bill number and date are entered
+ * with the quantity received on each line, which defaults to what is still
+ * outstanding and may be less for a partial delivery, and the rate on the
+ * bill. Saving records the purchase bill and adds the quantities to stock.
+ * Billed rates that differ from the order are flagged, both while entering
+ * the receipt and in the list of receipts already recorded.
+ */
+export default function GoodsReceipt() {
+  const router = useRouter();
+  const { po_id } = router.query;
+  const [order, setOrder] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [form, setForm] = useState({ bill_number: '', bill_date: '', supplier_state: '' });
+  const [entries, setEntries] = useState({});
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadOrder = useCallback(async () => {
+    if (!po_id) return;
+    try {
+      const res = await fetch(`/api/purchase-orders?id=${po_id}`);
+      const data = await res.json();
+      if (res.ok) {
+        setOrder(data.order);
+        setLines(data.lines);
+        setReceipts(data.receipts);
+        const values = {};
+        data.lines.forEach(line => {
+          values[line.id] = { quantity: Math.max(line.outstanding, 0), rate: line.rate };
+        });
+        setEntries(values);
+      } else {
+        setMessage(data.error || 'Error loading purchase order');
+      }
+    } catch (err) {
+      console.error('Goods receipt load error', err);
+      setMessage('Error loading purchase order');
+    } finally {
+      setLoading(false);
+    }
+  }, [po_id]);
+
+  useEffect(() => {
+    loadOrder();
+  }, [loadOrder]);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  }
+
+  function handleEntryChange(lineId, field, value) {
+    setEntries(prev => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/purchase-orders?id=${order.id}&action=receive`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bill_number: form.bill_number || null,
+          bill_date: form.bill_date || null,
+          supplier_state: form.supplier_state || null,
+          items: lines.map(line => ({ line_id: line.id, quantity: parseFloat(entries[line.id]?.quantity) || 0, rate: entries[line.id]?.rate })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        const flagged = data.rateDifferences.map(line => `${line.item_name} billed at ₹ ${line.rate} against ₹ ${line.ordered_rate} ordered`);
+        setMessage(`Goods receipt recorded (₹ ${parseFloat(data.grand_total).toFixed(2)})${flagged.length ? `. Rate differences: ${flagged.join('; ')}` : ''}`);
+        setForm({ bill_number: '', bill_date: '', supplier_state: '' });
+        await loadOrder();
+      } else {
+        setMessage(data.error || 'Error recording goods receipt');
+      }
+    } catch (err) {
+      console.error('Goods receipt save error', err);
+      setMessage('Error recording goods receipt');
+    }
+  }
+
+  const pending = order && (order.status === 'open' || order.status === 'partial');
+
+  return (
+    <Layout>
+      <Head>
+        <title>Goods Receipt | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Goods Receipt{order ? `: ${order.po_number}` : ''}</h1>
+      <p className="mb-4 text-sm"><Link href="/purchase-orders" className="text-blue-600">Back to purchase orders</Link></p>
+      {message && <p className="text-sm mb-4 text-green-700">{message}</p>}
+      {loading ? (
+        <p>Loading...</p>
+      ) : order && (
+        <div className="space-y-6">
+          <div className="bg-white p-4 rounded shadow">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 text-sm mb-4">
+              <div><span className="text-gray-500">Vendor:</span> {order.vendor_name}</div>
+              <div><span className="text-gray-500">Ordered:</span> {new Date(order.order_date).toLocaleDateString()}</div>
+              <div><span className="text-gray-500">Expected:</span> {order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}</div>
+              <div><span className="text-gray-500">Status:</span> {order.status}</div>
+            </div>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {pending && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm mb-1">Bill Number</label>
+                    <input type="text" name="bill_number" value={form.bill_number} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+                  </div>
+                  <div>
+                    <label className="block text-sm mb-1">Bill Date</label>
+                    <input type="date" name="bill_date" value={form.bill_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+                  </div>
+                  <div>
+                    <label className="block text-sm mb-1">Supplier State</label>
+                    <select name="supplier_state" value={form.supplier_state} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                      <option value="">Vendor&apos;s state</option>
+                      {STATES.map(state => (
+                        <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm text-left">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-2 py-2">Item</th>
+                      <th className="px-2 py-2 text-right">Ordered</th>
+                      <th className="px-2 py-2 text-right">Received</th>
+                      <th className="px-2 py-2 text-right">Outstanding</th>
+                      <th className="px-2 py-2 text-right">PO Rate</th>
+                      {pending && <th className="px-2 py-2">Receive Qty</th>}
+                      {pending && <th className="px-2 py-2">Bill Rate</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.map(line => {
+                      const entry = entries[line.id] || {};
+                      const differs = entry.rate !== '' && parseFloat(entry.rate) !== parseFloat(line.rate);
+                      return (
+                        <tr key={line.id} className="border-b">
+                          <td className="px-2 py-1">{line.item_name || line.item_id}</td>
+                          <td className="px-2 py-1 text-right">{parseFloat(line.quantity)}</td>
+                          <td className="px-2 py-1 text-right">{parseFloat(line.received_quantity)}</td>
+                          <td className="px-2 py-1 text-right">{line.outstanding}</td>
+                          <td className="px-2 py-1 text-right">₹ {line.rate}</td>
+                          {pending && (
+                            <td className="px-2 py-1">
+                              <input type="number" value={entry.quantity} onChange={(e) => handleEntryChange(line.id, 'quantity', e.target.value)} min="0" max={line.outstanding} step="0.01" disabled={line.outstanding <= 0} className="border rounded px-1 py-0.5 w-20" />
+                            </td>
+                          )}
+                          {pending && (
+                            <td className="px-2 py-1">
+                              <input type="number" value={entry.rate} onChange={(e) => handleEntryChange(line.id, 'rate', e.target.value)} min="0" step="0.01" disabled={line.outstanding <= 0} className={`border rounded px-1 py-0.5 w-24 ${differs ? 'border-red-500 text-red-600' : ''}`} />
+                              {differs && <span className="block text-xs text-red-600">differs from PO</span>}
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {pending && <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Record Receipt</button>}
+            </form>
+          </div>
+          <div className="bg-white p-4 rounded shadow">
+            <h2 className="text-lg font-medium mb-2">Receipts</h2>
+            {receipts.length === 0 ? (
+              <p>Nothing received yet</p>
+            ) : (
+              <table className="min-w-full text-sm text-left">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-2">Bill No</th>
+                    <th className="px-2 py-2">Date</th>
+                    <th className="px-2 py-2">Item</th>
+                    <th className="px-2 py-2 text-right">Qty</th>
+                    <th className="px-2 py-2 text-right">Bill Rate</th>
+                    <th className="px-2 py-2 text-right">PO Rate</th>
+                    <th className="px-2 py-2 text-right">Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receipts.flatMap(bill => bill.items.map(line => (
+                    <tr key={line.id} className={`border-b ${line.rate_difference !== 0 ? 'bg-red-50' : ''}`}>
+                      <td className="px-2 py-1">{bill.bill_number || '-'}</td>
+                      <td className="px-2 py-1">{bill.bill_date ? new Date(bill.bill_date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{line.item_name || line.item_id}</td>
+                      <td className="px-2 py-1 text-right">{parseFloat(line.quantity)}</td>
+                      <td className="px-2 py-1 text-right">₹ {line.rate}</td>
+                      <td className="px-2 py-1 text-right">{line.ordered_rate != null ? `₹ ${line.ordered_rate}` : '-'}</td>
+                      <td className={`px-2 py-1 text-right ${line.rate_difference !== 0 ? 'text-red-600 font-medium' : ''}`}>{line.rate_difference !== 0 ? `₹ ${line.rate_difference.toFixed(2)}` : '-'}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </Layout>
+  );
+}
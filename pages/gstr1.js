@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import * as XLSX from 'xlsx';
+import { downloadJson } from '../lib/download';
+import { findState } from '../lib/states';
+
+// Tables of GSTR-1 with the columns shown on screen and written to Excel;
+// headings follow the offline tool's Excel template
+const SECTIONS = [
+  {
+    key: 'b2b',
+    title: 'B2B Invoices (4A)',
+    columns: [['gstin', 'GSTIN of Recipient'], ['name', 'Receiver Name'], ['number', 'Invoice Number'], ['date', 'Invoice Date'], ['value', 'Invoice Value'], ['pos', 'Place Of Supply'], ['rate', 'Rate'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax'], ['cgst', 'Central Tax'], ['sgst', 'State/UT Tax']],
+  },
+  {
+    key: 'b2cl',
+    title: 'B2C Large Invoices (5)',
+    columns: [['name', 'Receiver Name'], ['number', 'Invoice Number'], ['date', 'Invoice Date'], ['value', 'Invoice Value'], ['pos', 'Place Of Supply'], ['rate', 'Rate'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax']],
+  },
+  {
+    key: 'b2cs',
+    title: 'B2C Small (7)',
+    columns: [['type', 'Type'], ['pos', 'Place Of Supply'], ['rate', 'Rate'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax'], ['cgst', 'Central Tax'], ['sgst', 'State/UT Tax']],
+  },
+  {
+    key: 'cdnr',
+    title: 'Credit/Debit Notes - Registered (9B)',
+    columns: [['gstin', 'GSTIN of Recipient'], ['name', 'Receiver Name'], ['number', 'Note Number'], ['date', 'Note Date'], ['invoice_number', 'Invoice Number'], ['invoice_date', 'Invoice Date'], ['value', 'Note Value'], ['pos', 'Place Of Supply'], ['rate', 'Rate'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax'], ['cgst', 'Central Tax'], ['sgst', 'State/UT Tax']],
+  },
+  {
+    key: 'cdnur',
+    title: 'Credit/Debit Notes - Unregistered (9B)',
+    columns: [['name', 'Receiver Name'], ['number', 'Note Number'], ['date', 'Note Date'], ['invoice_number', 'Invoice Number'], ['invoice_date', 'Invoice Date'], ['value', 'Note Value'], ['pos', 'Place Of Supply'], ['rate', 'Rate'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax']],
+  },
+  {
+    key: 'hsn',
+    title: 'HSN Summary (12)',
+    columns: [['supply', 'Supply'], ['hsn', 'HSN'], ['description', 'Description'], ['uqc', 'UQC'], ['quantity', 'Total Quantity'], ['rate', 'Rate'], ['value', 'Total Value'], ['taxable', 'Taxable Value'], ['igst', 'Integrated Tax'], ['cgst', 'Central Tax'], ['sgst', 'State/UT Tax']],
+  },
+];
+
+// Place of supply as the offline tool writes it, e.g. "29-Karnataka"
+function posLabel(code) {
+  const state = findState(code);
+  return state ? `${state.code}-${state.name}` : code || '';
+}
+
+function cellValue(row, key) {
+  return key === 'pos' ? posLabel(row.pos) : row[key];
+}
+
+/**
+ * GSTR-1 page. Picks a month and shows its sales classified into the tables
+ * of GSTR-1 (B2B, B2C large, B2C small, credit notes and the HSN summary)
+ * with warnings for anything the portal would reject, such as invalid
+ * customer GSTINs or lines without an HSN code. The return downloads as the
+ * offline tool JSON or as an Excel workbook with one sheet per table.
+ */
+export default function Gstr1() {
+  const now = new Date();
+  const [month, setMonth] = useState(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`);
+  // Period last applied; Apply sets a new object so it always reloads
+  const [period, setPeriod] = useState({ month });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/gstr1?month=${period.month}`);
+      const result = await res.json();
+      if (res.ok) setData(result);
+      else setError(result.error || 'Failed to build GSTR-1');
+    } catch (err) {
+      console.error('GSTR-1 fetch error', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  function handleJson() {
+    downloadJson(data.json, `GSTR1_${data.json.gstin || 'return'}_${data.period.fp}.json`);
+  }
+
+  function handleExcel() {
+    const wb = XLSX.utils.book_new();
+    SECTIONS.forEach(section => {
+      const rows = data.sections[section.key].map(row => {
+        const out = {};
+        section.columns.forEach(([key, heading]) => { out[heading] = cellValue(row, key); });
+        return out;
+      });
+      const sheet = rows.length ? XLSX.utils.json_to_sheet(rows) : XLSX.utils.aoa_to_sheet([section.columns.map(([, heading]) => heading)]);
+      XLSX.utils.book_append_sheet(wb, sheet, section.key);
+    });
+    if (data.warnings.length) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(data.warnings.map(warning => ({ Warning: warning }))), 'warnings');
+    }
+    XLSX.writeFile(wb, `GSTR1_${data.period.fp}.xlsx`);
+  }
+
+  return (
+    <Layout>
+      <Head>
+        <title>GSTR-1 | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">GSTR-1</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Return Period</label>
+            <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div className="flex items-end space-x-2">
+            <button onClick={() => setPeriod({ month })} className="bg-blue-500 text-white px-4 py-2 rounded">Apply</button>
+          </div>
+          {data && (
+            <div className="flex items-end justify-end space-x-2">
+              <button onClick={handleJson} className="bg-blue-600 text-white px-4 py-2 rounded">Download JSON</button>
+              <button onClick={handleExcel} className="bg-green-600 text-white px-4 py-2 rounded">Export to Excel</button>
+            </div>
+          )}
+        </div>
+      </div>
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {loading || !data ? (
+        <p>Loading...</p>
+      ) : (
+        <div className="space-y-8">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {SECTIONS.map(section => (
+              <div key={section.key} className="bg-white p-4 rounded shadow">
+                <h3 className="text-sm text-gray-500">{section.title}</h3>
+                <p className="text-xl font-semibold">₹ {data.totals[section.key].taxable.toFixed(2)}</p>
+                <p className="text-xs text-gray-500">{data.totals[section.key].documents} {section.key === 'b2cs' || section.key === 'hsn' ? 'row(s)' : 'document(s)'}, tax ₹ {data.totals[section.key].tax.toFixed(2)}</p>
+              </div>
+            ))}
+          </div>
+          {data.warnings.length > 0 && (
+            <div className="bg-white p-4 rounded shadow">
+              <h3 className="text-lg font-medium mb-2 text-red-600">Warnings ({data.warnings.length})</h3>
+              <ul className="list-disc pl-5 text-sm text-red-700">
+                {data.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+              </ul>
+            </div>
+          )}
+          {SECTIONS.map(section => (
+            <div key={section.key}>
+              <h3 className="text-lg font-medium mb-2">{section.title}</h3>
+              {data.sections[section.key].length === 0 ? <p>Nothing to report</p> : (
+                <div className="overflow-auto">
+                  <table className="min-w-full text-sm border">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        {section.columns.map(([key, heading]) => <th key={key} className="border px-2 py-1">{heading}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.sections[section.key].map((row, index) => (
+                        <tr key={index} className="border-b">
+                          {section.columns.map(([key]) => <td key={key} className="border px-2 py-1">{cellValue(row, key)}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Layout>
+  );
+}
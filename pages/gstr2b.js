@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import * as XLSX from 'xlsx';
+import { parseGstr2bJson, parseGstr2bSheet } from '../lib/gstr2b';
+
+// Result lists with the columns shown for each
+const LISTS = [
+  { key: 'matched', title: 'Matched', note: 'In 2B and in our books with the same amounts; the ITC is safe to claim.', color: 'text-green-700' },
+  { key: 'mismatched', title: 'Mismatched', note: 'In both, but amounts or dates differ or 2B marks the ITC as not available.', color: 'text-yellow-700' },
+  { key: 'missingInBooks', title: 'Missing in Books', note: 'Uploaded by the supplier but not recorded as a purchase bill.', color: 'text-blue-700' },
+  { key: 'missingIn2b', title: 'Missing in 2B', note: 'Recorded in the month but not uploaded by the supplier; hold back the ITC.', color: 'text-red-600' },
+];
+
+function money(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+function tax(row) {
+  return (parseFloat(row.igst) || 0) + (parseFloat(row.cgst) || 0) + (parseFloat(row.sgst) || 0);
+}
+
+// Previous month as YYYY-MM, the usual period to reconcile
+function lastMonth() {
+  const d = new Date();
+  d.setDate(1);
+  d.setMonth(d.getMonth() - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * GSTR-2B page. Imports the GSTR-2B statement downloaded from the GST portal
+ * (JSON or Excel), reads its B2B invoices in the browser and has them matched
+ * against our purchase bills by supplier GSTIN, bill number and amount. The
+ * result is split into matched, mismatched, missing in books and missing in
+ * 2B lists so only matched credit is claimed, and exports to Excel.
+ */
+export default function Gstr2b() {
+  const [month, setMonth] = useState(lastMonth());
+  const [docs, setDocs] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  async function reconcileDocs(list, period) {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/gstr2b', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ month: period, docs: list })
+      });
+      const data = await res.json();
+      if (res.ok) setResult(data);
+      else setMessage(data.error || 'Failed to reconcile');
+    } catch (err) {
+      console.error('GSTR-2B reconcile error', err);
+      setMessage('Failed to reconcile');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    setResult(null);
+    let parsed;
+    try {
+      if (/\.json$/i.test(file.name)) {
+        parsed = parseGstr2bJson(JSON.parse(await file.text()));
+      } else {
+        const wb = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+        const sheetName = wb.SheetNames.find(name => /^b2b$/i.test(name.trim())) || wb.SheetNames[0];
+        parsed = parseGstr2bSheet(XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, defval: '' }));
+      }
+    } catch (err) {
+      console.error('GSTR-2B import error', err);
+      setMessage('The file is not a GSTR-2B JSON or Excel download');
+      return;
+    }
+    if (parsed.error) {
+      setMessage(parsed.error);
+      return;
+    }
+    // The JSON names its return period (MMYYYY); use it over the picked month
+    let period = month;
+    if (/^\d{6}$/.test(parsed.period || '')) {
+      period = `${parsed.period.slice(2)}-${parsed.period.slice(0, 2)}`;
+      setMonth(period);
+    }
+    setDocs(parsed.docs);
+    setFileName(file.name);
+    if (parsed.skipped) {
+      setMessage(`${parsed.docs.length} B2B invoice(s) imported; ${parsed.skipped} credit note(s) and amendment(s) are not reconciled`);
+    } else {
+      setMessage(`${parsed.docs.length} B2B invoice(s) imported`);
+    }
+    await reconcileDocs(parsed.docs, period);
+  }
+
+  function handleExport() {
+    const wb = XLSX.utils.book_new();
+    LISTS.forEach(list => {
+      const rows = result[list.key].map(row => ({
+        'GSTIN of Supplier': row.gstin,
+        Supplier: row.vendor_name || row.supplier || '',
+        'Bill Number': row.bill_number,
+        'Bill Date': row.bill_date || row.books?.bill_date || '',
+        'Taxable Value': row.taxable,
+        IGST: row.igst,
+        CGST: row.cgst,
+        SGST: row.sgst,
+        ...(row.books && { 'Books Taxable Value': row.books.taxable, 'Books Tax': tax(row.books) }),
+        Remarks: row.differences ? row.differences.join('; ') : row.note || '',
+      }));
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.length ? rows : [{ Remarks: 'None' }]), list.title);
+    });
+    XLSX.writeFile(wb, `GSTR2B_reconciliation_${result.period.fp}.xlsx`);
+  }
+
+  const safeItc = result ? result.matched.reduce((sum, row) => sum + tax(row), 0) : 0;
+
+  return (
+    <Layout>
+      <Head>
+        <title>GSTR-2B | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">GSTR-2B Reconciliation</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Return Period</label>
+            <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div className="flex items-end space-x-2">
+            <label className="bg-blue-500 text-white px-4 py-2 rounded cursor-pointer">
+              Import GSTR-2B
+              <input type="file" accept=".json,.xlsx,.xls,application/json" onChange={handleFile} className="hidden" />
+            </label>
+            {docs && <button onClick={() => reconcileDocs(docs, month)} className="px-4 py-2 rounded border">Reconcile Again</button>}
+          </div>
+          {result && (
+            <div className="flex items-end justify-end">
+              <button onClick={handleExport} className="bg-green-600 text-white px-4 py-2 rounded">Export to Excel</button>
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Download GSTR-2B from the GST portal as JSON or Excel. Invoices are matched by supplier GSTIN and bill number, and amounts within ₹1 are treated as equal.</p>
+        {fileName && <p className="text-sm mt-1">File: {fileName}</p>}
+        {message && <p className="text-sm mt-1 text-green-700">{message}</p>}
+      </div>
+      {loading && <p>Loading...</p>}
+      {result && !loading && (
+        <div className="space-y-8">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            {LISTS.map(list => (
+              <div key={list.key} className="bg-white p-4 rounded shadow">
+                <h3 className="text-sm text-gray-500">{list.title}</h3>
+                <p className={`text-xl font-semibold ${list.color}`}>{result[list.key].length}</p>
+                <p className="text-xs text-gray-500">tax ₹ {money(result[list.key].reduce((sum, row) => sum + tax(row), 0))}</p>
+              </div>
+            ))}
+            <div className="bg-white p-4 rounded shadow">
+              <h3 className="text-sm text-gray-500">ITC Safe to Claim</h3>
+              <p className="text-xl font-semibold text-green-700">₹ {money(safeItc)}</p>
+            </div>
+          </div>
+          {LISTS.map(list => (
+            <div key={list.key}>
+              <h3 className={`text-lg font-medium ${list.color}`}>{list.title} ({result[list.key].length})</h3>
+              <p className="text-xs text-gray-500 mb-2">{list.note}</p>
+              {result[list.key].length === 0 ? <p>None</p> : (
+                <div className="overflow-auto">
+                  <table className="min-w-full text-sm border">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="border px-2 py-1">Supplier GSTIN</th>
+                        <th className="border px-2 py-1">Supplier</th>
+                        <th className="border px-2 py-1">Bill No</th>
+                        <th className="border px-2 py-1">Date</th>
+                        <th className="border px-2 py-1">Taxable</th>
+                        <th className="border px-2 py-1">Tax</th>
+                        {(list.key === 'matched' || list.key === 'mismatched') && <th className="border px-2 py-1">Books Taxable / Tax</th>}
+                        <th className="border px-2 py-1">Remarks</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result[list.key].map((row, index) => (
+                        <tr key={index} className="border-b">
+                          <td className="border px-2 py-1">{row.gstin || '-'}</td>
+                          <td className="border px-2 py-1">{row.vendor_name || row.supplier || '-'}</td>
+                          <td className="border px-2 py-1">{row.bill_number}</td>
+                          <td className="border px-2 py-1">{row.bill_date || ''}</td>
+                          <td className="border px-2 py-1 text-right">₹ {money(row.taxable)}</td>
+                          <td className="border px-2 py-1 text-right">₹ {money(tax(row))}</td>
+                          {row.books && <td className="border px-2 py-1 text-right">₹ {money(row.books.taxable)} / ₹ {money(tax(row.books))}</td>}
+                          <td className="border px-2 py-1">{row.differences ? row.differences.join('; ') : row.note || ''}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Layout>
+  );
+}
@@ -0,0 +1,219 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import { downloadJson } from '../lib/download';
+import { downloadPdf } from '../lib/pdf';
+
+const HEADS = [['igst', 'Integrated Tax'], ['cgst', 'Central Tax'], ['sgst', 'State/UT Tax']];
+
+function money(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+// A row of taxable value and tax by head
+function TaxRow({ label, tax, withTaxable = true, strong = false }) {
+  return (
+    <tr className={strong ? 'font-semibold' : ''}>
+      <td className="border px-2 py-1">{label}</td>
+      {withTaxable && <td className="border px-2 py-1 text-right">{money(tax.taxable)}</td>}
+      {HEADS.map(([key]) => <td key={key} className="border px-2 py-1 text-right">{money(tax[key])}</td>)}
+    </tr>
+  );
+}
+
+function TaxHeader({ first, withTaxable = true }) {
+  return (
+    <thead className="bg-gray-100">
+      <tr>
+        <th className="border px-2 py-1">{first}</th>
+        {withTaxable && <th className="border px-2 py-1">Taxable Value</th>}
+        {HEADS.map(([key, label]) => <th key={key} className="border px-2 py-1">{label}</th>)}
+      </tr>
+    </thead>
+  );
+}
+
+/**
+ * GSTR-3B page. Picks a month and shows the summary return: outward supplies
+ * net of credit notes, inter-state supplies to unregistered buyers, input
+ * tax credit from purchase and expense bills less reversals, nil rated
+ * inward supplies and the tax payable per head after setting off the credit.
+ * The summary downloads as the offline utility JSON or as a printable PDF.
+ */
+export default function Gstr3b() {
+  const now = new Date();
+  const [month, setMonth] = useState(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`);
+  // Period last applied; Apply sets a new object so it always reloads
+  const [period, setPeriod] = useState({ month });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const reportRef = useRef(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/gstr3b?month=${period.month}`);
+      const result = await res.json();
+      if (res.ok) setData(result);
+      else setError(result.error || 'Failed to build GSTR-3B');
+    } catch (err) {
+      console.error('GSTR-3B fetch error', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  function handleJson() {
+    downloadJson(data.json, `GSTR3B_${data.json.gstin || 'return'}_${data.period.fp}.json`);
+  }
+
+  async function handlePdf() {
+    if (reportRef.current) await downloadPdf(reportRef.current, `GSTR3B_${data.period.fp}`);
+  }
+
+  return (
+    <Layout>
+      <Head>
+        <title>GSTR-3B | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">GSTR-3B</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Tax Period</label>
+            <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div className="flex items-end">
+            <button onClick={() => setPeriod({ month })} className="bg-blue-500 text-white px-4 py-2 rounded">Apply</button>
+          </div>
+          {data && (
+            <div className="flex items-end justify-end space-x-2">
+              <button onClick={handleJson} className="bg-blue-600 text-white px-4 py-2 rounded">Download JSON</button>
+              <button onClick={handlePdf} className="bg-green-600 text-white px-4 py-2 rounded">Download PDF</button>
+            </div>
+          )}
+        </div>
+      </div>
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {loading || !data ? (
+        <p>Loading...</p>
+      ) : (
+        <>
+          {data.warnings.length > 0 && (
+            <div className="bg-white p-4 rounded shadow mb-6">
+              <ul className="list-disc pl-5 text-sm text-red-700">
+                {data.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+              </ul>
+            </div>
+          )}
+          <div ref={reportRef} className="bg-white p-6 rounded shadow space-y-6 text-sm">
+            <div>
+              <h2 className="text-xl font-semibold">GSTR-3B Summary</h2>
+              <p>{data.company}{data.json.gstin && ` · GSTIN ${data.json.gstin}`}</p>
+              <p>Tax period {data.period.month} ({data.period.from} to {data.period.to})</p>
+            </div>
+            <div>
+              <h3 className="font-medium mb-1">3.1 Outward supplies</h3>
+              <table className="min-w-full border">
+                <TaxHeader first="Nature of supplies" />
+                <tbody>
+                  <TaxRow label="(a) Taxable outward supplies (other than zero rated, nil rated and exempted)" tax={data.outward} />
+                  <TaxRow label="(c) Other outward supplies (nil rated, exempted)" tax={data.nilRated} />
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <h3 className="font-medium mb-1">3.2 Inter-state supplies to unregistered persons</h3>
+              {data.interUnregistered.length === 0 ? <p>None</p> : (
+                <table className="min-w-full border">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="border px-2 py-1">Place of Supply</th>
+                      <th className="border px-2 py-1">Taxable Value</th>
+                      <th className="border px-2 py-1">Integrated Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.interUnregistered.map(entry => (
+                      <tr key={entry.pos}>
+                        <td className="border px-2 py-1">{entry.pos}-{entry.name}</td>
+                        <td className="border px-2 py-1 text-right">{money(entry.taxable)}</td>
+                        <td className="border px-2 py-1 text-right">{money(entry.igst)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div>
+              <h3 className="font-medium mb-1">4 Eligible ITC</h3>
+              <table className="min-w-full border">
+                <TaxHeader first="Details" withTaxable={false} />
+                <tbody>
+                  <TaxRow label="(A)(5) All other ITC: purchase bills" tax={data.itc.purchases} withTaxable={false} />
+                  <TaxRow label="(A)(5) All other ITC: expense bills" tax={data.itc.expenses} withTaxable={false} />
+                  <TaxRow label="(A) ITC available" tax={data.itc.available} withTaxable={false} strong />
+                  <TaxRow label="(B)(1) Reversed: blocked credit on expenses" tax={data.itc.blocked} withTaxable={false} />
+                  <TaxRow label="(B)(2) Reversed: goods returned to vendors (debit notes)" tax={data.itc.returned} withTaxable={false} />
+                  <TaxRow label="(C) Net ITC available (A) - (B)" tax={data.itc.net} withTaxable={false} strong />
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <h3 className="font-medium mb-1">5 Exempt, nil rated and non-GST inward supplies</h3>
+              <table className="min-w-full border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="border px-2 py-1">Nature of supplies</th>
+                    <th className="border px-2 py-1">Inter-State</th>
+                    <th className="border px-2 py-1">Intra-State</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td className="border px-2 py-1">Exempt and nil rated purchases</td>
+                    <td className="border px-2 py-1 text-right">{money(data.exemptInward.inter)}</td>
+                    <td className="border px-2 py-1 text-right">{money(data.exemptInward.intra)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <h3 className="font-medium mb-1">6.1 Payment of tax</h3>
+              <table className="min-w-full border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="border px-2 py-1">Description</th>
+                    <th className="border px-2 py-1">Tax Payable</th>
+                    {HEADS.map(([key, label]) => <th key={key} className="border px-2 py-1">Paid through ITC: {label}</th>)}
+                    <th className="border px-2 py-1">Paid in Cash</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.payment.map(row => (
+                    <tr key={row.head}>
+                      <td className="border px-2 py-1">{row.label}</td>
+                      <td className="border px-2 py-1 text-right">{money(row.payable)}</td>
+                      {HEADS.map(([key]) => <td key={key} className="border px-2 py-1 text-right">{row.paid[key] ? money(row.paid[key]) : '-'}</td>)}
+                      <td className="border px-2 py-1 text-right font-semibold">{money(row.cash)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-2">
+                Net payable in cash: <span className="font-semibold">₹ {money(data.payment.reduce((sum, row) => sum + row.cash, 0))}</span>
+                {' · '}Credit carried forward: {HEADS.map(([key, label]) => `${label} ₹ ${money(data.creditLeft[key])}`).join(', ')}
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+    </Layout>
+  );
+}
@@ -1,12 +1,42 @@
 import { useEffect, useState } from 'react';
 import Layout from '../components/Layout';
 import Head from 'next/head';
+import Link from 'next/link';
+
+// Category specific fields stored in the item's specs
+const SPEC_FIELDS = {
+  FMCG: [
+    { name: 'cartons', label: 'Cartons', type: 'number' },
+    { name: 'items_per_carton', label: 'Items per Carton', type: 'number' },
+  ],
+  Garments: [
+    { name: 'type', label: 'Type of Garment', type: 'text' },
+    { name: 'rack', label: 'Rack/Location', type: 'text' },
+  ],
+  Grocery: [
+    { name: 'bags', label: 'Bags', type: 'number' },
+    { name: 'weight_per_bag', label: 'Weight per Bag (kg)', type: 'number', step: '0.01' },
+  ],
+  Electronics: [
+    { name: 'brand', label: 'Brand', type: 'text' },
+    { name: 'warranty', label: 'Warranty (months)', type: 'number' },
+  ],
+};
+
+const CATEGORIES = ['FMCG', 'Garments', 'Grocery', 'Electronics', 'Other'];
 
 /**
  * Inventory page allows viewing the list of stock items and adding new items.
  * Fields adapt based on the selected category to support various business
  * verticals including FMCG, garments, grocery and electronics. When a new
- * item is created it is persisted via the /api/inventory endpoint.
+ * item is created it is persisted via the /api/inventory endpoint. Items can
+ * be edited inline in the stock list (everything except the quantity, which
+ * only changes through documents), deactivated to hide them from the invoice
+ * and purchase forms, or deleted if nothing references them. Each item links
+ * to its stock ledger. A minimum level, reorder quantity and preferred vendor
+ * can be set per item for low-stock warnings and reorder suggestions; items at
+ * or below their minimum level are highlighted. Next to the quantity on hand
+ * the list shows what pending sales orders reserve and what is available.
  */
 export default function Inventory() {
   const [items, setItems] = useState([]);
@@ -17,19 +47,34 @@ export default function Inventory() {
     hsn_sac: '',
     quantity: 0,
     rate: 0,
+    gst_rate: '',
+    min_level: '',
+    reorder_qty: '',
+    preferred_vendor_id: '',
     specs: {},
   });
   const [message, setMessage] = useState(null);
+  // Row being edited inline and its draft values
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [showInactive, setShowInactive] = useState(false);
+  const [vendors, setVendors] = useState([]);
+
+  async function loadItems() {
+    const res = await fetch('/api/inventory');
+    const data = await res.json();
+    if (res.ok) {
+      setItems(data.items);
+    }
+  }
 
   // Fetch inventory items on load
   useEffect(() => {
     async function load() {
       try {
-        const res = await fetch('/api/inventory');
-        const data = await res.json();
-        if (res.ok) {
-          setItems(data.items);
-        }
+        const [, venRes] = await Promise.all([loadItems(), fetch('/api/vendors')]);
+        const venData = await venRes.json();
+        if (venRes.ok) setVendors(venData.vendors);
       } catch (err) {
         console.error('Inventory fetch error', err);
       } finally {
@@ -64,17 +109,19 @@ export default function Inventory() {
           hsn_sac: form.hsn_sac,
           quantity: parseFloat(form.quantity),
           rate: parseFloat(form.rate),
+          gst_rate: form.gst_rate === '' ? null : parseFloat(form.gst_rate),
+          min_level: form.min_level,
+          reorder_qty: form.reorder_qty,
+          preferred_vendor_id: form.preferred_vendor_id || null,
           specs: form.specs,
         }),
       });
       const data = await res.json();
       if (res.ok) {
-        setForm({ item_name: '', category: '', hsn_sac: '', quantity: 0, rate: 0, specs: {} });
+        setForm({ item_name: '', category: '', hsn_sac: '', quantity: 0, rate: 0, gst_rate: '', min_level: '', reorder_qty: '', preferred_vendor_id: '', specs: {} });
         setMessage('Item added successfully');
         // Reload inventory list
-        const newRes = await fetch('/api/inventory');
-        const newData = await newRes.json();
-        setItems(newData.items);
+        await loadItems();
       } else {
         setMessage(data.error || 'Error adding item');
       }
@@ -84,67 +131,104 @@ export default function Inventory() {
     }
   }
 
+  function handleEdit(item) {
+    setMessage(null);
+    setEditingId(item.id);
+    setDraft({
+      item_name: item.item_name || '',
+      category: item.category || '',
+      hsn_sac: item.hsn_sac || '',
+      rate: item.rate,
+      gst_rate: item.gst_rate ?? '',
+      min_level: item.min_level ?? '',
+      reorder_qty: item.reorder_qty ?? '',
+      preferred_vendor_id: item.preferred_vendor_id || '',
+      specs: item.specs || {},
+    });
+  }
+
+  function handleDraftChange(field, value) {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  }
+
+  async function handleSaveEdit() {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/inventory?id=${editingId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...draft, rate: parseFloat(draft.rate), gst_rate: draft.gst_rate === '' ? null : parseFloat(draft.gst_rate) }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setEditingId(null);
+        setDraft(null);
+        setMessage('Item updated');
+        await loadItems();
+      } else {
+        setMessage(data.error || 'Error updating item');
+      }
+    } catch (err) {
+      console.error('Update item error', err);
+      setMessage('Error updating item');
+    }
+  }
+
+  async function handleToggleActive(item) {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/inventory?id=${item.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !item.active }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadItems();
+      } else {
+        setMessage(data.error || 'Error updating item');
+      }
+    } catch (err) {
+      console.error('Toggle item error', err);
+      setMessage('Error updating item');
+    }
+  }
+
+  async function handleDelete(item) {
+    if (!window.confirm(`Delete ${item.item_name}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/inventory?id=${item.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        await loadItems();
+      } else {
+        setMessage(data.error || 'Error deleting item');
+      }
+    } catch (err) {
+      console.error('Delete item error', err);
+      setMessage('Error deleting item');
+    }
+  }
+
   // Render category specific fields
   function renderSpecFields() {
-    const { category } = form;
-    switch (category) {
-      case 'FMCG':
-        return (
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm mb-1">Cartons</label>
-              <input type="number" name="cartons" value={form.specs.cartons || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Items per Carton</label>
-              <input type="number" name="items_per_carton" value={form.specs.items_per_carton || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-          </div>
-        );
-      case 'Garments':
-        return (
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm mb-1">Type of Garment</label>
-              <input type="text" name="type" value={form.specs.type || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Rack/Location</label>
-              <input type="text" name="rack" value={form.specs.rack || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-          </div>
-        );
-      case 'Grocery':
-        return (
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm mb-1">Bags</label>
-              <input type="number" name="bags" value={form.specs.bags || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Weight per Bag (kg)</label>
-              <input type="number" step="0.01" name="weight_per_bag" value={form.specs.weight_per_bag || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-          </div>
-        );
-      case 'Electronics':
-        return (
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm mb-1">Brand</label>
-              <input type="text" name="brand" value={form.specs.brand || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Warranty (months)</label>
-              <input type="number" name="warranty" value={form.specs.warranty || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
-            </div>
+    const fields = SPEC_FIELDS[form.category];
+    if (!fields) return null;
+    return (
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {fields.map(field => (
+          <div key={field.name}>
+            <label className="block text-sm mb-1">{field.label}</label>
+            <input type={field.type} step={field.step} name={field.name} value={form.specs[field.name] || ''} onChange={handleSpecChange} className="w-full px-2 py-1 border rounded" />
           </div>
-        );
-      default:
-        return null;
-    }
+        ))}
+      </div>
+    );
   }
 
+  const visibleItems = items.filter(item => showInactive || item.active);
+
   return (
     <Layout>
       <Head>
@@ -165,11 +249,9 @@ export default function Inventory() {
               <label className="block text-sm mb-1">Category</label>
               <select name="category" value={form.category} onChange={handleChange} required className="w-full px-2 py-1 border rounded">
                 <option value="">Select category</option>
-                <option value="FMCG">FMCG</option>
-                <option value="Garments">Garments</option>
-                <option value="Grocery">Grocery</option>
-                <option value="Electronics">Electronics</option>
-                <option value="Other">Other</option>
+                {CATEGORIES.map(c => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
               </select>
             </div>
             <div>
@@ -184,6 +266,27 @@ export default function Inventory() {
               <label className="block text-sm mb-1">Rate per Unit (₹)</label>
               <input type="number" name="rate" value={form.rate} onChange={handleChange} step="0.01" required className="w-full px-2 py-1 border rounded" />
             </div>
+            <div>
+              <label className="block text-sm mb-1">GST Rate (%)</label>
+              <input type="number" name="gst_rate" value={form.gst_rate} onChange={handleChange} step="0.01" min="0" placeholder="From HSN/SAC" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Minimum Level</label>
+              <input type="number" name="min_level" value={form.min_level} onChange={handleChange} step="0.01" min="0" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Reorder Quantity</label>
+              <input type="number" name="reorder_qty" value={form.reorder_qty} onChange={handleChange} step="0.01" min="0" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Preferred Vendor</label>
+              <select name="preferred_vendor_id" value={form.preferred_vendor_id} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">None</option>
+                {vendors.map(v => (
+                  <option key={v.id} value={v.id}>{v.name}</option>
+                ))}
+              </select>
+            </div>
           </div>
           {renderSpecFields()}
           <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Add Item</button>
@@ -191,10 +294,16 @@ export default function Inventory() {
       </div>
       {/* Inventory list */}
       <div className="bg-white p-4 rounded shadow">
-        <h2 className="text-lg font-medium mb-2">Stock List</h2>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Stock List</h2>
+          <label className="text-sm flex items-center gap-1">
+            <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+            Show inactive items
+          </label>
+        </div>
         {loading ? (
           <p>Loading...</p>
-        ) : items.length === 0 ? (
+        ) : visibleItems.length === 0 ? (
           <p>No items found</p>
         ) : (
           <div className="overflow-auto">
@@ -206,20 +315,92 @@ export default function Inventory() {
                   <th className="px-2 py-2">Category</th>
                   <th className="px-2 py-2">HSN/SAC</th>
                   <th className="px-2 py-2">Quantity</th>
+                  <th className="px-2 py-2">Reserved</th>
+                  <th className="px-2 py-2">Available</th>
                   <th className="px-2 py-2">Rate</th>
+                  <th className="px-2 py-2">GST %</th>
+                  <th className="px-2 py-2">Reorder</th>
                   <th className="px-2 py-2">Specs</th>
+                  <th className="px-2 py-2">Action</th>
                 </tr>
               </thead>
               <tbody>
-                {items.map((item, idx) => (
-                  <tr key={item.id} className="border-b hover:bg-gray-50">
+                {visibleItems.map((item, idx) => editingId === item.id ? (
+                  <tr key={item.id} className="border-b bg-blue-50">
                     <td className="px-2 py-1">{idx + 1}</td>
-                    <td className="px-2 py-1">{item.item_name}</td>
+                    <td className="px-2 py-1">
+                      <input type="text" value={draft.item_name} onChange={(e) => handleDraftChange('item_name', e.target.value)} className="border rounded px-1 py-0.5 w-40" />
+                    </td>
+                    <td className="px-2 py-1">
+                      <select value={draft.category} onChange={(e) => handleDraftChange('category', e.target.value)} className="border rounded px-1 py-0.5">
+                        {CATEGORIES.map(c => (
+                          <option key={c} value={c}>{c}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1">
+                      <input type="text" value={draft.hsn_sac} onChange={(e) => handleDraftChange('hsn_sac', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                    </td>
+                    <td className="px-2 py-1">{item.quantity}</td>
+                    <td className="px-2 py-1">{item.reserved ? item.reserved.toFixed(2) : '-'}</td>
+                    <td className="px-2 py-1">{item.available.toFixed(2)}</td>
+                    <td className="px-2 py-1">
+                      <input type="number" value={draft.rate} onChange={(e) => handleDraftChange('rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                    </td>
+                    <td className="px-2 py-1">
+                      <input type="number" value={draft.gst_rate} onChange={(e) => handleDraftChange('gst_rate', e.target.value)} step="0.01" min="0" placeholder="HSN" className="border rounded px-1 py-0.5 w-16" />
+                    </td>
+                    <td className="px-2 py-1 space-y-1">
+                      <input type="number" value={draft.min_level} onChange={(e) => handleDraftChange('min_level', e.target.value)} step="0.01" min="0" placeholder="Min level" className="block border rounded px-1 py-0.5 w-24 text-xs" />
+                      <input type="number" value={draft.reorder_qty} onChange={(e) => handleDraftChange('reorder_qty', e.target.value)} step="0.01" min="0" placeholder="Reorder qty" className="block border rounded px-1 py-0.5 w-24 text-xs" />
+                      <select value={draft.preferred_vendor_id} onChange={(e) => handleDraftChange('preferred_vendor_id', e.target.value)} className="block border rounded px-1 py-0.5 w-32 text-xs">
+                        <option value="">No vendor</option>
+                        {vendors.map(v => (
+                          <option key={v.id} value={v.id}>{v.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1 space-y-1">
+                      {(SPEC_FIELDS[draft.category] || []).map(field => (
+                        <input
+                          key={field.name}
+                          type={field.type}
+                          step={field.step}
+                          value={draft.specs[field.name] || ''}
+                          onChange={(e) => handleDraftChange('specs', { ...draft.specs, [field.name]: e.target.value })}
+                          placeholder={field.label}
+                          className="block border rounded px-1 py-0.5 w-32 text-xs"
+                        />
+                      ))}
+                    </td>
+                    <td className="px-2 py-1 space-x-2">
+                      <button type="button" onClick={handleSaveEdit} className="text-green-700 text-xs">Save</button>
+                      <button type="button" onClick={() => { setEditingId(null); setDraft(null); }} className="text-gray-600 text-xs">Cancel</button>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={item.id} className={`border-b hover:bg-gray-50 ${item.active ? '' : 'text-gray-400'}`}>
+                    <td className="px-2 py-1">{idx + 1}</td>
+                    <td className="px-2 py-1">{item.item_name}{!item.active && ' (inactive)'}</td>
                     <td className="px-2 py-1">{item.category}</td>
                     <td className="px-2 py-1">{item.hsn_sac || '-'}</td>
-                    <td className="px-2 py-1">{item.quantity}</td>
+                    <td className={`px-2 py-1 ${item.min_level !== null && parseFloat(item.quantity) <= parseFloat(item.min_level) ? 'text-red-600 font-medium' : ''}`}>{item.quantity}</td>
+                    <td className="px-2 py-1">{item.reserved ? item.reserved.toFixed(2) : '-'}</td>
+                    <td className={`px-2 py-1 ${item.available < 0 ? 'text-red-600' : ''}`}>{item.available.toFixed(2)}</td>
                     <td className="px-2 py-1">₹ {item.rate}</td>
+                    <td className="px-2 py-1">{item.gst_rate !== null && item.gst_rate !== undefined ? `${item.gst_rate}%` : 'HSN'}</td>
+                    <td className="px-2 py-1 text-xs">
+                      {item.min_level !== null ? `Min ${item.min_level}` : '-'}
+                      {item.reorder_qty !== null && ` · Order ${item.reorder_qty}`}
+                      {item.preferred_vendor_name && <div>{item.preferred_vendor_name}</div>}
+                    </td>
                     <td className="px-2 py-1 text-xs">{item.specs ? JSON.stringify(item.specs) : '-'}</td>
+                    <td className="px-2 py-1 space-x-2 whitespace-nowrap">
+                      <Link href={`/stock-ledger?item_id=${item.id}`} className="text-blue-600 text-xs">Ledger</Link>
+                      <button type="button" onClick={() => handleEdit(item)} className="text-blue-600 text-xs">Edit</button>
+                      <button type="button" onClick={() => handleToggleActive(item)} className="text-gray-600 text-xs">{item.active ? 'Deactivate' : 'Activate'}</button>
+                      <button type="button" onClick={() => handleDelete(item)} className="text-red-500 text-xs">Delete</button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -0,0 +1,282 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import Head from 'next/head';
+import Link from 'next/link';
+
+const emptyOrder = { vendor_id: '', vendor_name: '', order_date: '', expected_date: '', notes: '', items: [] };
+
+const STATUS_LABELS = {
+  open: 'Open',
+  partial: 'Partly received',
+  received: 'Received',
+  cancelled: 'Cancelled',
+  closed: 'Closed',
+};
+
+/**
+ * Purchase Orders page places orders with vendors before the goods arrive and
+ * lists the orders with how much has been received. An order has a vendor,
+ * order and expected dates and item lines at the expected rate; it does not
+ * change stock. Goods are received against an order on the Goods Receipt
+ * page, in full or in parts. Open orders can be cancelled, and partly
+ * received ones closed when the rest will not come.
+ */
+export default function PurchaseOrders() {
+  const [items, setItems] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [form, setForm] = useState(emptyOrder);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadOrders() {
+    const res = await fetch('/api/purchase-orders');
+    const data = await res.json();
+    if (res.ok) setOrders(data.orders);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [invRes, venRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/vendors'), loadOrders()]);
+        const invData = await invRes.json();
+        const venData = await venRes.json();
+        if (invRes.ok) setItems(invData.items);
+        if (venRes.ok) setVendors(venData.vendors);
+      } catch (err) {
+        console.error('Purchase orders load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  }
+
+  function handleVendorSelect(vendor) {
+    setForm(prev => ({ ...prev, vendor_id: vendor.id, vendor_name: vendor.name }));
+  }
+
+  function addItem() {
+    setForm(prev => ({ ...prev, items: [...prev.items, { item_id: '', quantity: 0, rate: 0 }] }));
+  }
+
+  function removeItem(index) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr.splice(index, 1);
+      return { ...prev, items: arr };
+    });
+  }
+
+  // Update an order line; choosing an item fills its rate
+  function handleItemChange(index, field, value) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr[index] = { ...arr[index], [field]: value };
+      if (field === 'item_id') {
+        const item = items.find(i => i.id === parseInt(value));
+        if (item) arr[index].rate = item.rate;
+      }
+      return { ...prev, items: arr };
+    });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (form.items.length === 0) {
+      setMessage('Add at least one item');
+      return;
+    }
+    try {
+      const res = await fetch('/api/purchase-orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vendor_id: form.vendor_id || null,
+          order_date: form.order_date || null,
+          expected_date: form.expected_date || null,
+          notes: form.notes || null,
+          items: form.items.map(it => ({ item_id: parseInt(it.item_id), quantity: parseFloat(it.quantity), rate: parseFloat(it.rate) })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Purchase order ${data.po_number} created`);
+        setForm(emptyOrder);
+        await loadOrders();
+      } else {
+        setMessage(data.error || 'Error creating purchase order');
+      }
+    } catch (err) {
+      console.error('Purchase order create error', err);
+      setMessage('Error creating purchase order');
+    }
+  }
+
+  async function handleCancel(order) {
+    const verb = order.status === 'open' ? 'Cancel' : 'Close';
+    if (!window.confirm(`${verb} purchase order ${order.po_number}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/purchase-orders?id=${order.id}&action=cancel`, { method: 'POST' });
+      const data = await res.json();
+      setMessage(res.ok ? data.message : (data.error || 'Error cancelling purchase order'));
+      if (res.ok) await loadOrders();
+    } catch (err) {
+      console.error('Purchase order cancel error', err);
+      setMessage('Error cancelling purchase order');
+    }
+  }
+
+  const orderTotal = form.items.reduce((sum, it) => sum + (parseFloat(it.quantity) || 0) * (parseFloat(it.rate) || 0), 0);
+  const visibleOrders = orders.filter(order => !statusFilter || order.status === statusFilter);
+
+  return (
+    <Layout>
+      <Head>
+        <title>Purchase Orders | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Purchase Orders</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">New Purchase Order</h2>
+        {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Vendor</label>
+              <SearchPicker
+                options={vendors}
+                getLabel={v => v.name}
+                getDetail={v => [v.gstin, v.phone].filter(Boolean).join(' · ')}
+                onSelect={handleVendorSelect}
+                value={form.vendor_name}
+                placeholder="Search vendor"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Order Date</label>
+              <input type="date" name="order_date" value={form.order_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Expected Date</label>
+              <input type="date" name="expected_date" value={form.expected_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div>
+            <h3 className="text-sm font-medium mb-2">Items</h3>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">Qty</th>
+                    <th className="px-2 py-1">Expected Rate</th>
+                    <th className="px-2 py-1">Amount</th>
+                    <th className="px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {form.items.map((it, idx) => (
+                    <tr key={idx} className="border-b">
+                      <td className="px-2 py-1">{idx + 1}</td>
+                      <td className="px-2 py-1">
+                        <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} required className="border rounded px-1 py-0.5">
+                          <option value="">Select</option>
+                          {items.filter(item => item.active || item.id === parseInt(it.item_id)).map(item => (
+                            <option key={item.id} value={item.id}>{item.item_name}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1">
+                        <input type="number" value={it.quantity} onChange={(e) => handleItemChange(idx, 'quantity', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-20" />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                      </td>
+                      <td className="px-2 py-1">₹ {((parseFloat(it.quantity) || 0) * (parseFloat(it.rate) || 0)).toFixed(2)}</td>
+                      <td className="px-2 py-1">
+                        <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
+          </div>
+          <div className="text-sm text-right font-semibold">Order Value (before tax): ₹ {orderTotal.toFixed(2)}</div>
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Place Order</button>
+        </form>
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Orders</h2>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="px-2 py-1 border rounded text-sm">
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_LABELS).map(key => (
+              <option key={key} value={key}>{STATUS_LABELS[key]}</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <p>Loading...</p>
+        ) : visibleOrders.length === 0 ? (
+          <p>No purchase orders found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">PO No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Vendor</th>
+                  <th className="px-2 py-2">Expected</th>
+                  <th className="px-2 py-2">Received</th>
+                  <th className="px-2 py-2">Value</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleOrders.map(order => {
+                  const pending = order.status === 'open' || order.status === 'partial';
+                  const overdue = pending && order.expected_date && new Date(order.expected_date) < new Date(new Date().toDateString());
+                  return (
+                    <tr key={order.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">{order.po_number}</td>
+                      <td className="px-2 py-1">{order.order_date ? new Date(order.order_date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{order.vendor_name || '-'}</td>
+                      <td className={`px-2 py-1 ${overdue ? 'text-red-600' : ''}`}>{order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}</td>
+                      <td className="px-2 py-1">{parseFloat(order.received_quantity)} / {parseFloat(order.ordered_quantity)}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(order.total).toFixed(2)}</td>
+                      <td className="px-2 py-1">{STATUS_LABELS[order.status] || order.status}</td>
+                      <td className="px-2 py-1 space-x-2 whitespace-nowrap">
+                        <Link href={`/goods-receipt?po_id=${order.id}`} className="text-blue-600 text-xs">{pending ? 'Receive' : 'View'}</Link>
+                        {pending && (
+                          <button type="button" onClick={() => handleCancel(order)} className="text-red-500 text-xs">{order.status === 'open' ? 'Cancel' : 'Close'}</button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
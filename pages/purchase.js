@@ -1,26 +1,51 @@
-import { useEffect, useState } from 'react';
+import { Fragment, useEffect, useState } from 'react';
 import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
 import Head from 'next/head';
+import Link from 'next/link';
+import { computeInvoice, resolveGstRate } from '../lib/gst';
+import { STATES, findState, stateLabel, companyState, isInterState } from '../lib/states';
+import { PAYMENT_STATUS } from '../lib/payments';
+
+const emptyBill = { vendor_id: '', vendor_name: '', bill_number: '', bill_date: '', supplier_state: '', items: [] };
 
 /**
- * Purchase page lists recorded purchases and allows recording a new purchase.
- * When a purchase is saved the associated inventory quantity is increased.
+ * Purchase page records supplier bills and lists the bills recorded so far.
+ * A bill has a header (vendor, bill number, date, supplier state) and any
+ * number of item lines, entered like the lines of a sales invoice. When a bill
+ * is saved the inventory quantity of every line is increased. The vendor is
+ * chosen from the vendor master and fills the supplier state. GST is computed
+ * by the server; the form previews it per line using the item or HSN rate and
+ * whether the supplier is in the company's state. Goods ordered on a purchase
+ * order are received from the Purchase Orders page instead; their bills show
+ * the order number and any rate that differs from the order. Each bill shows
+ * its due date and whether it has been paid from the Vendor Payments page.
  */
 export default function Purchase() {
   const [items, setItems] = useState([]);
-  const [purchases, setPurchases] = useState([]);
-  const [form, setForm] = useState({ item_id: '', quantity: 0, rate: 0, date: '', vendor_name: '', invoice_number: '', cgst: 0, sgst: 0, igst: 0 });
+  const [bills, setBills] = useState([]);
+  const [hsnRates, setHsnRates] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [vendors, setVendors] = useState([]);
+  const [form, setForm] = useState(emptyBill);
+  const [expanded, setExpanded] = useState(null);
   const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     async function load() {
       try {
-        const [invRes, purRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/purchase')]);
+        const [invRes, purRes, hsnRes, setRes, venRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/purchase'), fetch('/api/hsn-rates'), fetch('/api/settings'), fetch('/api/vendors')]);
         const invData = await invRes.json();
         const purData = await purRes.json();
+        const hsnData = await hsnRes.json();
+        const setData = await setRes.json();
+        const venData = await venRes.json();
+        if (venRes.ok) setVendors(venData.vendors);
         if (invRes.ok) setItems(invData.items);
-        if (purRes.ok) setPurchases(purData.purchases);
+        if (purRes.ok) setBills(purData.bills);
+        if (hsnRes.ok) setHsnRates(hsnData.rates);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
       } catch (err) {
         console.error('Purchase page load error', err);
       } finally {
@@ -35,35 +60,70 @@ export default function Purchase() {
     setForm(prev => ({ ...prev, [name]: value }));
   }
 
+  function handleVendorSelect(vendor) {
+    setForm(prev => ({ ...prev, vendor_id: vendor.id, vendor_name: vendor.name, supplier_state: vendor.state_code || prev.supplier_state }));
+  }
+
+  // Add a new bill line
+  function addItem() {
+    setForm(prev => ({ ...prev, items: [...prev.items, { item_id: '', hsn_sac: '', quantity: 0, rate: 0 }] }));
+  }
+  // Remove a bill line
+  function removeItem(index) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr.splice(index, 1);
+      return { ...prev, items: arr };
+    });
+  }
+  // Update a bill line; choosing an item fills its HSN code
+  function handleItemChange(index, field, value) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr[index] = { ...arr[index], [field]: value };
+      if (field === 'item_id') {
+        const item = items.find(i => i.id === parseInt(value));
+        if (item) arr[index].hsn_sac = item.hsn_sac || '';
+      }
+      return { ...prev, items: arr };
+    });
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     setMessage(null);
+    if (form.items.length === 0) {
+      setMessage('Add at least one item');
+      return;
+    }
     try {
       const res = await fetch('/api/purchase', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          item_id: parseInt(form.item_id),
-          quantity: parseFloat(form.quantity),
-          rate: parseFloat(form.rate),
-          date: form.date || null,
+          vendor_id: form.vendor_id || null,
           vendor_name: form.vendor_name || null,
-          invoice_number: form.invoice_number || null,
-          cgst: parseFloat(form.cgst) || 0,
-          sgst: parseFloat(form.sgst) || 0,
-          igst: parseFloat(form.igst) || 0,
+          bill_number: form.bill_number || null,
+          bill_date: form.bill_date || null,
+          supplier_state: form.supplier_state || null,
+          items: form.items.map(it => ({
+            item_id: parseInt(it.item_id),
+            hsn_sac: it.hsn_sac,
+            quantity: parseFloat(it.quantity),
+            rate: parseFloat(it.rate),
+          })),
         }),
       });
       const data = await res.json();
       if (res.ok) {
-        setMessage('Purchase recorded');
-        setForm({ item_id: '', quantity: 0, rate: 0, date: '', vendor_name: '', invoice_number: '', cgst: 0, sgst: 0, igst: 0 });
-        // Reload purchases and inventory
+        setMessage(`Purchase bill recorded (₹ ${parseFloat(data.grand_total).toFixed(2)})`);
+        setForm(emptyBill);
+        // Reload bills and inventory
         const [invRes, purRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/purchase')]);
         const invData = await invRes.json();
         const purData = await purRes.json();
         if (invRes.ok) setItems(invData.items);
-        if (purRes.ok) setPurchases(purData.purchases);
+        if (purRes.ok) setBills(purData.bills);
       } else {
         setMessage(data.error || 'Error');
       }
@@ -73,6 +133,14 @@ export default function Purchase() {
     }
   }
 
+  // Preview of the tax the server will compute for the bill
+  const homeState = companyState(settings);
+  const interState = isInterState(form.supplier_state, homeState?.code);
+  const liveBill = computeInvoice(form.items, {
+    interState,
+    getRate: line => resolveGstRate(items.find(i => i.id === parseInt(line.item_id)), hsnRates, line.hsn_sac),
+  });
+
   return (
     <Layout>
       <Head>
@@ -80,61 +148,115 @@ export default function Purchase() {
       </Head>
       <h1 className="text-2xl font-semibold mb-4">Purchase</h1>
       <div className="bg-white p-4 rounded shadow mb-6">
-        <h2 className="text-lg font-medium mb-2">Record Purchase</h2>
+        <h2 className="text-lg font-medium mb-2">Record Purchase Bill</h2>
         {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-sm mb-1">Item</label>
-              <select name="item_id" value={form.item_id} onChange={handleChange} required className="w-full px-2 py-1 border rounded">
-                <option value="">Select item</option>
-                {items.map(item => (
-                  <option key={item.id} value={item.id}>{item.item_name}</option>
-                ))}
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Quantity</label>
-              <input type="number" name="quantity" value={form.quantity} onChange={handleChange} step="0.01" required className="w-full px-2 py-1 border rounded" />
-            </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
             <div>
-              <label className="block text-sm mb-1">Rate per Unit (₹)</label>
-              <input type="number" name="rate" value={form.rate} onChange={handleChange} step="0.01" required className="w-full px-2 py-1 border rounded" />
+              <label className="block text-sm mb-1">Vendor</label>
+              <SearchPicker
+                options={vendors}
+                getLabel={v => v.name}
+                getDetail={v => [v.gstin, v.phone].filter(Boolean).join(' · ')}
+                onSelect={handleVendorSelect}
+                value={form.vendor_name}
+                placeholder="Search vendor"
+              />
+              {vendors.length === 0 && <p className="text-xs text-gray-500 mt-1">Add vendors on the <Link href="/vendors" className="text-blue-600">Vendors</Link> page</p>}
             </div>
             <div>
-              <label className="block text-sm mb-1">Date</label>
-              <input type="date" name="date" value={form.date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+              <label className="block text-sm mb-1">Bill Number</label>
+              <input type="text" name="bill_number" value={form.bill_number} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
             <div>
-              <label className="block text-sm mb-1">Vendor Name</label>
-              <input type="text" name="vendor_name" value={form.vendor_name} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+              <label className="block text-sm mb-1">Bill Date</label>
+              <input type="date" name="bill_date" value={form.bill_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
             <div>
-              <label className="block text-sm mb-1">Invoice Number</label>
-              <input type="text" name="invoice_number" value={form.invoice_number} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">CGST (₹)</label>
-              <input type="number" name="cgst" value={form.cgst} onChange={handleChange} step="0.01" className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">SGST (₹)</label>
-              <input type="number" name="sgst" value={form.sgst} onChange={handleChange} step="0.01" className="w-full px-2 py-1 border rounded" />
+              <label className="block text-sm mb-1">Supplier State</label>
+              <select name="supplier_state" value={form.supplier_state} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
             </div>
-            <div>
-              <label className="block text-sm mb-1">IGST (₹)</label>
-              <input type="number" name="igst" value={form.igst} onChange={handleChange} step="0.01" className="w-full px-2 py-1 border rounded" />
+          </div>
+          {/* Bill lines */}
+          <div>
+            <h3 className="text-sm font-medium mb-2">Items</h3>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">HSN/SAC</th>
+                    <th className="px-2 py-1">Qty</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">Taxable</th>
+                    <th className="px-2 py-1">GST %</th>
+                    <th className="px-2 py-1">Tax</th>
+                    <th className="px-2 py-1">Total</th>
+                    <th className="px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {form.items.map((it, idx) => {
+                    const line = liveBill.lines[idx];
+                    return (
+                      <tr key={idx} className="border-b">
+                        <td className="px-2 py-1">{idx + 1}</td>
+                        <td className="px-2 py-1">
+                          <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} required className="border rounded px-1 py-0.5">
+                            <option value="">Select</option>
+                            {items.filter(item => item.active || item.id === parseInt(it.item_id)).map(item => (
+                              <option key={item.id} value={item.id}>{item.item_name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="text" value={it.hsn_sac || ''} onChange={(e) => handleItemChange(idx, 'hsn_sac', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.quantity} onChange={(e) => handleItemChange(idx, 'quantity', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-20" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">₹ {line.taxable_value.toFixed(2)}</td>
+                        <td className="px-2 py-1">{line.gst_rate}%</td>
+                        <td className="px-2 py-1">₹ {(line.cgst + line.sgst + line.igst).toFixed(2)}</td>
+                        <td className="px-2 py-1">₹ {line.total.toFixed(2)}</td>
+                        <td className="px-2 py-1">
+                          <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
             </div>
+            <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
+          </div>
+          <div className="text-sm text-right space-y-1">
+            <div>Taxable Value: ₹ {liveBill.totals.taxable.toFixed(2)}</div>
+            {interState ? (
+              <div>IGST: ₹ {liveBill.totals.igst.toFixed(2)}</div>
+            ) : (
+              <div>CGST: ₹ {liveBill.totals.cgst.toFixed(2)} · SGST: ₹ {liveBill.totals.sgst.toFixed(2)}</div>
+            )}
+            <div className="font-semibold">Bill Total: ₹ {liveBill.totals.grand.toFixed(2)}</div>
           </div>
           <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Record Purchase</button>
         </form>
       </div>
-      {/* Purchase list */}
+      {/* Bill list */}
       <div className="bg-white p-4 rounded shadow">
         <h2 className="text-lg font-medium mb-2">Purchase History</h2>
         {loading ? (
           <p>Loading...</p>
-        ) : purchases.length === 0 ? (
+        ) : bills.length === 0 ? (
           <p>No purchases found</p>
         ) : (
           <div className="overflow-auto">
@@ -142,30 +264,79 @@ export default function Purchase() {
               <thead className="bg-gray-100">
                 <tr>
                   <th className="px-2 py-2">#</th>
-                  <th className="px-2 py-2">Item</th>
-                  <th className="px-2 py-2">Qty</th>
-                  <th className="px-2 py-2">Rate</th>
-                  <th className="px-2 py-2">Amount</th>
                   <th className="px-2 py-2">Date</th>
                   <th className="px-2 py-2">Vendor</th>
-                  <th className="px-2 py-2">Invoice</th>
+                  <th className="px-2 py-2">Bill No</th>
+                  <th className="px-2 py-2">Supplier State</th>
+                  <th className="px-2 py-2">Lines</th>
+                  <th className="px-2 py-2">Taxable</th>
+                  <th className="px-2 py-2">GST</th>
+                  <th className="px-2 py-2">Total</th>
+                  <th className="px-2 py-2">Due</th>
+                  <th className="px-2 py-2">Status</th>
                 </tr>
               </thead>
               <tbody>
-                {purchases.map((pur, idx) => {
-                  const item = items.find(i => i.id === pur.item_id) || {};
-                  const amount = pur.quantity * pur.rate;
+                {bills.map((bill, idx) => {
+                  const tax = (parseFloat(bill.cgst) || 0) + (parseFloat(bill.sgst) || 0) + (parseFloat(bill.igst) || 0);
+                  const open = expanded === bill.id;
+                  const overdue = bill.payment_status !== 'paid' && bill.due_date && new Date(bill.due_date) < new Date(new Date().toDateString());
                   return (
-                    <tr key={pur.id} className="border-b hover:bg-gray-50">
-                      <td className="px-2 py-1">{idx + 1}</td>
-                      <td className="px-2 py-1">{item.item_name || pur.item_id}</td>
-                      <td className="px-2 py-1">{pur.quantity}</td>
-                      <td className="px-2 py-1">₹ {pur.rate}</td>
-                      <td className="px-2 py-1">₹ {amount.toFixed(2)}</td>
-                      <td className="px-2 py-1">{pur.date ? new Date(pur.date).toLocaleDateString() : ''}</td>
-                      <td className="px-2 py-1">{pur.vendor_name || '-'}</td>
-                      <td className="px-2 py-1">{pur.invoice_number || '-'}</td>
-                    </tr>
+                    <Fragment key={bill.id}>
+                      <tr className="border-b hover:bg-gray-50 cursor-pointer" onClick={() => setExpanded(open ? null : bill.id)}>
+                        <td className="px-2 py-1">{idx + 1}</td>
+                        <td className="px-2 py-1">{bill.bill_date ? new Date(bill.bill_date).toLocaleDateString() : ''}</td>
+                        <td className="px-2 py-1">{bill.vendor_name || '-'}</td>
+                        <td className="px-2 py-1">
+                          {bill.bill_number || '-'}
+                          {bill.po_number && <span className="block text-xs text-gray-500">against {bill.po_number}</span>}
+                        </td>
+                        <td className="px-2 py-1">{bill.supplier_state_code ? stateLabel(findState(bill.supplier_state_code)) : '-'}</td>
+                        <td className="px-2 py-1">{bill.items.length}</td>
+                        <td className="px-2 py-1">₹ {parseFloat(bill.taxable_total).toFixed(2)}</td>
+                        <td className="px-2 py-1">₹ {tax.toFixed(2)}</td>
+                        <td className="px-2 py-1">₹ {parseFloat(bill.grand_total).toFixed(2)}</td>
+                        <td className={`px-2 py-1 ${overdue ? 'text-red-600' : ''}`}>{bill.due_date ? new Date(bill.due_date).toLocaleDateString() : '-'}</td>
+                        <td className={`px-2 py-1 ${bill.payment_status === 'paid' ? 'text-green-700' : ''}`}>
+                          {PAYMENT_STATUS[bill.payment_status] || 'Unpaid'}
+                          {bill.payment_status === 'partial' && <span className="block text-xs text-gray-500">₹ {parseFloat(bill.amount_paid).toFixed(2)} paid</span>}
+                        </td>
+                      </tr>
+                      {open && (
+                        <tr className="border-b bg-gray-50">
+                          <td></td>
+                          <td colSpan={10} className="px-2 py-2">
+                            <table className="min-w-full text-xs">
+                              <thead>
+                                <tr>
+                                  <th className="px-2 py-1 text-left">Item</th>
+                                  <th className="px-2 py-1 text-left">HSN/SAC</th>
+                                  <th className="px-2 py-1 text-left">Qty</th>
+                                  <th className="px-2 py-1 text-left">Rate</th>
+                                  <th className="px-2 py-1 text-left">GST %</th>
+                                  <th className="px-2 py-1 text-left">Tax</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {bill.items.map(line => (
+                                  <tr key={line.id}>
+                                    <td className="px-2 py-1">{line.item_name || line.item_id}</td>
+                                    <td className="px-2 py-1">{line.hsn_sac || '-'}</td>
+                                    <td className="px-2 py-1">{line.quantity}</td>
+                                    <td className="px-2 py-1">
+                                      ₹ {line.rate}
+                                      {line.ordered_rate != null && parseFloat(line.ordered_rate) !== parseFloat(line.rate) && <span className="text-red-600"> (PO ₹ {line.ordered_rate})</span>}
+                                    </td>
+                                    <td className="px-2 py-1">{line.gst_rate != null ? `${parseFloat(line.gst_rate)}%` : '-'}</td>
+                                    <td className="px-2 py-1">₹ {((parseFloat(line.cgst) || 0) + (parseFloat(line.sgst) || 0) + (parseFloat(line.igst) || 0)).toFixed(2)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   );
                 })}
               </tbody>
@@ -175,4 +346,4 @@ export default function Purchase() {
       </div>
     </Layout>
   );
-}
\ No newline at end of file
+}
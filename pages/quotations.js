@@ -0,0 +1,472 @@
+import { useEffect, useState, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import InvoicePreview from '../components/InvoicePreview';
+import Head from 'next/head';
+import { computeInvoice, resolveGstRate } from '../lib/gst';
+import { downloadPdf } from '../lib/pdf';
+import { STATES, stateFromGstin, stateLabel, companyState, isInterState } from '../lib/states';
+
+const DOC_TYPES = {
+  quotation: { title: 'Quotation', numberLabel: 'Quotation No' },
+  proforma: { title: 'Proforma Invoice', numberLabel: 'Proforma No' },
+};
+
+// Offers are valid for 15 days unless another date is chosen
+function defaultValidUntil() {
+  const date = new Date();
+  date.setDate(date.getDate() + 15);
+  return date.toISOString().split('T')[0];
+}
+
+function emptyForm() {
+  return { doc_type: 'quotation', valid_until: defaultValidUntil(), notes: '', customer_id: '', customer_name: '', customer_address: '', shipping_address: '', customer_gstin: '', place_of_supply: '', items: [] };
+}
+
+/**
+ * Quotations page prepares quotations and proforma invoices for customers who
+ * want a price before buying. They are built like a sales invoice (customer,
+ * place of supply, item lines with GST) with a validity date, numbered from
+ * their own series and printed as PDF, but do not change stock. Saved
+ * quotations are listed with their status; open ones can be amended,
+ * cancelled or converted into a tax invoice with the same lines in one step.
+ */
+export default function Quotations() {
+  const [items, setItems] = useState([]);
+  const [hsnRates, setHsnRates] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [customers, setCustomers] = useState([]);
+  const [quotations, setQuotations] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  // Quotation being amended ({ id, quote_number, date }) or null for a new one
+  const [editing, setEditing] = useState(null);
+  // Saved document rendered in the preview while its PDF is generated
+  const [printing, setPrinting] = useState(null);
+  const [message, setMessage] = useState(null);
+  const previewRef = useRef(null);
+
+  async function loadQuotations() {
+    const res = await fetch('/api/quotations');
+    const data = await res.json();
+    if (res.ok) setQuotations(data.quotations);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [res, hsnRes, setRes, custRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/hsn-rates'), fetch('/api/settings'), fetch('/api/customers')]);
+        const data = await res.json();
+        const hsnData = await hsnRes.json();
+        const setData = await setRes.json();
+        const custData = await custRes.json();
+        if (res.ok) setItems(data.items);
+        if (hsnRes.ok) setHsnRates(hsnData.rates);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+        if (custRes.ok) setCustomers(custData.customers);
+        await loadQuotations();
+      } catch (err) {
+        console.error('Quotations page load error', err);
+      }
+    }
+    load();
+  }, []);
+
+  function addItem() {
+    setForm(prev => ({ ...prev, items: [...prev.items, { item_id: '', description: '', hsn_sac: '', quantity: 0, rate: 0 }] }));
+  }
+
+  function removeItem(index) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr.splice(index, 1);
+      return { ...prev, items: arr };
+    });
+  }
+
+  // Update a line; choosing an item fills its rate, description and HSN
+  function handleItemChange(index, field, value) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr[index] = { ...arr[index], [field]: value };
+      if (field === 'item_id') {
+        const item = items.find(i => i.id === parseInt(value));
+        if (item) {
+          arr[index].rate = item.rate;
+          arr[index].description = item.item_name;
+          arr[index].hsn_sac = item.hsn_sac;
+        }
+      }
+      return { ...prev, items: arr };
+    });
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === 'customer_gstin' && !prev.place_of_supply) {
+        const state = stateFromGstin(value);
+        if (state) next.place_of_supply = state.code;
+      }
+      return next;
+    });
+  }
+
+  function handleCustomerSelect(customer) {
+    setForm(prev => ({
+      ...prev,
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_address: customer.billing_address || '',
+      shipping_address: customer.shipping_address || '',
+      customer_gstin: customer.gstin || '',
+      place_of_supply: customer.state_code || stateFromGstin(customer.gstin)?.code || '',
+    }));
+  }
+
+  function clearCustomer() {
+    setForm(prev => ({ ...prev, customer_id: '', customer_name: '', customer_address: '', shipping_address: '', customer_gstin: '', place_of_supply: '' }));
+  }
+
+  const homeState = companyState(settings);
+  const interState = isInterState(homeState?.code, form.place_of_supply);
+  const liveQuote = computeInvoice(form.items, {
+    interState,
+    getRate: line => resolveGstRate(items.find(i => i.id === parseInt(line.item_id)), hsnRates, line.hsn_sac),
+  });
+
+  // Render a saved document in the preview and download it as PDF
+  async function printDocument(doc) {
+    flushSync(() => setPrinting(doc));
+    await downloadPdf(previewRef.current, doc.number);
+    setPrinting(null);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (form.items.length === 0) {
+      setMessage('Add at least one item');
+      return;
+    }
+    try {
+      const res = await fetch(editing ? `/api/quotations?id=${editing.id}` : '/api/quotations', {
+        method: editing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          doc_type: form.doc_type,
+          valid_until: form.valid_until || null,
+          notes: form.notes || null,
+          customer_id: form.customer_id || null,
+          customer_name: form.customer_name,
+          customer_address: form.customer_address,
+          shipping_address: form.shipping_address,
+          customer_gstin: form.customer_gstin,
+          place_of_supply: form.place_of_supply,
+          items: form.items.map(it => ({
+            item_id: parseInt(it.item_id),
+            description: it.description,
+            hsn_sac: it.hsn_sac,
+            quantity: parseFloat(it.quantity),
+            rate: parseFloat(it.rate),
+          })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await printDocument({ ...form, number: data.quote_number, date: editing ? editing.date : null, preview: data.invoice });
+        setMessage(`${DOC_TYPES[form.doc_type].title} ${data.quote_number} ${editing ? 'amended' : 'saved'} and PDF generated`);
+        setEditing(null);
+        setForm(emptyForm());
+        await loadQuotations();
+      } else {
+        setMessage(data.error || 'Error saving quotation');
+      }
+    } catch (err) {
+      console.error('Quotation save error', err);
+      setMessage('Error saving quotation');
+    }
+  }
+
+  async function fetchQuotation(quote) {
+    const res = await fetch(`/api/quotations?id=${quote.id}`);
+    const data = await res.json();
+    if (!res.ok) {
+      setMessage(data.error || 'Error loading quotation');
+      return null;
+    }
+    return data.quotation;
+  }
+
+  // Party fields of a saved quotation in the shape of the form
+  function quoteParty(q) {
+    return {
+      doc_type: q.doc_type,
+      valid_until: q.valid_until ? new Date(q.valid_until).toISOString().split('T')[0] : '',
+      notes: q.notes || '',
+      customer_id: q.customer_id || '',
+      customer_name: q.customer_name || '',
+      customer_address: q.customer_address || '',
+      shipping_address: q.shipping_address || '',
+      customer_gstin: q.customer_gstin || '',
+      place_of_supply: q.supply_state_code || '',
+    };
+  }
+
+  async function handleEdit(quote) {
+    setMessage(null);
+    try {
+      const q = await fetchQuotation(quote);
+      if (!q) return;
+      setEditing({ id: q.id, quote_number: q.quote_number, date: q.date });
+      setForm({
+        ...quoteParty(q),
+        items: q.items.map(line => ({ item_id: line.item_id || '', description: line.description, hsn_sac: line.hsn_sac, quantity: line.quantity, rate: line.rate })),
+      });
+      window.scrollTo(0, 0);
+    } catch (err) {
+      console.error('Quotation load error', err);
+      setMessage('Error loading quotation');
+    }
+  }
+
+  async function handlePdf(quote) {
+    setMessage(null);
+    try {
+      const q = await fetchQuotation(quote);
+      if (!q) return;
+      // Recompute the breakup from the stored lines at their saved GST rates
+      const preview = computeInvoice(q.items, { interState: parseFloat(q.igst) > 0, getRate: line => line.gst_rate });
+      await printDocument({ ...quoteParty(q), number: q.quote_number, date: q.date, preview });
+    } catch (err) {
+      console.error('Quotation PDF error', err);
+      setMessage('Error generating PDF');
+    }
+  }
+
+  async function handleAction(quote, action) {
+    if (action === 'convert' && !window.confirm(`Convert ${quote.quote_number} into a tax invoice? The goods will be taken out of stock.`)) return;
+    if (action === 'cancel' && !window.confirm(`Cancel ${quote.quote_number}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/quotations?id=${quote.id}&action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(action === 'convert' ? `${quote.quote_number} converted into invoice ${data.invoice_number}` : data.message);
+        await loadQuotations();
+      } else {
+        setMessage(data.error || `Error updating ${quote.quote_number}`);
+      }
+    } catch (err) {
+      console.error(`Quotation ${action} error`, err);
+      setMessage('Error updating quotation');
+    }
+  }
+
+  const doc = printing || { ...form, number: editing?.quote_number, date: editing?.date, preview: liveQuote };
+  const today = new Date(new Date().toDateString());
+
+  return (
+    <Layout>
+      <Head>
+        <title>Quotations | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Quotations & Proforma</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">{editing ? `Amend ${editing.quote_number}` : 'Create Quotation'}</h2>
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Document</label>
+              <select name="doc_type" value={form.doc_type} onChange={handleChange} disabled={!!editing} className="w-full px-2 py-1 border rounded">
+                {Object.keys(DOC_TYPES).map(key => (
+                  <option key={key} value={key}>{DOC_TYPES[key].title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Valid Until</label>
+              <input type="date" name="valid_until" value={form.valid_until} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} placeholder="Terms, delivery, payment" className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm mb-1">Select Customer</label>
+              <div className="flex gap-2">
+                <div className="flex-1">
+                  <SearchPicker
+                    options={customers}
+                    getLabel={c => c.name}
+                    getDetail={c => [c.gstin, c.phone].filter(Boolean).join(' · ')}
+                    onSelect={handleCustomerSelect}
+                    value={form.customer_id ? form.customer_name : ''}
+                    placeholder="Search by name, GSTIN or phone"
+                  />
+                </div>
+                {form.customer_id && (
+                  <button type="button" onClick={clearCustomer} className="px-3 py-1 border rounded text-sm">Clear</button>
+                )}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Name</label>
+              <input type="text" name="customer_name" value={form.customer_name} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Address</label>
+              <input type="text" name="customer_address" value={form.customer_address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Shipping Address</label>
+              <input type="text" name="shipping_address" value={form.shipping_address} onChange={handleChange} placeholder="Same as billing" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer GSTIN</label>
+              <input type="text" name="customer_gstin" value={form.customer_gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Place of Supply</label>
+              <select name="place_of_supply" value={form.place_of_supply} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <h3 className="text-sm font-medium mb-2">Items</h3>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">HSN/SAC</th>
+                    <th className="px-2 py-1">Qty</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">Taxable</th>
+                    <th className="px-2 py-1">GST %</th>
+                    <th className="px-2 py-1">Total</th>
+                    <th className="px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {form.items.map((it, idx) => {
+                    const line = liveQuote.lines[idx];
+                    return (
+                      <tr key={idx} className="border-b">
+                        <td className="px-2 py-1">{idx + 1}</td>
+                        <td className="px-2 py-1">
+                          <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} className="border rounded px-1 py-0.5">
+                            <option value="">Select</option>
+                            {items.filter(item => item.active || item.id === parseInt(it.item_id)).map(item => (
+                              <option key={item.id} value={item.id}>{item.item_name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="text" value={it.hsn_sac || ''} onChange={(e) => handleItemChange(idx, 'hsn_sac', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.quantity} onChange={(e) => handleItemChange(idx, 'quantity', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-20" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">₹ {line.taxable_value.toFixed(2)}</td>
+                        <td className="px-2 py-1">{line.gst_rate}%</td>
+                        <td className="px-2 py-1">₹ {line.total.toFixed(2)}</td>
+                        <td className="px-2 py-1">
+                          <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
+          </div>
+          <div className="flex items-center gap-4">
+            <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">{editing ? 'Save Amendment & PDF' : 'Save & PDF'}</button>
+            {editing && (
+              <button type="button" onClick={() => { setEditing(null); setForm(emptyForm()); }} className="px-4 py-2 rounded border">Discard Changes</button>
+            )}
+          </div>
+        </form>
+      </div>
+      <InvoicePreview
+        ref={previewRef}
+        title={DOC_TYPES[doc.doc_type].title}
+        numberLabel={DOC_TYPES[doc.doc_type].numberLabel}
+        detailsLabel="Supply Details"
+        number={doc.number}
+        date={doc.date}
+        validUntil={doc.valid_until}
+        settings={settings}
+        party={doc}
+        preview={doc.preview}
+        note={[doc.notes, doc.doc_type === 'proforma' ? 'This is a proforma invoice and not a tax invoice.' : null].filter(Boolean).join(' ')}
+      />
+      <div className="bg-white p-4 rounded shadow mt-6">
+        <h2 className="text-lg font-medium mb-2">Saved Quotations</h2>
+        {quotations.length === 0 ? (
+          <p>No quotations found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Number</th>
+                  <th className="px-2 py-2">Type</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Valid Until</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Total</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quotations.map(quote => {
+                  const open = quote.status === 'open';
+                  const expired = open && quote.valid_until && new Date(quote.valid_until) < today;
+                  return (
+                    <tr key={quote.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">{quote.quote_number}</td>
+                      <td className="px-2 py-1">{DOC_TYPES[quote.doc_type]?.title || quote.doc_type}</td>
+                      <td className="px-2 py-1">{quote.date ? new Date(quote.date).toLocaleDateString() : ''}</td>
+                      <td className={`px-2 py-1 ${expired ? 'text-red-600' : ''}`}>{quote.valid_until ? new Date(quote.valid_until).toLocaleDateString() : '-'}</td>
+                      <td className="px-2 py-1">{quote.customer_name || '-'}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(quote.grand_total).toFixed(2)}</td>
+                      <td className="px-2 py-1">
+                        {quote.status === 'converted' ? `Invoiced (${quote.invoice_number})` : quote.status === 'cancelled' ? <span className="text-red-600">Cancelled</span> : expired ? 'Expired' : 'Open'}
+                      </td>
+                      <td className="px-2 py-1 space-x-2 whitespace-nowrap">
+                        <button type="button" onClick={() => handlePdf(quote)} className="text-gray-600 text-xs">PDF</button>
+                        {open && <button type="button" onClick={() => handleEdit(quote)} className="text-blue-600 text-xs">Amend</button>}
+                        {open && !expired && <button type="button" onClick={() => handleAction(quote, 'convert')} className="text-green-700 text-xs">Convert to Invoice</button>}
+                        {open && <button type="button" onClick={() => handleAction(quote, 'cancel')} className="text-red-500 text-xs">Cancel</button>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,428 @@
+import { useEffect, useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import ReceiptPreview from '../components/ReceiptPreview';
+import Head from 'next/head';
+import { downloadPdf } from '../lib/pdf';
+import { PAYMENT_MODES } from '../lib/payments';
+
+const emptyForm = { customer_id: '', customer_name: '', walk_in: false, mode: 'cash', reference: '', amount: '', date: '', notes: '' };
+
+function money(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+// Spreads an amount over invoices oldest first, as allocation inputs
+function allocateOldestFirst(invoices, amount) {
+  let left = parseFloat(amount) || 0;
+  const alloc = {};
+  invoices.forEach(invoice => {
+    const share = Math.min(invoice.balance, left);
+    if (share > 0) {
+      alloc[invoice.id] = share.toFixed(2);
+      left = Math.round((left - share) * 100) / 100;
+    }
+  });
+  return alloc;
+}
+
+// Open invoices of a customer with an amount to allocate against each
+function AllocationTable({ invoices, alloc, setAlloc }) {
+  if (invoices.length === 0) return <p className="text-sm">No unpaid invoices; the whole amount is kept as an advance.</p>;
+  return (
+    <div className="overflow-auto">
+      <table className="min-w-full text-sm text-left">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="px-2 py-1">Invoice</th>
+            <th className="px-2 py-1">Date</th>
+            <th className="px-2 py-1 text-right">Total</th>
+            <th className="px-2 py-1 text-right">Credited</th>
+            <th className="px-2 py-1 text-right">Paid</th>
+            <th className="px-2 py-1 text-right">Balance</th>
+            <th className="px-2 py-1">Due</th>
+            <th className="px-2 py-1">Allocate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {invoices.map(invoice => (
+            <tr key={invoice.id} className="border-b">
+              <td className="px-2 py-1">
+                {invoice.invoice_number}
+                {!invoice.customer_id && invoice.customer_name && <span className="block text-xs text-gray-500">{invoice.customer_name}</span>}
+              </td>
+              <td className="px-2 py-1">{new Date(invoice.date).toLocaleDateString()}</td>
+              <td className="px-2 py-1 text-right">{money(invoice.grand_total)}</td>
+              <td className="px-2 py-1 text-right">{invoice.credited ? money(invoice.credited) : '-'}</td>
+              <td className="px-2 py-1 text-right">{invoice.amount_paid ? money(invoice.amount_paid) : '-'}</td>
+              <td className="px-2 py-1 text-right font-semibold">{money(invoice.balance)}</td>
+              <td className={`px-2 py-1 ${invoice.days_overdue > 0 ? 'text-red-600' : ''}`}>
+                {new Date(invoice.due_date).toLocaleDateString()}{invoice.days_overdue > 0 && ` (${invoice.days_overdue}d overdue)`}
+              </td>
+              <td className="px-2 py-1">
+                <input type="number" min="0" step="0.01" max={invoice.balance} value={alloc[invoice.id] || ''} onChange={(e) => setAlloc(prev => ({ ...prev, [invoice.id]: e.target.value }))} className="w-28 px-2 py-1 border rounded" />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function allocationList(alloc) {
+  return Object.keys(alloc)
+    .filter(id => parseFloat(alloc[id]) > 0)
+    .map(id => ({ sale_id: parseInt(id), amount: parseFloat(alloc[id]) }));
+}
+
+/**
+ * Receipts page records payments received from customers by cash, UPI,
+ * cheque or bank transfer. After picking the customer their unpaid invoices
+ * are listed with the balance due (for a walk-in customer, the invoices
+ * raised without a customer record), and the payment is allocated against one
+ * or more of them, in part or in full (oldest first with one click); anything
+ * not allocated is kept as an advance and can be allocated later. Receipts
+ * print as PDF and can be cancelled, and the outstanding balance of every
+ * customer is shown below.
+ */
+export default function Receipts() {
+  const [customers, setCustomers] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [outstanding, setOutstanding] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [form, setForm] = useState(emptyForm);
+  const [invoices, setInvoices] = useState([]);
+  const [alloc, setAlloc] = useState({});
+  // Advance of a saved receipt being allocated: { receipt, available, invoices, alloc }
+  const [pending, setPending] = useState(null);
+  const [printing, setPrinting] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const previewRef = useRef(null);
+
+  async function loadReceipts() {
+    const [res, outRes] = await Promise.all([fetch('/api/receipts'), fetch('/api/receipts?view=outstanding')]);
+    const data = await res.json();
+    const outData = await outRes.json();
+    if (res.ok) setReceipts(data.receipts);
+    if (outRes.ok) setOutstanding(outData.customers);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [custRes, setRes] = await Promise.all([fetch('/api/customers'), fetch('/api/settings')]);
+        const custData = await custRes.json();
+        const setData = await setRes.json();
+        if (custRes.ok) setCustomers(custData.customers);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+        await loadReceipts();
+      } catch (err) {
+        console.error('Receipts load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  // Open invoices of a customer, or of walk-in customers when customerId is empty
+  async function fetchInvoices(customerId) {
+    const res = await fetch(customerId ? `/api/receipts?customer_id=${customerId}` : '/api/receipts?walk_in=1');
+    const data = await res.json();
+    return res.ok ? data.invoices.filter(invoice => invoice.balance > 0) : [];
+  }
+
+  async function handleCustomerSelect(customer) {
+    setMessage(null);
+    setForm(prev => ({ ...prev, customer_id: customer.id, customer_name: customer.name }));
+    setAlloc({});
+    setInvoices(await fetchInvoices(customer.id));
+  }
+
+  async function handleWalkIn(e) {
+    const walkIn = e.target.checked;
+    setMessage(null);
+    setForm(prev => ({ ...prev, walk_in: walkIn, customer_id: '', customer_name: '' }));
+    setAlloc({});
+    setInvoices(walkIn ? await fetchInvoices(null) : []);
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  }
+
+  const allocated = allocationList(alloc).reduce((sum, a) => sum + a.amount, 0);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (!form.customer_id && !(form.walk_in && form.customer_name.trim())) {
+      setMessage(form.walk_in ? 'Enter the name of the customer' : 'Select the customer');
+      return;
+    }
+    try {
+      const res = await fetch('/api/receipts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          customer_id: form.customer_id || null,
+          customer_name: form.walk_in ? form.customer_name : undefined,
+          mode: form.mode,
+          reference: form.reference || null,
+          amount: parseFloat(form.amount),
+          date: form.date || null,
+          notes: form.notes || null,
+          allocations: allocationList(alloc),
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Receipt ${data.receipt_number} recorded`);
+        setForm(emptyForm);
+        setInvoices([]);
+        setAlloc({});
+        await loadReceipts();
+      } else {
+        setMessage(data.error || 'Error recording receipt');
+      }
+    } catch (err) {
+      console.error('Receipt save error', err);
+      setMessage('Error recording receipt');
+    }
+  }
+
+  async function openAllocation(receipt) {
+    setMessage(null);
+    const available = Math.round((parseFloat(receipt.amount) - parseFloat(receipt.allocated)) * 100) / 100;
+    setPending({ receipt, available, invoices: await fetchInvoices(receipt.customer_id), alloc: {} });
+  }
+
+  async function handleAllocate() {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/receipts?id=${pending.receipt.id}&action=allocate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allocations: allocationList(pending.alloc) })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Receipt ${pending.receipt.receipt_number} allocated`);
+        setPending(null);
+        await loadReceipts();
+      } else {
+        setMessage(data.error || 'Error allocating receipt');
+      }
+    } catch (err) {
+      console.error('Receipt allocate error', err);
+      setMessage('Error allocating receipt');
+    }
+  }
+
+  async function handleCancel(receipt) {
+    if (!window.confirm(`Cancel receipt ${receipt.receipt_number}? Its invoices become unpaid again.`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/receipts?id=${receipt.id}&action=cancel`, { method: 'POST' });
+      const data = await res.json();
+      setMessage(res.ok ? `Receipt ${receipt.receipt_number} cancelled` : data.error || 'Error cancelling receipt');
+      if (res.ok) await loadReceipts();
+    } catch (err) {
+      console.error('Receipt cancel error', err);
+      setMessage('Error cancelling receipt');
+    }
+  }
+
+  // Render a saved receipt and download it as PDF
+  async function handlePdf(receipt) {
+    try {
+      const res = await fetch(`/api/receipts?id=${receipt.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error loading receipt');
+        return;
+      }
+      flushSync(() => setPrinting(data));
+      await downloadPdf(previewRef.current, data.receipt.receipt_number);
+      setPrinting(null);
+    } catch (err) {
+      console.error('Receipt PDF error', err);
+      setMessage('Error generating PDF');
+    }
+  }
+
+  return (
+    <Layout>
+      <Head>
+        <title>Receipts | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Receipts</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Record Payment Received</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Customer</label>
+              {form.walk_in ? (
+                <input type="text" name="customer_name" value={form.customer_name} onChange={handleChange} placeholder="Name of the customer" className="w-full px-2 py-1 border rounded" />
+              ) : (
+                <SearchPicker
+                  options={customers}
+                  getLabel={c => c.name}
+                  getDetail={c => [c.gstin, c.phone].filter(Boolean).join(' · ')}
+                  onSelect={handleCustomerSelect}
+                  value={form.customer_name}
+                  placeholder="Search customer"
+                />
+              )}
+              <label className="inline-flex items-center mt-1 text-sm">
+                <input type="checkbox" checked={form.walk_in} onChange={handleWalkIn} className="mr-1" />
+                Walk-in (invoices without a customer record)
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Mode</label>
+              <select name="mode" value={form.mode} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                {Object.keys(PAYMENT_MODES).map(mode => <option key={mode} value={mode}>{PAYMENT_MODES[mode]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">{form.mode === 'cheque' ? 'Cheque No' : form.mode === 'cash' ? 'Reference' : 'Transaction / UTR No'}</label>
+              <input type="text" name="reference" value={form.reference} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Amount (₹)</label>
+              <input type="number" name="amount" value={form.amount} onChange={handleChange} min="0.01" step="0.01" required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Date</label>
+              <input type="date" name="date" value={form.date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          {(form.customer_id || form.walk_in) && (
+            <div>
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 className="font-medium">Allocate Against Invoices</h3>
+                <div className="text-sm space-x-2">
+                  <span>Allocated ₹ {money(allocated)} of ₹ {money(form.amount)}</span>
+                  {invoices.length > 0 && <button type="button" onClick={() => setAlloc(allocateOldestFirst(invoices, form.amount))} className="px-2 py-1 rounded border">Oldest First</button>}
+                </div>
+              </div>
+              <AllocationTable invoices={invoices} alloc={alloc} setAlloc={setAlloc} />
+              {allocated > (parseFloat(form.amount) || 0) + 0.005 && <p className="text-sm text-red-600 mt-1">Allocations exceed the amount received</p>}
+            </div>
+          )}
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Save Receipt</button>
+        </form>
+      </div>
+      {pending && (
+        <div className="bg-white p-4 rounded shadow mb-6">
+          <h2 className="text-lg font-medium mb-2">Allocate {pending.receipt.receipt_number} (₹ {money(pending.available)} unallocated)</h2>
+          <AllocationTable invoices={pending.invoices} alloc={pending.alloc} setAlloc={update => setPending(prev => ({ ...prev, alloc: update(prev.alloc) }))} />
+          <div className="mt-2 space-x-2">
+            {pending.invoices.length > 0 && <button type="button" onClick={() => setPending(prev => ({ ...prev, alloc: allocateOldestFirst(prev.invoices, prev.available) }))} className="px-3 py-1 rounded border">Oldest First</button>}
+            <button type="button" onClick={handleAllocate} className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Save Allocation</button>
+            <button type="button" onClick={() => setPending(null)} className="px-3 py-1 rounded border">Close</button>
+          </div>
+        </div>
+      )}
+      {printing && (
+        <div className="mb-6">
+          <ReceiptPreview ref={previewRef} settings={settings} receipt={printing.receipt} allocations={printing.allocations} />
+        </div>
+      )}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Outstanding by Customer</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : outstanding.length === 0 ? (
+          <p>Nothing outstanding</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2 text-right">Open Invoices</th>
+                  <th className="px-2 py-2 text-right">Due</th>
+                  <th className="px-2 py-2 text-right">Overdue</th>
+                  <th className="px-2 py-2 text-right">Advance</th>
+                  <th className="px-2 py-2 text-right">Outstanding</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outstanding.map(row => (
+                  <tr key={row.customer_id || row.customer_name} className="border-b">
+                    <td className="px-2 py-2">{row.customer_id ? row.customer_name : 'Walk-in customers'}</td>
+                    <td className="px-2 py-2 text-right">{row.invoices}</td>
+                    <td className="px-2 py-2 text-right">₹ {money(row.due)}</td>
+                    <td className={`px-2 py-2 text-right ${row.overdue > 0 ? 'text-red-600' : ''}`}>₹ {money(row.overdue)}</td>
+                    <td className="px-2 py-2 text-right">{row.unallocated ? `₹ ${money(row.unallocated)}` : '-'}</td>
+                    <td className="px-2 py-2 text-right font-semibold">₹ {money(row.outstanding)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="text-lg font-medium mb-2">Saved Receipts</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : receipts.length === 0 ? (
+          <p>No receipts recorded</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Receipt No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Mode</th>
+                  <th className="px-2 py-2 text-right">Amount</th>
+                  <th className="px-2 py-2 text-right">Unallocated</th>
+                  <th className="px-2 py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receipts.map(receipt => {
+                  const unallocated = parseFloat(receipt.amount) - parseFloat(receipt.allocated);
+                  const active = receipt.status !== 'cancelled';
+                  return (
+                    <tr key={receipt.id} className="border-b">
+                      <td className="px-2 py-2">
+                        {receipt.receipt_number}
+                        {!active && <span className="text-red-600"> (cancelled)</span>}
+                      </td>
+                      <td className="px-2 py-2">{receipt.date ? new Date(receipt.date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-2">{receipt.customer_name}</td>
+                      <td className="px-2 py-2">{PAYMENT_MODES[receipt.mode] || receipt.mode}{receipt.reference && <span className="block text-xs text-gray-500">{receipt.reference}</span>}</td>
+                      <td className="px-2 py-2 text-right">₹ {money(receipt.amount)}</td>
+                      <td className="px-2 py-2 text-right">{active && unallocated > 0.005 ? `₹ ${money(unallocated)}` : '-'}</td>
+                      <td className="px-2 py-2 space-x-2">
+                        <button type="button" onClick={() => handlePdf(receipt)} className="text-blue-600">PDF</button>
+                        {active && unallocated > 0.005 && <button type="button" onClick={() => openAllocation(receipt)} className="text-gray-600">Allocate</button>}
+                        {active && <button type="button" onClick={() => handleCancel(receipt)} className="text-red-600">Cancel</button>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,164 @@
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import * as XLSX from 'xlsx';
+
+/**
+ * Reorder page suggests what to buy. Average daily sales over a chosen window
+ * of past invoices are projected over the days of stock to cover, on top of
+ * each item's minimum level; items whose stock falls short are listed with a
+ * suggested quantity, grouped by preferred vendor so each group can be placed
+ * as one purchase order. Suggestions can be exported to Excel, and a vendor's
+ * group turned into a purchase order at the suggested quantities.
+ */
+export default function Reorder() {
+  const [days, setDays] = useState(30);
+  const [cover, setCover] = useState(15);
+  // Window and cover last applied; Apply sets a new object so it always reloads
+  const [query, setQuery] = useState({ days: 30, cover: 15 });
+  const [data, setData] = useState({ lowStock: [], vendors: [] });
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchSuggestions = useCallback(async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/reorder?days=${query.days}&cover=${query.cover}`);
+      const result = await res.json();
+      if (res.ok) {
+        setData(result);
+      } else {
+        setMessage(result.error || 'Error loading suggestions');
+      }
+    } catch (err) {
+      console.error('Reorder fetch error', err);
+      setMessage('Error loading suggestions');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions]);
+
+  async function handleCreateOrder(group) {
+    if (!window.confirm(`Place a purchase order with ${group.vendor_name} for ${group.items.length} item(s)?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch('/api/purchase-orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vendor_id: group.vendor_id,
+          items: group.items.map(item => ({ item_id: item.id, quantity: item.suggested, rate: item.purchase_rate })),
+        }),
+      });
+      const result = await res.json();
+      setMessage(res.ok ? `Purchase order ${result.po_number} created` : (result.error || 'Error creating purchase order'));
+    } catch (err) {
+      console.error('Reorder create order error', err);
+      setMessage('Error creating purchase order');
+    }
+  }
+
+  function handleExport() {
+    const rows = [];
+    data.vendors.forEach(group => {
+      group.items.forEach(item => {
+        rows.push({
+          vendor: group.vendor_name || 'No preferred vendor',
+          item: item.item_name,
+          in_stock: item.quantity,
+          min_level: item.min_level,
+          avg_daily_sales: item.avg_daily,
+          suggested_qty: item.suggested,
+          rate: item.purchase_rate,
+          value: item.value,
+        });
+      });
+    });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Reorder');
+    XLSX.writeFile(wb, `reorder_${Date.now()}.xlsx`);
+  }
+
+  return (
+    <Layout>
+      <Head>
+        <title>Reorder | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Reorder Suggestions</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Sales history (days)</label>
+            <input type="number" value={days} onChange={(e) => setDays(e.target.value)} min="1" max="365" className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Days of stock to cover</label>
+            <input type="number" value={cover} onChange={(e) => setCover(e.target.value)} min="1" max="365" className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div className="flex items-end gap-2">
+            <button type="button" onClick={() => setQuery({ days, cover })} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Apply</button>
+            <button type="button" onClick={handleExport} disabled={data.vendors.length === 0} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50">Export</button>
+          </div>
+        </div>
+        {data.since && <p className="text-xs text-gray-500 mt-2">Based on invoices since {new Date(data.since).toLocaleDateString()}</p>}
+      </div>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      {loading ? (
+        <p>Loading...</p>
+      ) : data.vendors.length === 0 ? (
+        <div className="bg-white p-4 rounded shadow">
+          <p>Nothing to reorder</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {data.vendors.map(group => (
+            <div key={group.vendor_id || 'none'} className="bg-white p-4 rounded shadow">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-medium">{group.vendor_name || 'No preferred vendor'}</h2>
+                <div className="flex items-center gap-3">
+                  <span className="text-sm text-gray-600">Estimated ₹ {group.value.toFixed(2)}</span>
+                  {group.vendor_id && (
+                    <button type="button" onClick={() => handleCreateOrder(group)} className="bg-blue-500 text-white px-3 py-1 rounded text-sm">Create PO</button>
+                  )}
+                </div>
+              </div>
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm text-left">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-2 py-2">Item</th>
+                      <th className="px-2 py-2 text-right">In Stock</th>
+                      <th className="px-2 py-2 text-right">Min Level</th>
+                      <th className="px-2 py-2 text-right">Avg Daily Sales</th>
+                      <th className="px-2 py-2 text-right">Suggested Qty</th>
+                      <th className="px-2 py-2 text-right">Rate</th>
+                      <th className="px-2 py-2 text-right">Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.items.map(item => (
+                      <tr key={item.id} className="border-b">
+                        <td className="px-2 py-1">{item.item_name}</td>
+                        <td className={`px-2 py-1 text-right ${item.min_level !== null && item.quantity <= item.min_level ? 'text-red-600' : ''}`}>{item.quantity}</td>
+                        <td className="px-2 py-1 text-right">{item.min_level ?? '-'}</td>
+                        <td className="px-2 py-1 text-right">{item.avg_daily}</td>
+                        <td className="px-2 py-1 text-right font-medium">{item.suggested}</td>
+                        <td className="px-2 py-1 text-right">₹ {item.purchase_rate.toFixed(2)}</td>
+                        <td className="px-2 py-1 text-right">₹ {item.value.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Layout>
+  );
+}
@@ -1,42 +1,74 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import Layout from '../components/Layout';
 import Head from 'next/head';
 import * as XLSX from 'xlsx';
 
+// Columns of the HSN summary, in the order shown and exported
+const HSN_COLUMNS = [
+  ['hsn_sac', 'HSN/SAC'],
+  ['description', 'Description'],
+  ['gst_rate', 'Rate (%)'],
+  ['quantity', 'Quantity'],
+  ['taxable_value', 'Taxable Value'],
+  ['cgst', 'CGST'],
+  ['sgst', 'SGST'],
+  ['igst', 'IGST'],
+  ['total_tax', 'Total Tax'],
+  ['total_value', 'Total Value'],
+];
+
+// HSN summary rows keyed by column heading, for the spreadsheet export
+function hsnSheetRows(rows) {
+  return rows.map(row => {
+    const out = {};
+    HSN_COLUMNS.forEach(([key, heading]) => { out[heading] = row[key]; });
+    return out;
+  });
+}
+
 /**
- * Reports page provides a consolidated view of sales, purchases and expenses
- * within a selected date range. Users can filter by month or custom dates
+ * Reports page provides a consolidated view of sales, credit notes, purchases,
+ * debit notes and expenses within a selected date range. Users can filter by month or custom dates
  * and export the detailed report to Excel. The API aggregates totals and
- * lists individual records when requested.
+ * lists individual records when requested. An HSN summary of sales and
+ * purchases for the same range is exported separately to Excel or CSV.
  */
 export default function Reports() {
   const [from, setFrom] = useState('');
   const [to, setTo] = useState('');
-  const [data, setData] = useState({ summary: { sales: 0, purchases: 0, expenses: 0, netProfit: 0 }, sales: [], purchases: [], expenses: [] });
+  // Date range last applied; Apply sets a new object so it always reloads
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [data, setData] = useState({ summary: { sales: 0, purchases: 0, expenses: 0, netProfit: 0 }, sales: [], creditNotes: [], purchases: [], debitNotes: [], expenses: [] });
+  const [hsn, setHsn] = useState({ sales: [], purchases: [] });
   const [loading, setLoading] = useState(false);
 
-  async function fetchReports(detail = true) {
+  const fetchReports = useCallback(async (detail = true) => {
     setLoading(true);
     try {
       let url = '/api/reports?detail=' + detail;
-      if (from && to) {
-        url += `&from=${from}&to=${to}`;
+      if (range.from && range.to) {
+        url += `&from=${range.from}&to=${range.to}`;
       }
       const res = await fetch(url);
       const result = await res.json();
       if (res.ok) {
-        setData({ summary: result.summary, sales: result.sales || [], purchases: result.purchases || [], expenses: result.expenses || [] });
+        setData({ summary: result.summary, sales: result.sales || [], creditNotes: result.creditNotes || [], purchases: result.purchases || [], debitNotes: result.debitNotes || [], expenses: result.expenses || [] });
+      }
+      const hsnRes = await fetch(range.from && range.to ? `/api/hsn-summary?from=${range.from}&to=${range.to}` : '/api/hsn-summary');
+      const hsnResult = await hsnRes.json();
+      if (hsnRes.ok) {
+        setHsn(hsnResult);
       }
     } catch (err) {
       console.error('Report fetch error', err);
     } finally {
       setLoading(false);
     }
-  }
+  }, [range]);
   // Initial load: current month summary & details
   useEffect(() => {
     fetchReports(true);
-  }, []);
+  }, [fetchReports]);
 
   function handleExport() {
     // Combine sales, purchases and expenses into separate sheets
@@ -45,10 +77,18 @@ export default function Reports() {
       const salesSheet = XLSX.utils.json_to_sheet(data.sales);
       XLSX.utils.book_append_sheet(wb, salesSheet, 'Sales');
     }
+    if (data.creditNotes && data.creditNotes.length) {
+      const cnSheet = XLSX.utils.json_to_sheet(data.creditNotes);
+      XLSX.utils.book_append_sheet(wb, cnSheet, 'Credit Notes');
+    }
     if (data.purchases && data.purchases.length) {
       const purSheet = XLSX.utils.json_to_sheet(data.purchases);
       XLSX.utils.book_append_sheet(wb, purSheet, 'Purchases');
     }
+    if (data.debitNotes && data.debitNotes.length) {
+      const dnSheet = XLSX.utils.json_to_sheet(data.debitNotes);
+      XLSX.utils.book_append_sheet(wb, dnSheet, 'Debit Notes');
+    }
     if (data.expenses && data.expenses.length) {
       const expSheet = XLSX.utils.json_to_sheet(data.expenses);
       XLSX.utils.book_append_sheet(wb, expSheet, 'Expenses');
@@ -57,6 +97,28 @@ export default function Reports() {
     XLSX.writeFile(wb, fileName);
   }
 
+  function handleHsnExcel() {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(hsnSheetRows(hsn.sales)), 'Sales HSN');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(hsnSheetRows(hsn.purchases)), 'Purchase HSN');
+    XLSX.writeFile(wb, `hsn_summary_${hsn.from}_${hsn.to}.xlsx`);
+  }
+
+  function handleHsnCsv() {
+    // One file with a Type column telling sales and purchase rows apart
+    const rows = [
+      ...hsnSheetRows(hsn.sales).map(row => ({ Type: 'Sales', ...row })),
+      ...hsnSheetRows(hsn.purchases).map(row => ({ Type: 'Purchase', ...row })),
+    ];
+    const csv = XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hsn_summary_${hsn.from}_${hsn.to}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   return (
     <Layout>
       <Head>
@@ -76,7 +138,7 @@ export default function Reports() {
             <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-full px-2 py-1 border rounded" />
           </div>
           <div className="flex items-end">
-            <button onClick={() => fetchReports(true)} className="bg-blue-500 text-white px-4 py-2 rounded">Apply</button>
+            <button onClick={() => setRange({ from, to })} className="bg-blue-500 text-white px-4 py-2 rounded">Apply</button>
           </div>
         </div>
       </div>
@@ -85,10 +147,12 @@ export default function Reports() {
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm text-gray-500">Total Sales</h3>
           <p className="text-xl font-semibold text-green-600">₹ {data.summary.sales?.toFixed(2)}</p>
+          {data.summary.creditNotes > 0 && <p className="text-xs text-gray-500">after ₹ {data.summary.creditNotes.toFixed(2)} credit notes</p>}
         </div>
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm text-gray-500">Total Purchases</h3>
           <p className="text-xl font-semibold text-blue-600">₹ {data.summary.purchases?.toFixed(2)}</p>
+          {data.summary.debitNotes > 0 && <p className="text-xs text-gray-500">after ₹ {data.summary.debitNotes.toFixed(2)} debit notes</p>}
         </div>
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm text-gray-500">Total Expenses</h3>
@@ -123,7 +187,7 @@ export default function Reports() {
                   <tbody>
                     {data.sales.map(sale => (
                       <tr key={sale.id} className="border-b">
-                        <td className="border px-2 py-1">{sale.invoice_number}</td>
+                        <td className="border px-2 py-1">{sale.invoice_number}{sale.status === 'cancelled' && <span className="text-red-600"> (cancelled)</span>}</td>
                         <td className="border px-2 py-1">{sale.customer_name || '-'}</td>
                         <td className="border px-2 py-1">{sale.date ? new Date(sale.date).toLocaleDateString() : ''}</td>
                         <td className="border px-2 py-1">₹ {sale.grand_total?.toFixed(2)}</td>
@@ -134,6 +198,35 @@ export default function Reports() {
               </div>
             )}
           </div>
+          <div>
+            <h3 className="text-lg font-medium mb-2">Credit Notes</h3>
+            {data.creditNotes.length === 0 ? <p>No credit notes</p> : (
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm border">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="border px-2 py-1">Note No</th>
+                      <th className="border px-2 py-1">Invoice No</th>
+                      <th className="border px-2 py-1">Customer</th>
+                      <th className="border px-2 py-1">Date</th>
+                      <th className="border px-2 py-1">Grand Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.creditNotes.map(note => (
+                      <tr key={note.id} className="border-b">
+                        <td className="border px-2 py-1">{note.note_number}</td>
+                        <td className="border px-2 py-1">{note.invoice_number}</td>
+                        <td className="border px-2 py-1">{note.customer_name || '-'}</td>
+                        <td className="border px-2 py-1">{note.date ? new Date(note.date).toLocaleDateString() : ''}</td>
+                        <td className="border px-2 py-1">₹ {parseFloat(note.grand_total).toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
           <div>
             <h3 className="text-lg font-medium mb-2">Purchases</h3>
             {data.purchases.length === 0 ? <p>No purchase records</p> : (
@@ -166,6 +259,37 @@ export default function Reports() {
               </div>
             )}
           </div>
+          <div>
+            <h3 className="text-lg font-medium mb-2">Debit Notes</h3>
+            {data.debitNotes.length === 0 ? <p>No debit notes</p> : (
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm border">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="border px-2 py-1">Note No</th>
+                      <th className="border px-2 py-1">Bill No</th>
+                      <th className="border px-2 py-1">Vendor</th>
+                      <th className="border px-2 py-1">Date</th>
+                      <th className="border px-2 py-1">Taxable</th>
+                      <th className="border px-2 py-1">Grand Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.debitNotes.map(note => (
+                      <tr key={note.id} className="border-b">
+                        <td className="border px-2 py-1">{note.note_number}</td>
+                        <td className="border px-2 py-1">{note.bill_number || '-'}</td>
+                        <td className="border px-2 py-1">{note.vendor_name || '-'}</td>
+                        <td className="border px-2 py-1">{note.date ? new Date(note.date).toLocaleDateString() : ''}</td>
+                        <td className="border px-2 py-1">₹ {parseFloat(note.taxable_total).toFixed(2)}</td>
+                        <td className="border px-2 py-1">₹ {parseFloat(note.grand_total).toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
           <div>
             <h3 className="text-lg font-medium mb-2">Expenses</h3>
             {data.expenses.length === 0 ? <p>No expense records</p> : (
@@ -193,6 +317,40 @@ export default function Reports() {
               </div>
             )}
           </div>
+          <div>
+            <div className="flex flex-wrap items-center justify-between mb-2 gap-2">
+              <h3 className="text-lg font-medium">HSN Summary</h3>
+              <div className="space-x-2">
+                <button onClick={handleHsnExcel} className="bg-green-600 text-white px-3 py-1 rounded">HSN to Excel</button>
+                <button onClick={handleHsnCsv} className="px-3 py-1 rounded border">HSN to CSV</button>
+              </div>
+            </div>
+            {[['Sales (net of credit notes)', hsn.sales], ['Purchases (net of debit notes)', hsn.purchases]].map(([title, rows]) => (
+              <div key={title} className="mb-4">
+                <h4 className="font-medium mb-1">{title}</h4>
+                {rows.length === 0 ? <p>No records</p> : (
+                  <div className="overflow-auto">
+                    <table className="min-w-full text-sm border">
+                      <thead className="bg-gray-100">
+                        <tr>
+                          {HSN_COLUMNS.map(([key, heading]) => <th key={key} className="border px-2 py-1">{heading}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(row => (
+                          <tr key={`${row.hsn_sac}|${row.gst_rate}`} className="border-b">
+                            {HSN_COLUMNS.map(([key]) => (
+                              <td key={key} className="border px-2 py-1">{key === 'hsn_sac' ? row.hsn_sac || '(none)' : row[key]}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
         </div>
       )}
     </Layout>
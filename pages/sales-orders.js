@@ -0,0 +1,554 @@
+import { Fragment, useEffect, useState, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import InvoicePreview from '../components/InvoicePreview';
+import Head from 'next/head';
+import * as XLSX from 'xlsx';
+import { downloadPdf } from '../lib/pdf';
+import { STATES, stateFromGstin, stateLabel } from '../lib/states';
+
+const emptyOrder = { customer_id: '', customer_name: '', customer_address: '', shipping_address: '', customer_gstin: '', place_of_supply: '', order_date: '', expected_date: '', notes: '', items: [] };
+
+const STATUS_LABELS = {
+  open: 'Open',
+  partial: 'Partly invoiced',
+  fulfilled: 'Fulfilled',
+  cancelled: 'Cancelled',
+  closed: 'Closed',
+};
+
+/**
+ * Sales Orders page records customer orders that are fulfilled over several
+ * dispatches. An order reserves its pending quantities, so the stock shown as
+ * available drops without leaving the shelf. Each dispatch is invoiced
+ * against the order for part or all of the pending quantities; the invoice is
+ * saved like any other, printed as PDF and takes the goods out of stock. The
+ * backorder report lists what is still pending per customer and item, with
+ * the stock on hand, and can be exported to Excel.
+ */
+export default function SalesOrders() {
+  const [items, setItems] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [orders, setOrders] = useState([]);
+  const [backorders, setBackorders] = useState([]);
+  const [form, setForm] = useState(emptyOrder);
+  const [statusFilter, setStatusFilter] = useState('');
+  // Order opened for invoicing: { order, lines, invoices } plus entered quantities
+  const [current, setCurrent] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [vehicleNo, setVehicleNo] = useState('');
+  const [printing, setPrinting] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const previewRef = useRef(null);
+
+  async function loadOrders() {
+    const [res, boRes] = await Promise.all([fetch('/api/sales-orders'), fetch('/api/sales-orders?report=backorders')]);
+    const data = await res.json();
+    const boData = await boRes.json();
+    if (res.ok) setOrders(data.orders);
+    if (boRes.ok) setBackorders(boData.backorders);
+  }
+
+  async function loadItems() {
+    const res = await fetch('/api/inventory');
+    const data = await res.json();
+    if (res.ok) setItems(data.items);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [custRes, setRes] = await Promise.all([fetch('/api/customers'), fetch('/api/settings'), loadItems(), loadOrders()]);
+        const custData = await custRes.json();
+        const setData = await setRes.json();
+        if (custRes.ok) setCustomers(custData.customers);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+      } catch (err) {
+        console.error('Sales orders load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === 'customer_gstin' && !prev.place_of_supply) {
+        const state = stateFromGstin(value);
+        if (state) next.place_of_supply = state.code;
+      }
+      return next;
+    });
+  }
+
+  function handleCustomerSelect(customer) {
+    setForm(prev => ({
+      ...prev,
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_address: customer.billing_address || '',
+      shipping_address: customer.shipping_address || '',
+      customer_gstin: customer.gstin || '',
+      place_of_supply: customer.state_code || stateFromGstin(customer.gstin)?.code || '',
+    }));
+  }
+
+  function addItem() {
+    setForm(prev => ({ ...prev, items: [...prev.items, { item_id: '', quantity: 0, rate: 0 }] }));
+  }
+
+  function removeItem(index) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr.splice(index, 1);
+      return { ...prev, items: arr };
+    });
+  }
+
+  // Update an order line; choosing an item fills its rate
+  function handleItemChange(index, field, value) {
+    setForm(prev => {
+      const arr = [...prev.items];
+      arr[index] = { ...arr[index], [field]: value };
+      if (field === 'item_id') {
+        const item = items.find(i => i.id === parseInt(value));
+        if (item) arr[index].rate = item.rate;
+      }
+      return { ...prev, items: arr };
+    });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (form.items.length === 0) {
+      setMessage('Add at least one item');
+      return;
+    }
+    try {
+      const res = await fetch('/api/sales-orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          customer_id: form.customer_id || null,
+          order_date: form.order_date || null,
+          expected_date: form.expected_date || null,
+          items: form.items.map(it => ({ item_id: parseInt(it.item_id), quantity: parseFloat(it.quantity), rate: parseFloat(it.rate) })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        const short = data.shortages.map(line => `${line.item_name} short by ${line.short}`);
+        setMessage(`Sales order ${data.so_number} created${short.length ? `; backordered: ${short.join(', ')}` : ''}`);
+        setForm(emptyOrder);
+        await Promise.all([loadOrders(), loadItems()]);
+      } else {
+        setMessage(data.error || 'Error creating sales order');
+      }
+    } catch (err) {
+      console.error('Sales order create error', err);
+      setMessage('Error creating sales order');
+    }
+  }
+
+  async function openOrder(order) {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/sales-orders?id=${order.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error loading sales order');
+        return;
+      }
+      setCurrent(data);
+      setVehicleNo('');
+      // Default to invoicing what is pending, as far as stock allows
+      const values = {};
+      data.lines.forEach(line => {
+        values[line.id] = Math.max(Math.min(line.pending, line.on_hand), 0);
+      });
+      setQuantities(values);
+    } catch (err) {
+      console.error('Sales order load error', err);
+      setMessage('Error loading sales order');
+    }
+  }
+
+  async function handleInvoice() {
+    setMessage(null);
+    const { order } = current;
+    try {
+      const res = await fetch(`/api/sales-orders?id=${order.id}&action=invoice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vehicle_no: vehicleNo || null,
+          items: current.lines.map(line => ({ line_id: line.id, quantity: parseFloat(quantities[line.id]) || 0 })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        // Print the invoice in the usual layout
+        flushSync(() => setPrinting({
+          number: data.invoice_number,
+          party: { customer_name: order.customer_name, customer_address: order.customer_address, shipping_address: order.shipping_address, customer_gstin: order.customer_gstin, place_of_supply: order.supply_state_code, vehicle_no: vehicleNo },
+          preview: data.invoice,
+        }));
+        await downloadPdf(previewRef.current, data.invoice_number);
+        setPrinting(null);
+        setMessage(`Invoice ${data.invoice_number} raised against ${order.so_number}`);
+        await Promise.all([loadOrders(), loadItems(), openOrder(order)]);
+      } else {
+        setMessage(data.error || 'Error invoicing sales order');
+      }
+    } catch (err) {
+      console.error('Sales order invoice error', err);
+      setMessage('Error invoicing sales order');
+    }
+  }
+
+  async function handleCancel(order) {
+    const verb = order.status === 'open' ? 'Cancel' : 'Close';
+    if (!window.confirm(`${verb} sales order ${order.so_number}? Its reservation will be released.`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/sales-orders?id=${order.id}&action=cancel`, { method: 'POST' });
+      const data = await res.json();
+      setMessage(res.ok ? data.message : (data.error || 'Error cancelling sales order'));
+      if (res.ok) {
+        if (current?.order.id === order.id) setCurrent(null);
+        await Promise.all([loadOrders(), loadItems()]);
+      }
+    } catch (err) {
+      console.error('Sales order cancel error', err);
+      setMessage('Error cancelling sales order');
+    }
+  }
+
+  function handleExportBackorders() {
+    const rows = backorders.map(line => ({
+      customer: line.customer_name,
+      order: line.so_number,
+      order_date: line.order_date,
+      expected_date: line.expected_date,
+      item: line.item_name,
+      ordered: parseFloat(line.quantity),
+      invoiced: parseFloat(line.invoiced_quantity),
+      pending: parseFloat(line.pending),
+      on_hand: parseFloat(line.on_hand),
+    }));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Backorders');
+    XLSX.writeFile(wb, `backorders_${Date.now()}.xlsx`);
+  }
+
+  const visibleOrders = orders.filter(order => !statusFilter || order.status === statusFilter);
+  const currentOpen = current && (current.order.status === 'open' || current.order.status === 'partial');
+  // Backorders grouped by customer for the report
+  const backorderGroups = [];
+  backorders.forEach(line => {
+    let group = backorderGroups.find(g => g.customer_name === line.customer_name);
+    if (!group) {
+      group = { customer_name: line.customer_name, lines: [] };
+      backorderGroups.push(group);
+    }
+    group.lines.push(line);
+  });
+
+  return (
+    <Layout>
+      <Head>
+        <title>Sales Orders | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Sales Orders</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">New Sales Order</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Customer</label>
+              <SearchPicker
+                options={customers}
+                getLabel={c => c.name}
+                getDetail={c => [c.gstin, c.phone].filter(Boolean).join(' · ')}
+                onSelect={handleCustomerSelect}
+                value={form.customer_id ? form.customer_name : ''}
+                placeholder="Search by name, GSTIN or phone"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Name</label>
+              <input type="text" name="customer_name" value={form.customer_name} onChange={handleChange} required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer GSTIN</label>
+              <input type="text" name="customer_gstin" value={form.customer_gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Customer Address</label>
+              <input type="text" name="customer_address" value={form.customer_address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Shipping Address</label>
+              <input type="text" name="shipping_address" value={form.shipping_address} onChange={handleChange} placeholder="Same as billing" className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Place of Supply</label>
+              <select name="place_of_supply" value={form.place_of_supply} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Order Date</label>
+              <input type="date" name="order_date" value={form.order_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Expected Dispatch</label>
+              <input type="date" name="expected_date" value={form.expected_date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div>
+            <h3 className="text-sm font-medium mb-2">Items</h3>
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Item</th>
+                    <th className="px-2 py-1">Available</th>
+                    <th className="px-2 py-1">Qty</th>
+                    <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">Amount</th>
+                    <th className="px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {form.items.map((it, idx) => {
+                    const item = items.find(i => i.id === parseInt(it.item_id));
+                    const short = item && parseFloat(it.quantity) > item.available;
+                    return (
+                      <tr key={idx} className="border-b">
+                        <td className="px-2 py-1">{idx + 1}</td>
+                        <td className="px-2 py-1">
+                          <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} required className="border rounded px-1 py-0.5">
+                            <option value="">Select</option>
+                            {items.filter(i => i.active || i.id === parseInt(it.item_id)).map(i => (
+                              <option key={i.id} value={i.id}>{i.item_name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className={`px-2 py-1 ${short ? 'text-red-600' : ''}`}>{item ? item.available.toFixed(2) : '-'}</td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.quantity} onChange={(e) => handleItemChange(idx, 'quantity', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-20" />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                        </td>
+                        <td className="px-2 py-1">₹ {((parseFloat(it.quantity) || 0) * (parseFloat(it.rate) || 0)).toFixed(2)}</td>
+                        <td className="px-2 py-1">
+                          <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
+          </div>
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Place Order</button>
+        </form>
+      </div>
+      {current && (
+        <div className="bg-white p-4 rounded shadow mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-medium">{current.order.so_number} · {current.order.customer_name}</h2>
+            <button type="button" onClick={() => setCurrent(null)} className="text-sm text-gray-600">Close</button>
+          </div>
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Item</th>
+                  <th className="px-2 py-2 text-right">Ordered</th>
+                  <th className="px-2 py-2 text-right">Invoiced</th>
+                  <th className="px-2 py-2 text-right">Pending</th>
+                  <th className="px-2 py-2 text-right">On Hand</th>
+                  <th className="px-2 py-2 text-right">Available</th>
+                  <th className="px-2 py-2 text-right">Rate</th>
+                  {currentOpen && <th className="px-2 py-2">Invoice Qty</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {current.lines.map(line => (
+                  <tr key={line.id} className="border-b">
+                    <td className="px-2 py-1">{line.item_name || line.description}</td>
+                    <td className="px-2 py-1 text-right">{parseFloat(line.quantity)}</td>
+                    <td className="px-2 py-1 text-right">{parseFloat(line.invoiced_quantity)}</td>
+                    <td className="px-2 py-1 text-right">{line.pending}</td>
+                    <td className={`px-2 py-1 text-right ${line.on_hand < line.pending ? 'text-red-600' : ''}`}>{line.on_hand}</td>
+                    <td className="px-2 py-1 text-right">{line.available.toFixed(2)}</td>
+                    <td className="px-2 py-1 text-right">₹ {line.rate}</td>
+                    {currentOpen && (
+                      <td className="px-2 py-1">
+                        <input type="number" value={quantities[line.id] ?? ''} onChange={(e) => setQuantities(prev => ({ ...prev, [line.id]: e.target.value }))} min="0" max={line.pending} step="0.01" disabled={line.pending <= 0} className="border rounded px-1 py-0.5 w-20" />
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {currentOpen && (
+            <div className="flex flex-wrap items-end gap-4 mt-4">
+              <div>
+                <label className="block text-sm mb-1">Vehicle No.</label>
+                <input type="text" value={vehicleNo} onChange={(e) => setVehicleNo(e.target.value)} className="px-2 py-1 border rounded" />
+              </div>
+              <button type="button" onClick={handleInvoice} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Create Invoice & PDF</button>
+            </div>
+          )}
+          {current.invoices.length > 0 && (
+            <div className="mt-4 text-sm">
+              <h3 className="font-medium mb-1">Invoices</h3>
+              <ul className="list-disc ml-5">
+                {current.invoices.map(inv => (
+                  <li key={inv.id}>
+                    {inv.invoice_number} on {new Date(inv.date).toLocaleDateString()} · ₹ {parseFloat(inv.grand_total).toFixed(2)}
+                    {inv.status === 'cancelled' && <span className="text-red-600"> (cancelled)</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+      {printing && (
+        <InvoicePreview
+          ref={previewRef}
+          number={printing.number}
+          settings={settings}
+          party={printing.party}
+          preview={printing.preview}
+        />
+      )}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Orders</h2>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="px-2 py-1 border rounded text-sm">
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_LABELS).map(key => (
+              <option key={key} value={key}>{STATUS_LABELS[key]}</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <p>Loading...</p>
+        ) : visibleOrders.length === 0 ? (
+          <p>No sales orders found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">SO No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Expected</th>
+                  <th className="px-2 py-2">Invoiced</th>
+                  <th className="px-2 py-2">Value</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleOrders.map(order => {
+                  const pending = order.status === 'open' || order.status === 'partial';
+                  return (
+                    <tr key={order.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">{order.so_number}</td>
+                      <td className="px-2 py-1">{order.order_date ? new Date(order.order_date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{order.customer_name || '-'}</td>
+                      <td className="px-2 py-1">{order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}</td>
+                      <td className="px-2 py-1">{parseFloat(order.invoiced_quantity)} / {parseFloat(order.ordered_quantity)}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(order.total).toFixed(2)}</td>
+                      <td className="px-2 py-1">{STATUS_LABELS[order.status] || order.status}</td>
+                      <td className="px-2 py-1 space-x-2 whitespace-nowrap">
+                        <button type="button" onClick={() => openOrder(order)} className="text-blue-600 text-xs">{pending ? 'Invoice' : 'View'}</button>
+                        {pending && (
+                          <button type="button" onClick={() => handleCancel(order)} className="text-red-500 text-xs">{order.status === 'open' ? 'Cancel' : 'Close'}</button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-medium">Backorders</h2>
+          <button type="button" onClick={handleExportBackorders} disabled={backorders.length === 0} className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50">Export</button>
+        </div>
+        {backorders.length === 0 ? (
+          <p>Nothing pending</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Customer / Item</th>
+                  <th className="px-2 py-2">Order</th>
+                  <th className="px-2 py-2">Expected</th>
+                  <th className="px-2 py-2 text-right">Ordered</th>
+                  <th className="px-2 py-2 text-right">Invoiced</th>
+                  <th className="px-2 py-2 text-right">Pending</th>
+                  <th className="px-2 py-2 text-right">On Hand</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backorderGroups.map(group => (
+                  <Fragment key={group.customer_name}>
+                    <tr className="bg-gray-50">
+                      <td colSpan={5} className="px-2 py-1 font-medium">{group.customer_name}</td>
+                      <td className="px-2 py-1 text-right font-medium">{group.lines.reduce((sum, line) => sum + parseFloat(line.pending), 0)}</td>
+                      <td></td>
+                    </tr>
+                    {group.lines.map(line => (
+                      <tr key={line.line_id} className="border-b">
+                        <td className="px-2 py-1 pl-6">{line.item_name}</td>
+                        <td className="px-2 py-1">{line.so_number}</td>
+                        <td className="px-2 py-1">{line.expected_date ? new Date(line.expected_date).toLocaleDateString() : '-'}</td>
+                        <td className="px-2 py-1 text-right">{parseFloat(line.quantity)}</td>
+                        <td className="px-2 py-1 text-right">{parseFloat(line.invoiced_quantity)}</td>
+                        <td className="px-2 py-1 text-right">{parseFloat(line.pending)}</td>
+                        <td className={`px-2 py-1 text-right ${parseFloat(line.on_hand) < parseFloat(line.pending) ? 'text-red-600' : ''}`}>{line.on_hand !== null ? parseFloat(line.on_hand) : '-'}</td>
+                      </tr>
+                    ))}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -1,39 +1,118 @@
 import { useEffect, useState, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import QRCode from 'qrcode';
 import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import InvoicePreview from '../components/InvoicePreview';
 import Head from 'next/head';
-import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
+import { computeInvoice, resolveGstRate } from '../lib/gst';
+import { downloadPdf } from '../lib/pdf';
+import { downloadJson } from '../lib/download';
+import { STATES, stateFromGstin, stateLabel, companyState, isInterState } from '../lib/states';
+import { TRANSPORT_MODES } from '../lib/ewaybill';
+import { PAYMENT_STATUS } from '../lib/payments';
+
+// Transport details kept with an invoice for its e-way bill
+const emptyTransport = { vehicle_no: '', transport_mode: 'road', transporter_name: '', transporter_id: '', transport_distance: '', transport_doc_no: '', transport_doc_date: '' };
+
+const emptyForm = {
+  customer_id: '',
+  customer_name: '',
+  customer_address: '',
+  shipping_address: '',
+  customer_gstin: '',
+  place_of_supply: '',
+  ...emptyTransport,
+  items: [] // array of { item_id, description, hsn_sac, quantity, rate }
+};
+
+// Transport fields of a saved invoice, as form values
+function transportForm(sale) {
+  return {
+    vehicle_no: sale.vehicle_no || '',
+    transport_mode: sale.transport_mode || 'road',
+    transporter_name: sale.transporter_name || '',
+    transporter_id: sale.transporter_id || '',
+    transport_distance: sale.transport_distance ?? '',
+    transport_doc_no: sale.transport_doc_no || '',
+    transport_doc_date: sale.transport_doc_date ? new Date(sale.transport_doc_date).toISOString().split('T')[0] : '',
+  };
+}
 
 /**
  * Sales page provides an interface to create tax invoices. It allows users
- * to select products from inventory, input customer details, auto-calculate
- * taxes and generate a PDF invoice which can be shared via WhatsApp. When
- * saved, the invoice is persisted to the database and inventory quantities
- * are decreased accordingly.
+ * to select products from inventory, pick a customer from the customer master
+ * (or type one-off details), auto-calculate
+ * GST per line from the item or HSN rate (split into CGST+SGST or IGST by
+ * comparing the place of supply with the company's state) and generate a PDF
+ * invoice which can
+ * be shared via WhatsApp. When saved, the invoice is persisted to the database
+ * and inventory quantities are decreased accordingly. The preview is computed
+ * locally; the PDF is rendered from the figures returned by the server.
+ * Saved invoices are listed below the preview, where they can be amended
+ * (reloaded into the form and saved under the same number), cancelled or
+ * locked, and the history of earlier versions can be viewed.
+ *
+ * The transport details (vehicle, transporter, distance) can be filled in
+ * with the invoice or later for any invoice. Invoices ticked in the list are
+ * exported as the e-way bill portal's bulk upload JSON; problems found in
+ * them are listed before the file is downloaded.
+ *
+ * For e-invoicing, each invoice's e-invoice JSON can be checked and
+ * downloaded for the IRP, and the IRN, acknowledgement and signed QR code it
+ * returns are saved by importing the response file, typing them in or, for
+ * testing, sending the JSON to the mock IRP. Registered invoices are locked
+ * and their PDF carries the IRN and QR code.
  */
 export default function Sales() {
   const [items, setItems] = useState([]);
-  const [form, setForm] = useState({
-    customer_name: '',
-    customer_address: '',
-    customer_gstin: '',
-    place_of_supply: '',
-    vehicle_no: '',
-    items: [], // array of { item_id, description, hsn_sac, quantity, rate }
-    taxes: { cgst: 0, sgst: 0, igst: 0 }
-  });
+  const [hsnRates, setHsnRates] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [customers, setCustomers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
   const [message, setMessage] = useState(null);
   const [invoiceNumber, setInvoiceNumber] = useState(null);
   const [lastInvoice, setLastInvoice] = useState(null);
+  // Server-computed invoice shown in the preview while the PDF is generated
+  const [savedInvoice, setSavedInvoice] = useState(null);
+  // Invoice being amended ({ id, invoice_number, date }) or null for a new one
+  const [editing, setEditing] = useState(null);
+  const [sales, setSales] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [search, setSearch] = useState('');
+  // Invoice ids ticked for the e-way bill export and the checks of the last export
+  const [ewaySelected, setEwaySelected] = useState([]);
+  const [ewayResult, setEwayResult] = useState(null);
+  // Transport details being edited for a saved invoice ({ id, invoice_number, ...fields })
+  const [transportEdit, setTransportEdit] = useState(null);
+  // E-invoice panel of one invoice: { sale, payload, errors, registration }
+  const [einvoice, setEinvoice] = useState(null);
+  const [irnForm, setIrnForm] = useState({ irn: '', ack_no: '', ack_date: '', signed_qr: '' });
+  // Saved invoice rendered in a second preview while its PDF is regenerated
+  const [reprint, setReprint] = useState(null);
   const invoiceRef = useRef(null);
+  const reprintRef = useRef(null);
+
+  async function loadSales() {
+    const res = await fetch('/api/sales');
+    const data = await res.json();
+    if (res.ok) setSales(data.sales);
+  }
 
   useEffect(() => {
-    // Load inventory items
+    // Load inventory items, HSN rates, company settings, customers and invoices
     async function load() {
       try {
-        const res = await fetch('/api/inventory');
+        const [res, hsnRes, setRes, custRes] = await Promise.all([fetch('/api/inventory'), fetch('/api/hsn-rates'), fetch('/api/settings'), fetch('/api/customers')]);
         const data = await res.json();
+        const hsnData = await hsnRes.json();
+        const setData = await setRes.json();
+        const custData = await custRes.json();
         if (res.ok) setItems(data.items);
+        if (hsnRes.ok) setHsnRates(hsnData.rates);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+        if (custRes.ok) setCustomers(custData.customers);
+        await loadSales();
       } catch (err) {
         console.error('Sales page load error', err);
       }
@@ -73,23 +152,43 @@ export default function Sales() {
   // Handler for customer fields
   function handleChange(e) {
     const { name, value } = e.target;
-    setForm(prev => ({ ...prev, [name]: value }));
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      // The GSTIN prefix tells us the customer's state; pre-select it as the
+      // place of supply unless the user already picked one
+      if (name === 'customer_gstin' && !prev.place_of_supply) {
+        const state = stateFromGstin(value);
+        if (state) next.place_of_supply = state.code;
+      }
+      return next;
+    });
   }
-  // Handler for tax fields
-  function handleTaxChange(e) {
-    const { name, value } = e.target;
-    setForm(prev => ({ ...prev, taxes: { ...prev.taxes, [name]: value } }));
+  // Fill the invoice from the selected customer record
+  function handleCustomerSelect(customer) {
+    setForm(prev => ({
+      ...prev,
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_address: customer.billing_address || '',
+      shipping_address: customer.shipping_address || '',
+      customer_gstin: customer.gstin || '',
+      place_of_supply: customer.state_code || stateFromGstin(customer.gstin)?.code || '',
+    }));
   }
-  // Calculate totals
-  function calculateTotals() {
-    let taxable = 0;
-    form.items.forEach(item => {
-      taxable += (parseFloat(item.rate) || 0) * (parseFloat(item.quantity) || 0);
-    });
-    const cgst = parseFloat(form.taxes.cgst) || 0;
-    const sgst = parseFloat(form.taxes.sgst) || 0;
-    const igst = parseFloat(form.taxes.igst) || 0;
-    return { taxable, cgst, sgst, igst, grand: taxable + cgst + sgst + igst };
+  // Detach the invoice from the customer record to type one-off details
+  function clearCustomer() {
+    setForm(prev => ({ ...prev, customer_id: '', customer_name: '', customer_address: '', shipping_address: '', customer_gstin: '', place_of_supply: '' }));
+  }
+  const homeState = companyState(settings);
+  const interState = isInterState(homeState?.code, form.place_of_supply);
+  // GST rate of a form line: item-level rate first, then the HSN rate master
+  function lineGstRate(line) {
+    const item = items.find(i => i.id === parseInt(line.item_id));
+    return resolveGstRate(item, hsnRates, line.hsn_sac);
+  }
+  // Calculate per-line tax, HSN breakup and totals for the preview
+  function calculateInvoice() {
+    return computeInvoice(form.items, { interState, getRate: lineGstRate });
   }
   // Save invoice and generate PDF
   async function handleGenerate(e) {
@@ -97,43 +196,54 @@ export default function Sales() {
     setMessage(null);
     try {
       // Save invoice to DB first
-      const res = await fetch('/api/sales', {
-        method: 'POST',
+      const res = await fetch(editing ? `/api/sales?id=${editing.id}` : '/api/sales', {
+        method: editing ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+          customer_id: form.customer_id || null,
           customer_name: form.customer_name,
           customer_address: form.customer_address,
+          shipping_address: form.shipping_address,
           customer_gstin: form.customer_gstin,
           place_of_supply: form.place_of_supply,
           vehicle_no: form.vehicle_no,
+          transport_mode: form.transport_mode,
+          transporter_name: form.transporter_name,
+          transporter_id: form.transporter_id,
+          transport_distance: form.transport_distance,
+          transport_doc_no: form.transport_doc_no,
+          transport_doc_date: form.transport_doc_date || null,
           items: form.items.map(it => ({
             item_id: parseInt(it.item_id),
             description: it.description,
             hsn_sac: it.hsn_sac,
             quantity: parseFloat(it.quantity),
             rate: parseFloat(it.rate)
-          })),
-          taxes: {
-            cgst: parseFloat(form.taxes.cgst) || 0,
-            sgst: parseFloat(form.taxes.sgst) || 0,
-            igst: parseFloat(form.taxes.igst) || 0,
-          }
+          }))
         })
       });
       const data = await res.json();
       if (res.ok) {
-        setInvoiceNumber(data.invoice_number);
+        // Render the server-computed figures before capturing the preview
+        flushSync(() => {
+          setInvoiceNumber(data.invoice_number);
+          setSavedInvoice(data.invoice);
+        });
         // store details for sharing
-        setLastInvoice({ customer_name: form.customer_name, grand: totals.grand });
+        setLastInvoice({ customer_name: form.customer_name, grand: data.invoice.totals.grand });
         // After saving, generate PDF
         await generatePDF(data.invoice_number);
-        setMessage('Invoice saved and PDF generated');
+        setMessage(editing ? `Invoice ${data.invoice_number} amended and PDF generated` : 'Invoice saved and PDF generated');
         // Reset form
-        setForm({ customer_name: '', customer_address: '', customer_gstin: '', place_of_supply: '', vehicle_no: '', items: [], taxes: { cgst: 0, sgst: 0, igst: 0 } });
+        setSavedInvoice(null);
+        setEditing(null);
+        setHistory(null);
+        setForm(emptyForm);
         // Refresh inventory because items sold changed quantities
         const invRes = await fetch('/api/inventory');
         const invData = await invRes.json();
         if (invRes.ok) setItems(invData.items);
+        await loadSales();
       } else {
         setMessage(data.error || 'Error creating invoice');
       }
@@ -142,32 +252,259 @@ export default function Sales() {
       setMessage('Error creating invoice');
     }
   }
-  // Generate PDF from invoice preview element using html2canvas & jsPDF
+  // Load a saved invoice into the form to amend it
+  async function handleEdit(sale) {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/sales?id=${sale.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error loading invoice');
+        return;
+      }
+      const inv = data.sale;
+      setEditing({ id: inv.id, invoice_number: inv.invoice_number, date: inv.date });
+      setInvoiceNumber(inv.invoice_number);
+      setLastInvoice(null);
+      setForm({
+        customer_id: inv.customer_id || '',
+        customer_name: inv.customer_name || '',
+        customer_address: inv.customer_address || '',
+        shipping_address: inv.shipping_address || '',
+        customer_gstin: inv.customer_gstin || '',
+        place_of_supply: inv.supply_state_code || '',
+        ...transportForm(inv),
+        items: inv.items.map(line => ({ item_id: line.item_id || '', description: line.description, hsn_sac: line.hsn_sac, quantity: line.quantity, rate: line.rate })),
+      });
+      window.scrollTo(0, 0);
+    } catch (err) {
+      console.error('Invoice load error', err);
+      setMessage('Error loading invoice');
+    }
+  }
+  // Leave amend mode without saving
+  function handleCancelEdit() {
+    setEditing(null);
+    setInvoiceNumber(null);
+    setForm(emptyForm);
+  }
+  // Cancel or lock a saved invoice
+  async function handleInvoiceAction(sale, action) {
+    let reason = null;
+    if (action === 'cancel') {
+      reason = window.prompt(`Reason for cancelling ${sale.invoice_number}?`);
+      if (reason === null) return;
+    } else if (!window.confirm(`Lock ${sale.invoice_number}? It can no longer be amended or cancelled.`)) {
+      return;
+    }
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/sales?id=${sale.id}&action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason })
+      });
+      const data = await res.json();
+      setMessage(res.ok ? data.message : (data.error || 'Error updating invoice'));
+      if (res.ok) {
+        await loadSales();
+        if (action === 'cancel') {
+          const invRes = await fetch('/api/inventory');
+          const invData = await invRes.json();
+          if (invRes.ok) setItems(invData.items);
+        }
+      }
+    } catch (err) {
+      console.error(`Invoice ${action} error`, err);
+      setMessage('Error updating invoice');
+    }
+  }
+  // Show the earlier versions of an invoice
+  async function handleHistory(sale) {
+    try {
+      const res = await fetch(`/api/sales?id=${sale.id}`);
+      const data = await res.json();
+      if (res.ok) {
+        setHistory(data);
+      } else {
+        setMessage(data.error || 'Error loading history');
+      }
+    } catch (err) {
+      console.error('Invoice history error', err);
+      setMessage('Error loading history');
+    }
+  }
+  // Save the transport details of a saved invoice
+  async function handleTransportSave(e) {
+    e.preventDefault();
+    setMessage(null);
+    const { id, invoice_number, ...fields } = transportEdit;
+    try {
+      const res = await fetch(`/api/sales?id=${id}&action=transport`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...fields, transport_doc_date: fields.transport_doc_date || null })
+      });
+      const data = await res.json();
+      setMessage(res.ok ? `${data.message} for ${invoice_number}` : (data.error || 'Error saving transport details'));
+      if (res.ok) {
+        setTransportEdit(null);
+        await loadSales();
+      }
+    } catch (err) {
+      console.error('Invoice transport error', err);
+      setMessage('Error saving transport details');
+    }
+  }
+  function toggleEway(id) {
+    setEwaySelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  }
+  // Check the ticked invoices and download their e-way bills when all pass
+  async function handleEwayBill() {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/eway-bill?ids=${ewaySelected.join(',')}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error building e-way bills');
+        return;
+      }
+      setEwayResult(data);
+      if (data.results.every(result => result.errors.length === 0)) {
+        downloadEwayBill(data.file);
+      }
+    } catch (err) {
+      console.error('E-way bill error', err);
+      setMessage('Error building e-way bills');
+    }
+  }
+  function downloadEwayBill(file) {
+    downloadJson(file, `ewaybill_${Date.now()}.json`);
+    setMessage(`E-way bill JSON downloaded for ${file.billLists.length} invoice(s)`);
+  }
+  // Open the e-invoice panel of a saved invoice
+  async function openEinvoice(sale) {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/einvoice?id=${sale.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error building e-invoice');
+        return;
+      }
+      setEinvoice({ sale, ...data });
+      setIrnForm({ irn: '', ack_no: '', ack_date: '', signed_qr: '' });
+    } catch (err) {
+      console.error('E-invoice load error', err);
+      setMessage('Error building e-invoice');
+    }
+  }
+  // Save what the IRP returned (its reply or the typed fields) on the invoice
+  async function saveRegistration(body) {
+    const { sale } = einvoice;
+    const res = await fetch(`/api/einvoice?id=${sale.id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setMessage(data.error || 'Error saving IRN');
+      return;
+    }
+    setMessage(`${data.message}: ${sale.invoice_number}`);
+    setEinvoice(prev => ({ ...prev, errors: [], registration: data.registration }));
+    await loadSales();
+  }
+  async function handleIrnSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      await saveRegistration(irnForm);
+    } catch (err) {
+      console.error('E-invoice save error', err);
+      setMessage('Error saving IRN');
+    }
+  }
+  async function handleIrpFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    try {
+      await saveRegistration(JSON.parse(await file.text()));
+    } catch (err) {
+      console.error('E-invoice import error', err);
+      setMessage('The file is not an IRP response in JSON');
+    }
+  }
+  async function handleMockIrp() {
+    setMessage(null);
+    try {
+      const res = await fetch('/api/mock-irp', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(einvoice.payload)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage((data.ErrorDetails || []).map(detail => detail.ErrorMessage).join('; ') || 'Mock IRP rejected the invoice');
+        return;
+      }
+      await saveRegistration(data);
+    } catch (err) {
+      console.error('Mock IRP error', err);
+      setMessage('Error calling the mock IRP');
+    }
+  }
+  // Regenerate the PDF of a saved invoice, with its IRN and QR code once registered
+  async function handlePdf(sale) {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/sales?id=${sale.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error loading invoice');
+        return;
+      }
+      const inv = data.sale;
+      // Recompute the breakup from the stored lines at their saved GST rates
+      const preview = computeInvoice(inv.items, { interState: parseFloat(inv.igst) > 0, getRate: line => line.gst_rate });
+      const registration = inv.irn
+        ? { irn: inv.irn, ack_no: inv.ack_no, ack_date: inv.ack_date, qr: await QRCode.toDataURL(inv.signed_qr, { errorCorrectionLevel: 'M', margin: 1, width: 256 }) }
+        : null;
+      flushSync(() => setReprint({
+        number: inv.invoice_number,
+        date: inv.date,
+        party: { ...inv, place_of_supply: inv.supply_state_code },
+        preview,
+        einvoice: registration,
+      }));
+      await downloadPdf(reprintRef.current, inv.invoice_number);
+      setReprint(null);
+    } catch (err) {
+      console.error('Invoice PDF error', err);
+      setMessage('Error generating PDF');
+    }
+  }
+  // Generate PDF from the invoice preview element
   async function generatePDF(invNo) {
-    const element = invoiceRef.current;
-    const canvas = await html2canvas(element, { scale: 2 });
-    const imgData = canvas.toDataURL('image/png');
-    const pdf = new jsPDF('p', 'pt', 'a4');
-    const pageWidth = pdf.internal.pageSize.getWidth();
-    const pageHeight = pdf.internal.pageSize.getHeight();
-    // Fit image within page
-    const ratio = Math.min(pageWidth / canvas.width, pageHeight / canvas.height);
-    const imgWidth = canvas.width * ratio;
-    const imgHeight = canvas.height * ratio;
-    pdf.addImage(imgData, 'PNG', (pageWidth - imgWidth) / 2, 20, imgWidth, imgHeight);
-    pdf.save(`${invNo || 'invoice'}.pdf`);
+    await downloadPdf(invoiceRef.current, invNo);
   }
   // Share invoice via WhatsApp (text only). This opens WhatsApp with prefilled text.
   function shareWhatsApp() {
     // Use last invoice details if available
     const customer = lastInvoice?.customer_name || form.customer_name;
-    const amount = lastInvoice?.grand || calculateTotals().grand;
+    const amount = lastInvoice?.grand || calculateInvoice().totals.grand;
     const text = `Invoice ${invoiceNumber}\nCustomer: ${customer}\nAmount: ₹${amount?.toFixed(2)}`;
     const url = `https://wa.me/?text=${encodeURIComponent(text)}`;
     window.open(url, '_blank');
   }
 
-  const totals = calculateTotals();
+  const searchText = search.trim().toLowerCase();
+  const filteredSales = sales.filter(s => !searchText || `${s.invoice_number} ${s.customer_name || ''}`.toLowerCase().includes(searchText));
+  const liveInvoice = calculateInvoice();
+  const preview = savedInvoice || liveInvoice;
 
   return (
     <Layout>
@@ -178,10 +515,28 @@ export default function Sales() {
       {message && <p className="mb-4 text-green-700">{message}</p>}
       {/* Invoice creation form */}
       <div className="bg-white p-4 rounded shadow mb-6">
-        <h2 className="text-lg font-medium mb-2">Create Invoice</h2>
+        <h2 className="text-lg font-medium mb-2">{editing ? `Amend Invoice ${editing.invoice_number}` : 'Create Invoice'}</h2>
         <form onSubmit={handleGenerate} className="space-y-4">
           {/* Customer details */}
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm mb-1">Select Customer</label>
+              <div className="flex gap-2">
+                <div className="flex-1">
+                  <SearchPicker
+                    options={customers}
+                    getLabel={c => c.name}
+                    getDetail={c => [c.gstin, c.phone].filter(Boolean).join(' · ')}
+                    onSelect={handleCustomerSelect}
+                    value={form.customer_id ? form.customer_name : ''}
+                    placeholder="Search by name, GSTIN or phone"
+                  />
+                </div>
+                {form.customer_id && (
+                  <button type="button" onClick={clearCustomer} className="px-3 py-1 border rounded text-sm">Clear</button>
+                )}
+              </div>
+            </div>
             <div>
               <label className="block text-sm mb-1">Customer Name</label>
               <input type="text" name="customer_name" value={form.customer_name} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
@@ -190,18 +545,33 @@ export default function Sales() {
               <label className="block text-sm mb-1">Customer Address</label>
               <input type="text" name="customer_address" value={form.customer_address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
+            <div>
+              <label className="block text-sm mb-1">Shipping Address</label>
+              <input type="text" name="shipping_address" value={form.shipping_address} onChange={handleChange} placeholder="Same as billing" className="w-full px-2 py-1 border rounded" />
+            </div>
             <div>
               <label className="block text-sm mb-1">Customer GSTIN</label>
               <input type="text" name="customer_gstin" value={form.customer_gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
             <div>
               <label className="block text-sm mb-1">Place of Supply</label>
-              <input type="text" name="place_of_supply" value={form.place_of_supply} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+              <select name="place_of_supply" value={form.place_of_supply} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+              {form.place_of_supply && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {!homeState ? 'Set the company state in Settings to apply GST' : interState ? 'Inter-state supply: IGST applies' : 'Intra-state supply: CGST + SGST apply'}
+                </p>
+              )}
             </div>
             <div>
               <label className="block text-sm mb-1">Vehicle No.</label>
               <input type="text" name="vehicle_no" value={form.vehicle_no} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
             </div>
+            <TransportFields values={form} onChange={handleChange} />
           </div>
           {/* Items table */}
           <div>
@@ -215,20 +585,23 @@ export default function Sales() {
                     <th className="px-2 py-1">HSN/SAC</th>
                     <th className="px-2 py-1">Qty</th>
                     <th className="px-2 py-1">Rate</th>
+                    <th className="px-2 py-1">Taxable</th>
+                    <th className="px-2 py-1">GST %</th>
+                    <th className="px-2 py-1">Tax</th>
                     <th className="px-2 py-1">Total</th>
                     <th className="px-2 py-1">Action</th>
                   </tr>
                 </thead>
                 <tbody>
                   {form.items.map((it, idx) => {
-                    const total = (parseFloat(it.rate) || 0) * (parseFloat(it.quantity) || 0);
+                    const line = liveInvoice.lines[idx];
                     return (
                       <tr key={idx} className="border-b">
                         <td className="px-2 py-1">{idx + 1}</td>
                         <td className="px-2 py-1">
                           <select value={it.item_id} onChange={(e) => handleItemChange(idx, 'item_id', e.target.value)} className="border rounded px-1 py-0.5">
                             <option value="">Select</option>
-                            {items.map(item => (
+                            {items.filter(item => item.active || item.id === parseInt(it.item_id)).map(item => (
                               <option key={item.id} value={item.id}>{item.item_name}</option>
                             ))}
                           </select>
@@ -242,7 +615,10 @@ export default function Sales() {
                         <td className="px-2 py-1">
                           <input type="number" value={it.rate} onChange={(e) => handleItemChange(idx, 'rate', e.target.value)} step="0.01" className="border rounded px-1 py-0.5 w-24" />
                         </td>
-                        <td className="px-2 py-1">₹ {total.toFixed(2)}</td>
+                        <td className="px-2 py-1">₹ {line.taxable_value.toFixed(2)}</td>
+                        <td className="px-2 py-1">{line.gst_rate}%</td>
+                        <td className="px-2 py-1">₹ {(line.cgst + line.sgst + line.igst).toFixed(2)}</td>
+                        <td className="px-2 py-1">₹ {line.total.toFixed(2)}</td>
                         <td className="px-2 py-1">
                           <button type="button" onClick={() => removeItem(idx)} className="text-red-500 text-xs">Remove</button>
                         </td>
@@ -254,24 +630,12 @@ export default function Sales() {
             </div>
             <button type="button" onClick={addItem} className="mt-2 bg-blue-500 text-white px-3 py-1 rounded">Add Item</button>
           </div>
-          {/* Tax inputs */}
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-sm mb-1">CGST (₹)</label>
-              <input type="number" name="cgst" value={form.taxes.cgst} onChange={handleTaxChange} step="0.01" className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">SGST (₹)</label>
-              <input type="number" name="sgst" value={form.taxes.sgst} onChange={handleTaxChange} step="0.01" className="w-full px-2 py-1 border rounded" />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">IGST (₹)</label>
-              <input type="number" name="igst" value={form.taxes.igst} onChange={handleTaxChange} step="0.01" className="w-full px-2 py-1 border rounded" />
-            </div>
-          </div>
           {/* Buttons */}
           <div className="flex items-center gap-4">
-            <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Save & PDF</button>
+            <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">{editing ? 'Save Amendment & PDF' : 'Save & PDF'}</button>
+            {editing && (
+              <button type="button" onClick={handleCancelEdit} className="px-4 py-2 rounded border">Discard Changes</button>
+            )}
             {invoiceNumber && (
               <button type="button" onClick={shareWhatsApp} className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600">Share via WhatsApp</button>
             )}
@@ -279,116 +643,265 @@ export default function Sales() {
         </form>
       </div>
       {/* Invoice preview */}
-      <div className="bg-white p-4 rounded shadow" ref={invoiceRef} id="invoice-preview">
-        <h2 className="text-lg font-medium mb-2 text-center">Tax Invoice</h2>
-        <div className="flex justify-between text-sm">
-          <div>
-            <strong>Your Business Name</strong><br />
-            {/* Add more company details if available via settings later */}
-          </div>
-          <div className="text-right">
-            <div>Invoice No: {invoiceNumber || 'N/A'}</div>
-            <div>Date: {new Date().toLocaleDateString()}</div>
+      <InvoicePreview
+        ref={invoiceRef}
+        number={invoiceNumber}
+        date={editing ? editing.date : null}
+        settings={settings}
+        party={form}
+        preview={preview}
+      />
+      {reprint && (
+        <div className="mt-6">
+          <InvoicePreview
+            ref={reprintRef}
+            number={reprint.number}
+            date={reprint.date}
+            settings={settings}
+            party={reprint.party}
+            preview={reprint.preview}
+            einvoice={reprint.einvoice}
+          />
+        </div>
+      )}
+      {/* Saved invoices */}
+      <div className="bg-white p-4 rounded shadow mt-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Invoices</h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search invoice number or customer" className="px-2 py-1 border rounded text-sm" />
+            <button type="button" onClick={handleEwayBill} disabled={ewaySelected.length === 0} className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 disabled:opacity-50">E-way Bill JSON ({ewaySelected.length})</button>
           </div>
         </div>
-        {/* Customer & invoice details */}
-        <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 text-sm gap-4">
-          <div className="border p-2">
-            <strong>Billed To (Buyer):</strong><br />
-            {form.customer_name}<br />
-            {form.customer_address}<br />
-            {form.customer_gstin && (<span>GSTIN: {form.customer_gstin}</span>)}
+        {ewayResult && (
+          <div className="border rounded p-2 mb-4 text-sm">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium">E-way bill checks</span>
+              <button type="button" onClick={() => setEwayResult(null)} className="text-gray-600">Close</button>
+            </div>
+            <ul className="space-y-1">
+              {ewayResult.results.map(result => (
+                <li key={result.id}>
+                  <span className="font-medium">{result.invoice_number}</span> {result.customer_name}
+                  {result.errors.length === 0 && <span className="text-green-700"> – ready</span>}
+                  {result.errors.map((error, i) => <span key={i} className="block ml-4 text-red-600">{error}</span>)}
+                  {result.warnings.map((warning, i) => <span key={i} className="block ml-4 text-amber-600">{warning}</span>)}
+                </li>
+              ))}
+            </ul>
+            {ewayResult.file.billLists.length > 0 && ewayResult.file.billLists.length < ewayResult.results.length && (
+              <button type="button" onClick={() => downloadEwayBill(ewayResult.file)} className="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Download {ewayResult.file.billLists.length} ready bill(s)</button>
+            )}
           </div>
-          <div className="border p-2">
-            <strong>Invoice Details:</strong><br />
-            {form.place_of_supply && (<span>Place of Supply: {form.place_of_supply}<br /></span>)}
-            {form.vehicle_no && (<span>Vehicle No: {form.vehicle_no}</span>)}
+        )}
+        {einvoice && (
+          <div className="border rounded p-2 mb-4 text-sm">
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-medium">E-invoice for {einvoice.sale.invoice_number}</span>
+              <button type="button" onClick={() => setEinvoice(null)} className="text-gray-600">Close</button>
+            </div>
+            {einvoice.registration ? (
+              <div className="break-all">
+                <div>IRN: {einvoice.registration.irn}</div>
+                <div>Ack No: {einvoice.registration.ack_no} on {new Date(einvoice.registration.ack_date).toLocaleString()}</div>
+                <button type="button" onClick={() => handlePdf(einvoice.sale)} className="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">PDF with IRN & QR</button>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {einvoice.errors.length > 0 ? (
+                  <ul>
+                    {einvoice.errors.map((error, i) => <li key={i} className="text-red-600">{error}</li>)}
+                  </ul>
+                ) : (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button type="button" onClick={() => downloadJson(einvoice.payload, `einvoice_${einvoice.sale.invoice_number.replace(/\//g, '-')}.json`)} className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Download JSON</button>
+                    <button type="button" onClick={handleMockIrp} className="px-3 py-1 rounded border">Send to Mock IRP</button>
+                    <label className="px-3 py-1 rounded border cursor-pointer">
+                      Import IRP Response
+                      <input type="file" accept=".json,application/json" onChange={handleIrpFile} className="hidden" />
+                    </label>
+                  </div>
+                )}
+                <form onSubmit={handleIrnSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  <input type="text" value={irnForm.irn} onChange={(e) => setIrnForm(prev => ({ ...prev, irn: e.target.value }))} placeholder="IRN" required className="px-2 py-1 border rounded sm:col-span-3" />
+                  <input type="text" value={irnForm.ack_no} onChange={(e) => setIrnForm(prev => ({ ...prev, ack_no: e.target.value }))} placeholder="Ack No" required className="px-2 py-1 border rounded" />
+                  <input type="datetime-local" value={irnForm.ack_date} onChange={(e) => setIrnForm(prev => ({ ...prev, ack_date: e.target.value }))} required className="px-2 py-1 border rounded" />
+                  <textarea value={irnForm.signed_qr} onChange={(e) => setIrnForm(prev => ({ ...prev, signed_qr: e.target.value }))} placeholder="Signed QR code" required rows={2} className="px-2 py-1 border rounded sm:col-span-3" />
+                  <button type="submit" className="px-3 py-1 rounded border sm:col-span-3 sm:justify-self-start">Save IRN</button>
+                </form>
+              </div>
+            )}
           </div>
-        </div>
-        {/* Items table */}
-        <table className="w-full text-xs mt-4 border">
-          <thead className="bg-gray-100">
-            <tr>
-              <th className="border px-1 py-1">S.No</th>
-              <th className="border px-1 py-1">Description</th>
-              <th className="border px-1 py-1">HSN/SAC</th>
-              <th className="border px-1 py-1">Qty</th>
-              <th className="border px-1 py-1">Rate</th>
-              <th className="border px-1 py-1">Taxable Value</th>
-            </tr>
-          </thead>
-          <tbody>
-            {form.items.map((it, idx) => {
-              const taxable = (parseFloat(it.rate) || 0) * (parseFloat(it.quantity) || 0);
-              return (
-                <tr key={idx}>
-                  <td className="border px-1 py-1 text-center">{idx + 1}</td>
-                  <td className="border px-1 py-1">{it.description}</td>
-                  <td className="border px-1 py-1">{it.hsn_sac}</td>
-                  <td className="border px-1 py-1 text-right">{it.quantity}</td>
-                  <td className="border px-1 py-1 text-right">{it.rate}</td>
-                  <td className="border px-1 py-1 text-right">{taxable.toFixed(2)}</td>
+        )}
+        {transportEdit && (
+          <form onSubmit={handleTransportSave} className="border rounded p-2 mb-4">
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span className="font-medium">Transport for {transportEdit.invoice_number}</span>
+              <button type="button" onClick={() => setTransportEdit(null)} className="text-gray-600">Close</button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+              <div>
+                <label className="block text-sm mb-1">Vehicle No.</label>
+                <input type="text" name="vehicle_no" value={transportEdit.vehicle_no} onChange={(e) => setTransportEdit(prev => ({ ...prev, vehicle_no: e.target.value }))} className="w-full px-2 py-1 border rounded" />
+              </div>
+              <TransportFields values={transportEdit} onChange={(e) => { const { name, value } = e.target; setTransportEdit(prev => ({ ...prev, [name]: value })); }} />
+            </div>
+            <button type="submit" className="mt-2 bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">Save Transport</button>
+          </form>
+        )}
+        {filteredSales.length === 0 ? (
+          <p>No invoices found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2" title="Select for e-way bill">EWB</th>
+                  <th className="px-2 py-2">Invoice No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Customer</th>
+                  <th className="px-2 py-2">Total</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Action</th>
                 </tr>
-              );
-            })}
-            {/* Totals row */}
-            <tr>
-              <td colSpan={5} className="border px-1 py-1 text-right font-semibold">Taxable Total</td>
-              <td className="border px-1 py-1 text-right">{totals.taxable.toFixed(2)}</td>
-            </tr>
-            <tr>
-              <td colSpan={5} className="border px-1 py-1 text-right font-semibold">Add: CGST</td>
-              <td className="border px-1 py-1 text-right">{totals.cgst.toFixed(2)}</td>
-            </tr>
-              <tr>
-              <td colSpan={5} className="border px-1 py-1 text-right font-semibold">Add: SGST</td>
-              <td className="border px-1 py-1 text-right">{totals.sgst.toFixed(2)}</td>
-            </tr>
-            <tr>
-              <td colSpan={5} className="border px-1 py-1 text-right font-semibold">Add: IGST</td>
-              <td className="border px-1 py-1 text-right">{totals.igst.toFixed(2)}</td>
-            </tr>
-            <tr>
-              <td colSpan={5} className="border px-1 py-1 text-right font-bold">Grand Total</td>
-              <td className="border px-1 py-1 text-right font-bold">{totals.grand.toFixed(2)}</td>
-            </tr>
-          </tbody>
-        </table>
-        <p className="mt-2 text-sm">Amount in words: {numberToWords(Math.round(totals.grand))} only.</p>
+              </thead>
+              <tbody>
+                {filteredSales.map(sale => {
+                  const editable = sale.status !== 'cancelled' && !sale.locked;
+                  return (
+                    <tr key={sale.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">
+                        {sale.status !== 'cancelled' && <input type="checkbox" checked={ewaySelected.includes(sale.id)} onChange={() => toggleEway(sale.id)} />}
+                      </td>
+                      <td className="px-2 py-1">
+                        {sale.invoice_number}
+                        {sale.quote_number && <span className="block text-xs text-gray-500">from {sale.quote_number}</span>}
+                        {sale.challan_number && <span className="block text-xs text-gray-500">from {sale.challan_number}</span>}
+                      </td>
+                      <td className="px-2 py-1">{sale.date ? new Date(sale.date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{sale.customer_name || '-'}</td>
+                      <td className="px-2 py-1">₹ {parseFloat(sale.grand_total).toFixed(2)}</td>
+                      <td className="px-2 py-1">
+                        {sale.status === 'cancelled' ? <span className="text-red-600">Cancelled</span> : sale.locked ? 'Locked' : 'Active'}
+                        {sale.status !== 'cancelled' && <span className={`block text-xs ${sale.payment_status === 'paid' ? 'text-green-700' : 'text-gray-500'}`}>{PAYMENT_STATUS[sale.payment_status] || 'Unpaid'}{sale.payment_status === 'partial' && ` ₹ ${parseFloat(sale.amount_paid).toFixed(2)}`}</span>}
+                        {sale.irn && <span className="block text-xs text-gray-500">IRN {sale.ack_no}</span>}
+                      </td>
+                      <td className="px-2 py-1 space-x-2">
+                        {editable && <button type="button" onClick={() => handleEdit(sale)} className="text-blue-600 text-xs">Amend</button>}
+                        {editable && <button type="button" onClick={() => handleInvoiceAction(sale, 'cancel')} className="text-red-500 text-xs">Cancel</button>}
+                        {editable && <button type="button" onClick={() => handleInvoiceAction(sale, 'lock')} className="text-gray-600 text-xs">Lock</button>}
+                        {sale.status !== 'cancelled' && <button type="button" onClick={() => setTransportEdit({ id: sale.id, invoice_number: sale.invoice_number, ...transportForm(sale) })} className="text-gray-600 text-xs">Transport</button>}
+                        <button type="button" onClick={() => handlePdf(sale)} className="text-gray-600 text-xs">PDF</button>
+                        {sale.status !== 'cancelled' && <button type="button" onClick={() => openEinvoice(sale)} className="text-gray-600 text-xs">E-invoice</button>}
+                        <button type="button" onClick={() => handleHistory(sale)} className="text-gray-600 text-xs">History</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
+      {/* Version history of one invoice */}
+      {history && (
+        <div className="bg-white p-4 rounded shadow mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-medium">History of {history.sale.invoice_number}</h2>
+            <button type="button" onClick={() => setHistory(null)} className="text-sm text-gray-600">Close</button>
+          </div>
+          {history.versions.length === 0 ? (
+            <p className="text-sm">This invoice has not been changed since it was issued.</p>
+          ) : (
+            <ol className="space-y-3 text-sm">
+              {history.versions.map((version, idx) => {
+                const after = idx + 1 < history.versions.length ? history.versions[idx + 1].snapshot : history.sale;
+                return (
+                  <li key={version.id} className="border rounded p-2">
+                    <div className="font-medium">
+                      Version {version.version} {version.change_type} on {new Date(version.created_at).toLocaleString()}
+                      {version.reason && <span className="font-normal"> – {version.reason}</span>}
+                    </div>
+                    <ul className="list-disc ml-5">
+                      {describeChanges(version.snapshot, after).map((change, i) => <li key={i}>{change}</li>)}
+                    </ul>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
     </Layout>
   );
 }
 
-// Helper function to convert numbers to words (simplified for rupees). This
-// supports up to crores for typical invoice values. You could replace this
-// implementation with a more robust library if needed.
-function numberToWords(num) {
-  if (!num && num !== 0) return '';
-  const a = [ '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen' ];
-  const b = [ '', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety' ];
-  const g = [ '', 'Thousand', 'Lakh', 'Crore' ];
-  function helper(n) {
-    let str = '';
-    if (n < 20) str = a[n];
-    else if (n < 100) str = b[Math.floor(n/10)] + (n % 10 ? ' ' + a[n % 10] : '');
-    else {
-      str = a[Math.floor(n/100)] + ' Hundred' + (n % 100 ? ' ' + helper(n % 100) : '');
+// Mode, transporter, distance and transport document inputs of an invoice,
+// shared by the invoice form and the transport editor of saved invoices.
+function TransportFields({ values, onChange }) {
+  const byRoad = values.transport_mode === 'road';
+  return (
+    <>
+      <div>
+        <label className="block text-sm mb-1">Mode of Transport</label>
+        <select name="transport_mode" value={values.transport_mode} onChange={onChange} className="w-full px-2 py-1 border rounded">
+          {Object.keys(TRANSPORT_MODES).map(key => (
+            <option key={key} value={key}>{TRANSPORT_MODES[key].label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm mb-1">Transporter</label>
+        <input type="text" name="transporter_name" value={values.transporter_name} onChange={onChange} className="w-full px-2 py-1 border rounded" />
+      </div>
+      <div>
+        <label className="block text-sm mb-1">Transporter ID</label>
+        <input type="text" name="transporter_id" value={values.transporter_id} onChange={onChange} placeholder="GSTIN or TRANSIN" className="w-full px-2 py-1 border rounded" />
+      </div>
+      <div>
+        <label className="block text-sm mb-1">Distance (km)</label>
+        <input type="number" name="transport_distance" value={values.transport_distance} onChange={onChange} min="0" max="4000" placeholder="0 to let the portal work it out" className="w-full px-2 py-1 border rounded" />
+      </div>
+      <div>
+        <label className="block text-sm mb-1">{byRoad ? 'Transport Doc No.' : 'RR / Airway Bill / Bill of Lading No.'}</label>
+        <input type="text" name="transport_doc_no" value={values.transport_doc_no} onChange={onChange} className="w-full px-2 py-1 border rounded" />
+      </div>
+      <div>
+        <label className="block text-sm mb-1">Transport Doc Date</label>
+        <input type="date" name="transport_doc_date" value={values.transport_doc_date} onChange={onChange} className="w-full px-2 py-1 border rounded" />
+      </div>
+    </>
+  );
+}
+
+// Lists what changed between two versions of an invoice: header fields,
+// totals, status and the quantity or rate of each line (matched by item and
+// description).
+function describeChanges(before, after) {
+  const changes = [];
+  const fields = { customer_name: 'Customer', customer_gstin: 'GSTIN', customer_address: 'Address', shipping_address: 'Shipping address', place_of_supply: 'Place of supply', vehicle_no: 'Vehicle no', transporter_name: 'Transporter', transport_distance: 'Distance (km)', status: 'Status' };
+  Object.keys(fields).forEach(key => {
+    if ((before[key] || '') !== (after[key] || '')) {
+      changes.push(`${fields[key]}: ${before[key] || '-'} → ${after[key] || '-'}`);
     }
-    return str;
-  }
-  if (num === 0) return 'Zero';
-  let res = '';
-  const parts = [];
-  let i = 0;
-  while (num > 0) {
-    parts.push(num % 1000);
-    num = Math.floor(num / 1000);
-  }
-  for (let idx = parts.length - 1; idx >= 0; idx--) {
-    if (parts[idx]) {
-      res += helper(parts[idx]) + (g[idx] ? ' ' + g[idx] + ' ' : '');
+  });
+  const lineKey = line => `${line.item_id || ''}|${line.description}`;
+  const afterLines = {};
+  (after.items || []).forEach(line => { afterLines[lineKey(line)] = line; });
+  (before.items || []).forEach(line => {
+    const next = afterLines[lineKey(line)];
+    delete afterLines[lineKey(line)];
+    if (!next) {
+      changes.push(`Removed ${line.description} (${line.quantity} @ ₹ ${line.rate})`);
+    } else if (parseFloat(next.quantity) !== parseFloat(line.quantity) || parseFloat(next.rate) !== parseFloat(line.rate)) {
+      changes.push(`${line.description}: ${line.quantity} @ ₹ ${line.rate} → ${next.quantity} @ ₹ ${next.rate}`);
     }
+  });
+  Object.values(afterLines).forEach(line => {
+    changes.push(`Added ${line.description} (${line.quantity} @ ₹ ${line.rate})`);
+  });
+  if (parseFloat(before.grand_total) !== parseFloat(after.grand_total)) {
+    changes.push(`Grand total: ₹ ${parseFloat(before.grand_total).toFixed(2)} → ₹ ${parseFloat(after.grand_total).toFixed(2)}`);
   }
-  return res.trim();
-}
\ No newline at end of file
+  return changes.length > 0 ? changes : ['No visible changes'];
+}
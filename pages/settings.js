@@ -1,12 +1,15 @@
 import { useEffect, useState } from 'react';
 import Layout from '../components/Layout';
 import Head from 'next/head';
+import { STATES, findState } from '../lib/states';
 
 /**
  * Settings page allows administrators to edit company information such as
  * address, GSTIN and banking details. It also exposes fields to update
  * default login credentials. Changes are persisted via the /api/settings
- * endpoint.
+ * endpoint. The HSN/SAC rate master used to compute invoice GST and the
+ * document numbering series are managed here as well through /api/hsn-rates
+ * and /api/document-series.
  */
 export default function Settings() {
   const [settings, setSettings] = useState({
@@ -14,6 +17,27 @@ export default function Settings() {
   });
   const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [hsnRates, setHsnRates] = useState([]);
+  const [hsnForm, setHsnForm] = useState({ hsn_sac: '', description: '', gst_rate: '' });
+  const [hsnMessage, setHsnMessage] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [financialYear, setFinancialYear] = useState('');
+  const [seriesMessage, setSeriesMessage] = useState(null);
+
+  async function loadHsnRates() {
+    const res = await fetch('/api/hsn-rates');
+    const data = await res.json();
+    if (res.ok) setHsnRates(data.rates);
+  }
+
+  async function loadSeries() {
+    const res = await fetch('/api/document-series');
+    const data = await res.json();
+    if (res.ok) {
+      setSeries(data.series);
+      setFinancialYear(data.financial_year);
+    }
+  }
 
   useEffect(() => {
     async function load() {
@@ -21,6 +45,8 @@ export default function Settings() {
         const res = await fetch('/api/settings');
         const data = await res.json();
         if (res.ok && data.settings) setSettings(prev => ({ ...prev, ...data.settings }));
+        await loadHsnRates();
+        await loadSeries();
       } catch (err) {
         console.error('Settings load error', err);
       } finally {
@@ -60,6 +86,78 @@ export default function Settings() {
     }
   }
 
+  function handleHsnChange(e) {
+    const { name, value } = e.target;
+    setHsnForm(prev => ({ ...prev, [name]: value }));
+  }
+
+  async function handleHsnSubmit(e) {
+    e.preventDefault();
+    setHsnMessage(null);
+    try {
+      const res = await fetch('/api/hsn-rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...hsnForm, gst_rate: parseFloat(hsnForm.gst_rate) })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setHsnForm({ hsn_sac: '', description: '', gst_rate: '' });
+        setHsnMessage('HSN rate saved');
+        await loadHsnRates();
+      } else {
+        setHsnMessage(data.error || 'Error saving HSN rate');
+      }
+    } catch (err) {
+      console.error('HSN rate save error', err);
+      setHsnMessage('Error saving HSN rate');
+    }
+  }
+
+  async function handleHsnDelete(code) {
+    try {
+      const res = await fetch(`/api/hsn-rates?hsn_sac=${encodeURIComponent(code)}`, { method: 'DELETE' });
+      if (res.ok) await loadHsnRates();
+    } catch (err) {
+      console.error('HSN rate delete error', err);
+    }
+  }
+
+  function handleSeriesChange(index, field, value) {
+    setSeries(prev => {
+      const arr = [...prev];
+      arr[index] = { ...arr[index], [field]: value };
+      return arr;
+    });
+  }
+
+  async function handleSeriesSave(row) {
+    setSeriesMessage(null);
+    try {
+      const res = await fetch('/api/document-series', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          doc_type: row.doc_type,
+          prefix: row.prefix,
+          start_number: parseInt(row.start_number),
+          padding: parseInt(row.padding),
+          next_number: parseInt(row.next_number),
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setSeriesMessage(`${row.label} numbering saved`);
+        await loadSeries();
+      } else {
+        setSeriesMessage(data.error || 'Error saving numbering');
+      }
+    } catch (err) {
+      console.error('Document series save error', err);
+      setSeriesMessage('Error saving numbering');
+    }
+  }
+
   return (
     <Layout>
       <Head>
@@ -96,7 +194,13 @@ export default function Settings() {
               </div>
               <div>
                 <label className="block text-sm mb-1">State</label>
-                <input type="text" name="state" value={settings.state} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+                <select name="state" value={findState(settings.state)?.name || settings.state || ''} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                  <option value="">Select state</option>
+                  {settings.state && !findState(settings.state) && <option value={settings.state}>{settings.state}</option>}
+                  {STATES.map(state => (
+                    <option key={state.code} value={state.name}>{state.name} ({state.code})</option>
+                  ))}
+                </select>
               </div>
               <div>
                 <label className="block text-sm mb-1">Zip Code</label>
@@ -141,6 +245,101 @@ export default function Settings() {
           </form>
         </div>
       )}
+      {!loading && (
+        <div className="bg-white p-4 rounded shadow mt-6">
+          <h2 className="text-lg font-medium mb-2">Document Numbering</h2>
+          <p className="text-sm text-gray-500 mb-2">Numbers restart from the start number every financial year (April–March). Next number applies to the current year ({financialYear}).</p>
+          {seriesMessage && <p className="text-green-700 text-sm mb-2">{seriesMessage}</p>}
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm border">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="border px-2 py-1">Document</th>
+                  <th className="border px-2 py-1">Prefix</th>
+                  <th className="border px-2 py-1">Start Number</th>
+                  <th className="border px-2 py-1">Padding</th>
+                  <th className="border px-2 py-1">Next Number</th>
+                  <th className="border px-2 py-1">Next Document No.</th>
+                  <th className="border px-2 py-1">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {series.map((row, idx) => (
+                  <tr key={row.doc_type} className="border-b">
+                    <td className="border px-2 py-1">{row.label}</td>
+                    <td className="border px-2 py-1">
+                      <input type="text" value={row.prefix} onChange={(e) => handleSeriesChange(idx, 'prefix', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="1" value={row.start_number} onChange={(e) => handleSeriesChange(idx, 'start_number', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="1" max="10" value={row.padding} onChange={(e) => handleSeriesChange(idx, 'padding', e.target.value)} className="border rounded px-1 py-0.5 w-16" />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="1" value={row.next_number} onChange={(e) => handleSeriesChange(idx, 'next_number', e.target.value)} className="border rounded px-1 py-0.5 w-24" />
+                    </td>
+                    <td className="border px-2 py-1">{row.next_preview}</td>
+                    <td className="border px-2 py-1">
+                      <button type="button" onClick={() => handleSeriesSave(row)} className="text-blue-600 text-xs">Save</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {!loading && (
+        <div className="bg-white p-4 rounded shadow mt-6">
+          <h2 className="text-lg font-medium mb-2">HSN/SAC GST Rates</h2>
+          <p className="text-sm text-gray-500 mb-2">Items without their own GST rate are taxed at the rate of the longest matching HSN/SAC code below.</p>
+          {hsnMessage && <p className="text-green-700 text-sm mb-2">{hsnMessage}</p>}
+          <form onSubmit={handleHsnSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm mb-1">HSN/SAC</label>
+              <input type="text" name="hsn_sac" value={hsnForm.hsn_sac} onChange={handleHsnChange} required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Description</label>
+              <input type="text" name="description" value={hsnForm.description} onChange={handleHsnChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">GST Rate (%)</label>
+              <input type="number" name="gst_rate" value={hsnForm.gst_rate} onChange={handleHsnChange} step="0.01" min="0" required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div className="flex items-end">
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Save Rate</button>
+            </div>
+          </form>
+          {hsnRates.length === 0 ? <p className="text-sm">No HSN rates configured</p> : (
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm border">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="border px-2 py-1">HSN/SAC</th>
+                    <th className="border px-2 py-1">Description</th>
+                    <th className="border px-2 py-1">GST %</th>
+                    <th className="border px-2 py-1">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {hsnRates.map(rate => (
+                    <tr key={rate.hsn_sac} className="border-b">
+                      <td className="border px-2 py-1">{rate.hsn_sac}</td>
+                      <td className="border px-2 py-1">{rate.description || '-'}</td>
+                      <td className="border px-2 py-1">{rate.gst_rate}%</td>
+                      <td className="border px-2 py-1">
+                        <button type="button" onClick={() => handleHsnDelete(rate.hsn_sac)} className="text-red-500 text-xs">Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
     </Layout>
   );
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import Link from 'next/link';
+import { MOVEMENT_TYPES } from '../lib/stock';
+
+/**
+ * Stock Ledger page lists every movement of one inventory item (given by the
+ * `item_id` query parameter): opening stock, purchases, sales, returns and
+ * adjustments, with the source document and the running balance, optionally
+ * filtered by date.
+ */
+export default function StockLedger() {
+  const router = useRouter();
+  const { item_id } = router.query;
+  const [item, setItem] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  // Date range last applied; Apply sets a new object so it always reloads
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadLedger = useCallback(async () => {
+    if (!item_id) return;
+    setLoading(true);
+    try {
+      let url = `/api/stock-movements?item_id=${item_id}`;
+      if (range.from && range.to) {
+        url += `&from=${range.from}&to=${range.to}`;
+      }
+      const res = await fetch(url);
+      const data = await res.json();
+      if (res.ok) {
+        setItem(data.item);
+        setMovements(data.movements);
+        setMessage(null);
+      } else {
+        setMessage(data.error || 'Error loading ledger');
+      }
+    } catch (err) {
+      console.error('Stock ledger load error', err);
+      setMessage('Error loading ledger');
+    } finally {
+      setLoading(false);
+    }
+  }, [item_id, range]);
+
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger]);
+
+  const totalIn = movements.reduce((sum, m) => sum + Math.max(parseFloat(m.quantity), 0), 0);
+  const totalOut = movements.reduce((sum, m) => sum + Math.max(-parseFloat(m.quantity), 0), 0);
+
+  return (
+    <Layout>
+      <Head>
+        <title>Stock Ledger | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Stock Ledger{item ? `: ${item.item_name}` : ''}</h1>
+      <p className="mb-4 text-sm"><Link href="/inventory" className="text-blue-600">← Back to inventory</Link></p>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">From</label>
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">To</label>
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div className="flex items-end">
+            <button onClick={() => setRange({ from, to })} className="bg-blue-500 text-white px-4 py-2 rounded">Apply</button>
+          </div>
+        </div>
+        {item && (
+          <p className="text-sm text-gray-600 mt-4">
+            {item.category} · HSN {item.hsn_sac || '-'} · In {totalIn.toFixed(2)} · Out {totalOut.toFixed(2)} · Current stock {item.quantity}
+          </p>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        {loading ? (
+          <p>Loading...</p>
+        ) : movements.length === 0 ? (
+          <p>No stock movements found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Type</th>
+                  <th className="px-2 py-2">Reference</th>
+                  <th className="px-2 py-2">Note</th>
+                  <th className="px-2 py-2 text-right">In</th>
+                  <th className="px-2 py-2 text-right">Out</th>
+                  <th className="px-2 py-2 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {movements.map(m => {
+                  const qty = parseFloat(m.quantity);
+                  return (
+                    <tr key={m.id} className="border-b hover:bg-gray-50">
+                      <td className="px-2 py-1">{m.date ? new Date(m.date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-1">{MOVEMENT_TYPES[m.movement_type] || m.movement_type}</td>
+                      <td className="px-2 py-1">{m.reference || '-'}</td>
+                      <td className="px-2 py-1">{m.note || '-'}</td>
+                      <td className="px-2 py-1 text-right">{qty > 0 ? qty.toFixed(2) : ''}</td>
+                      <td className="px-2 py-1 text-right">{qty < 0 ? (-qty).toFixed(2) : ''}</td>
+                      <td className="px-2 py-1 text-right">{parseFloat(m.balance_after).toFixed(2)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,298 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import { ADJUSTMENT_REASONS } from '../lib/stock';
+
+/**
+ * Stock Take page runs physical stock counts. A count session covers every
+ * active item or the items on one rack. Staff enter the counted quantity of
+ * each item; the page shows the variance against book stock and its value at
+ * the item rate. Differences need a reason (damage, theft, counting error,
+ * ...). Approving the session posts the adjustments to the stock ledger so
+ * book stock matches the count; items left blank are not adjusted.
+ */
+export default function StockTake() {
+  const [stockTakes, setStockTakes] = useState([]);
+  const [racks, setRacks] = useState([]);
+  const [newSession, setNewSession] = useState({ title: '', rack: '' });
+  const [current, setCurrent] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadStockTakes() {
+    const res = await fetch('/api/stock-takes');
+    const data = await res.json();
+    if (res.ok) setStockTakes(data.stockTakes);
+  }
+
+  async function openStockTake(id) {
+    const res = await fetch(`/api/stock-takes?id=${id}`);
+    const data = await res.json();
+    if (!res.ok) {
+      setMessage(data.error || 'Error loading stock take');
+      return;
+    }
+    setCurrent(data);
+    const values = {};
+    data.lines.forEach(line => {
+      values[line.item_id] = { counted_quantity: line.counted_quantity ?? '', reason: line.reason || '' };
+    });
+    setCounts(values);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [invRes] = await Promise.all([fetch('/api/inventory'), loadStockTakes()]);
+        const invData = await invRes.json();
+        if (invRes.ok) {
+          const names = invData.items.filter(item => item.active && item.specs?.rack).map(item => item.specs.rack);
+          setRacks([...new Set(names)].sort());
+        }
+      } catch (err) {
+        console.error('Stock take load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  async function handleStart(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch('/api/stock-takes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: newSession.title || null, rack: newSession.rack || null })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setNewSession({ title: '', rack: '' });
+        await loadStockTakes();
+        await openStockTake(data.id);
+      } else {
+        setMessage(data.error || 'Error starting stock take');
+      }
+    } catch (err) {
+      console.error('Stock take start error', err);
+      setMessage('Error starting stock take');
+    }
+  }
+
+  function handleCountChange(itemId, field, value) {
+    setCounts(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+  }
+
+  // Save the counts; returns whether the save succeeded
+  async function saveCounts() {
+    const res = await fetch(`/api/stock-takes?id=${current.stockTake.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lines: Object.keys(counts).map(itemId => ({ item_id: parseInt(itemId), ...counts[itemId] })) })
+    });
+    const data = await res.json();
+    setMessage(res.ok ? data.message : (data.error || 'Error saving counts'));
+    return res.ok;
+  }
+
+  async function handleSave() {
+    setMessage(null);
+    try {
+      if (await saveCounts()) await loadStockTakes();
+    } catch (err) {
+      console.error('Stock take save error', err);
+      setMessage('Error saving counts');
+    }
+  }
+
+  async function handleApprove() {
+    if (!window.confirm('Approve this stock take? Book stock of every counted item will be set to the counted quantity.')) return;
+    setMessage(null);
+    try {
+      if (!(await saveCounts())) return;
+      const res = await fetch(`/api/stock-takes?id=${current.stockTake.id}&action=approve`, { method: 'POST' });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Stock take approved; ${data.adjusted} item(s) adjusted`);
+        await loadStockTakes();
+        await openStockTake(current.stockTake.id);
+      } else {
+        setMessage(data.error || 'Error approving stock take');
+      }
+    } catch (err) {
+      console.error('Stock take approve error', err);
+      setMessage('Error approving stock take');
+    }
+  }
+
+  async function handleDiscard() {
+    if (!window.confirm('Discard this stock take and its counts?')) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/stock-takes?id=${current.stockTake.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        setCurrent(null);
+        await loadStockTakes();
+      } else {
+        setMessage(data.error || 'Error discarding stock take');
+      }
+    } catch (err) {
+      console.error('Stock take discard error', err);
+      setMessage('Error discarding stock take');
+    }
+  }
+
+  const isOpen = current?.stockTake.status === 'open';
+  // Book stock, count and variance of a line: live for open sessions, as
+  // recorded at approval otherwise
+  const rows = (current?.lines || []).map(line => {
+    const counted = isOpen ? counts[line.item_id]?.counted_quantity : line.counted_quantity;
+    const book = parseFloat(isOpen ? line.current_quantity : line.book_quantity) || 0;
+    const hasCount = counted !== '' && counted !== null && counted !== undefined;
+    const variance = hasCount ? (isOpen ? parseFloat(counted) - book : parseFloat(line.variance) || 0) : null;
+    const rate = parseFloat(isOpen ? line.item_rate : line.rate) || 0;
+    return { ...line, book, counted, variance, value: variance === null ? null : variance * rate };
+  });
+  const totalValue = rows.reduce((sum, row) => sum + (row.value || 0), 0);
+
+  return (
+    <Layout>
+      <Head>
+        <title>Stock Take | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Stock Take</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Start Count</h2>
+        <form onSubmit={handleStart} className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Title</label>
+            <input type="text" value={newSession.title} onChange={(e) => setNewSession(prev => ({ ...prev, title: e.target.value }))} placeholder="e.g. Monthly count" className="w-full px-2 py-1 border rounded" />
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Rack</label>
+            <select value={newSession.rack} onChange={(e) => setNewSession(prev => ({ ...prev, rack: e.target.value }))} className="w-full px-2 py-1 border rounded">
+              <option value="">All items</option>
+              {racks.map(rack => (
+                <option key={rack} value={rack}>{rack}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-end">
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Start Stock Take</button>
+          </div>
+        </form>
+      </div>
+      {current && (
+        <div className="bg-white p-4 rounded shadow mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-medium">
+              {current.stockTake.title || `Stock take #${current.stockTake.id}`}
+              {current.stockTake.rack && <span className="text-sm text-gray-500"> · Rack {current.stockTake.rack}</span>}
+              <span className="text-sm text-gray-500"> · {isOpen ? 'Open' : 'Approved'}</span>
+            </h2>
+            <button type="button" onClick={() => setCurrent(null)} className="text-sm text-gray-600">Close</button>
+          </div>
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Item</th>
+                  <th className="px-2 py-2">Rack</th>
+                  <th className="px-2 py-2 text-right">Book</th>
+                  <th className="px-2 py-2">Counted</th>
+                  <th className="px-2 py-2 text-right">Variance</th>
+                  <th className="px-2 py-2 text-right">Value</th>
+                  <th className="px-2 py-2">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.id} className="border-b">
+                    <td className="px-2 py-1">{row.item_name}</td>
+                    <td className="px-2 py-1">{row.rack || '-'}</td>
+                    <td className="px-2 py-1 text-right">{row.book.toFixed(2)}</td>
+                    <td className="px-2 py-1">
+                      {isOpen ? (
+                        <input type="number" value={row.counted ?? ''} onChange={(e) => handleCountChange(row.item_id, 'counted_quantity', e.target.value)} min="0" step="0.01" className="border rounded px-1 py-0.5 w-24" />
+                      ) : (row.counted ?? '-')}
+                    </td>
+                    <td className={`px-2 py-1 text-right ${row.variance < 0 ? 'text-red-600' : row.variance > 0 ? 'text-green-700' : ''}`}>{row.variance === null ? '' : row.variance.toFixed(2)}</td>
+                    <td className="px-2 py-1 text-right">{row.value === null ? '' : `₹ ${row.value.toFixed(2)}`}</td>
+                    <td className="px-2 py-1">
+                      {isOpen ? (
+                        <select value={counts[row.item_id]?.reason || ''} onChange={(e) => handleCountChange(row.item_id, 'reason', e.target.value)} disabled={!row.variance} className="border rounded px-1 py-0.5">
+                          <option value="">-</option>
+                          {Object.keys(ADJUSTMENT_REASONS).map(key => (
+                            <option key={key} value={key}>{ADJUSTMENT_REASONS[key]}</option>
+                          ))}
+                        </select>
+                      ) : (ADJUSTMENT_REASONS[row.reason] || '-')}
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td colSpan={5} className="px-2 py-1 text-right font-semibold">Value impact</td>
+                  <td className={`px-2 py-1 text-right font-semibold ${totalValue < 0 ? 'text-red-600' : ''}`}>₹ {totalValue.toFixed(2)}</td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          {isOpen && (
+            <div className="flex gap-2 mt-4">
+              <button type="button" onClick={handleSave} className="bg-blue-500 text-white px-4 py-2 rounded">Save Counts</button>
+              <button type="button" onClick={handleApprove} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Approve & Adjust Stock</button>
+              <button type="button" onClick={handleDiscard} className="px-4 py-2 rounded border text-red-600">Discard</button>
+            </div>
+          )}
+        </div>
+      )}
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="text-lg font-medium mb-2">Stock Takes</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : stockTakes.length === 0 ? (
+          <p>No stock takes yet</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">#</th>
+                  <th className="px-2 py-2">Title</th>
+                  <th className="px-2 py-2">Rack</th>
+                  <th className="px-2 py-2">Started</th>
+                  <th className="px-2 py-2">Counted</th>
+                  <th className="px-2 py-2">Status</th>
+                  <th className="px-2 py-2">Value Impact</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stockTakes.map(take => (
+                  <tr key={take.id} className="border-b hover:bg-gray-50">
+                    <td className="px-2 py-1">{take.id}</td>
+                    <td className="px-2 py-1">{take.title || '-'}</td>
+                    <td className="px-2 py-1">{take.rack || 'All'}</td>
+                    <td className="px-2 py-1">{new Date(take.created_at).toLocaleDateString()}</td>
+                    <td className="px-2 py-1">{take.counted_count || 0} / {take.line_count}</td>
+                    <td className="px-2 py-1">{take.status === 'open' ? 'Open' : `Approved ${new Date(take.approved_at).toLocaleDateString()}`}</td>
+                    <td className="px-2 py-1">{take.status === 'open' ? '-' : `₹ ${parseFloat(take.variance_value).toFixed(2)}`}</td>
+                    <td className="px-2 py-1">
+                      <button type="button" onClick={() => openStockTake(take.id)} className="text-blue-600 text-xs">{take.status === 'open' ? 'Count' : 'View'}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
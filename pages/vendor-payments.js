@@ -0,0 +1,451 @@
+import { useEffect, useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
+import Layout from '../components/Layout';
+import SearchPicker from '../components/SearchPicker';
+import PaymentVoucherPreview from '../components/PaymentVoucherPreview';
+import Head from 'next/head';
+import { downloadPdf } from '../lib/pdf';
+import { PAYMENT_MODES } from '../lib/payments';
+
+const emptyForm = { vendor_id: '', vendor_name: '', mode: 'bank_transfer', reference: '', amount: '', date: '', notes: '' };
+
+function money(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+// Spreads an amount over bills in the order they fall due, as allocation inputs
+function allocateByDueDate(bills, amount) {
+  let left = parseFloat(amount) || 0;
+  const alloc = {};
+  bills.forEach(bill => {
+    const share = Math.min(bill.balance, left);
+    if (share > 0) {
+      alloc[bill.id] = share.toFixed(2);
+      left = Math.round((left - share) * 100) / 100;
+    }
+  });
+  return alloc;
+}
+
+// Open bills of a vendor with an amount to allocate against each
+function AllocationTable({ bills, alloc, setAlloc }) {
+  if (bills.length === 0) return <p className="text-sm">No unpaid bills; the whole amount is kept as an advance.</p>;
+  return (
+    <div className="overflow-auto">
+      <table className="min-w-full text-sm text-left">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="px-2 py-1">Bill No</th>
+            <th className="px-2 py-1">Bill Date</th>
+            <th className="px-2 py-1 text-right">Total</th>
+            <th className="px-2 py-1 text-right">Debit Notes</th>
+            <th className="px-2 py-1 text-right">Paid</th>
+            <th className="px-2 py-1 text-right">Balance</th>
+            <th className="px-2 py-1">Due</th>
+            <th className="px-2 py-1">Allocate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bills.map(bill => (
+            <tr key={bill.id} className="border-b">
+              <td className="px-2 py-1">{bill.bill_number || '-'}</td>
+              <td className="px-2 py-1">{bill.bill_date ? new Date(bill.bill_date).toLocaleDateString() : ''}</td>
+              <td className="px-2 py-1 text-right">{money(bill.grand_total)}</td>
+              <td className="px-2 py-1 text-right">{bill.credited ? money(bill.credited) : '-'}</td>
+              <td className="px-2 py-1 text-right">{bill.amount_paid ? money(bill.amount_paid) : '-'}</td>
+              <td className="px-2 py-1 text-right font-semibold">{money(bill.balance)}</td>
+              <td className={`px-2 py-1 ${bill.days_overdue > 0 ? 'text-red-600' : ''}`}>
+                {new Date(bill.due_date).toLocaleDateString()}{bill.days_overdue > 0 && ` (${bill.days_overdue}d overdue)`}
+              </td>
+              <td className="px-2 py-1">
+                <input type="number" min="0" step="0.01" max={bill.balance} value={alloc[bill.id] || ''} onChange={(e) => setAlloc(prev => ({ ...prev, [bill.id]: e.target.value }))} className="w-28 px-2 py-1 border rounded" />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function allocationList(alloc) {
+  return Object.keys(alloc)
+    .filter(id => parseFloat(alloc[id]) > 0)
+    .map(id => ({ bill_id: parseInt(id), amount: parseFloat(alloc[id]) }));
+}
+
+/**
+ * Vendor Payments page records money paid to suppliers. After picking the
+ * vendor their unpaid purchase bills are listed with the balance and the due
+ * date from the vendor's credit days, and the payment is allocated against
+ * one or more of them, in part or in full (earliest due first with one
+ * click); anything not allocated is an advance to allocate later. Each
+ * payment prints as a payment voucher PDF and can be cancelled, and what is
+ * owed to every vendor is shown below, bill-wise per vendor on request.
+ */
+export default function VendorPayments() {
+  const [vendors, setVendors] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [outstanding, setOutstanding] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [form, setForm] = useState(emptyForm);
+  const [bills, setBills] = useState([]);
+  const [alloc, setAlloc] = useState({});
+  // Advance of a saved payment being allocated: { payment, available, bills, alloc }
+  const [pending, setPending] = useState(null);
+  // Bill-wise dues of one vendor from the outstanding list: { vendor_name, bills }
+  const [dues, setDues] = useState(null);
+  const [printing, setPrinting] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const previewRef = useRef(null);
+
+  async function loadPayments() {
+    const [res, outRes] = await Promise.all([fetch('/api/vendor-payments'), fetch('/api/vendor-payments?view=outstanding')]);
+    const data = await res.json();
+    const outData = await outRes.json();
+    if (res.ok) setPayments(data.payments);
+    if (outRes.ok) setOutstanding(outData.vendors);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [venRes, setRes] = await Promise.all([fetch('/api/vendors'), fetch('/api/settings')]);
+        const venData = await venRes.json();
+        const setData = await setRes.json();
+        if (venRes.ok) setVendors(venData.vendors);
+        if (setRes.ok && setData.settings) setSettings(setData.settings);
+        await loadPayments();
+      } catch (err) {
+        console.error('Vendor payments load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  async function fetchBills(vendorId) {
+    const res = await fetch(`/api/vendor-payments?vendor_id=${vendorId}`);
+    const data = await res.json();
+    return res.ok ? data.bills.filter(bill => bill.balance > 0) : [];
+  }
+
+  async function handleVendorSelect(vendor) {
+    setMessage(null);
+    setForm(prev => ({ ...prev, vendor_id: vendor.id, vendor_name: vendor.name }));
+    setAlloc({});
+    setBills(await fetchBills(vendor.id));
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  }
+
+  const allocated = allocationList(alloc).reduce((sum, a) => sum + a.amount, 0);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    if (!form.vendor_id) {
+      setMessage('Select the vendor');
+      return;
+    }
+    try {
+      const res = await fetch('/api/vendor-payments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vendor_id: form.vendor_id,
+          mode: form.mode,
+          reference: form.reference || null,
+          amount: parseFloat(form.amount),
+          date: form.date || null,
+          notes: form.notes || null,
+          allocations: allocationList(alloc),
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Payment ${data.voucher_number} recorded`);
+        setForm(emptyForm);
+        setBills([]);
+        setAlloc({});
+        await loadPayments();
+      } else {
+        setMessage(data.error || 'Error recording payment');
+      }
+    } catch (err) {
+      console.error('Vendor payment save error', err);
+      setMessage('Error recording payment');
+    }
+  }
+
+  async function openAllocation(payment) {
+    setMessage(null);
+    const available = Math.round((parseFloat(payment.amount) - parseFloat(payment.allocated)) * 100) / 100;
+    setPending({ payment, available, bills: await fetchBills(payment.vendor_id), alloc: {} });
+  }
+
+  async function handleAllocate() {
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/vendor-payments?id=${pending.payment.id}&action=allocate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allocations: allocationList(pending.alloc) })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(`Payment ${pending.payment.voucher_number} allocated`);
+        setPending(null);
+        await loadPayments();
+      } else {
+        setMessage(data.error || 'Error allocating payment');
+      }
+    } catch (err) {
+      console.error('Vendor payment allocate error', err);
+      setMessage('Error allocating payment');
+    }
+  }
+
+  async function handleCancel(payment) {
+    if (!window.confirm(`Cancel payment ${payment.voucher_number}? Its bills become unpaid again.`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/vendor-payments?id=${payment.id}&action=cancel`, { method: 'POST' });
+      const data = await res.json();
+      setMessage(res.ok ? `Payment ${payment.voucher_number} cancelled` : data.error || 'Error cancelling payment');
+      if (res.ok) await loadPayments();
+    } catch (err) {
+      console.error('Vendor payment cancel error', err);
+      setMessage('Error cancelling payment');
+    }
+  }
+
+  async function handleDues(row) {
+    if (!row.vendor_id) return;
+    setDues({ vendor_name: row.vendor_name, bills: await fetchBills(row.vendor_id) });
+  }
+
+  // Render a saved payment as a voucher and download it as PDF
+  async function handlePdf(payment) {
+    try {
+      const res = await fetch(`/api/vendor-payments?id=${payment.id}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Error loading payment');
+        return;
+      }
+      flushSync(() => setPrinting(data));
+      await downloadPdf(previewRef.current, data.payment.voucher_number);
+      setPrinting(null);
+    } catch (err) {
+      console.error('Payment voucher PDF error', err);
+      setMessage('Error generating PDF');
+    }
+  }
+
+  return (
+    <Layout>
+      <Head>
+        <title>Vendor Payments | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Vendor Payments</h1>
+      {message && <p className="mb-4 text-green-700">{message}</p>}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Record Payment Made</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Vendor</label>
+              <SearchPicker
+                options={vendors}
+                getLabel={v => v.name}
+                getDetail={v => [v.gstin, v.phone].filter(Boolean).join(' · ')}
+                onSelect={handleVendorSelect}
+                value={form.vendor_name}
+                placeholder="Search vendor"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Mode</label>
+              <select name="mode" value={form.mode} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                {Object.keys(PAYMENT_MODES).map(mode => <option key={mode} value={mode}>{PAYMENT_MODES[mode]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">{form.mode === 'cheque' ? 'Cheque No' : form.mode === 'cash' ? 'Reference' : 'Transaction / UTR No'}</label>
+              <input type="text" name="reference" value={form.reference} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Amount (₹)</label>
+              <input type="number" name="amount" value={form.amount} onChange={handleChange} min="0.01" step="0.01" required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Date</label>
+              <input type="date" name="date" value={form.date} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Notes</label>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          {form.vendor_id && (
+            <div>
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 className="font-medium">Allocate Against Bills</h3>
+                <div className="text-sm space-x-2">
+                  <span>Allocated ₹ {money(allocated)} of ₹ {money(form.amount)}</span>
+                  {bills.length > 0 && <button type="button" onClick={() => setAlloc(allocateByDueDate(bills, form.amount))} className="px-2 py-1 rounded border">Earliest Due First</button>}
+                </div>
+              </div>
+              <AllocationTable bills={bills} alloc={alloc} setAlloc={setAlloc} />
+              {allocated > (parseFloat(form.amount) || 0) + 0.005 && <p className="text-sm text-red-600 mt-1">Allocations exceed the amount paid</p>}
+            </div>
+          )}
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Save Payment</button>
+        </form>
+      </div>
+      {pending && (
+        <div className="bg-white p-4 rounded shadow mb-6">
+          <h2 className="text-lg font-medium mb-2">Allocate {pending.payment.voucher_number} (₹ {money(pending.available)} unallocated)</h2>
+          <AllocationTable bills={pending.bills} alloc={pending.alloc} setAlloc={update => setPending(prev => ({ ...prev, alloc: update(prev.alloc) }))} />
+          <div className="mt-2 space-x-2">
+            {pending.bills.length > 0 && <button type="button" onClick={() => setPending(prev => ({ ...prev, alloc: allocateByDueDate(prev.bills, prev.available) }))} className="px-3 py-1 rounded border">Earliest Due First</button>}
+            <button type="button" onClick={handleAllocate} className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Save Allocation</button>
+            <button type="button" onClick={() => setPending(null)} className="px-3 py-1 rounded border">Close</button>
+          </div>
+        </div>
+      )}
+      {printing && (
+        <div className="mb-6">
+          <PaymentVoucherPreview ref={previewRef} settings={settings} payment={printing.payment} allocations={printing.allocations} />
+        </div>
+      )}
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Payable to Vendors</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : outstanding.length === 0 ? (
+          <p>Nothing payable</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Vendor</th>
+                  <th className="px-2 py-2 text-right">Open Bills</th>
+                  <th className="px-2 py-2 text-right">Due</th>
+                  <th className="px-2 py-2 text-right">Overdue</th>
+                  <th className="px-2 py-2 text-right">Due in 7 Days</th>
+                  <th className="px-2 py-2 text-right">Advance</th>
+                  <th className="px-2 py-2 text-right">Payable</th>
+                  <th className="px-2 py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outstanding.map(row => (
+                  <tr key={row.vendor_id || row.vendor_name} className="border-b">
+                    <td className="px-2 py-2">{row.vendor_name || '-'}</td>
+                    <td className="px-2 py-2 text-right">{row.bills}</td>
+                    <td className="px-2 py-2 text-right">₹ {money(row.due)}</td>
+                    <td className={`px-2 py-2 text-right ${row.overdue > 0 ? 'text-red-600' : ''}`}>₹ {money(row.overdue)}</td>
+                    <td className="px-2 py-2 text-right">₹ {money(row.due_this_week)}</td>
+                    <td className="px-2 py-2 text-right">{row.unallocated ? `₹ ${money(row.unallocated)}` : '-'}</td>
+                    <td className="px-2 py-2 text-right font-semibold">₹ {money(row.outstanding)}</td>
+                    <td className="px-2 py-2">
+                      {row.vendor_id && row.bills > 0 && <button type="button" onClick={() => handleDues(row)} className="text-blue-600">Bills</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {dues && (
+          <div className="mt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium">Bills due to {dues.vendor_name}</h3>
+              <button type="button" onClick={() => setDues(null)} className="px-3 py-1 rounded border">Close</button>
+            </div>
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-1">Bill No</th>
+                  <th className="px-2 py-1">Bill Date</th>
+                  <th className="px-2 py-1">Due Date</th>
+                  <th className="px-2 py-1 text-right">Total</th>
+                  <th className="px-2 py-1 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dues.bills.map(bill => (
+                  <tr key={bill.id} className="border-b">
+                    <td className="px-2 py-1">{bill.bill_number || '-'}</td>
+                    <td className="px-2 py-1">{bill.bill_date ? new Date(bill.bill_date).toLocaleDateString() : ''}</td>
+                    <td className={`px-2 py-1 ${bill.days_overdue > 0 ? 'text-red-600' : ''}`}>
+                      {new Date(bill.due_date).toLocaleDateString()}{bill.days_overdue > 0 && ` (${bill.days_overdue}d overdue)`}
+                    </td>
+                    <td className="px-2 py-1 text-right">{money(bill.grand_total)}</td>
+                    <td className="px-2 py-1 text-right font-semibold">{money(bill.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="text-lg font-medium mb-2">Saved Payments</h2>
+        {loading ? (
+          <p>Loading...</p>
+        ) : payments.length === 0 ? (
+          <p>No payments recorded</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">Voucher No</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2">Vendor</th>
+                  <th className="px-2 py-2">Mode</th>
+                  <th className="px-2 py-2 text-right">Amount</th>
+                  <th className="px-2 py-2 text-right">Unallocated</th>
+                  <th className="px-2 py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map(payment => {
+                  const unallocated = parseFloat(payment.amount) - parseFloat(payment.allocated);
+                  const active = payment.status !== 'cancelled';
+                  return (
+                    <tr key={payment.id} className="border-b">
+                      <td className="px-2 py-2">
+                        {payment.voucher_number}
+                        {!active && <span className="text-red-600"> (cancelled)</span>}
+                      </td>
+                      <td className="px-2 py-2">{payment.date ? new Date(payment.date).toLocaleDateString() : ''}</td>
+                      <td className="px-2 py-2">{payment.vendor_name}</td>
+                      <td className="px-2 py-2">{PAYMENT_MODES[payment.mode] || payment.mode}{payment.reference && <span className="block text-xs text-gray-500">{payment.reference}</span>}</td>
+                      <td className="px-2 py-2 text-right">₹ {money(payment.amount)}</td>
+                      <td className="px-2 py-2 text-right">{active && unallocated > 0.005 ? `₹ ${money(unallocated)}` : '-'}</td>
+                      <td className="px-2 py-2 space-x-2">
+                        <button type="button" onClick={() => handlePdf(payment)} className="text-blue-600">PDF</button>
+                        {active && unallocated > 0.005 && <button type="button" onClick={() => openAllocation(payment)} className="text-gray-600">Allocate</button>}
+                        {active && <button type="button" onClick={() => handleCancel(payment)} className="text-red-600">Cancel</button>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import Head from 'next/head';
+import { STATES, findState, stateFromGstin, stateLabel } from '../lib/states';
+
+const emptyForm = {
+  name: '',
+  gstin: '',
+  contact_person: '',
+  phone: '',
+  email: '',
+  address: '',
+  city: '',
+  pincode: '',
+  state_code: '',
+  credit_days: 0,
+};
+
+/**
+ * Vendors page manages the supplier master used when recording purchases.
+ * The list shows what has been bought from each vendor, and duplicate vendors
+ * (for example spelling variants imported from old free-text purchases) can
+ * be merged into one record.
+ */
+export default function Vendors() {
+  const [vendors, setVendors] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [merge, setMerge] = useState({ from_id: '', into_id: '' });
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  async function loadVendors() {
+    const res = await fetch('/api/vendors');
+    const data = await res.json();
+    if (res.ok) setVendors(data.vendors);
+  }
+
+  useEffect(() => {
+    async function load() {
+      try {
+        await loadVendors();
+      } catch (err) {
+        console.error('Vendors load error', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Pre-select the state encoded in the GSTIN
+      if (name === 'gstin' && !prev.state_code) {
+        const state = stateFromGstin(value);
+        if (state) next.state_code = state.code;
+      }
+      return next;
+    });
+  }
+
+  function handleEdit(vendor) {
+    setEditingId(vendor.id);
+    setMessage(null);
+    const values = {};
+    Object.keys(emptyForm).forEach(key => { values[key] = vendor[key] ?? emptyForm[key]; });
+    setForm(values);
+  }
+
+  function handleCancel() {
+    setEditingId(null);
+    setForm(emptyForm);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch(editingId ? `/api/vendors?id=${editingId}` : '/api/vendors', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, credit_days: parseInt(form.credit_days) || 0 })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage(editingId ? 'Vendor updated' : 'Vendor added');
+        setEditingId(null);
+        setForm(emptyForm);
+        await loadVendors();
+      } else {
+        setMessage(data.error || 'Error saving vendor');
+      }
+    } catch (err) {
+      console.error('Vendor save error', err);
+      setMessage('Error saving vendor');
+    }
+  }
+
+  async function handleDelete(vendor) {
+    if (!window.confirm(`Delete ${vendor.name}?`)) return;
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/vendors?id=${vendor.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        await loadVendors();
+      } else {
+        setMessage(data.error || 'Error deleting vendor');
+      }
+    } catch (err) {
+      console.error('Vendor delete error', err);
+      setMessage('Error deleting vendor');
+    }
+  }
+
+  async function handleMerge(e) {
+    e.preventDefault();
+    setMessage(null);
+    const from = vendors.find(v => v.id === parseInt(merge.from_id));
+    const into = vendors.find(v => v.id === parseInt(merge.into_id));
+    if (!from || !into || !window.confirm(`Move all purchases of ${from.name} to ${into.name} and delete ${from.name}?`)) return;
+    try {
+      const res = await fetch('/api/vendors?action=merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from_id: from.id, into_id: into.id })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage('Vendors merged');
+        setMerge({ from_id: '', into_id: '' });
+        await loadVendors();
+      } else {
+        setMessage(data.error || 'Error merging vendors');
+      }
+    } catch (err) {
+      console.error('Vendor merge error', err);
+      setMessage('Error merging vendors');
+    }
+  }
+
+  const text = search.trim().toLowerCase();
+  const filtered = vendors.filter(v => !text || `${v.name} ${v.gstin || ''} ${v.phone || ''}`.toLowerCase().includes(text));
+
+  return (
+    <Layout>
+      <Head>
+        <title>Vendors | VSOL-MiNi</title>
+      </Head>
+      <h1 className="text-2xl font-semibold mb-4">Vendors</h1>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">{editingId ? 'Edit Vendor' : 'Add Vendor'}</h2>
+        {message && <p className="text-sm mb-2 text-green-700">{message}</p>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1">Name</label>
+              <input type="text" name="name" value={form.name} onChange={handleChange} required className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">GSTIN</label>
+              <input type="text" name="gstin" value={form.gstin} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Contact Person</label>
+              <input type="text" name="contact_person" value={form.contact_person} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Phone</label>
+              <input type="text" name="phone" value={form.phone} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Email</label>
+              <input type="email" name="email" value={form.email} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Address</label>
+              <input type="text" name="address" value={form.address} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">City</label>
+              <input type="text" name="city" value={form.city} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Pincode</label>
+              <input type="text" name="pincode" value={form.pincode} onChange={handleChange} className="w-full px-2 py-1 border rounded" />
+            </div>
+            <div>
+              <label className="block text-sm mb-1">State</label>
+              <select name="state_code" value={form.state_code} onChange={handleChange} className="w-full px-2 py-1 border rounded">
+                <option value="">Select state</option>
+                {STATES.map(state => (
+                  <option key={state.code} value={state.code}>{stateLabel(state)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1">Payment Terms (days)</label>
+              <input type="number" name="credit_days" value={form.credit_days} onChange={handleChange} min="0" className="w-full px-2 py-1 border rounded" />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">{editingId ? 'Update Vendor' : 'Add Vendor'}</button>
+            {editingId && (
+              <button type="button" onClick={handleCancel} className="px-4 py-2 rounded border">Cancel</button>
+            )}
+          </div>
+        </form>
+      </div>
+      <div className="bg-white p-4 rounded shadow mb-6">
+        <h2 className="text-lg font-medium mb-2">Merge Duplicate Vendors</h2>
+        <form onSubmit={handleMerge} className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm mb-1">Duplicate</label>
+            <select value={merge.from_id} onChange={(e) => setMerge(prev => ({ ...prev, from_id: e.target.value }))} required className="w-full px-2 py-1 border rounded">
+              <option value="">Select vendor</option>
+              {vendors.map(v => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm mb-1">Merge Into</label>
+            <select value={merge.into_id} onChange={(e) => setMerge(prev => ({ ...prev, into_id: e.target.value }))} required className="w-full px-2 py-1 border rounded">
+              <option value="">Select vendor</option>
+              {vendors.filter(v => v.id !== parseInt(merge.from_id)).map(v => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-end">
+            <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded">Merge</button>
+          </div>
+        </form>
+      </div>
+      <div className="bg-white p-4 rounded shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-lg font-medium">Vendor List</h2>
+          <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search name, GSTIN or phone" className="px-2 py-1 border rounded text-sm" />
+        </div>
+        {loading ? (
+          <p>Loading...</p>
+        ) : filtered.length === 0 ? (
+          <p>No vendors found</p>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-2 py-2">#</th>
+                  <th className="px-2 py-2">Name</th>
+                  <th className="px-2 py-2">GSTIN</th>
+                  <th className="px-2 py-2">Contact</th>
+                  <th className="px-2 py-2">State</th>
+                  <th className="px-2 py-2">Terms</th>
+                  <th className="px-2 py-2">Bills</th>
+                  <th className="px-2 py-2">Total Purchased</th>
+                  <th className="px-2 py-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map((v, idx) => (
+                  <tr key={v.id} className="border-b hover:bg-gray-50">
+                    <td className="px-2 py-1">{idx + 1}</td>
+                    <td className="px-2 py-1">{v.name}</td>
+                    <td className="px-2 py-1">{v.gstin || '-'}</td>
+                    <td className="px-2 py-1">{[v.contact_person, v.phone].filter(Boolean).join(', ') || '-'}</td>
+                    <td className="px-2 py-1">{v.state_code ? stateLabel(findState(v.state_code)) : '-'}</td>
+                    <td className="px-2 py-1">{v.credit_days} days</td>
+                    <td className="px-2 py-1">{v.purchase_count}</td>
+                    <td className="px-2 py-1">₹ {parseFloat(v.total_purchased).toFixed(2)}</td>
+                    <td className="px-2 py-1 space-x-2">
+                      <button type="button" onClick={() => handleEdit(v)} className="text-blue-600 text-xs">Edit</button>
+                      <button type="button" onClick={() => handleDelete(v)} className="text-red-500 text-xs">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -33,9 +33,22 @@ CREATE TABLE IF NOT EXISTS company_settings (
   default_password VARCHAR(100)
 );
 
+-- HSN/SAC rate master. Invoice lines without an item-level GST rate are taxed
+-- at the rate of the longest matching HSN/SAC prefix configured here.
+CREATE TABLE IF NOT EXISTS hsn_rates (
+  hsn_sac VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255),
+  gst_rate DECIMAL(5,2) NOT NULL
+);
+
 -- Inventory records stock items along with category-specific specifications
 -- stored as a JSON string in the specs column. The quantity field reflects
 -- available stock and is updated automatically by purchase and sales APIs.
+-- gst_rate is optional; when NULL the rate is looked up in hsn_rates.
+-- Inactive items are hidden from the invoice and purchase forms.
+-- min_level is the quantity at or below which the item is low on stock,
+-- reorder_qty the usual quantity to order and preferred_vendor_id the vendor
+-- it is normally bought from (cleared when that vendor is deleted).
 CREATE TABLE IF NOT EXISTS inventory (
   id INT AUTO_INCREMENT PRIMARY KEY,
   item_name VARCHAR(255),
@@ -43,51 +56,509 @@ CREATE TABLE IF NOT EXISTS inventory (
   hsn_sac VARCHAR(50),
   quantity DECIMAL(12,2),
   rate DECIMAL(12,2),
-  specs TEXT
+  gst_rate DECIMAL(5,2),
+  specs TEXT,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  min_level DECIMAL(12,2),
+  reorder_qty DECIMAL(12,2),
+  preferred_vendor_id INT
+);
+
+-- Stock movements form the ledger of every change to an item's quantity:
+-- opening stock, purchases, sales, invoice amendments and cancellations,
+-- returns and adjustments. quantity is positive for stock in and negative for
+-- stock out; balance_after is the item's quantity after the movement.
+-- source_id and reference identify the document that caused it.
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  movement_type VARCHAR(30) NOT NULL,
+  quantity DECIMAL(12,2) NOT NULL,
+  balance_after DECIMAL(12,2) NOT NULL,
+  source_id INT,
+  reference VARCHAR(100),
+  note VARCHAR(255),
+  date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY item_movements (item_id, id),
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE CASCADE
+);
+
+-- Stock takes are physical count sessions, optionally limited to one rack.
+-- Each line holds the counted quantity of an item. On approval the book
+-- quantity at that moment and the variance are stored on the line, and an
+-- adjustment is posted to the stock ledger for every variance, with its
+-- reason.
+CREATE TABLE IF NOT EXISTS stock_takes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255),
+  rack VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  approved_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS stock_take_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  stock_take_id INT NOT NULL,
+  item_id INT NOT NULL,
+  rack VARCHAR(100),
+  counted_quantity DECIMAL(12,2),
+  book_quantity DECIMAL(12,2),
+  variance DECIMAL(12,2),
+  rate DECIMAL(12,2),
+  reason VARCHAR(30),
+  UNIQUE KEY stock_take_item (stock_take_id, item_id),
+  FOREIGN KEY (stock_take_id) REFERENCES stock_takes(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE CASCADE
+);
+
+-- Vendors master. Purchases reference the vendor; credit_days holds the
+-- vendor's payment terms.
+CREATE TABLE IF NOT EXISTS vendors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  gstin VARCHAR(15),
+  contact_person VARCHAR(255),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  address VARCHAR(255),
+  city VARCHAR(100),
+  pincode VARCHAR(10),
+  state_code CHAR(2),
+  credit_days INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Purchase orders are placed with a vendor before the goods arrive. Lines
+-- hold the ordered quantity and expected rate; received_quantity grows as
+-- goods receipts (purchase bills with po_id) are recorded against them. Stock
+-- only changes on receipt. status is open, partial, received, cancelled
+-- (nothing received) or closed (short-closed after a partial receipt).
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  po_number VARCHAR(50) UNIQUE,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  order_date DATE,
+  expected_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255),
+  total DECIMAL(12,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  po_id INT NOT NULL,
+  item_id INT,
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  received_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (po_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
+);
+
+-- Purchase bills are supplier invoices. The header holds the vendor, bill
+-- number and date, supplier state and the bill totals; the lines are stored
+-- in the purchases table. A vendor's bill number can only be recorded once.
+-- po_id is set when the bill was recorded as a goods receipt against a
+-- purchase order, and po_line_id on its lines points at the order lines.
+-- due_date is the bill date plus the vendor's credit days when recorded.
+-- amount_paid is the total of the vendor payments allocated to the bill and
+-- payment_status is unpaid, partial or paid, counting debit notes against the
+-- bill as settled.
+CREATE TABLE IF NOT EXISTS purchase_bills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  bill_number VARCHAR(100),
+  bill_date DATE,
+  supplier_state_code CHAR(2),
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  po_id INT,
+  due_date DATE,
+  amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+  payment_status VARCHAR(10) NOT NULL DEFAULT 'unpaid',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY vendor_bill (vendor_id, bill_number),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL,
+  FOREIGN KEY (po_id) REFERENCES purchase_orders(id)
 );
 
--- Purchases table stores incoming stock transactions. Each record is linked
--- to an inventory item. When a purchase is recorded the quantity in the
--- inventory table is automatically increased.
+-- Purchases table stores the lines of purchase bills. Each record is linked
+-- to its bill and to an inventory item. When a bill is recorded the quantity
+-- of every line is added to the inventory table. The bill's date, vendor,
+-- bill number (invoice_number) and supplier_state_code are copied onto each
+-- line so line-level reports need no join. GST is computed per line at
+-- gst_rate and split into CGST+SGST or IGST by the supplier's state.
 CREATE TABLE IF NOT EXISTS purchases (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  bill_id INT,
   item_id INT,
+  hsn_sac VARCHAR(50),
   quantity DECIMAL(12,2),
   rate DECIMAL(12,2),
+  gst_rate DECIMAL(5,2),
   date DATE,
+  vendor_id INT,
   vendor_name VARCHAR(255),
   invoice_number VARCHAR(255),
+  supplier_state_code CHAR(2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  po_line_id INT,
+  FOREIGN KEY (bill_id) REFERENCES purchase_bills(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL,
+  FOREIGN KEY (po_line_id) REFERENCES purchase_order_lines(id)
+);
+
+-- Debit notes record goods sent back to a vendor against a purchase bill.
+-- The items column holds the returned lines as JSON; each line keeps the
+-- line_index of the bill line (in line id order) it reverses. Saving a debit
+-- note takes the returned quantities out of inventory.
+CREATE TABLE IF NOT EXISTS debit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  note_number VARCHAR(50) UNIQUE,
+  bill_id INT NOT NULL,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  reason VARCHAR(255),
+  items JSON,
+  taxable_total DECIMAL(12,2),
   cgst DECIMAL(12,2),
   sgst DECIMAL(12,2),
   igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  FOREIGN KEY (bill_id) REFERENCES purchase_bills(id),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+-- Customers master. Invoices reference the customer and also keep a
+-- snapshot of the name, addresses and GSTIN as they were when invoiced.
+-- credit_days and credit_limit hold the customer's credit terms.
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  gstin VARCHAR(15),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  billing_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  city VARCHAR(100),
+  pincode VARCHAR(10),
+  state_code CHAR(2),
+  credit_days INT NOT NULL DEFAULT 0,
+  credit_limit DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sales orders are placed by customers and fulfilled over several invoices.
+-- The pending quantity of each line (quantity - invoiced_quantity) of an
+-- open or partly invoiced order is reserved: it stays in stock but is not
+-- available to other sales. status is open, partial, fulfilled, cancelled
+-- (nothing invoiced) or closed (short-closed after a partial invoice).
+CREATE TABLE IF NOT EXISTS sales_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  so_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  order_date DATE,
+  expected_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255),
+  total DECIMAL(12,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS sales_order_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  so_id INT NOT NULL,
+  item_id INT,
+  description VARCHAR(255),
+  hsn_sac VARCHAR(50),
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  invoiced_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (so_id) REFERENCES sales_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
+);
+
+-- Delivery challans record goods sent to a customer without an invoice, on
+-- approval or for job work. The goods leave stock when the challan is issued;
+-- each line is later invoiced (invoiced_quantity) or comes back
+-- (returned_quantity). status is open, partial, invoiced, returned or closed
+-- (settled partly by invoice and partly by return). gst_rate is the rate the
+-- line was valued at when the challan was printed.
+CREATE TABLE IF NOT EXISTS delivery_challans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  challan_number VARCHAR(50) UNIQUE,
+  purpose VARCHAR(20) NOT NULL DEFAULT 'approval',
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  vehicle_no VARCHAR(50),
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS delivery_challan_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  challan_id INT NOT NULL,
+  item_id INT,
+  description VARCHAR(255),
+  hsn_sac VARCHAR(50),
+  quantity DECIMAL(12,2) NOT NULL,
+  rate DECIMAL(12,2) NOT NULL,
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  invoiced_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  returned_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (challan_id) REFERENCES delivery_challans(id) ON DELETE CASCADE,
   FOREIGN KEY (item_id) REFERENCES inventory(id) ON DELETE SET NULL
 );
 
 -- Sales table stores tax invoices. The items column is stored as a JSON
--- document which includes item details, quantities and rates. When an
--- invoice is saved the corresponding quantities are deducted from inventory.
+-- document which includes item details, quantities, rates and the GST rate
+-- and tax computed for each line. When an invoice is saved the corresponding
+-- quantities are deducted from inventory. place_of_supply holds the state
+-- name and supply_state_code its GST state code. A cancelled invoice keeps
+-- its number with status 'cancelled'; locked invoices can no longer be
+-- amended or cancelled. sales_order_id links an invoice raised against a
+-- sales order; its lines then carry the so_line_id they invoice.
+-- delivery_challan_id likewise links an invoice raised for goods already sent
+-- on a delivery challan, whose lines carry their dc_line_id; such an invoice
+-- does not move stock. vehicle_no and the transport_* and transporter_*
+-- columns hold the transport details written into the e-way bill;
+-- transport_mode is road, rail, air or ship and transport_distance is in km.
+-- irn, ack_no, ack_date and signed_qr are the e-invoice registration returned
+-- by the IRP; a registered invoice is locked. amount_paid is the total of the
+-- receipts allocated to the invoice and payment_status is unpaid, partial or
+-- paid, counting credit notes against the invoice as settled.
 CREATE TABLE IF NOT EXISTS sales (
   id INT AUTO_INCREMENT PRIMARY KEY,
-  invoice_number VARCHAR(50),
+  invoice_number VARCHAR(50) UNIQUE,
+  customer_id INT,
   customer_name VARCHAR(255),
   customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
   customer_gstin VARCHAR(50),
   place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
   vehicle_no VARCHAR(50),
+  transport_mode VARCHAR(10),
+  transporter_name VARCHAR(255),
+  transporter_id VARCHAR(15),
+  transport_distance INT,
+  transport_doc_no VARCHAR(50),
+  transport_doc_date DATE,
   items JSON,
   taxable_total DECIMAL(12,2),
   cgst DECIMAL(12,2),
   sgst DECIMAL(12,2),
   igst DECIMAL(12,2),
   grand_total DECIMAL(12,2),
-  date DATE
+  date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  locked TINYINT(1) NOT NULL DEFAULT 0,
+  cancel_reason VARCHAR(255),
+  sales_order_id INT,
+  delivery_challan_id INT,
+  irn VARCHAR(64) UNIQUE,
+  ack_no VARCHAR(20),
+  ack_date DATETIME,
+  signed_qr TEXT,
+  amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+  payment_status VARCHAR(10) NOT NULL DEFAULT 'unpaid',
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (sales_order_id) REFERENCES sales_orders(id),
+  FOREIGN KEY (delivery_challan_id) REFERENCES delivery_challans(id)
+);
+
+-- Sale versions keep every invoice as it was before it was amended or
+-- cancelled. snapshot holds the complete sales row, including its items.
+CREATE TABLE IF NOT EXISTS sale_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  sale_id INT NOT NULL,
+  version INT NOT NULL,
+  change_type VARCHAR(20) NOT NULL,
+  reason VARCHAR(255),
+  snapshot JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY sale_version (sale_id, version),
+  FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+);
+
+-- Quotations and proforma invoices are offers to a customer, priced and
+-- taxed like an invoice but without touching stock. doc_type is quotation or
+-- proforma, each numbered from its own series, and valid_until is the last
+-- day of the offer. status is open, converted or cancelled; converting one
+-- issues a sales invoice with the same lines and records it in sale_id.
+CREATE TABLE IF NOT EXISTS quotations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doc_type VARCHAR(20) NOT NULL DEFAULT 'quotation',
+  quote_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  customer_address VARCHAR(255),
+  shipping_address VARCHAR(255),
+  customer_gstin VARCHAR(50),
+  place_of_supply VARCHAR(255),
+  supply_state_code CHAR(2),
+  items JSON,
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  valid_until DATE,
+  notes VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  sale_id INT,
+  converted_at DATETIME,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (sale_id) REFERENCES sales(id)
+);
+
+-- Credit notes record goods returned against a sales invoice. The items
+-- column holds the returned lines as JSON; each line keeps the line_index of
+-- the invoice line it reverses along with its quantity, price and GST. Saving
+-- a credit note adds the returned quantities back to inventory.
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  note_number VARCHAR(50) UNIQUE,
+  sale_id INT NOT NULL,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  reason VARCHAR(255),
+  items JSON,
+  taxable_total DECIMAL(12,2),
+  cgst DECIMAL(12,2),
+  sgst DECIMAL(12,2),
+  igst DECIMAL(12,2),
+  grand_total DECIMAL(12,2),
+  date DATE,
+  FOREIGN KEY (sale_id) REFERENCES sales(id),
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+-- Receipts record payments received from customers by cash, UPI, cheque or
+-- bank transfer. Each receipt is allocated against one or more of the
+-- customer's invoices in receipt_allocations, in part or in full; any amount
+-- not allocated stays with the customer as an advance. A cancelled receipt
+-- keeps its number with status 'cancelled' and no longer counts as paid.
+CREATE TABLE IF NOT EXISTS receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(50) UNIQUE,
+  customer_id INT,
+  customer_name VARCHAR(255),
+  mode VARCHAR(20) NOT NULL,
+  reference VARCHAR(100),
+  amount DECIMAL(12,2) NOT NULL,
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(10) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS receipt_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_id INT NOT NULL,
+  sale_id INT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  FOREIGN KEY (receipt_id) REFERENCES receipts(id) ON DELETE CASCADE,
+  FOREIGN KEY (sale_id) REFERENCES sales(id)
+);
+
+-- Vendor payments record money paid to vendors by cash, UPI, cheque or bank
+-- transfer, numbered as payment vouchers. Each payment is allocated against
+-- one or more of the vendor's purchase bills in vendor_payment_allocations,
+-- in part or in full; any amount not allocated is an advance to the vendor. A
+-- cancelled payment keeps its number with status 'cancelled'.
+CREATE TABLE IF NOT EXISTS vendor_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  voucher_number VARCHAR(50) UNIQUE,
+  vendor_id INT,
+  vendor_name VARCHAR(255),
+  mode VARCHAR(20) NOT NULL,
+  reference VARCHAR(100),
+  amount DECIMAL(12,2) NOT NULL,
+  date DATE,
+  notes VARCHAR(255),
+  status VARCHAR(10) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS vendor_payment_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  bill_id INT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  FOREIGN KEY (payment_id) REFERENCES vendor_payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (bill_id) REFERENCES purchase_bills(id)
 );
 
 -- Expenses table stores miscellaneous expenses like salaries, utilities and rent.
+-- amount is the value before GST. Expense bills from registered suppliers
+-- carry their GST split into CGST+SGST or IGST by the supplier's state;
+-- itc_eligible marks the tax claimed as input tax credit in GSTR-3B.
 CREATE TABLE IF NOT EXISTS expenses (
   id INT AUTO_INCREMENT PRIMARY KEY,
   description VARCHAR(255),
   amount DECIMAL(12,2),
   category VARCHAR(100),
+  supplier_gstin VARCHAR(15),
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  cgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  sgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  igst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  itc_eligible TINYINT(1) NOT NULL DEFAULT 0,
   date DATE
-);
\ No newline at end of file
+);
+
+-- Document series hold the numbering configuration of each document type
+-- (prefix, first number of every financial year and zero padding).
+CREATE TABLE IF NOT EXISTS document_series (
+  doc_type VARCHAR(30) PRIMARY KEY,
+  prefix VARCHAR(20) NOT NULL,
+  start_number INT NOT NULL DEFAULT 1,
+  padding INT NOT NULL DEFAULT 4
+);
+
+INSERT IGNORE INTO document_series (doc_type, prefix, start_number, padding) VALUES ('sales', 'INV', 1, 4), ('credit_note', 'CN', 1, 4), ('debit_note', 'DN', 1, 4), ('purchase_order', 'PO', 1, 4), ('quotation', 'QT', 1, 4), ('proforma', 'PI', 1, 4), ('sales_order', 'SO', 1, 4), ('delivery_challan', 'DC', 1, 4), ('receipt', 'RC', 1, 4), ('payment', 'PV', 1, 4);
+
+-- Document sequences hold the next number to issue per document type and
+-- financial year (e.g. '25-26'). Rows are locked while a number is allocated.
+CREATE TABLE IF NOT EXISTS document_sequences (
+  doc_type VARCHAR(30),
+  financial_year CHAR(5),
+  next_number INT NOT NULL,
+  PRIMARY KEY (doc_type, financial_year)
+);